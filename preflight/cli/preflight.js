@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * ✈️ PREFLIGHT CLI
+ * Batch preflight of a directory, for ingestion pipelines.
+ *
+ *   node cli/preflight.js scan <dir> [--out <dir>] [--policy <profile.json>] [--no-recursive] [--quiet]
+ *
+ * Writes one JSON result per file (one per DICOM series) under --out
+ * (default: <dir>/.preflight) and a summary.json next to them. --policy scores with a
+ * policy profile (policies/*.json) instead of the plugins' built-in thresholds.
+ * Exit codes: 0 = every file reached its plugin's thresholds.accept,
+ *             1 = at least one file fell below it, 2 = usage or I/O error.
+ */
+
+import { readdir, mkdir, writeFile, readFile } from 'node:fs/promises';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { analyzeFiles, loadOptionalEngines } from '../core/headless.js';
+import { registerBuiltins } from '../core/builtins.js';
+import { loadPolicyProfile, applyPolicyProfile, profileLabel, BUILTIN_PROFILE } from '../core/policy.js';
+
+const USAGE = 'Usage: preflight scan <dir> [--out <dir>] [--policy <profile.json>] [--no-recursive] [--quiet]';
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; }, err => {
+  console.error(`preflight: ${err.message}`);
+  process.exitCode = 2;
+});
+
+async function main(argv) {
+  const [command, dir, ...rest] = argv;
+  if (command !== 'scan' || !dir) {
+    console.error(USAGE);
+    return 2;
+  }
+  const opts = { out: path.join(dir, '.preflight'), policy: null, recursive: true, quiet: false };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--out') opts.out = rest[++i];
+    else if (rest[i] === '--policy') opts.policy = rest[++i];
+    else if (rest[i] === '--no-recursive') opts.recursive = false;
+    else if (rest[i] === '--quiet') opts.quiet = true;
+    else { console.error(`Unknown option ${rest[i]}\n${USAGE}`); return 2; }
+  }
+  if (!opts.out || opts.policy === undefined) { console.error(USAGE); return 2; }
+  const policy = opts.policy ? await loadPolicyProfile(await readFile(opts.policy, 'utf8')) : null;
+  if (policy) {
+    // Checked against the plugins before anything is scanned
+    registerBuiltins();
+    applyPolicyProfile(policy);
+  }
+
+  if (!globalThis.File) globalThis.File = (await import('node:buffer')).File;
+  const engines = await loadOptionalEngines();
+
+  const root = path.resolve(dir);
+  const outDir = path.resolve(opts.out);
+  const paths = await listFiles(root, opts.recursive, outDir);
+  const files = [];
+  const relOf = new Map();
+  for (const p of paths) {
+    const file = await openFile(p);
+    files.push(file);
+    relOf.set(file.name, path.relative(root, p));
+  }
+
+  const log = opts.quiet ? () => {} : (...a) => console.log(...a);
+  log(`Preflight: ${files.length} file(s) in ${root}${engines.length ? ` · engines: ${engines.join(', ')}` : ''}${policy ? ` · policy: ${profileLabel(policy)}` : ''}`);
+
+  await mkdir(outDir, { recursive: true });
+  const records = await analyzeFiles(files, {
+    onResult: async record => {
+      record.files = record.files.map(n => relOf.get(n) || n);
+      const mark = record.verdict === 'accept' ? 'PASS' : record.verdict === 'borderline' ? 'WARN' : 'FAIL';
+      log(`${mark}  ${String(record.score).padStart(3)}  ${record.plugin || '-'}  ${record.files.length > 1 ? record.name : record.files[0]}`);
+    }
+  });
+
+  for (const record of records) {
+    const rel = record.files.length > 1 ? path.join(path.dirname(record.files[0]), safeName(record.name)) : record.files[0];
+    const target = path.join(outDir, `${rel}.json`);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, JSON.stringify(record, null, 2));
+  }
+
+  const failed = records.filter(r => r.verdict !== 'accept');
+  const summary = {
+    root,
+    policy: profileLabel(policy || BUILTIN_PROFILE),
+    scanned: files.length,
+    results: records.length,
+    accepted: records.length - failed.length,
+    belowAccept: failed.map(r => ({ name: r.files.length > 1 ? r.name : r.files[0], score: r.score, verdict: r.verdict, accept: r.thresholds ? r.thresholds.accept : null }))
+  };
+  await writeFile(path.join(outDir, 'summary.json'), JSON.stringify(summary, null, 2));
+  log(`${summary.accepted}/${records.length} accepted · results in ${outDir}`);
+  return failed.length ? 1 : 0;
+}
+
+async function listFiles(dir, recursive, skip) {
+  const out = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const p = path.join(dir, entry.name);
+    if (p === skip || entry.name.startsWith('.')) continue;
+    if (entry.isDirectory()) { if (recursive) out.push(...await listFiles(p, recursive, skip)); }
+    else if (entry.isFile()) out.push(p);
+  }
+  return out.sort();
+}
+
+async function openFile(p) {
+  // openAsBlob keeps large files on disk until a plugin actually reads them.
+  const blob = typeof fs.openAsBlob === 'function' ? await fs.openAsBlob(p) : new Blob([await readFile(p)]);
+  return new File([blob], uniqueName(p), { lastModified: fs.statSync(p).mtimeMs });
+}
+
+// Files in different folders may share a basename; keep names unique but readable.
+const seen = new Map();
+function uniqueName(p) {
+  const base = path.basename(p);
+  const n = seen.get(base) || 0;
+  seen.set(base, n + 1);
+  return n ? base.replace(/(\.[^.]*)?$/, m => `~${n}${m}`) : base;
+}
+
+function safeName(s) {
+  return s.replace(/[^a-z0-9._-]+/gi, '_').slice(0, 80);
+}
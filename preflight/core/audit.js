@@ -0,0 +1,109 @@
+/**
+ * AUDIT REPORT
+ * One record per analyzed item (a file, or a DICOM series): its files with size and
+ * SHA-256, the detected type, the plugin and policy profile that judged it, the score,
+ * verdict, messages and details, and when. The shell keeps a session log of these
+ * (closing a card does not remove its record) and downloads it as JSON, CSV or a
+ * printable PDF; every upload carries its record so the server can match a file to its
+ * preflight verdict.
+ */
+
+import { sha256File } from './hash.js';
+import { profileLabel } from './policy.js';
+import { textLinesToPdf } from './pdf.js';
+import { fmtSize } from './utils.js';
+
+/**
+ * @param {{name: string, type: string, files: File[], result: Object, source?: File[]|null,
+ *          fixes?: string[], extensionMismatch?: boolean, at?: Date}} item
+ *   files: what would be uploaded; source: the originals when a fix replaced them
+ * @returns {Promise<Object>} the audit record
+ */
+export async function auditRecord({ name, type, files, result, source = null, fixes = [], extensionMismatch = false, at = new Date() }) {
+  const describe = list => Promise.all(list.map(async f => ({ name: f.name, size: f.size, sha256: await sha256File(f) })));
+  return {
+    name,
+    type,
+    extensionMismatch,
+    files: await describe(files),
+    ...(source ? { source: await describe(source) } : {}),
+    fixes,
+    plugin: result.plugin || null,
+    policy: result.policy ? profileLabel(result.policy) : null,
+    thresholds: result.thresholds || null,
+    score: result.score,
+    verdict: result.verdict,
+    messages: result.msg ? [result.msg, ...(result.messages || [])] : (result.messages || []),
+    details: result.details || [],
+    ...(result.phi && result.phi.findings.length ? { phi: result.phi.counts } : {}),
+    analyzedAt: at.toISOString()
+  };
+}
+
+/** The session as one JSON document. */
+export function auditJson(records, generatedAt = new Date()) {
+  const doc = { generator: 'Preflight', generatedAt: generatedAt.toISOString(), summary: summarize(records), records };
+  return new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+}
+
+const CSV_COLUMNS = ['analyzed_at', 'item', 'file', 'size', 'sha256', 'type', 'plugin', 'policy', 'accept', 'borderline', 'score', 'verdict', 'fixes', 'messages', 'details'];
+
+/** One row per file (a series has one per member); item-level columns repeat. */
+export function auditCsv(records) {
+  const rows = [CSV_COLUMNS];
+  for (const r of records) {
+    for (const f of r.files) {
+      rows.push([
+        r.analyzedAt, r.name, f.name, f.size, f.sha256, r.type, r.plugin || '', r.policy || '',
+        r.thresholds ? r.thresholds.accept : '', r.thresholds ? r.thresholds.borderline : '',
+        r.score, r.verdict, r.fixes.join(' '), r.messages.join(' | '), r.details.join(' | ')
+      ]);
+    }
+  }
+  // UTF-8 BOM so spreadsheet apps read accents and symbols correctly
+  return new Blob(['\uFEFF', rows.map(row => row.map(csvCell).join(',')).join('\r\n'), '\r\n'], { type: 'text/csv' });
+}
+
+/** Printable summary: totals first, then each item with its hashes and reasons. */
+export function auditPdf(records, generatedAt = new Date()) {
+  const s = summarize(records);
+  const lines = [
+    { text: 'Preflight audit report', font: 'bold', size: 16 },
+    { text: `Generated ${generatedAt.toISOString()} · ${s.items} item(s), ${s.files} file(s)`, gap: 4 },
+    { text: `Accepted ${s.accept} · borderline ${s.borderline} · rejected ${s.reject}` },
+    { text: `Policy: ${s.policies.join(', ') || 'n/a'}` }
+  ];
+  records.forEach((r, i) => {
+    const thr = r.thresholds ? ` (accept >= ${r.thresholds.accept}, borderline >= ${r.thresholds.borderline})` : '';
+    lines.push({ text: `${i + 1}. ${r.name}`, font: 'bold', size: 11, gap: 12 });
+    lines.push({ text: `${r.verdict.toUpperCase()} · score ${r.score}/100${thr} · ${r.plugin || 'no plugin'} · ${r.policy || 'no policy'}` });
+    lines.push({ text: `${r.type} · analyzed ${r.analyzedAt}${r.fixes.length ? ` · fixed: ${r.fixes.join(', ')}` : ''}` });
+    r.files.forEach(f => lines.push({ text: `${f.sha256}  ${fmtSize(f.size)}  ${f.name}`, font: 'mono', size: 7 }));
+    r.messages.forEach(m => lines.push({ text: `• ${m}` }));
+    r.details.forEach(d => lines.push({ text: d, size: 8 }));
+  });
+  return textLinesToPdf(lines);
+}
+
+/** "preflight-audit-2026-10-19T14-03-22.csv" */
+export function auditFileName(ext, at = new Date()) {
+  return `preflight-audit-${at.toISOString().slice(0, 19).replace(/:/g, '-')}.${ext}`;
+}
+
+function summarize(records) {
+  const count = v => records.filter(r => r.verdict === v).length;
+  return {
+    items: records.length,
+    files: records.reduce((a, r) => a + r.files.length, 0),
+    accept: count('accept'),
+    borderline: count('borderline'),
+    reject: count('reject'),
+    policies: [...new Set(records.map(r => r.policy).filter(Boolean))]
+  };
+}
+
+function csvCell(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`; // keep spreadsheets from evaluating cells as formulas
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
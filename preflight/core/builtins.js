@@ -0,0 +1,12 @@
+import { registerPlugin, getPlugin } from './registry.js';
+import xrayPlus from '../plugins/xray/index.js';
+import medImaging from '../plugins/med-imaging/index.js';
+import labs from '../plugins/labs/index.js';
+import docOcr from '../plugins/doc-ocr/index.js';
+
+export const BUILTIN_PLUGINS = [xrayPlus, medImaging, labs, docOcr];
+
+/** Register the bundled plugins once (shell and headless runner share this). */
+export function registerBuiltins() {
+  BUILTIN_PLUGINS.forEach(p => { if (!getPlugin(p.name)) registerPlugin(p); });
+}
@@ -0,0 +1,173 @@
+/**
+ * BURNED-IN TEXT
+ * Finds overlay text (patient name, ID, dates) burned into the corners of a medical
+ * image and blanks it. Overlays are drawn as saturated strokes on a dark (or, for
+ * MONOCHROME1 and paper, bright) background: rows inside a corner with many on/off
+ * transitions that stack into a short band are taken as text lines.
+ * Blanking works on a canvas for images and in place on uncompressed DICOM pixel data.
+ */
+
+import { createCanvas, canRender, canvasToBlob } from './raster.js';
+import { fixedName } from './utils.js';
+import { TRANSFER_SYNTAX } from './dicom.js';
+
+const CORNER_W = 0.35, CORNER_H = 0.2;
+
+/**
+ * Text blocks in the four corners of a grayscale image.
+ * @param {ArrayLike<number>} gray 0..255, row-major
+ * @returns {Array<{corner: string, x: number, y: number, w: number, h: number}>} padded boxes in pixels
+ */
+export function findCornerText(gray, w, h) {
+  const cw = Math.round(w * CORNER_W), ch = Math.round(h * CORNER_H);
+  if (cw < 24 || ch < 12) return [];
+  const corners = [
+    ['top-left', 0, 0], ['top-right', w - cw, 0],
+    ['bottom-left', 0, h - ch], ['bottom-right', w - cw, h - ch]
+  ];
+  const boxes = [];
+  for (const [corner, x0, y0] of corners) {
+    for (const box of textBands(gray, w, x0, y0, cw, ch)) boxes.push({ corner, ...pad(box, 4, w, h) });
+  }
+  return boxes;
+}
+
+function textBands(gray, w, x0, y0, cw, ch) {
+  // Polarity from the corner's median: overlays contrast with their background
+  const hist = new Uint32Array(256);
+  for (let y = y0; y < y0 + ch; y++) for (let x = x0; x < x0 + cw; x++) hist[gray[y * w + x] | 0]++;
+  const total = cw * ch;
+  const level = q => { let acc = 0; for (let v = 0; v < 256; v++) { acc += hist[v]; if (acc >= total * q) return v; } return 255; };
+  const median = level(0.5);
+  const invert = median > 160;
+  const extreme = invert ? 255 - level(0.005) : level(0.995);
+  const bg = invert ? 255 - median : median;
+  if (extreme - bg < 80) return [];
+  const threshold = Math.max(bg + 60, extreme * 0.8);
+  const on = (x, y) => {
+    const v = gray[y * w + x];
+    return (invert ? 255 - v : v) >= threshold;
+  };
+
+  // Rows with text-like rhythm: several strokes, neither empty nor solid
+  const textRow = new Uint8Array(ch);
+  for (let r = 0; r < ch; r++) {
+    let runs = 0, lit = 0, prev = false;
+    for (let x = x0; x < x0 + cw; x++) {
+      const b = on(x, y0 + r);
+      if (b) lit++;
+      if (b && !prev) runs++;
+      prev = b;
+    }
+    textRow[r] = runs >= 3 && lit > 2 && lit < cw * 0.6 ? 1 : 0;
+  }
+
+  // Stack rows into bands (small gaps between lines of a label are bridged)
+  const bands = [];
+  for (let r = 0; r < ch;) {
+    if (!textRow[r]) { r++; continue; }
+    let end = r, gap = 0;
+    for (let k = r + 1; k < ch && gap <= 2; k++) {
+      if (textRow[k]) { end = k; gap = 0; } else gap++;
+    }
+    bands.push([r, end]);
+    r = end + 1;
+  }
+
+  const out = [];
+  for (const [r0, r1] of bands) {
+    const height = r1 - r0 + 1;
+    if (height < 5 || height > ch * 0.8) continue;
+    // Columns with ink: text breaks into several separated glyph groups
+    let left = cw, right = -1, groups = 0, prev = false;
+    for (let c = 0; c < cw; c++) {
+      let any = false;
+      for (let r = r0; r <= r1 && !any; r++) any = on(x0 + c, y0 + r);
+      if (any) { if (c < left) left = c; right = c; if (!prev) groups++; }
+      prev = any;
+    }
+    if (groups < 3 || right - left < 12) continue;
+    out.push({ x: x0 + left, y: y0 + r0, w: right - left + 1, h: height });
+  }
+  return out;
+}
+
+function pad(box, p, w, h) {
+  const x = Math.max(0, box.x - p), y = Math.max(0, box.y - p);
+  return { x, y, w: Math.min(w, box.x + box.w + p) - x, h: Math.min(h, box.y + box.h + p) - y };
+}
+
+/**
+ * Copy of an image with the given boxes painted over.
+ * @param {Array<{x, y, w, h}>} boxes pixel coordinates of the decoded image
+ * @returns {Promise<File>} "<name>_deidentified.<ext>"
+ */
+export async function blankImageRegions(file, img, boxes, fill = '#000') {
+  if (!canRender()) throw new Error('Canvas rendering is not available in this environment.');
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(img instanceof ImageData ? img : new ImageData(img.data, img.width, img.height), 0, 0);
+  ctx.fillStyle = fill;
+  for (const b of boxes) ctx.fillRect(b.x, b.y, b.w, b.h);
+  const jpeg = /\.jpe?g$/i.test(file.name);
+  const blob = await canvasToBlob(canvas, jpeg ? 'image/jpeg' : 'image/png', 0.92);
+  return new File([blob], fixedName(file.name, 'deidentified', jpeg ? 'jpg' : 'png'), { type: blob.type });
+}
+
+/**
+ * Blank boxes in uncompressed DICOM pixel data, in every frame, in place.
+ * The fill is the darkest stored value (brightest for MONOCHROME1), so it reads as background.
+ * @param {Uint8Array} bytes the whole file
+ * @param {Object} parsed parseDicom() result for the same bytes
+ * @returns {boolean} false when the pixel data is compressed or not understood
+ */
+export function blankDicomPixels(bytes, parsed, boxes) {
+  const el = parsed.elements.get('7FE00010');
+  const t = parsed.tags;
+  const rows = Number(t.Rows), cols = Number(t.Columns);
+  const spp = Number(t.SamplesPerPixel) || 1;
+  const bpp = (Number(t.BitsAllocated) || 16) / 8;
+  const frames = Number(t.NumberOfFrames) || 1;
+  const planar = Number(t.PlanarConfiguration) === 1;
+  const syntax = parsed.transferSyntax && TRANSFER_SYNTAX[parsed.transferSyntax.uid || '1.2.840.10008.1.2.1'];
+  if (!el || el.encapsulated || !syntax || !rows || !cols || (bpp !== 1 && bpp !== 2)) return false;
+  const frameBytes = rows * cols * spp * bpp;
+  if (el.length < frameBytes) return false;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = syntax.little;
+  const read = p => (bpp === 1 ? bytes[p] : view.getUint16(p, little));
+  const write = (p, v) => { if (bpp === 1) bytes[p] = v; else view.setUint16(p, v, little); };
+
+  let fill = 0;
+  if (spp === 1) {
+    const mono1 = /^MONOCHROME1/i.test(String([].concat(t.PhotometricInterpretation)[0] || ''));
+    const bits = Number(t.BitsStored) || bpp * 8;
+    const signBit = Number(t.PixelRepresentation) === 1 ? 1 << (bits - 1) : 0;
+    const value = raw => { const v = raw & ((1 << bits) - 1); return signBit && (v & signBit) ? v - (1 << bits) : v; };
+    const step = Math.max(1, Math.floor(rows * cols / 200000));
+    let best = Infinity * (mono1 ? -1 : 1);
+    for (let i = 0; i < rows * cols; i += step) {
+      const raw = read(el.valueOffset + i * bpp);
+      const v = value(raw);
+      if (mono1 ? v > best : v < best) { best = v; fill = raw; }
+    }
+  }
+
+  const count = Math.min(frames, Math.floor(el.length / frameBytes));
+  for (let f = 0; f < count; f++) {
+    const base = el.valueOffset + f * frameBytes;
+    for (const b of boxes) {
+      for (let y = Math.max(0, b.y); y < Math.min(rows, b.y + b.h); y++) {
+        for (let x = Math.max(0, b.x); x < Math.min(cols, b.x + b.w); x++) {
+          const i = y * cols + x;
+          for (let s = 0; s < spp; s++) {
+            const idx = planar ? s * rows * cols + i : i * spp + s;
+            write(base + idx * bpp, fill);
+          }
+        }
+      }
+    }
+  }
+  return true;
+}
@@ -0,0 +1,396 @@
+/**
+ * DOCUMENT PHOTO CHECKS
+ * What goes wrong when a page is photographed instead of scanned, measured on the image:
+ * - page outline: the paper against the background it lies on, as a quadrilateral;
+ *   its corner angles give the perspective distortion, its area how much of the frame
+ *   the page fills
+ * - cut-off content: ink running into an image edge where the page continues past it
+ * - glare: saturated blobs brighter than the paper around them (flash, glossy paper)
+ * - shadows: parts of the page whose paper is much darker than the rest
+ * Plugins judge the measurements with their POLICY (captureFindings) and may offer the
+ * page flattened and cropped to its outline (perspectiveFix).
+ */
+
+import { otsuThreshold, fixedName } from './utils.js';
+import { readImageData, createCanvas, canvasToBlob, canRender } from './raster.js';
+
+const WORK_SIDE = 512; // the checks run on a copy this size (long side)
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * @param {{width, height}} img the analyzed image (for its size)
+ * @param {Uint8ClampedArray} gray its luminance
+ * @returns {{outline: {corners: number[][], coverage: number, perspective: number, inside: boolean}|null,
+ *            cutoff: string[], glare: {share: number, blobs: number, largest: number}|null,
+ *            shadow: {share: number, depth: number}|null}}
+ *   corners: [x, y] fractions of the image size, clockwise from top-left; perspective: the
+ *   largest corner deviation from 90° in degrees; inside: the page is fully in frame.
+ *   glare is null on clipped-white scans, where saturation says nothing.
+ */
+export function inspectCapture(img, gray) {
+  const { g, w, h } = shrinkGray(gray, img.width, img.height);
+  const outline = findOutline(g, w, h, pageThreshold(g));
+  const inPage = outline ? pointInQuad(outline.corners.map(([x, y]) => [x * w, y * h])) : () => true;
+  return {
+    outline,
+    cutoff: findCutoff(g, w, h, outline, inPage),
+    glare: findGlare(g, w, h, inPage),
+    shadow: findShadow(g, w, h, inPage)
+  };
+}
+
+/**
+ * Penalties and messages for the measurements.
+ * @param {Object} c inspectCapture() result
+ * @param {{perspective_penalty, perspective_tolerance, framing_penalty, cutoff_penalty, glare_penalty, shadow_penalty}} W
+ * @returns {{penalty, msg: string[], det: string[], correction: number[][]|null}} correction: corners for perspectiveFix()
+ */
+export function captureFindings(c, W) {
+  const msg = [], det = [];
+  let penalty = 0;
+  const o = c.outline;
+  if (o) {
+    det.push(`Page outline: ${Math.round(o.coverage * 100)}% of the frame · perspective ${o.perspective.toFixed(1)}°${o.inside ? '' : ' · extends past the frame'}`);
+    if (o.perspective > W.perspective_tolerance) {
+      penalty += W.perspective_penalty;
+      msg.push(`Page is photographed at an angle (corners off square by up to ${Math.round(o.perspective)}°) — hold the camera straight above the page.`);
+    }
+    if (o.inside && o.coverage < 0.5) {
+      penalty += W.framing_penalty;
+      msg.push(`The page fills only ${Math.round(o.coverage * 100)}% of the photo — move closer so it fills the frame.`);
+    }
+  } else {
+    det.push('Page outline: not found (page fills the frame, or no background to separate it from)');
+  }
+  if (c.cutoff.length) {
+    penalty += W.cutoff_penalty;
+    msg.push(`Content is cut off at the ${listSides(c.cutoff)} edge${c.cutoff.length > 1 ? 's' : ''} — include the whole page with a margin around it.`);
+  }
+  det.push(`Cut-off edges: ${c.cutoff.length ? c.cutoff.join(', ') : 'none'}`);
+  if (c.glare) {
+    det.push(`Glare: ${(c.glare.share * 100).toFixed(2)}% of the page in ${c.glare.blobs} spot${c.glare.blobs === 1 ? '' : 's'}`);
+    if (c.glare.share > 0.004 || c.glare.largest > 0.002) {
+      penalty += W.glare_penalty;
+      msg.push('Glare spots wash out part of the page — turn off the flash or tilt the page away from the light.');
+    }
+  } else {
+    det.push('Glare: n/a (white is clipped everywhere, as in a scan)');
+  }
+  if (c.shadow) {
+    det.push(`Shadow: ${Math.round(c.shadow.share * 100)}% of the page, paper ${Math.round(c.shadow.depth * 100)}% darker there`);
+    if (c.shadow.share > 0.05 && c.shadow.depth > 0.25) {
+      penalty += W.shadow_penalty;
+      msg.push(`A shadow darkens about ${Math.round(c.shadow.share * 100)}% of the page — light it evenly and keep your hand and phone out of the light.`);
+    }
+  }
+  const crooked = o && (o.perspective > W.perspective_tolerance || (o.inside && o.coverage < 0.85));
+  return { penalty, msg, det, correction: crooked ? o.corners : null };
+}
+
+/**
+ * Offer for the card: the page warped to a flat rectangle and cropped to its outline.
+ * Only where a canvas can encode it.
+ * @param {number[][]} corners captureFindings().correction
+ */
+export function perspectiveFix(file, corners) {
+  if (!corners || !canRender()) return null;
+  return {
+    id: 'flatten',
+    label: 'Use flattened, cropped page',
+    apply: async () => {
+      const src = await readImageData(file, { maxPixels: Infinity });
+      const out = warpQuad(src, corners.map(([x, y]) => [x * src.width, y * src.height]));
+      const canvas = createCanvas(out.width, out.height);
+      const ctx = canvas.getContext('2d');
+      const data = ctx.createImageData(out.width, out.height);
+      data.data.set(out.data);
+      ctx.putImageData(data, 0, 0);
+      const type = /jpe?g/.test(file.type) || /\.jpe?g$/i.test(file.name) ? 'image/jpeg' : 'image/png';
+      const blob = await canvasToBlob(canvas, type, 0.92);
+      return new File([blob], fixedName(file.name, 'flattened', type === 'image/jpeg' ? 'jpg' : 'png'), { type });
+    }
+  };
+}
+
+/**
+ * Map the quadrilateral `quad` (pixel corners, clockwise from top-left) onto an upright
+ * rectangle as long as its longer opposite sides.
+ * @returns {{width, height, data: Uint8ClampedArray}}
+ */
+export function warpQuad(img, quad) {
+  const len = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+  const [tl, tr, br, bl] = quad;
+  const width = Math.max(1, Math.round(Math.max(len(tl, tr), len(bl, br))));
+  const height = Math.max(1, Math.round(Math.max(len(tl, bl), len(tr, br))));
+  const H = homography([[0, 0], [width - 1, 0], [width - 1, height - 1], [0, height - 1]], quad);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const { width: sw, height: sh, data: s } = img;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = H[6] * x + H[7] * y + 1;
+      const fx = Math.min(sw - 1, Math.max(0, (H[0] * x + H[1] * y + H[2]) / d));
+      const fy = Math.min(sh - 1, Math.max(0, (H[3] * x + H[4] * y + H[5]) / d));
+      const x0 = Math.floor(fx), y0 = Math.floor(fy), x1 = Math.min(sw - 1, x0 + 1), y1 = Math.min(sh - 1, y0 + 1);
+      const ax = fx - x0, ay = fy - y0, o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        const top = s[(y0 * sw + x0) * 4 + c] * (1 - ax) + s[(y0 * sw + x1) * 4 + c] * ax;
+        const bottom = s[(y1 * sw + x0) * 4 + c] * (1 - ax) + s[(y1 * sw + x1) * 4 + c] * ax;
+        data[o + c] = top * (1 - ay) + bottom * ay;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/* ---- page outline ---- */
+
+// The largest bright region that stands out from a darker surround, reduced to its four
+// extreme corners (min/max of x+y and x−y)
+function findOutline(g, w, h, thr) {
+  const mask = new Uint8Array(w * h);
+  for (let i = 0; i < g.length; i++) mask[i] = g[i] > thr ? 1 : 0;
+  const { label, area } = largestComponent(mask, w, h);
+  if (!area || area < w * h * 0.05) return null;
+  let inSum = 0, outSum = 0, outN = 0;
+  const corner = { tl: [0, 0, Infinity], tr: [0, 0, -Infinity], br: [0, 0, -Infinity], bl: [0, 0, Infinity] };
+  const touches = { top: 0, right: 0, bottom: 0, left: 0 };
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (label[i]) {
+        inSum += g[i];
+        if (x + y < corner.tl[2]) corner.tl = [x, y, x + y];
+        if (x + y > corner.br[2]) corner.br = [x, y, x + y];
+        if (x - y > corner.tr[2]) corner.tr = [x, y, x - y];
+        if (x - y < corner.bl[2]) corner.bl = [x, y, x - y];
+        if (y === 0) touches.top++;
+        if (y === h - 1) touches.bottom++;
+        if (x === 0) touches.left++;
+        if (x === w - 1) touches.right++;
+      } else {
+        outSum += g[i];
+        outN++;
+      }
+    }
+  }
+  // A page that fills the frame, or no background darker than the paper: no outline to use
+  if (outN < w * h * 0.04 || inSum / area - outSum / outN < 30) return null;
+  const quad = [corner.tl, corner.tr, corner.br, corner.bl].map(([x, y]) => [x, y]);
+  const quadArea = polygonArea(quad);
+  if (quadArea < area * 0.85 || quadArea > area * 1.2) return null; // not a quadrilateral (hand, folded page…)
+  const angles = quad.map((p, i) => {
+    const a = quad[(i + 3) % 4], b = quad[(i + 1) % 4];
+    const v1 = [a[0] - p[0], a[1] - p[1]], v2 = [b[0] - p[0], b[1] - p[1]];
+    return Math.acos(Math.max(-1, Math.min(1, (v1[0] * v2[0] + v1[1] * v2[1]) / (Math.hypot(...v1) * Math.hypot(...v2) || 1)))) * 180 / Math.PI;
+  });
+  const edge = Math.max(2, Math.round(Math.min(w, h) * 0.01));
+  // Pull the corners a pixel inwards so the crop does not catch the background edge
+  const cx = quad.reduce((a, p) => a + p[0], 0) / 4, cy = quad.reduce((a, p) => a + p[1], 0) / 4;
+  const inset = ([x, y]) => { const d = Math.hypot(x - cx, y - cy) || 1; return [x + 0.5 + (cx - x) * 1.5 / d, y + 0.5 + (cy - y) * 1.5 / d]; };
+  return {
+    corners: quad.map(inset).map(([x, y]) => [x / w, y / h]),
+    coverage: quadArea / (w * h),
+    perspective: Math.max(...angles.map(a => Math.abs(a - 90))),
+    inside: Object.values(touches).every(n => n < edge * 4),
+    touches: SIDES.filter(s => touches[s] >= edge * 4)
+  };
+}
+
+// Otsu splits paper from background, but a shadowed part of the paper can fall below it:
+// settle halfway between the background's mean and Otsu's level
+function pageThreshold(g) {
+  const otsu = otsuThreshold(g);
+  let s = 0, n = 0;
+  for (let i = 0; i < g.length; i++) if (g[i] <= otsu) { s += g[i]; n++; }
+  const below = n ? s / n : 0;
+  return Math.max(Math.min(otsu, below + 15), Math.round((below + otsu) / 2));
+}
+
+function largestComponent(mask, w, h) {
+  const label = new Uint8Array(w * h);
+  const seen = new Uint8Array(w * h);
+  const stack = new Int32Array(w * h);
+  let best = -1, bestArea = 0;
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    let top = 0, area = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+    while (top) {
+      const i = stack[--top];
+      area++;
+      const x = i % w;
+      if (x > 0 && mask[i - 1] && !seen[i - 1]) { seen[i - 1] = 1; stack[top++] = i - 1; }
+      if (x < w - 1 && mask[i + 1] && !seen[i + 1]) { seen[i + 1] = 1; stack[top++] = i + 1; }
+      if (i >= w && mask[i - w] && !seen[i - w]) { seen[i - w] = 1; stack[top++] = i - w; }
+      if (i < w * (h - 1) && mask[i + w] && !seen[i + w]) { seen[i + w] = 1; stack[top++] = i + w; }
+    }
+    if (area > bestArea) { bestArea = area; best = start; }
+  }
+  if (best < 0) return { label, area: 0 };
+  // Second pass from the winner only
+  let top = 0;
+  stack[top++] = best;
+  label[best] = 1;
+  while (top) {
+    const i = stack[--top];
+    const x = i % w;
+    for (const j of [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, i - w, i + w]) {
+      if (j >= 0 && j < mask.length && mask[j] && !label[j]) { label[j] = 1; stack[top++] = j; }
+    }
+  }
+  return { label, area: bestArea };
+}
+
+/* ---- cut-off content ---- */
+
+// Ink in a thin band along an edge, where the page does not end before that edge
+function findCutoff(g, w, h, outline, inPage) {
+  const ink = Math.min(otsuThreshold(g), 128);
+  let inkAll = 0, n = 0;
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) if (inPage(x, y)) { n++; if (g[y * w + x] < ink) inkAll++; }
+  const density = n ? inkAll / n : 0;
+  if (density < 0.002) return []; // an empty page cannot be cut off
+  const band = Math.max(2, Math.round(Math.min(w, h) * 0.015));
+  const bands = {
+    top: [0, 0, w, band], bottom: [0, h - band, w, h],
+    left: [0, 0, band, h], right: [w - band, 0, w, h]
+  };
+  return SIDES.filter(side => {
+    if (outline && !outline.touches.includes(side)) return false; // background visible on that side
+    const [x0, y0, x1, y1] = bands[side];
+    let dark = 0, total = 0;
+    for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) { total++; if (g[y * w + x] < ink) dark++; }
+    // Text is sparse; a band that is mostly dark is background or a border, not cut-off content
+    return dark / total > Math.max(0.004, density * 0.3) && dark / total < 0.5;
+  });
+}
+
+/* ---- glare ---- */
+
+function findGlare(g, w, h, inPage) {
+  const paper = [];
+  for (let y = 0; y < h; y += 2) for (let x = 0; x < w; x += 2) if (inPage(x, y)) paper.push(g[y * w + x]);
+  if (!paper.length) return null;
+  paper.sort((a, b) => a - b);
+  if (paper[Math.floor(paper.length * 0.6)] >= 248) return null; // the paper itself is clipped white
+  const mask = new Uint8Array(w * h);
+  let n = 0;
+  for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) if (inPage(x, y)) { n++; if (g[y * w + x] >= 250) mask[y * w + x] = 1; }
+  const blobs = components(mask, w, h).filter(a => a >= 4);
+  const total = blobs.reduce((a, b) => a + b, 0);
+  return { share: total / n, blobs: blobs.length, largest: blobs.length ? Math.max(...blobs) / n : 0 };
+}
+
+function components(mask, w, h) {
+  const seen = new Uint8Array(w * h);
+  const stack = [];
+  const areas = [];
+  for (let s = 0; s < mask.length; s++) {
+    if (!mask[s] || seen[s]) continue;
+    let area = 0;
+    stack.push(s);
+    seen[s] = 1;
+    while (stack.length) {
+      const i = stack.pop();
+      area++;
+      const x = i % w;
+      for (const j of [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, i - w, i + w]) {
+        if (j >= 0 && j < mask.length && mask[j] && !seen[j]) { seen[j] = 1; stack.push(j); }
+      }
+    }
+    areas.push(area);
+  }
+  return areas;
+}
+
+/* ---- shadows ---- */
+
+// Paper brightness per block (its 90th percentile, so ink does not count) against the page median
+function findShadow(g, w, h, inPage) {
+  const B = 16;
+  const bw = Math.ceil(w / B), bh = Math.ceil(h / B);
+  const levels = [];
+  for (let by = 0; by < bh; by++) {
+    for (let bx = 0; bx < bw; bx++) {
+      const cx = Math.min(w - 1, bx * B + B / 2), cy = Math.min(h - 1, by * B + B / 2);
+      if (!inPage(cx, cy)) continue;
+      const vals = [];
+      for (let y = by * B; y < Math.min(h, (by + 1) * B); y++) for (let x = bx * B; x < Math.min(w, (bx + 1) * B); x++) vals.push(g[y * w + x]);
+      vals.sort((a, b) => a - b);
+      levels.push(vals[Math.floor(vals.length * 0.9)]);
+    }
+  }
+  if (levels.length < 16) return null;
+  const sorted = [...levels].sort((a, b) => a - b);
+  const paper = sorted[Math.floor(sorted.length * 0.75)];
+  if (paper < 60) return null; // dark page overall: nothing to compare against
+  const shaded = levels.filter(v => v < paper * 0.75);
+  const depth = shaded.length ? 1 - shaded.reduce((a, v) => a + v, 0) / shaded.length / paper : 0;
+  return { share: shaded.length / levels.length, depth };
+}
+
+/* ---- geometry helpers ---- */
+
+/** Area-average copy of a grayscale buffer with its long side at most `side`. */
+export function shrinkGray(gray, width, height, side = WORK_SIDE) {
+  const f = Math.max(1, Math.max(width, height) / side);
+  if (f === 1) return { g: gray, w: width, h: height };
+  const w = Math.max(1, Math.round(width / f)), h = Math.max(1, Math.round(height / f));
+  const g = new Uint8ClampedArray(w * h);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y * f), y1 = Math.min(height, Math.max(y0 + 1, Math.floor((y + 1) * f)));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x * f), x1 = Math.min(width, Math.max(x0 + 1, Math.floor((x + 1) * f)));
+      let s = 0;
+      for (let sy = y0; sy < y1; sy++) for (let sx = x0; sx < x1; sx++) s += gray[sy * width + sx];
+      g[y * w + x] = s / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return { g, w, h };
+}
+
+function polygonArea(p) {
+  let a = 0;
+  for (let i = 0; i < p.length; i++) {
+    const [x1, y1] = p[i], [x2, y2] = p[(i + 1) % p.length];
+    a += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(a) / 2;
+}
+
+// Convex quad, clockwise in image coordinates: inside when on the inner side of every edge
+function pointInQuad(q) {
+  return (x, y) => q.every((a, i) => {
+    const b = q[(i + 1) % 4];
+    return (b[0] - a[0]) * (y - a[1]) - (b[1] - a[1]) * (x - a[0]) >= 0;
+  });
+}
+
+/** 3×3 projective map (h22 = 1) taking each `from` point to its `to` point. */
+function homography(from, to) {
+  const A = [], b = [];
+  from.forEach(([x, y], i) => {
+    const [u, v] = to[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]); b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]); b.push(v);
+  });
+  // Gaussian elimination with partial pivoting
+  for (let c = 0; c < 8; c++) {
+    let p = c;
+    for (let r = c + 1; r < 8; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+    [A[c], A[p]] = [A[p], A[c]];
+    [b[c], b[p]] = [b[p], b[c]];
+    for (let r = 0; r < 8; r++) {
+      if (r === c || !A[c][c]) continue;
+      const k = A[r][c] / A[c][c];
+      for (let j = c; j < 8; j++) A[r][j] -= k * A[c][j];
+      b[r] -= k * b[c];
+    }
+  }
+  return b.map((v, i) => v / A[i][i]);
+}
+
+function listSides(sides) {
+  return sides.length > 1 ? `${sides.slice(0, -1).join(', ')} and ${sides[sides.length - 1]}` : sides[0];
+}
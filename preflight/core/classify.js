@@ -0,0 +1,205 @@
+/**
+ * CONTENT CLASSIFIER
+ * Looks at what a file contains to suggest a built-in plugin when the filename says
+ * nothing useful (IMG_1234.jpg, scan.pdf, export.csv):
+ * - images: radiographs are grayscale, use a broad range of mid-tones and sit on a
+ *   large uniform (usually dark) background; documents are a bright page with sparse
+ *   dark ink. Document-like images are then read with OCR when it is loaded.
+ * - PDFs: the text layer of the first pages (OCR of page 1 for scans).
+ * - text: lab vocabulary — analyte names, "reference range", "specimen", units.
+ * - spreadsheets: the header row against the lab column vocabulary.
+ * The result is a suggestion with a confidence; determinePlugin() weighs it against the
+ * filename, and the card lets the user pick another plugin.
+ */
+
+import { readImageData, canRender, canvasToBlob } from './raster.js';
+import { pdfTextRuns, renderPdfPage } from './pdf.js';
+import { ocrAvailable, recognize } from './ocr.js';
+import { createCsvParser, detectDelimiter, detectEncoding } from './utils.js';
+import { ROLES, findAnalyte } from '../plugins/labs/columns.js';
+
+export const CONFIDENT = 0.75; // above this, content outweighs filename keywords
+
+const IMAGE_KINDS = ['png', 'jpeg', 'webp', 'bmp', 'gif'];
+const SAMPLE_PIXELS = 5e5;
+const LAB_PHRASES = [/reference (range|interval|value)s?/, /\bref\.? ?range\b/, /normal (range|values?)/, /\bspecimen\b/, /\bcollected\b|\bcollection (date|time)\b/, /\blaboratory\b|\blab report\b/, /\bpatholog/, /\b(mg|g|ng|pg)\/d?l\b|\b[mu]mol\/l\b|\bu\/l\b|10\^?[69]\/l\b/, /\banalyte\b/, /\bflag\b/, /\bfasting\b/];
+const LABELS = { 'xray-plus': 'Radiograph', labs: 'Lab report', 'doc-ocr': 'Document', 'med-imaging': 'Medical image' };
+
+/**
+ * @param {File} file the analyzed (effective) file
+ * @param {{kind: string}} sniff
+ * @param {{status?: {textContent: string}}} [ui]
+ * @returns {Promise<{plugin: string, label: string, confidence: number, reasons: string[]}|null>}
+ *   null when the content gives no hint (unsupported kind, unreadable)
+ */
+export async function classifyContent(file, sniff, { status } = {}) {
+  const say = t => { if (status) status.textContent = t; };
+  try {
+    if (IMAGE_KINDS.includes(sniff.kind)) {
+      say('Classifying image…');
+      return await classifyImage(file);
+    }
+    if (sniff.kind === 'pdf' && globalThis.pdfjsLib) {
+      say('Classifying document…');
+      return await classifyPdf(file);
+    }
+    if (sniff.kind === 'text' && /\.(csv|tsv|txt)$/i.test(file.name)) return await classifyCsv(file);
+    if (['xlsx', 'xls', 'ods'].includes(sniff.kind) && globalThis.XLSX && typeof XLSX.read === 'function') return await classifyXlsx(file);
+  } catch (e) {
+    return null; // the plugin reports unreadable files itself
+  }
+  return null;
+}
+
+/* ---- images ---- */
+
+/**
+ * Pixel statistics of a (downsampled) image.
+ * @returns {{grayShare, bright, dark, mid, entropy, border: {mean, sd}}} shares in 0..1, entropy in bits (0..5)
+ */
+export function imageFeatures(img) {
+  const { width: w, height: h, data } = img;
+  const hist = new Float64Array(32);
+  let grayCount = 0, bright = 0, dark = 0;
+  const ring = Math.max(1, Math.round(Math.min(w, h) * 0.06));
+  let bs = 0, bs2 = 0, bn = 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * w + x) * 4;
+      const r = data[i], g = data[i + 1], b = data[i + 2];
+      const v = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      if (Math.max(r, g, b) - Math.min(r, g, b) <= 16) grayCount++;
+      if (v > 200) bright++;
+      else if (v < 40) dark++;
+      hist[v >> 3]++;
+      if (x < ring || y < ring || x >= w - ring || y >= h - ring) { bs += v; bs2 += v * v; bn++; }
+    }
+  }
+  const n = w * h;
+  let entropy = 0;
+  for (const c of hist) if (c) entropy -= (c / n) * Math.log2(c / n);
+  const mean = bs / bn;
+  return {
+    grayShare: grayCount / n,
+    bright: bright / n,
+    dark: dark / n,
+    mid: (n - bright - dark) / n,
+    entropy,
+    border: { mean, sd: Math.sqrt(Math.max(0, bs2 / bn - mean * mean)) }
+  };
+}
+
+async function classifyImage(file) {
+  const f = imageFeatures(await readImageData(file, { maxPixels: SAMPLE_PIXELS }));
+  const clamp = v => Math.max(0, Math.min(1, v));
+  const xray = [], doc = [];
+  // Radiograph evidence
+  if (f.grayShare > 0.97) xray.push([0.3, 'grayscale only']);
+  if (f.border.mean < 60 && f.border.sd < 30) xray.push([0.25, 'large uniform dark background']);
+  else if (f.dark > 0.15) xray.push([0.15, `${Math.round(f.dark * 100)}% near-black`]);
+  if (f.mid > 0.35) xray.push([0.25 * clamp((f.mid - 0.2) / 0.4) + 0.05, 'broad mid-tone histogram']);
+  if (f.entropy > 3.8) xray.push([0.15, 'many gray levels in use']);
+  // Document evidence
+  if (f.bright > 0.45) doc.push([0.4 * clamp((f.bright - 0.3) / 0.4) + 0.1, `${Math.round(f.bright * 100)}% bright page`]);
+  if (f.mid < 0.3) doc.push([0.25, 'two-tone histogram (paper and ink)']);
+  if (f.border.mean > 180 && f.border.sd < 35) doc.push([0.2, 'uniform light margins']);
+  if (f.grayShare < 0.6) doc.push([0.1, 'colour content']);
+  const sum = list => list.reduce((a, [w]) => a + w, 0);
+  const xs = sum(xray), ds = sum(doc);
+  // Radiographs are never in colour, whatever their histogram looks like
+  if (xs > ds && f.grayShare > 0.9) return verdict('xray-plus', xs, ds, xray.map(r => r[1]));
+
+  const reasons = doc.map(r => r[1]);
+  if (!ocrAvailable()) return verdict('doc-ocr', ds, xs, reasons, 0.85); // lab vs other document needs the text
+  const { data } = await recognize(file, 'eng', { tessedit_pageseg_mode: 3 });
+  const text = textVerdict(data.text || '', reasons);
+  return text || verdict('doc-ocr', ds, xs, reasons, 0.85);
+}
+
+/* ---- documents ---- */
+
+async function classifyPdf(file) {
+  const pages = await pdfTextRuns(file, { maxPages: 3 });
+  let text = pages.map(p => p.text).join('\n');
+  const reasons = [];
+  if (text.replace(/\s+/g, '').length < 40 && ocrAvailable() && canRender()) {
+    const canvas = await renderPdfPage(file, 1, 1.5);
+    ({ data: { text } } = await recognize(await canvasToBlob(canvas), 'eng', { tessedit_pageseg_mode: 3 }));
+    reasons.push('OCR of page 1');
+  }
+  return textVerdict(text || '', reasons);
+}
+
+/**
+ * Lab report or other document, from running text.
+ * @returns {Object|null} null when there is too little text to judge
+ */
+export function textVerdict(text, reasons = []) {
+  const t = text.toLowerCase();
+  if (t.replace(/\s+/g, '').length < 40) return null;
+  const analytes = new Set();
+  for (const line of t.split(/\n/)) {
+    // analyte names lead their line in a result table ("Hemoglobin 13.2 g/dL")
+    for (const part of line.split(/\s{2,}|\t|\|/)) {
+      const a = findAnalyte(part.replace(/[\d.,:<>*]+.*$/, '').trim());
+      if (a) analytes.add(a.label);
+    }
+  }
+  const phrases = LAB_PHRASES.filter(re => re.test(t)).length;
+  const hits = analytes.size + phrases;
+  const why = [...reasons];
+  if (analytes.size) why.push(`analytes: ${[...analytes].slice(0, 5).join(', ')}${analytes.size > 5 ? '…' : ''}`);
+  if (phrases) why.push(`${phrases} lab term${phrases > 1 ? 's' : ''} (reference range, specimen, units…)`);
+  if (hits >= 3) return result('labs', Math.min(0.95, 0.55 + 0.06 * hits), why);
+  if (hits) return result('labs', 0.45 + 0.05 * hits, why);
+  return result('doc-ocr', 0.7, [...why, 'no lab vocabulary in the text']);
+}
+
+/* ---- tables ---- */
+
+async function classifyCsv(file) {
+  const head = new Uint8Array(await file.slice(0, 65536).arrayBuffer());
+  const sample = new TextDecoder(detectEncoding(head).encoding).decode(head);
+  let header = null;
+  const parser = createCsvParser({ delimiter: detectDelimiter(sample), onRow: fields => { if (!header) header = fields; } });
+  parser.push(sample.split(/\r?\n/).slice(0, 2).join('\n'));
+  parser.end();
+  return headerVerdict(header || []);
+}
+
+async function classifyXlsx(file) {
+  const wb = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array', sheetRows: 2 });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const [header = []] = ws ? XLSX.utils.sheet_to_json(ws, { header: 1, defval: '', raw: false }) : [];
+  return headerVerdict(header);
+}
+
+/** Lab table or other table, from its column names. */
+export function headerVerdict(header) {
+  const names = header.map(h => String(h).trim().toLowerCase()).filter(Boolean);
+  if (!names.length) return null;
+  const roles = ROLES.filter(r => names.some(n => r.header.test(n))).map(r => r.label);
+  const analytes = [...new Set(names.map(n => findAnalyte(n)).filter(Boolean).map(a => a.label))];
+  const why = [];
+  if (roles.length) why.push(`lab columns: ${roles.join(', ')}`);
+  if (analytes.length) why.push(`analyte columns: ${analytes.slice(0, 5).join(', ')}${analytes.length > 5 ? '…' : ''}`);
+  // A result column plus a test column (long format) or analyte-named columns (wide format)
+  const hasResult = roles.includes('Result') || analytes.length >= 2;
+  const hits = roles.length + Math.min(3, analytes.length);
+  if (hasResult && hits >= 3) return result('labs', Math.min(0.95, 0.6 + 0.07 * hits), why);
+  if (hits >= 2) return result('labs', 0.55, why);
+  return result('doc-ocr', hits ? 0.55 : 0.7, why.length ? why : ['no lab column names in the header']);
+}
+
+/* ---- helpers ---- */
+
+// Winner/loser evidence to a confidence; `cap` when the evidence cannot settle the choice
+function verdict(plugin, win, lose, reasons, cap = 0.95) {
+  let confidence = win / (win + lose || 1);
+  if (win < 0.5) confidence *= win / 0.5 * 0.5 + 0.5; // weak evidence either way
+  return result(plugin, Math.min(cap, confidence), reasons);
+}
+
+function result(plugin, confidence, reasons) {
+  return { plugin, label: LABELS[plugin], confidence: Math.round(confidence * 100) / 100, reasons };
+}
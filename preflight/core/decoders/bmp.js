@@ -0,0 +1,44 @@
+/**
+ * BMP DECODER (pure JS)
+ * Uncompressed 1/4/8-bit paletted, 24-bit and 32-bit (BI_RGB / BI_BITFIELDS with default masks).
+ * @returns {{width, height, data: Uint8ClampedArray}} RGBA
+ */
+export function decodeBmp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes[0] !== 0x42 || bytes[1] !== 0x4D) throw new Error('Not a BMP file.');
+  const dataOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  const width = view.getInt32(18, true);
+  const rawHeight = view.getInt32(22, true);
+  const bits = view.getUint16(28, true);
+  const compression = view.getUint32(30, true);
+  if (compression !== 0 && compression !== 3) throw new Error('Compressed BMP (RLE) is not supported.');
+
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+  const stride = Math.ceil((width * bits) / 32) * 4;
+  const paletteOffset = 14 + headerSize;
+  const out = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (bits === 24 || bits === 32) {
+        const p = row + x * (bits / 8);
+        out[o] = bytes[p + 2]; out[o + 1] = bytes[p + 1]; out[o + 2] = bytes[p];
+        out[o + 3] = 255;
+      } else if (bits <= 8) {
+        const perByte = 8 / bits;
+        const byte = bytes[row + Math.floor(x / perByte)];
+        const idx = (byte >> (8 - bits * (x % perByte + 1))) & ((1 << bits) - 1);
+        const p = paletteOffset + idx * 4;
+        out[o] = bytes[p + 2]; out[o + 1] = bytes[p + 1]; out[o + 2] = bytes[p];
+        out[o + 3] = 255;
+      } else {
+        throw new Error(`${bits}-bit BMP is not supported.`);
+      }
+    }
+  }
+  return { width, height, data: out };
+}
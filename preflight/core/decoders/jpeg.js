@@ -0,0 +1,264 @@
+/**
+ * JPEG DECODER (pure JS)
+ * Baseline and extended sequential Huffman JPEG (SOF0/SOF1), any chroma subsampling,
+ * restart intervals, grayscale / YCbCr / Adobe RGB / CMYK / YCCK.
+ * Progressive (SOF2) and arithmetic-coded files are rejected with a clear error.
+ * @returns {{width, height, data: Uint8ClampedArray}} RGBA
+ */
+
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// IDCT basis: COS[u * 8 + x] = C(u)/2 · cos((2x+1)uπ/16)
+const COS = new Float32Array(64);
+for (let u = 0; u < 8; u++) {
+  for (let x = 0; x < 8; x++) {
+    COS[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+  }
+}
+
+export function decodeJpeg(bytes) {
+  let pos = 0;
+  const u16 = () => { const v = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; return v; };
+  if (u16() !== 0xFFD8) throw new Error('Not a JPEG file.');
+
+  const qt = [];
+  const dcTables = [], acTables = [];
+  let frame = null, restartInterval = 0, adobeTransform = null;
+
+  while (pos < bytes.length) {
+    if (bytes[pos] !== 0xFF) { pos++; continue; }
+    const marker = bytes[pos + 1];
+    pos += 2;
+    if (marker === 0xFF) { pos--; continue; }
+    if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) continue;
+    if (marker === 0xD9) break;
+    const length = u16();
+    const end = pos + length - 2;
+
+    switch (marker) {
+      case 0xDB: // DQT
+        while (pos < end) {
+          const pq = bytes[pos] >> 4, tq = bytes[pos] & 15;
+          pos++;
+          const table = new Int32Array(64);
+          for (let i = 0; i < 64; i++) table[ZIGZAG[i]] = pq ? u16() : bytes[pos++];
+          qt[tq] = table;
+        }
+        break;
+      case 0xC4: // DHT
+        while (pos < end) {
+          const tc = bytes[pos] >> 4, th = bytes[pos] & 15;
+          pos++;
+          const counts = bytes.subarray(pos, pos + 16);
+          pos += 16;
+          const total = counts.reduce((a, b) => a + b, 0);
+          const symbols = bytes.subarray(pos, pos + total);
+          pos += total;
+          (tc === 0 ? dcTables : acTables)[th] = buildHuffman(counts, symbols);
+        }
+        break;
+      case 0xC0: case 0xC1: { // SOF0 / SOF1
+        const precision = bytes[pos];
+        if (precision !== 8) throw new Error(`${precision}-bit JPEG is not supported.`);
+        const height = (bytes[pos + 1] << 8) | bytes[pos + 2];
+        const width = (bytes[pos + 3] << 8) | bytes[pos + 4];
+        const n = bytes[pos + 5];
+        const components = [];
+        for (let i = 0; i < n; i++) {
+          const p = pos + 6 + i * 3;
+          components.push({ id: bytes[p], h: bytes[p + 1] >> 4, v: bytes[p + 1] & 15, tq: bytes[p + 2] });
+        }
+        frame = prepareFrame(width, height, components);
+        break;
+      }
+      case 0xC2: case 0xC3: case 0xC5: case 0xC6: case 0xC7:
+      case 0xC9: case 0xCA: case 0xCB: case 0xCD: case 0xCE: case 0xCF:
+        throw new Error('Progressive / lossless / arithmetic JPEG is not supported by the headless decoder.');
+      case 0xDD: // DRI
+        restartInterval = (bytes[pos] << 8) | bytes[pos + 1];
+        break;
+      case 0xEE: // APP14 Adobe
+        if (String.fromCharCode(...bytes.subarray(pos, pos + 5)) === 'Adobe') adobeTransform = bytes[pos + 11];
+        break;
+      case 0xDA: { // SOS
+        if (!frame) throw new Error('JPEG scan before frame header.');
+        const ns = bytes[pos];
+        const scanComps = [];
+        for (let i = 0; i < ns; i++) {
+          const id = bytes[pos + 1 + i * 2], t = bytes[pos + 2 + i * 2];
+          const comp = frame.components.find(c => c.id === id);
+          comp.dc = dcTables[t >> 4];
+          comp.ac = acTables[t & 15];
+          scanComps.push(comp);
+        }
+        pos = end;
+        pos = decodeScan(bytes, pos, frame, scanComps, qt, restartInterval);
+        continue;
+      }
+      default:
+        break; // APPn, COM, etc.
+    }
+    pos = end;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header.');
+  return toRgba(frame, adobeTransform);
+}
+
+function buildHuffman(counts, symbols) {
+  const maxcode = new Int32Array(18).fill(-1), valptr = new Int32Array(17), mincode = new Int32Array(17);
+  let code = 0, k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valptr[len] = k;
+    mincode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    maxcode[len] = counts[len - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  return { maxcode, valptr, mincode, symbols };
+}
+
+function prepareFrame(width, height, components) {
+  const hmax = Math.max(...components.map(c => c.h)), vmax = Math.max(...components.map(c => c.v));
+  const mcusX = Math.ceil(width / (8 * hmax)), mcusY = Math.ceil(height / (8 * vmax));
+  for (const c of components) {
+    c.blocksPerLine = Math.ceil(Math.ceil((width * c.h) / hmax) / 8);
+    c.blocksPerColumn = Math.ceil(Math.ceil((height * c.v) / vmax) / 8);
+    c.stride = mcusX * c.h * 8;
+    c.plane = new Uint8ClampedArray(c.stride * mcusY * c.v * 8);
+    c.pred = 0;
+  }
+  return { width, height, components, hmax, vmax, mcusX, mcusY };
+}
+
+function decodeScan(bytes, pos, frame, comps, qt, restartInterval) {
+  let bitBuf = 0, bitCnt = 0;
+  const readBit = () => {
+    if (bitCnt === 0) {
+      let b = bytes[pos];
+      if (b === 0xFF) {
+        const next = bytes[pos + 1];
+        if (next === 0x00) pos += 2;
+        else b = 0; // marker reached: feed zeros and stay put
+      } else pos++;
+      bitBuf = b === undefined ? 0 : b;
+      bitCnt = 8;
+    }
+    bitCnt--;
+    return (bitBuf >> bitCnt) & 1;
+  };
+  const receive = n => { let v = 0; for (let i = 0; i < n; i++) v = (v << 1) | readBit(); return v; };
+  const extend = (v, n) => (v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+  const decodeHuff = t => {
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+      code = (code << 1) | readBit();
+      if (code <= t.maxcode[len]) return t.symbols[t.valptr[len] + code - t.mincode[len]];
+    }
+    return 0; // corrupt stream: treat as zero run
+  };
+
+  const coef = new Float32Array(64), tmp = new Float32Array(64);
+  const decodeBlock = (c, row, col) => {
+    const q = qt[c.tq];
+    coef.fill(0);
+    const t = decodeHuff(c.dc);
+    c.pred += t ? extend(receive(t), t) : 0;
+    coef[0] = c.pred * q[0];
+    for (let k = 1; k < 64;) {
+      const rs = decodeHuff(c.ac);
+      const s = rs & 15, r = rs >> 4;
+      if (s === 0) { if (r === 15) { k += 16; continue; } break; }
+      k += r;
+      if (k > 63) break;
+      const z = ZIGZAG[k];
+      coef[z] = extend(receive(s), s) * q[z];
+      k++;
+    }
+    idct(coef, tmp, c.plane, (row * 8) * c.stride + col * 8, c.stride);
+  };
+
+  const single = comps.length === 1;
+  const total = single
+    ? comps[0].blocksPerLine * comps[0].blocksPerColumn
+    : frame.mcusX * frame.mcusY;
+  for (let m = 0; m < total; m++) {
+    if (restartInterval && m > 0 && m % restartInterval === 0) {
+      bitCnt = 0;
+      while (pos < bytes.length && !(bytes[pos] === 0xFF && bytes[pos + 1] >= 0xD0 && bytes[pos + 1] <= 0xD7)) pos++;
+      pos += 2;
+      comps.forEach(c => { c.pred = 0; });
+    }
+    if (single) {
+      const c = comps[0];
+      decodeBlock(c, Math.floor(m / c.blocksPerLine), m % c.blocksPerLine);
+    } else {
+      const my = Math.floor(m / frame.mcusX), mx = m % frame.mcusX;
+      for (const c of comps) {
+        for (let v = 0; v < c.v; v++) {
+          for (let h = 0; h < c.h; h++) decodeBlock(c, my * c.v + v, mx * c.h + h);
+        }
+      }
+    }
+  }
+
+  // Skip to the next marker (end of entropy-coded data).
+  while (pos < bytes.length && !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0x00 && !(bytes[pos + 1] >= 0xD0 && bytes[pos + 1] <= 0xD7))) pos++;
+  return pos;
+}
+
+function idct(coef, tmp, plane, offset, stride) {
+  // Rows: tmp[v*8+x] = Σu COS[u,x]·F[v,u]
+  for (let v = 0; v < 8; v++) {
+    for (let x = 0; x < 8; x++) {
+      let s = 0;
+      for (let u = 0; u < 8; u++) s += COS[u * 8 + x] * coef[v * 8 + u];
+      tmp[v * 8 + x] = s;
+    }
+  }
+  // Columns
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let s = 0;
+      for (let v = 0; v < 8; v++) s += COS[v * 8 + y] * tmp[v * 8 + x];
+      plane[offset + y * stride + x] = s + 128;
+    }
+  }
+}
+
+function toRgba(frame, adobeTransform) {
+  const { width, height, components: cs, hmax, vmax } = frame;
+  const out = new Uint8ClampedArray(width * height * 4);
+  const at = (c, x, y) => c.plane[Math.floor((y * c.v) / vmax) * c.stride + Math.floor((x * c.h) / hmax)];
+  const ycc = cs.length === 3 ? adobeTransform !== 0 : adobeTransform === 2;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (cs.length === 1) {
+        out[o] = out[o + 1] = out[o + 2] = at(cs[0], x, y);
+      } else {
+        let r = at(cs[0], x, y), g = at(cs[1], x, y), b = at(cs[2], x, y);
+        if (ycc) {
+          const Y = r, cb = g - 128, cr = b - 128;
+          r = Y + 1.402 * cr; g = Y - 0.344136 * cb - 0.714136 * cr; b = Y + 1.772 * cb;
+        }
+        if (cs.length === 4) {
+          // CMYK (Adobe stores it inverted)
+          const k = at(cs[3], x, y) / 255;
+          r = clamp(r) * k; g = clamp(g) * k; b = clamp(b) * k;
+        }
+        out[o] = r; out[o + 1] = g; out[o + 2] = b;
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width, height, data: out };
+}
+
+function clamp(v) { return v < 0 ? 0 : v > 255 ? 255 : v; }
@@ -0,0 +1,122 @@
+/**
+ * PNG DECODER (pure JS)
+ * All colour types and bit depths, Adam7 interlacing, PLTE/tRNS.
+ * Inflate uses DecompressionStream, available in browsers and Node ≥ 18.
+ * @returns {Promise<{width, height, data: Uint8ClampedArray}>} RGBA
+ */
+export async function decodePng(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(0) !== 0x89504E47 || view.getUint32(4) !== 0x0D0A1A0A) throw new Error('Not a PNG file.');
+
+  let pos = 8, ihdr = null, palette = null, trns = null;
+  const idat = [];
+  while (pos + 8 <= bytes.length) {
+    const len = view.getUint32(pos);
+    const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+    const data = bytes.subarray(pos + 8, pos + 8 + len);
+    if (type === 'IHDR') {
+      ihdr = {
+        width: view.getUint32(pos + 8), height: view.getUint32(pos + 12),
+        depth: bytes[pos + 16], colorType: bytes[pos + 17], interlace: bytes[pos + 20]
+      };
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') trns = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    pos += 12 + len;
+  }
+  if (!ihdr) throw new Error('PNG has no IHDR chunk.');
+  if (!idat.length) throw new Error('PNG has no image data.');
+
+  const raw = await inflate(idat);
+  const { width, height, depth, colorType, interlace } = ihdr;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}.`);
+  const bpp = Math.max(1, (channels * depth) >> 3); // bytes per pixel for filtering
+  const out = new Uint8ClampedArray(width * height * 4);
+
+  const passes = interlace
+    ? [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]]
+    : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx), ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const stride = Math.ceil((pw * channels * depth) / 8);
+    const lines = unfilter(raw, offset, stride, ph, bpp);
+    offset += (stride + 1) * ph;
+    for (let y = 0; y < ph; y++) {
+      const line = lines.subarray(y * stride, (y + 1) * stride);
+      for (let x = 0; x < pw; x++) {
+        const o = ((y0 + y * dy) * width + (x0 + x * dx)) * 4;
+        writePixel(out, o, line, x, channels, depth, colorType, palette, trns);
+      }
+    }
+  }
+  return { width, height, data: out };
+}
+
+function unfilter(raw, offset, stride, rows, bpp) {
+  const out = new Uint8Array(stride * rows);
+  for (let y = 0; y < rows; y++) {
+    const filter = raw[offset + y * (stride + 1)];
+    const src = offset + y * (stride + 1) + 1;
+    const cur = y * stride, prev = (y - 1) * stride;
+    for (let i = 0; i < stride; i++) {
+      const x = raw[src + i];
+      const a = i >= bpp ? out[cur + i - bpp] : 0;
+      const b = y > 0 ? out[prev + i] : 0;
+      const c = y > 0 && i >= bpp ? out[prev + i - bpp] : 0;
+      let v;
+      switch (filter) {
+        case 0: v = x; break;
+        case 1: v = x + a; break;
+        case 2: v = x + b; break;
+        case 3: v = x + ((a + b) >> 1); break;
+        case 4: {
+          const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+          v = x + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+          break;
+        }
+        default: throw new Error(`Bad PNG filter ${filter}.`);
+      }
+      out[cur + i] = v & 0xFF;
+    }
+  }
+  return out;
+}
+
+function sample(line, index, depth) {
+  if (depth === 8) return line[index];
+  if (depth === 16) return line[index * 2]; // high byte is enough for 8-bit RGBA
+  const perByte = 8 / depth;
+  const byte = line[Math.floor(index / perByte)];
+  const shift = 8 - depth * (index % perByte + 1);
+  return (byte >> shift) & ((1 << depth) - 1);
+}
+
+function writePixel(out, o, line, x, channels, depth, colorType, palette, trns) {
+  const scale = depth < 8 ? 255 / ((1 << depth) - 1) : 1;
+  if (colorType === 3) {
+    const idx = sample(line, x, depth);
+    out[o] = palette ? palette[idx * 3] : 0;
+    out[o + 1] = palette ? palette[idx * 3 + 1] : 0;
+    out[o + 2] = palette ? palette[idx * 3 + 2] : 0;
+    out[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+    return;
+  }
+  const s = k => sample(line, x * channels + k, depth) * scale;
+  if (colorType === 0 || colorType === 4) {
+    const g = s(0);
+    out[o] = out[o + 1] = out[o + 2] = g;
+    out[o + 3] = colorType === 4 ? s(1) : 255;
+  } else {
+    out[o] = s(0); out[o + 1] = s(1); out[o + 2] = s(2);
+    out[o + 3] = colorType === 6 ? s(3) : 255;
+  }
+}
+
+async function inflate(chunks) {
+  const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
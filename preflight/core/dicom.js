@@ -0,0 +1,474 @@
+/**
+ * DICOM PART 10 READER (browser, no dependencies)
+ * Checks the 128-byte preamble + "DICM" magic, reads the explicit-VR-LE file meta group,
+ * then walks the dataset in the transfer syntax it declares (implicit LE, explicit LE/BE).
+ * Sequences are walked (defined and undefined length) so the reader never loses its place.
+ * Uncompressed pixel data is decoded to modality values (rescale applied) so quality metrics
+ * can run on the full 12/16-bit data; compressed transfer syntaxes are reported, not decoded.
+ */
+
+export const TRANSFER_SYNTAX = {
+  '1.2.840.10008.1.2': { name: 'Implicit VR Little Endian', explicit: false, little: true },
+  '1.2.840.10008.1.2.1': { name: 'Explicit VR Little Endian', explicit: true, little: true },
+  '1.2.840.10008.1.2.1.99': { name: 'Deflated Explicit VR Little Endian', explicit: true, little: true, deflated: true },
+  '1.2.840.10008.1.2.2': { name: 'Explicit VR Big Endian', explicit: true, little: false }
+};
+
+// Tags Preflight reads by name. [keyword, VR] — the VR is needed for implicit-VR files.
+const DICT = {
+  '00020010': ['TransferSyntaxUID', 'UI'],
+  '00080008': ['ImageType', 'CS'],
+  '00080016': ['SOPClassUID', 'UI'],
+  '00080018': ['SOPInstanceUID', 'UI'],
+  '00080020': ['StudyDate', 'DA'],
+  '00080050': ['AccessionNumber', 'SH'],
+  '00080060': ['Modality', 'CS'],
+  '00080080': ['InstitutionName', 'LO'],
+  '00080090': ['ReferringPhysicianName', 'PN'],
+  '0008103E': ['SeriesDescription', 'LO'],
+  '00100010': ['PatientName', 'PN'],
+  '00100020': ['PatientID', 'LO'],
+  '00100030': ['PatientBirthDate', 'DA'],
+  '00100032': ['PatientBirthTime', 'TM'],
+  '00101000': ['OtherPatientIDs', 'LO'],
+  '00101001': ['OtherPatientNames', 'PN'],
+  '00101040': ['PatientAddress', 'LO'],
+  '00101060': ['PatientMotherBirthName', 'PN'],
+  '00102154': ['PatientTelephoneNumbers', 'SH'],
+  '00180050': ['SliceThickness', 'DS'],
+  '00180088': ['SpacingBetweenSlices', 'DS'],
+  '00181164': ['ImagerPixelSpacing', 'DS'],
+  '0020000D': ['StudyInstanceUID', 'UI'],
+  '0020000E': ['SeriesInstanceUID', 'UI'],
+  '00200011': ['SeriesNumber', 'IS'],
+  '00200013': ['InstanceNumber', 'IS'],
+  '00200032': ['ImagePositionPatient', 'DS'],
+  '00200037': ['ImageOrientationPatient', 'DS'],
+  '00201041': ['SliceLocation', 'DS'],
+  '00280002': ['SamplesPerPixel', 'US'],
+  '00280004': ['PhotometricInterpretation', 'CS'],
+  '00280006': ['PlanarConfiguration', 'US'],
+  '00280008': ['NumberOfFrames', 'IS'],
+  '00280010': ['Rows', 'US'],
+  '00280011': ['Columns', 'US'],
+  '00280030': ['PixelSpacing', 'DS'],
+  '00280100': ['BitsAllocated', 'US'],
+  '00280101': ['BitsStored', 'US'],
+  '00280102': ['HighBit', 'US'],
+  '00280103': ['PixelRepresentation', 'US'],
+  '00281050': ['WindowCenter', 'DS'],
+  '00281051': ['WindowWidth', 'DS'],
+  '00281052': ['RescaleIntercept', 'DS'],
+  '00281053': ['RescaleSlope', 'DS'],
+  '7FE00010': ['PixelData', 'OW']
+};
+
+const LONG_VR = new Set(['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV']);
+const STRING_VR = new Set(['AE', 'AS', 'CS', 'DA', 'DS', 'DT', 'IS', 'LO', 'LT', 'PN', 'SH', 'ST', 'TM', 'UC', 'UI', 'UR', 'UT']);
+const SINGLE_STRING_VR = new Set(['LT', 'ST', 'UT', 'UR']);
+const UNDEFINED = 0xFFFFFFFF;
+const TAG_ITEM = 'FFFEE000';
+const TAG_ITEM_END = 'FFFEE00D';
+const TAG_SEQ_END = 'FFFEE0DD';
+const TAG_PIXEL = '7FE00010';
+const MAX_DEPTH = 16;
+
+export const tagKeyword = tag => (DICT[tag] || [])[0] || null;
+
+/** Read a File/Blob and parse it. */
+export async function readDicomFile(file, opts) {
+  return parseDicom(await file.arrayBuffer(), opts);
+}
+
+/**
+ * Parse a DICOM Part 10 buffer.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {{pixels?: boolean}} opts - pixels:false skips pixel decoding (header-only use)
+ * @returns {{ok, hasPreamble, transferSyntax, elements: Map, tags: Object, pixel, errors: string[], warnings: string[], truncated}}
+ */
+export function parseDicom(buffer, { pixels = true } = {}) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const ctx = {
+    bytes,
+    view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    errors: [],
+    warnings: [],
+    truncated: false
+  };
+  const result = { ok: false, hasPreamble: false, transferSyntax: null, elements: new Map(), tags: {}, pixel: null, errors: ctx.errors, warnings: ctx.warnings, truncated: false };
+
+  let pos = 0;
+  if (bytes.length >= 132 && ascii(bytes, 128, 4) === 'DICM') {
+    result.hasPreamble = true;
+    pos = 132;
+  } else {
+    ctx.warnings.push('No 128-byte preamble / "DICM" magic — reading as a raw dataset.');
+  }
+
+  // File meta group (0002,xxxx) is always explicit VR little endian.
+  if (result.hasPreamble) {
+    pos = readDataset(ctx, pos, bytes.length, { explicit: true, little: true }, result.elements, 0, g => g === 0x0002);
+  }
+
+  const tsUid = firstString(result.elements.get('00020010'));
+  let ts = tsUid ? TRANSFER_SYNTAX[tsUid] : null;
+  if (!tsUid) {
+    ts = guessSyntax(ctx, pos);
+    ctx.warnings.push(`No TransferSyntaxUID — assuming ${ts.name}.`);
+  }
+  result.transferSyntax = { uid: tsUid || null, name: ts ? ts.name : describeCompressed(tsUid), compressed: !ts };
+
+  if (ts && ts.deflated) {
+    ctx.errors.push('Deflated transfer syntax is not supported in the browser reader.');
+  } else {
+    // Compressed syntaxes still use explicit VR little endian for the dataset itself.
+    const syntax = ts || { explicit: true, little: true };
+    readDataset(ctx, pos, bytes.length, syntax, result.elements, 0, null);
+  }
+
+  for (const [tag, el] of result.elements) {
+    const name = tagKeyword(tag);
+    if (name && el.value !== undefined) result.tags[name] = unwrap(el);
+  }
+
+  if (ctx.truncated) ctx.errors.push('File ends mid-element — dataset is truncated.');
+
+  if (pixels) {
+    const pixelEl = result.elements.get(TAG_PIXEL);
+    if (!pixelEl) ctx.warnings.push('No PixelData element.');
+    else if (result.transferSyntax.compressed || pixelEl.encapsulated) {
+      ctx.warnings.push(`Pixel data is compressed (${result.transferSyntax.name}) — pixel checks need a codec.`);
+    } else {
+      result.pixel = decodePixels(ctx, result.tags, pixelEl, ts || TRANSFER_SYNTAX['1.2.840.10008.1.2.1']);
+    }
+  }
+  result.truncated = ctx.truncated;
+
+  result.ok = result.elements.size > 0 && ctx.errors.length === 0;
+  return result;
+}
+
+/**
+ * Copy of a DICOM file with top-level string values replaced (e.g. de-identification).
+ * Lengths are rewritten and values space-padded to even length, so a replacement may be
+ * longer or shorter than the original. Group lengths (gggg,0000) are retired and not updated.
+ * @param {Uint8Array} bytes
+ * @param {Object} parsed parseDicom() result for the same bytes
+ * @param {Map<string, string>} values tag -> new value
+ * @returns {Uint8Array}
+ */
+export function replaceStringValues(bytes, parsed, values) {
+  const syntax = TRANSFER_SYNTAX[parsed.transferSyntax.uid] || TRANSFER_SYNTAX['1.2.840.10008.1.2.1'];
+  const edits = [...values]
+    .map(([tag, value]) => ({ el: parsed.elements.get(tag), value: value.length % 2 ? `${value} ` : value }))
+    .filter(({ el, value }) => el && el.lengthSize && el.length !== UNDEFINED && (el.lengthSize === 4 || value.length <= 0xFFFF))
+    .sort((a, b) => a.el.valueOffset - b.el.valueOffset);
+  const parts = [];
+  let pos = 0;
+  for (const { el, value } of edits) {
+    const lengthAt = el.valueOffset - el.lengthSize;
+    const head = new Uint8Array(el.lengthSize);
+    const view = new DataView(head.buffer);
+    if (el.lengthSize === 2) view.setUint16(0, value.length, syntax.little);
+    else view.setUint32(0, value.length, syntax.little);
+    parts.push(bytes.subarray(pos, lengthAt), head, Uint8Array.from(value, ch => ch.charCodeAt(0) & 0xFF));
+    pos = el.valueOffset + el.length;
+  }
+  parts.push(bytes.subarray(pos));
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               DATASET WALKER                               */
+/* -------------------------------------------------------------------------- */
+
+function readDataset(ctx, pos, end, syntax, out, depth, onlyGroup) {
+  while (pos < end) {
+    if (onlyGroup) {
+      if (pos + 2 > ctx.bytes.length) break;
+      if (!onlyGroup(ctx.view.getUint16(pos, true))) break;
+    }
+    const el = readHeader(ctx, pos, syntax);
+    if (!el) { ctx.truncated = true; return ctx.bytes.length; }
+    if (el.tag === TAG_ITEM_END || el.tag === TAG_SEQ_END) return el.valueOffset;
+
+    if (el.vr === 'SQ' || (el.vr === 'UN' && el.length === UNDEFINED && el.tag !== TAG_PIXEL)) {
+      el.vr = 'SQ';
+      const seq = readSequence(ctx, el, syntax, depth);
+      el.items = seq.items;
+      out.set(el.tag, el);
+      pos = seq.next;
+      continue;
+    }
+
+    if (el.tag === TAG_PIXEL && el.length === UNDEFINED) {
+      const enc = readFragments(ctx, el.valueOffset);
+      el.encapsulated = true;
+      el.fragments = enc.fragments;
+      out.set(el.tag, el);
+      pos = enc.next;
+      continue;
+    }
+
+    if (el.length === UNDEFINED) {
+      ctx.errors.push(`Undefined length on non-sequence element (${fmtTag(el.tag)}).`);
+      return ctx.bytes.length;
+    }
+    if (el.valueOffset + el.length > ctx.bytes.length) {
+      ctx.truncated = true;
+      el.length = ctx.bytes.length - el.valueOffset;
+      out.set(el.tag, el);
+      return ctx.bytes.length;
+    }
+    el.value = decodeValue(ctx, el, syntax.little);
+    out.set(el.tag, el);
+    pos = el.valueOffset + el.length;
+  }
+  return pos;
+}
+
+function readSequence(ctx, el, syntax, depth) {
+  const items = [];
+  const end = el.length === UNDEFINED ? ctx.bytes.length : el.valueOffset + el.length;
+  let pos = el.valueOffset;
+  if (depth >= MAX_DEPTH) {
+    ctx.errors.push('Sequence nesting too deep.');
+    return { items, next: ctx.bytes.length };
+  }
+  while (pos < end) {
+    const item = readHeader(ctx, pos, { explicit: false, little: syntax.little });
+    if (!item) { ctx.truncated = true; return { items, next: ctx.bytes.length }; }
+    if (item.tag === TAG_SEQ_END) return { items, next: item.valueOffset };
+    if (item.tag !== TAG_ITEM) {
+      ctx.errors.push(`Expected item in sequence ${fmtTag(el.tag)}, found ${fmtTag(item.tag)}.`);
+      return { items, next: ctx.bytes.length };
+    }
+    const ds = new Map();
+    const itemEnd = item.length === UNDEFINED ? ctx.bytes.length : item.valueOffset + item.length;
+    const next = readDataset(ctx, item.valueOffset, itemEnd, syntax, ds, depth + 1, null);
+    items.push(ds);
+    pos = item.length === UNDEFINED ? next : itemEnd;
+  }
+  return { items, next: pos };
+}
+
+function readFragments(ctx, pos) {
+  const fragments = [];
+  while (pos + 8 <= ctx.bytes.length) {
+    const tag = tagAt(ctx, pos, true);
+    const length = ctx.view.getUint32(pos + 4, true);
+    if (tag === TAG_SEQ_END) return { fragments, next: pos + 8 };
+    if (tag !== TAG_ITEM || length === UNDEFINED) break;
+    fragments.push({ offset: pos + 8, length });
+    pos += 8 + length;
+  }
+  ctx.truncated = true;
+  return { fragments, next: ctx.bytes.length };
+}
+
+function readHeader(ctx, pos, { explicit, little }) {
+  const { bytes, view } = ctx;
+  if (pos + 8 > bytes.length) return null;
+  const tag = tagAt(ctx, pos, little);
+
+  // Item / delimiter tags never carry a VR.
+  if (tag.startsWith('FFFE')) {
+    return { tag, vr: null, length: view.getUint32(pos + 4, little), valueOffset: pos + 8 };
+  }
+
+  if (explicit) {
+    const vr = ascii(bytes, pos + 4, 2);
+    if (/^[A-Z]{2}$/.test(vr)) {
+      if (LONG_VR.has(vr)) {
+        if (pos + 12 > bytes.length) return null;
+        return { tag, vr, length: view.getUint32(pos + 8, little), valueOffset: pos + 12, lengthSize: 4 };
+      }
+      return { tag, vr, length: view.getUint16(pos + 6, little), valueOffset: pos + 8, lengthSize: 2 };
+    }
+    // Some writers mix implicit elements into explicit files; fall through.
+  }
+  const known = DICT[tag];
+  return { tag, vr: known ? known[1] : 'UN', length: view.getUint32(pos + 4, little), valueOffset: pos + 8, lengthSize: 4 };
+}
+
+function guessSyntax(ctx, pos) {
+  // Explicit VR files have two uppercase letters right after the first tag.
+  if (pos + 6 <= ctx.bytes.length && /^[A-Z]{2}$/.test(ascii(ctx.bytes, pos + 4, 2))) {
+    return TRANSFER_SYNTAX['1.2.840.10008.1.2.1'];
+  }
+  return TRANSFER_SYNTAX['1.2.840.10008.1.2'];
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   VALUES                                   */
+/* -------------------------------------------------------------------------- */
+
+function decodeValue(ctx, el, little) {
+  const { view, bytes } = ctx;
+  const { vr, valueOffset: o, length: n } = el;
+  if (STRING_VR.has(vr) || (vr === 'UN' && DICT[el.tag] && STRING_VR.has(DICT[el.tag][1]))) {
+    const text = latin1(bytes, o, n).replace(/[\0\s]+$/, '').replace(/^\s+/, '');
+    const parts = SINGLE_STRING_VR.has(vr) ? [text] : text.split('\\').map(s => s.trim());
+    if (vr === 'DS' || vr === 'IS') return parts.filter(s => s !== '').map(Number);
+    return parts;
+  }
+  const num = (size, read) => {
+    const out = [];
+    for (let i = 0; i + size <= n; i += size) out.push(read(o + i));
+    return out;
+  };
+  switch (vr) {
+    case 'US': return num(2, p => view.getUint16(p, little));
+    case 'SS': return num(2, p => view.getInt16(p, little));
+    case 'UL': return num(4, p => view.getUint32(p, little));
+    case 'SL': return num(4, p => view.getInt32(p, little));
+    case 'FL': return num(4, p => view.getFloat32(p, little));
+    case 'FD': return num(8, p => view.getFloat64(p, little));
+    default: return undefined; // binary (OB/OW/UN/...) stays as offset+length
+  }
+}
+
+function unwrap(el) {
+  const v = el.value;
+  if (!Array.isArray(v)) return v;
+  return v.length === 1 ? v[0] : v;
+}
+
+function firstString(el) {
+  return el && Array.isArray(el.value) ? String(el.value[0] || '') : '';
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   PIXELS                                   */
+/* -------------------------------------------------------------------------- */
+
+function decodePixels(ctx, tags, el, syntax) {
+  const rows = num(tags.Rows), cols = num(tags.Columns);
+  const spp = num(tags.SamplesPerPixel) || 1;
+  const bitsAllocated = num(tags.BitsAllocated) || 16;
+  const bitsStored = num(tags.BitsStored) || bitsAllocated;
+  const signed = num(tags.PixelRepresentation) === 1;
+  const frames = num(tags.NumberOfFrames) || 1;
+  const planar = num(tags.PlanarConfiguration) === 1;
+  const slope = tags.RescaleSlope !== undefined ? num(tags.RescaleSlope) : 1;
+  const intercept = tags.RescaleIntercept !== undefined ? num(tags.RescaleIntercept) : 0;
+  const photometric = String(first(tags.PhotometricInterpretation) || (spp === 3 ? 'RGB' : 'MONOCHROME2'));
+
+  if (!rows || !cols) { ctx.warnings.push('Rows/Columns missing — cannot decode pixels.'); return null; }
+  if (bitsAllocated !== 8 && bitsAllocated !== 16) {
+    ctx.warnings.push(`BitsAllocated ${bitsAllocated} not supported by the browser reader.`);
+    return null;
+  }
+  if (spp !== 1 && spp !== 3) { ctx.warnings.push(`SamplesPerPixel ${spp} not supported.`); return null; }
+
+  const bpp = bitsAllocated / 8;
+  const n = rows * cols;
+  const frameBytes = n * spp * bpp;
+  if (el.length < frameBytes) {
+    if (!ctx.truncated) ctx.errors.push('PixelData shorter than Rows × Columns — file truncated.');
+    ctx.truncated = true;
+    return null;
+  }
+
+  const { view } = ctx;
+  const mask = bitsStored >= 32 ? 0xFFFFFFFF : (1 << bitsStored) - 1;
+  const signBit = 1 << (bitsStored - 1);
+  const read = i => {
+    const p = el.valueOffset + i * bpp;
+    let v = bpp === 1 ? ctx.bytes[p] : view.getUint16(p, syntax.little);
+    v &= mask;
+    if (signed && (v & signBit)) v -= (1 << bitsStored);
+    return v;
+  };
+
+  const data = new Float32Array(n);
+  let min = Infinity, max = -Infinity;
+  if (spp === 1) {
+    for (let i = 0; i < n; i++) {
+      const v = read(i) * slope + intercept;
+      data[i] = v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  } else {
+    for (let i = 0; i < n; i++) {
+      const r = planar ? read(i) : read(i * 3);
+      const g = planar ? read(n + i) : read(i * 3 + 1);
+      const b = planar ? read(2 * n + i) : read(i * 3 + 2);
+      const v = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      data[i] = v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+
+  return { rows, cols, frames, samplesPerPixel: spp, bitsAllocated, bitsStored, signed, photometric, slope, intercept, data, min, max };
+}
+
+/**
+ * Apply the VOI window (WindowCenter/Width, else min/max) and map to 0..255 floats,
+ * so the 8-bit tuned metrics (stddev, laplacianVariance) see full-precision data.
+ * MONOCHROME1 is inverted so bright always means dense.
+ */
+export function dicomToGray(pixel, tags = {}) {
+  let center = num(tags.WindowCenter), width = num(tags.WindowWidth), source = 'WindowCenter/Width';
+  if (!(width > 1) || !isFinite(center)) {
+    center = (pixel.min + pixel.max) / 2;
+    width = Math.max(2, pixel.max - pixel.min + 1);
+    source = 'min/max';
+  }
+  const lo = center - 0.5 - (width - 1) / 2;
+  const scale = 255 / (width - 1);
+  const invert = /^MONOCHROME1/i.test(pixel.photometric);
+  const out = new Float32Array(pixel.data.length);
+  for (let i = 0; i < out.length; i++) {
+    let v = (pixel.data[i] - lo) * scale;
+    v = v < 0 ? 0 : v > 255 ? 255 : v;
+    out[i] = invert ? 255 - v : v;
+  }
+  return { gray: out, window: { center, width, source } };
+}
+
+/**
+ * Number of distinct stored levels that fall inside the display window.
+ * Original 12/16-bit data has hundreds; 8-bit re-exports or heavy quantisation have few.
+ */
+export function levelsInWindow(pixel, window) {
+  const lo = window.center - window.width / 2, hi = window.center + window.width / 2;
+  const seen = new Set();
+  const step = Math.max(1, Math.floor(pixel.data.length / 1e6));
+  for (let i = 0; i < pixel.data.length; i += step) {
+    const v = pixel.data[i];
+    if (v >= lo && v <= hi) seen.add(v);
+    if (seen.size > 4096) break;
+  }
+  return seen.size;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  HELPERS                                   */
+/* -------------------------------------------------------------------------- */
+
+function tagAt(ctx, pos, little) {
+  const g = ctx.view.getUint16(pos, little), e = ctx.view.getUint16(pos + 2, little);
+  return hex4(g) + hex4(e);
+}
+
+function hex4(n) { return n.toString(16).toUpperCase().padStart(4, '0'); }
+function fmtTag(tag) { return `(${tag.slice(0, 4)},${tag.slice(4)})`; }
+function ascii(bytes, o, n) { let s = ''; for (let i = 0; i < n && o + i < bytes.length; i++) s += String.fromCharCode(bytes[o + i]); return s; }
+function latin1(bytes, o, n) { let s = ''; const end = Math.min(bytes.length, o + n); for (let i = o; i < end; i++) s += String.fromCharCode(bytes[i]); return s; }
+function first(v) { return Array.isArray(v) ? v[0] : v; }
+function num(v) { const x = Number(first(v)); return isFinite(x) ? x : NaN; }
+
+function describeCompressed(uid) {
+  if (!uid) return 'Unknown';
+  if (uid.startsWith('1.2.840.10008.1.2.4.5') || uid === '1.2.840.10008.1.2.4.70') return 'JPEG (compressed)';
+  if (uid.startsWith('1.2.840.10008.1.2.4.8')) return 'JPEG-LS (compressed)';
+  if (uid.startsWith('1.2.840.10008.1.2.4.9')) return 'JPEG 2000 (compressed)';
+  if (uid === '1.2.840.10008.1.2.5') return 'RLE Lossless (compressed)';
+  return `Unsupported (${uid})`;
+}
@@ -0,0 +1,254 @@
+/**
+ * DUPLICATE DETECTION
+ * A fingerprint per item: SHA-256 for exact copies, and for images and PDFs (first pages,
+ * rendered small) a 64-bit dHash and pHash per page for near-duplicates — the same page
+ * photographed twice, re-exported, resized or recompressed. Fingerprints also carry the
+ * sharpness (Laplacian variance) and contrast (stddev) the plugins score with, so a group
+ * of near-duplicates can suggest which one to keep.
+ *
+ * A hash history in localStorage remembers fingerprints across sessions, so a file
+ * dropped again days later is flagged too.
+ */
+
+import { sha256File } from './hash.js';
+import { readImageData } from './raster.js';
+import { renderPdfPreviews } from './pdf.js';
+import { toGrayscale, stddev, laplacianVariance } from './utils.js';
+
+const IMAGE_KINDS = ['png', 'jpeg', 'webp', 'bmp', 'gif'];
+const HASH_PIXELS = 1e6; // decode size for hashing
+const METRIC_EDGE = 512; // sharpness/contrast are measured at one size, so a resized copy is not "sharper"
+const PDF_PAGES = 3;
+const NEAR = { dhash: 12, phash: 10 }; // max differing bits (of 64) for a near-duplicate
+
+/**
+ * @param {File} file the analyzed file
+ * @param {{kind: string}|null} sniff sniffFile() result (decides whether there are pixels to hash)
+ * @returns {Promise<{sha256, name, size, pages: Array<{dhash, phash}>, pageCount, sharpness, contrast}>}
+ *   pages is empty when the file has no image content to compare
+ */
+export async function fingerprint(file, sniff) {
+  const fp = { sha256: await sha256File(file), name: file.name, size: file.size, pages: [], pageCount: 0, sharpness: null, contrast: null };
+  const kind = sniff ? sniff.kind : null;
+  let images = [];
+  try {
+    if (IMAGE_KINDS.includes(kind)) images = [await readImageData(file, { maxPixels: HASH_PIXELS })];
+    else if (kind === 'pdf' && globalThis.pdfjsLib) ({ images, pageCount: fp.pageCount } = await renderPdfPreviews(file, { maxPages: PDF_PAGES, maxPixels: HASH_PIXELS / 4 }));
+  } catch (e) {
+    return fp; // undecodable: exact matching only
+  }
+  if (!fp.pageCount) fp.pageCount = images.length;
+  let sharpness = 0, contrast = 0;
+  for (const img of images) {
+    const gray = toGrayscale(img);
+    fp.pages.push({ dhash: dHash(gray, img.width, img.height), phash: pHash(gray, img.width, img.height) });
+    const k = METRIC_EDGE / Math.max(img.width, img.height);
+    const w = Math.max(3, Math.round(img.width * k)), h = Math.max(3, Math.round(img.height * k));
+    const norm = k < 1 ? shrink(gray, img.width, img.height, w, h) : enlarge(gray, img.width, img.height, w, h);
+    sharpness += laplacianVariance(norm, w, h);
+    contrast += stddev(norm);
+  }
+  if (images.length) {
+    fp.sharpness = sharpness / images.length;
+    fp.contrast = contrast / images.length;
+  }
+  return fp;
+}
+
+/** Fingerprint of a group card (DICOM series): the SHA-256 of its members' hashes. */
+export async function groupFingerprint(name, files) {
+  const hashes = (await Promise.all(files.map(f => sha256File(f)))).sort();
+  const sha256 = await sha256File(new Blob([hashes.join('\n')]));
+  return { sha256, name, size: files.reduce((a, f) => a + f.size, 0), pages: [], pageCount: 0, sharpness: null, contrast: null };
+}
+
+/** 'exact', 'near' or null. */
+export function compareFingerprints(a, b) {
+  if (a.sha256 === b.sha256) return 'exact';
+  if (!a.pages.length || a.pages.length !== b.pages.length || a.pageCount !== b.pageCount) return null;
+  return a.pages.every((p, i) => hamming(p.dhash, b.pages[i].dhash) <= NEAR.dhash && hamming(p.phash, b.pages[i].phash) <= NEAR.phash) ? 'near' : null;
+}
+
+/**
+ * Cluster fingerprints into duplicate groups (exact and near matches chain together).
+ * @param {Object[]} fps
+ * @param {number[]} [scores] per fingerprint, the tie-break for keepBest()
+ * @returns {Array<{members: number[], exact: boolean, best: number}>} indexes into fps, groups of 2+
+ *   exact: every member is a byte-identical copy; best: the one to keep
+ */
+export function groupDuplicates(fps, scores = []) {
+  const parent = fps.map((_, i) => i);
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (let i = 0; i < fps.length; i++) {
+    for (let j = i + 1; j < fps.length; j++) {
+      if (root(i) !== root(j) && compareFingerprints(fps[i], fps[j])) parent[root(j)] = root(i);
+    }
+  }
+  const clusters = new Map();
+  fps.forEach((_, i) => clusters.set(root(i), (clusters.get(root(i)) || []).concat(i)));
+  return [...clusters.values()].filter(m => m.length > 1).map(members => ({
+    members,
+    exact: members.every(i => fps[i].sha256 === fps[members[0]].sha256),
+    best: keepBest(members.map(i => fps[i]), members, members.map(i => scores[i]))
+  }));
+}
+
+/**
+ * The member to keep: sharpness and contrast, each relative to the best in the group,
+ * weigh equally; within 2% `scores` (e.g. the plugin scores) decide. Exact copies keep the first.
+ * @returns {number} the chosen element of ids
+ */
+export function keepBest(fps, ids = fps.map((_, i) => i), scores = []) {
+  const max = key => Math.max(1e-9, ...fps.map(f => f[key] || 0));
+  const sharp = max('sharpness'), contrast = max('contrast');
+  const rank = i => (fps[i].sharpness || 0) / sharp + (fps[i].contrast || 0) / contrast;
+  let best = 0;
+  for (let i = 1; i < fps.length; i++) {
+    const d = rank(i) - rank(best);
+    if (d > 0.02 || (Math.abs(d) <= 0.02 && (scores[i] || 0) > (scores[best] || 0))) best = i;
+  }
+  return ids[best];
+}
+
+/* ---- hash history ---- */
+
+const HISTORY_KEY = 'preflight.hashes';
+const HISTORY_MAX = 2000;
+const HISTORY_DAYS = 180;
+
+/**
+ * Fingerprints of earlier sessions, newest last. Entries of the current session are not
+ * reported back by find() (the results list groups those itself).
+ * @param {{storage?: Storage, key?: string}} [options]
+ * @returns {{find(fp): Array<{match: 'exact'|'near', name, size, at, uploaded}>, remember(fp): void, markUploaded(sha256): void, clear(): void}}
+ */
+export function createHashHistory({ storage = globalThis.localStorage, key = HISTORY_KEY } = {}) {
+  const session = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  let entries = load();
+
+  function load() {
+    try {
+      const list = JSON.parse((storage && storage.getItem(key)) || '[]');
+      const since = Date.now() - HISTORY_DAYS * 864e5;
+      return Array.isArray(list) ? list.filter(e => e && e.sha256 && Date.parse(e.at) >= since) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function save() {
+    if (!storage) return;
+    entries = entries.slice(-HISTORY_MAX);
+    try {
+      storage.setItem(key, JSON.stringify(entries));
+    } catch (e) {
+      // quota: keep the newer half
+      entries = entries.slice(entries.length >> 1);
+      try { storage.setItem(key, JSON.stringify(entries)); } catch (e2) { /* history is best effort */ }
+    }
+  }
+
+  return {
+    find(fp) {
+      const out = [];
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const e = entries[i];
+        if (e.session === session) continue;
+        const match = compareFingerprints(fp, e);
+        if (match) out.push({ match, name: e.name, size: e.size, at: e.at, uploaded: !!e.uploaded });
+      }
+      return out;
+    },
+    remember(fp) {
+      entries = entries.filter(e => !(e.session === session && e.sha256 === fp.sha256));
+      entries.push({ sha256: fp.sha256, name: fp.name, size: fp.size, pages: fp.pages, pageCount: fp.pageCount, at: new Date().toISOString(), session, uploaded: false });
+      save();
+    },
+    markUploaded(sha256) {
+      entries.forEach(e => { if (e.session === session && e.sha256 === sha256) e.uploaded = true; });
+      save();
+    },
+    clear() {
+      entries = [];
+      if (storage) storage.removeItem(key);
+    }
+  };
+}
+
+/* ---- perceptual hashes (64 bits as 16 hex digits) ---- */
+
+/** Difference hash: is each cell of a 9×8 thumbnail brighter than its right neighbour. */
+export function dHash(gray, width, height) {
+  const t = shrink(gray, width, height, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) for (let x = 0; x < 8; x++) bits.push(t[y * 9 + x] > t[y * 9 + x + 1]);
+  return toHex(bits);
+}
+
+/** DCT hash: the 8×8 lowest frequencies of a 32×32 thumbnail against their median (DC left out). */
+export function pHash(gray, width, height) {
+  const N = 32;
+  const t = shrink(gray, width, height, N, N);
+  const cos = new Float64Array(8 * N);
+  for (let u = 0; u < 8; u++) for (let x = 0; x < N; x++) cos[u * N + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N));
+  const rows = new Float64Array(N * 8); // DCT along x
+  for (let y = 0; y < N; y++) for (let u = 0; u < 8; u++) {
+    let s = 0;
+    for (let x = 0; x < N; x++) s += t[y * N + x] * cos[u * N + x];
+    rows[y * 8 + u] = s;
+  }
+  const coef = [];
+  for (let v = 0; v < 8; v++) for (let u = 0; u < 8; u++) {
+    let s = 0;
+    for (let y = 0; y < N; y++) s += rows[y * 8 + u] * cos[v * N + y];
+    coef.push(s);
+  }
+  const median = coef.slice(1).sort((a, b) => a - b)[31];
+  return toHex(coef.map((c, i) => (i === 0 ? false : c > median)));
+}
+
+/** Differing bits between two equal-length hex hashes. */
+export function hamming(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) { d += x & 1; x >>= 1; }
+  }
+  return d;
+}
+
+// Area-average resize of a grayscale buffer
+function shrink(gray, width, height, tw, th) {
+  const out = new Float64Array(tw * th);
+  for (let ty = 0; ty < th; ty++) {
+    const y0 = Math.floor((ty * height) / th), y1 = Math.max(y0 + 1, Math.floor(((ty + 1) * height) / th));
+    for (let tx = 0; tx < tw; tx++) {
+      const x0 = Math.floor((tx * width) / tw), x1 = Math.max(x0 + 1, Math.floor(((tx + 1) * width) / tw));
+      let s = 0;
+      for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) s += gray[y * width + x];
+      out[ty * tw + tx] = s / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+// Bilinear upscale (small images meet the metric size)
+function enlarge(gray, width, height, tw, th) {
+  const out = new Float64Array(tw * th);
+  for (let ty = 0; ty < th; ty++) {
+    const fy = Math.min(height - 1, ((ty + 0.5) * height) / th - 0.5), y0 = Math.max(0, Math.floor(fy)), y1 = Math.min(height - 1, y0 + 1), wy = Math.max(0, fy - y0);
+    for (let tx = 0; tx < tw; tx++) {
+      const fx = Math.min(width - 1, ((tx + 0.5) * width) / tw - 0.5), x0 = Math.max(0, Math.floor(fx)), x1 = Math.min(width - 1, x0 + 1), wx = Math.max(0, fx - x0);
+      const top = gray[y0 * width + x0] * (1 - wx) + gray[y0 * width + x1] * wx;
+      const bottom = gray[y1 * width + x0] * (1 - wx) + gray[y1 * width + x1] * wx;
+      out[ty * tw + tx] = top * (1 - wy) + bottom * wy;
+    }
+  }
+  return out;
+}
+
+function toHex(bits) {
+  let s = '';
+  for (let i = 0; i < bits.length; i += 4) s += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  return s;
+}
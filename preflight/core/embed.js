@@ -0,0 +1,457 @@
+/**
+ * EMBEDDING
+ * Preflight inside another application's intake form instead of index.html.
+ * createPreflight(target, options) renders a drop zone and a compact file list into a
+ * shadow root on `target`; the <preflight-drop> element wraps the same thing for markup:
+ *
+ *   <preflight-drop name="reports" plugins="labs doc-ocr" policy="strict" required></preflight-drop>
+ *   document.querySelector('preflight-drop').upload = (file, result, { signal, onProgress }) => …
+ *
+ * Files go through the same sniffing, routing, plugins and analysis pool as the
+ * Preflight page. The host hears about them through DOM events (bubbling, composed)
+ * whose detail is {id, name, files, result} — `result` a plain, JSON-safe summary:
+ *   preflight:analyzed   every finished analysis
+ *   preflight:accepted   the file passes (accept, or borderline unless rejectBorderline)
+ *   preflight:rejected   it does not, or no allowed plugin can read it
+ *   preflight:uploaded   the upload handler resolved (detail.response: its return values)
+ * <preflight-drop> is form-associated: while a file is pending or failing the element is
+ * invalid, so the form does not submit, and the passing files are its form value.
+ *
+ * The fixes, column mapping, heatmaps and audit log stay on the Preflight page. PDF,
+ * spreadsheet and OCR engines are page globals, as on index.html: include pdf.js, SheetJS
+ * and Tesseract.js on the host page to analyze those formats. The policy profile is
+ * page-wide (core/policy.js): instances on one page must name the same policy (or none,
+ * and score with the page's). A second, different one is refused and shown on that element.
+ */
+
+import { fmtSize, escapeHtml } from './utils.js';
+import { getPlugin, listPlugins, supports } from './registry.js';
+import { registerBuiltins } from './builtins.js';
+import { prepareFile, planBatch, pluginFor } from './route.js';
+import { classifyContent } from './classify.js';
+import { createAnalysisPool } from './pool.js';
+import { applyPolicyProfile, loadPolicyProfile, profileLabel } from './policy.js';
+
+const POLICIES = { strict: '../policies/strict.json', lenient: '../policies/lenient.json' };
+const VERDICT_TEXT = {
+  accept: '✅ Good quality',
+  borderline: '⚠️ Borderline — review the tips',
+  reject: '❌ Poor quality — fix before uploading'
+};
+const SHOWN_MESSAGES = 4;
+
+const STYLE = `
+  :host { display: block; font: inherit; color: inherit; }
+  .drop { border: 2px dashed var(--preflight-border, #9aa5b1); border-radius: 10px; padding: 24px; text-align: center; cursor: pointer; }
+  .drop:hover, .drop:focus-visible, .drop.drag-over { border-color: var(--preflight-ok, #1a7f4b); outline: none; }
+  .files { list-style: none; margin: 8px 0 0; padding: 0; }
+  .file { border: 1px solid var(--preflight-border, #9aa5b1); border-radius: 8px; padding: 8px 10px; margin-top: 6px; }
+  .head { display: flex; gap: 8px; align-items: baseline; }
+  .name { font-weight: bold; overflow-wrap: anywhere; }
+  .size, .muted { color: var(--preflight-muted, #6b7785); font-size: 12px; }
+  .remove { margin-left: auto; border: 0; background: none; font-size: 18px; line-height: 1; cursor: pointer; color: inherit; }
+  .status { font-size: 14px; margin-top: 2px; }
+  .error { margin-top: 6px; font-size: 12px; }
+  .messages { margin: 4px 0 0; padding-left: 18px; font-size: 12px; }
+  .accept, .uploaded { color: var(--preflight-ok, #1a7f4b); }
+  .borderline { color: var(--preflight-warn, #9a6700); }
+  .reject, .failed { color: var(--preflight-bad, #c62828); }
+  button.upload { margin-top: 6px; }
+`;
+
+let pool = null; // one analysis pool per page, sized by the first instance
+const policyOwners = new Map(); // instance -> label of the profile it applied
+
+/**
+ * @param {HTMLElement} target rendered into its shadow root (attached when it has none)
+ * @param {Object} [options]
+ * @param {string[]} [options.plugins] plugin names allowed to judge files (default: all registered)
+ * @param {Object|string} [options.policy] a profile, its URL, or 'strict' / 'lenient'
+ * @param {Function} [options.upload] (file, result, {signal, onProgress(sent, total)}) => Promise;
+ *   without it there is no Upload button (the host submits the files itself)
+ * @param {boolean} [options.autoUpload] upload each passing file as soon as it is analyzed
+ * @param {boolean} [options.rejectBorderline] borderline results fail instead of passing
+ * @param {boolean} [options.required] no files at all also fails
+ * @param {string} [options.label] drop zone text
+ * @param {ElementInternals} [options.internals] validity and form value (set by <preflight-drop>)
+ * @param {number} [options.concurrency] @param {number} [options.memoryBudgetMB] for the analysis pool
+ * @returns {{element, ready: Promise, add, remove, clear, configure, files, valid, destroy}}
+ *   ready: settles once the policy is applied; add(files) resolves with the entries once analyzed;
+ *   files: [{id, name, files, state: 'pending'|'passed'|'failed'|'uploaded', result}]
+ */
+export function createPreflight(target, options = {}) {
+  registerBuiltins();
+  if (!pool) pool = createAnalysisPool({ ...(options.concurrency ? { concurrency: options.concurrency } : {}), ...(options.memoryBudgetMB ? { memoryBudgetMB: options.memoryBudgetMB } : {}) });
+  const opts = { ...options };
+  const root = target.shadowRoot || target.attachShadow({ mode: 'open' });
+  root.innerHTML = `
+    <style>${STYLE}</style>
+    <div class="drop" part="drop" tabindex="0" role="button"></div>
+    <div class="error failed" part="error" role="alert" hidden></div>
+    <input type="file" multiple hidden>
+    <ul class="files" part="files"></ul>`;
+  const drop = root.querySelector('.drop');
+  const input = root.querySelector('input');
+  const list = root.querySelector('.files');
+  const errorBox = root.querySelector('.error');
+  const entries = [];
+  let seq = 0;
+  const owner = {}; // this instance in policyOwners
+  let policyValue; // the policy option last applied
+  let policyError = null;
+
+  drop.textContent = opts.label || 'Drop files here or click to choose';
+  drop.addEventListener('click', () => input.click());
+  drop.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); input.click(); } });
+  drop.addEventListener('dragover', e => { e.preventDefault(); drop.classList.add('drag-over'); });
+  drop.addEventListener('dragleave', () => drop.classList.remove('drag-over'));
+  drop.addEventListener('drop', e => {
+    e.preventDefault();
+    drop.classList.remove('drag-over');
+    add(e.dataTransfer.files);
+  });
+  input.addEventListener('change', () => {
+    const files = [...input.files];
+    input.value = '';
+    add(files);
+  });
+
+  const ready = usePolicy(opts.policy);
+  updateValidity();
+
+  /** Analyze files (a FileList or File[]); DICOM series become one entry. */
+  async function add(fileList) {
+    await ready;
+    const items = [];
+    for (const file of fileList) items.push(await prepareFile(file));
+    const { groups, singles } = await planBatch(items);
+    return Promise.all([
+      ...groups.map(group => run(createEntry(group.label, group.files), isAllowed(group.plugin) ? ui => pool.analyzeGroup(group, ui) : null)),
+      ...singles.map(async item => {
+        const entry = createEntry(item.file.name, [item.file]);
+        if (!opts.plugins || item.sniff.dangerous) return run(entry, ui => pool.analyze(item, ui));
+        const [classified, plugin] = await allowedPlugin(item, entry);
+        return run(entry, plugin ? ui => pool.analyze(classified, { ...ui, plugin: plugin.name }) : null);
+      })
+    ]);
+  }
+
+  /**
+   * With a plugin list the plugin is chosen before the analysis, so a file is analyzed once:
+   * the routed one (content classification included) when it is allowed, else the first
+   * allowed plugin that reads the file type. Resolves [item with its classification, plugin|null].
+   */
+  async function allowedPlugin(item, entry) {
+    const status = { set textContent(t) { entry.jobOptions.onStatus(t); } };
+    const classified = { ...item, classification: await classifyContent(item.effective, item.sniff, { status }) };
+    const routed = pluginFor(classified);
+    if (isAllowed(routed)) return [classified, routed];
+    return [classified, opts.plugins.map(getPlugin).find(p => p && supports(p, item.effective)) || null];
+  }
+
+  function isAllowed(plugin) {
+    return !opts.plugins || (!!plugin && opts.plugins.includes(plugin.name));
+  }
+
+  // analyze: null when no allowed plugin reads the file
+  async function run(entry, analyze) {
+    try {
+      const result = analyze
+        ? await analyze(entry.jobOptions)
+        : { score: 0, verdict: 'reject', plugin: null, messages: [`Not accepted here — allowed: ${opts.plugins.join(', ')}.`], details: [] };
+      finish(entry, result);
+    } catch (err) {
+      if (err.cancelled) return entry;
+      console.error(err);
+      finish(entry, { score: 0, verdict: 'reject', plugin: null, messages: [], details: [], msg: `❌ Analysis failed: ${err.message}` });
+    }
+    if (entry.state === 'passed' && opts.autoUpload && opts.upload) await upload(entry);
+    return entry;
+  }
+
+  function finish(entry, raw) {
+    if (!entries.includes(entry)) return;
+    entry.raw = raw;
+    entry.result = summary(raw, passes(raw));
+    entry.state = entry.result.passed ? 'passed' : 'failed';
+    render(entry);
+    emit('preflight:analyzed', entry);
+    emit(entry.result.passed ? 'preflight:accepted' : 'preflight:rejected', entry);
+    updateValidity();
+  }
+
+  function passes(raw) {
+    return raw.verdict === 'accept' || (raw.verdict === 'borderline' && !opts.rejectBorderline);
+  }
+
+  async function upload(entry) {
+    if (!opts.upload || entry.state !== 'passed') return;
+    const controller = new AbortController();
+    entry.controller = controller;
+    entry.state = 'uploading';
+    const sent = entry.files.map(() => 0);
+    const total = entry.files.reduce((a, f) => a + f.size, 0);
+    render(entry, 'Uploading… 0%');
+    try {
+      const response = await Promise.all(entry.files.map((file, i) => opts.upload(file, entry.result, {
+        signal: controller.signal,
+        onProgress: n => {
+          sent[i] = n;
+          render(entry, `Uploading… ${total ? Math.floor(sent.reduce((a, b) => a + b, 0) / total * 100) : 100}%`);
+        }
+      })));
+      entry.state = 'uploaded';
+      render(entry);
+      emit('preflight:uploaded', entry, { response: entry.files.length > 1 ? response : response[0] });
+    } catch (err) {
+      controller.abort(); // stop the rest of a series too
+      entry.state = 'passed';
+      render(entry, `Upload failed: ${err.message}`);
+    }
+    updateValidity();
+  }
+
+  function remove(id) {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    entry.controller.abort();
+    entries.splice(entries.indexOf(entry), 1);
+    entry.element.remove();
+    updateValidity();
+  }
+
+  /* ---- list ---- */
+
+  function createEntry(name, files) {
+    const controller = new AbortController();
+    const element = document.createElement('li');
+    element.className = 'file';
+    element.setAttribute('part', 'file');
+    element.innerHTML = `
+      <div class="head"><span class="name"></span><span class="size"></span><button class="remove" title="Remove" aria-label="Remove">&times;</button></div>
+      <div class="status muted">In queue…</div>
+      <ul class="messages"></ul>
+      <button class="upload" part="upload" hidden>Upload</button>`;
+    element.querySelector('.name').textContent = name;
+    element.querySelector('.size').textContent = fmtSize(files.reduce((a, f) => a + f.size, 0));
+    const status = element.querySelector('.status');
+    const entry = {
+      id: `pf-${++seq}`, name, files, state: 'pending', result: null, raw: null, element, controller,
+      jobOptions: { signal: controller.signal, onStatus: text => { if (entry.state === 'pending') status.textContent = text; } }
+    };
+    element.querySelector('.remove').addEventListener('click', () => remove(entry.id));
+    element.querySelector('button.upload').addEventListener('click', () => upload(entry));
+    entries.push(entry);
+    list.prepend(element);
+    updateValidity();
+    return entry;
+  }
+
+  function render(entry, note = '') {
+    const { result } = entry;
+    const status = entry.element.querySelector('.status');
+    const button = entry.element.querySelector('button.upload');
+    const verdict = result.msg || VERDICT_TEXT[result.verdict] || VERDICT_TEXT.reject;
+    const plugin = result.plugin ? ` <span class="muted">${escapeHtml(result.plugin)}${result.policy ? ` · ${escapeHtml(result.policy)}` : ''}</span>` : '';
+    const state = entry.state === 'uploaded' ? ' <span class="uploaded">· Uploaded ✓</span>' : note ? ` <span class="muted">· ${escapeHtml(note)}</span>` : '';
+    status.className = 'status';
+    status.innerHTML = `<span class="${result.verdict}">Score ${result.score}/100 — ${escapeHtml(verdict)}</span>${plugin}${state}`;
+    const messages = result.messages.slice(0, SHOWN_MESSAGES).map(m => `<li>${escapeHtml(m)}</li>`);
+    if (result.messages.length > SHOWN_MESSAGES) messages.push(`<li class="muted">…and ${result.messages.length - SHOWN_MESSAGES} more</li>`);
+    entry.element.querySelector('.messages').innerHTML = messages.join('');
+    button.hidden = !opts.upload || entry.state === 'failed' || entry.state === 'uploaded';
+    button.disabled = entry.state !== 'passed';
+  }
+
+  /* ---- host ---- */
+
+  function emit(type, entry, extra = {}) {
+    target.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, detail: { id: entry.id, name: entry.name, files: entry.files, result: entry.result, ...extra } }));
+  }
+
+  function isValid() {
+    if (policyError) return false;
+    if (opts.required && !entries.length) return false;
+    return entries.every(e => e.state === 'passed' || e.state === 'uploaded');
+  }
+
+  function updateValidity() {
+    const { internals } = opts;
+    if (!internals) return;
+    const pending = entries.filter(e => e.state === 'pending').length;
+    const failed = entries.filter(e => e.state === 'failed').length;
+    if (isValid()) internals.setValidity({});
+    else {
+      const why = policyError ? `Policy not applied: ${policyError}`
+        : !entries.length ? 'Add at least one file.'
+        : pending ? `Wait for ${pending} file${pending > 1 ? 's' : ''} to be checked.`
+        : `Remove or replace ${failed} file${failed > 1 ? 's' : ''} that did not pass.`;
+      internals.setValidity({ customError: true }, why, drop);
+    }
+    const name = target.getAttribute('name');
+    if (!name) return internals.setFormValue(null);
+    const value = new FormData();
+    entries.filter(e => e.state === 'passed' || e.state === 'uploaded').forEach(e => e.files.forEach(f => value.append(name, f)));
+    internals.setFormValue(value);
+  }
+
+  // A policy that cannot be loaded or applied is shown and keeps the field invalid, so files
+  // are not passed under a policy the host did not ask for
+  async function usePolicy(policy) {
+    if (policy === policyValue) return;
+    policyValue = policy;
+    try {
+      await setPolicy(policy);
+      policyError = null;
+    } catch (err) {
+      console.error('Preflight policy not applied', err);
+      policyError = err.message;
+    }
+    errorBox.hidden = !policyError;
+    errorBox.textContent = policyError ? `Policy not applied: ${policyError}` : '';
+    updateValidity();
+  }
+
+  async function setPolicy(policy) {
+    policyOwners.delete(owner);
+    if (!policy) return;
+    const source = typeof policy === 'string' && POLICIES[policy] ? new URL(POLICIES[policy], import.meta.url).href
+      : policy instanceof URL ? policy.href : policy;
+    const profile = typeof source === 'object' && !(source instanceof Blob) ? source : await loadPolicyProfile(source);
+    const label = profileLabel(profile);
+    const other = [...policyOwners].find(([o, l]) => o !== owner && l !== label);
+    if (other) throw new Error(`another Preflight on this page scores with ${other[1]} — one page can use one policy`);
+    applyPolicyProfile(profile);
+    policyOwners.set(owner, label);
+  }
+
+  /**
+   * Change options after creation. A new policy or plugin list applies to files added
+   * from then on; a new upload handler or rejectBorderline to what is on the list too.
+   */
+  async function configure(patch) {
+    Object.assign(opts, patch);
+    if ('label' in patch) drop.textContent = opts.label || 'Drop files here or click to choose';
+    if ('policy' in patch) await usePolicy(opts.policy);
+    for (const entry of entries) {
+      if (!entry.raw || entry.state === 'uploaded') continue;
+      const passed = passes(entry.raw);
+      if (passed !== entry.result.passed) {
+        entry.result.passed = passed;
+        entry.state = passed ? 'passed' : 'failed';
+        emit(passed ? 'preflight:accepted' : 'preflight:rejected', entry);
+      }
+      render(entry);
+    }
+    updateValidity();
+  }
+
+  return {
+    element: target,
+    ready,
+    add,
+    remove,
+    clear: () => [...entries].forEach(e => remove(e.id)),
+    configure,
+    get files() { return entries.map(({ id, name, files, state, result }) => ({ id, name, files, state, result })); },
+    get valid() { return isValid(); },
+    destroy() {
+      policyOwners.delete(owner);
+      entries.forEach(e => e.controller.abort());
+      entries.length = 0;
+      root.innerHTML = '';
+    }
+  };
+}
+
+/**
+ * What the host gets for a result: no closures (fixes) or pixel data (heatmaps), so it can
+ * be logged, posted or stored as it is.
+ */
+function summary(result, passed) {
+  return {
+    score: result.score,
+    verdict: result.verdict,
+    passed,
+    plugin: result.plugin || null,
+    headline: result.msg || null,
+    messages: result.messages || [],
+    details: result.details || [],
+    thresholds: result.thresholds || null,
+    policy: result.policy ? profileLabel(result.policy) : null,
+    classification: result.classification ? { plugin: result.classification.plugin, label: result.classification.label, confidence: result.classification.confidence } : null,
+    phi: result.phi ? result.phi.counts : null
+  };
+}
+
+/* ---- <preflight-drop> ---- */
+
+const ATTRIBUTES = ['plugins', 'policy', 'label', 'reject-borderline', 'auto-upload', 'required'];
+
+/**
+ * Attributes: name (form field), plugins ("labs doc-ocr"), policy, label, reject-borderline,
+ * auto-upload, required. Properties: upload (the handler), preflight (the createPreflight()
+ * controller), files, valid, and the usual form-control validity API.
+ */
+export const PreflightDrop = typeof HTMLElement === 'undefined' ? null : class extends HTMLElement {
+  static get formAssociated() { return true; }
+  static get observedAttributes() { return ATTRIBUTES; }
+
+  constructor() {
+    super();
+    this.internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+    this.preflight = null;
+    this.uploadHandler = null;
+  }
+
+  connectedCallback() {
+    if (!this.preflight) this.preflight = createPreflight(this, { ...this.attributeOptions(), upload: this.uploadHandler, internals: this.internals });
+  }
+
+  // A removed element gives up its policy; it is set up again if it is attached again
+  disconnectedCallback() {
+    if (!this.preflight) return;
+    this.preflight.destroy();
+    this.preflight = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.preflight) this.preflight.configure(this.attributeOptions()).catch(err => console.error('Preflight not reconfigured', err));
+  }
+
+  attributeOptions() {
+    const plugins = this.getAttribute('plugins');
+    return {
+      plugins: plugins ? plugins.split(/[\s,]+/).filter(Boolean) : undefined,
+      policy: this.getAttribute('policy') || undefined,
+      label: this.getAttribute('label') || undefined,
+      rejectBorderline: this.hasAttribute('reject-borderline'),
+      autoUpload: this.hasAttribute('auto-upload'),
+      required: this.hasAttribute('required')
+    };
+  }
+
+  get upload() { return this.uploadHandler; }
+  set upload(fn) {
+    this.uploadHandler = fn;
+    if (this.preflight) this.preflight.configure({ upload: fn });
+  }
+
+  get files() { return this.preflight ? this.preflight.files : []; }
+  get valid() { return this.preflight ? this.preflight.valid : true; }
+  get form() { return this.internals ? this.internals.form : null; }
+  get validity() { return this.internals ? this.internals.validity : null; }
+  get validationMessage() { return this.internals ? this.internals.validationMessage : ''; }
+  checkValidity() { return this.internals ? this.internals.checkValidity() : this.valid; }
+  reportValidity() { return this.internals ? this.internals.reportValidity() : this.valid; }
+};
+
+if (PreflightDrop && typeof customElements !== 'undefined' && !customElements.get('preflight-drop')) {
+  customElements.define('preflight-drop', PreflightDrop);
+}
+
+/** Plugin names an embedding page can allow (after the built-ins are registered). */
+export function availablePlugins() {
+  registerBuiltins();
+  return listPlugins().map(p => p.name);
+}
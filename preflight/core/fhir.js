@@ -0,0 +1,122 @@
+/**
+ * FHIR JSON READER
+ * Reads a FHIR resource, a Bundle, or an NDJSON bulk-export file and hands every
+ * resource to a callback together with its JSON path ($.entry[3].resource, or
+ * "line 12 $" for NDJSON). NDJSON is streamed line by line so bulk exports of any
+ * size stay within bounded memory. Validation rules live with the plugin that needs
+ * them (plugins/labs/fhir.js).
+ */
+
+const PEEK_BYTES = 64 * 1024;
+
+/**
+ * Read a FHIR file.
+ * @param {File|Blob} file
+ * @param {{onResource: (resource: Object, path: string, entry: Object|null) => void, onProgress?: (lines: number) => void}} opts
+ * @returns {Promise<{format: 'json'|'ndjson', root: Object|null, resources: number, errors: string[]}>}
+ *   root: the top-level resource (JSON only); entry: the Bundle entry a resource came from
+ */
+export async function readFhir(file, { onResource, onProgress }) {
+  const head = await file.slice(0, PEEK_BYTES).text();
+  if (isNdjson(head)) return readNdjson(file, onResource, onProgress);
+
+  const root = JSON.parse(await file.text());
+  let resources = 0;
+  const visit = (resource, path, entry) => { resources++; onResource(resource, path, entry); };
+  if (root && typeof root === 'object' && !Array.isArray(root)) {
+    visit(root, '$', null);
+    if (root.resourceType === 'Bundle' && Array.isArray(root.entry)) {
+      root.entry.forEach((entry, i) => {
+        if (entry && entry.resource && typeof entry.resource === 'object') visit(entry.resource, `$.entry[${i}].resource`, entry);
+      });
+    }
+  }
+  return { format: 'json', root, resources, errors: [] };
+}
+
+/** NDJSON: the first non-empty line is a complete JSON object and more lines follow. */
+function isNdjson(head) {
+  const lines = head.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2 || !lines[0].trim().startsWith('{')) return false;
+  try {
+    JSON.parse(lines[0]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readNdjson(file, onResource, onProgress) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  const errors = [];
+  let carry = '';
+  let lineNo = 0;
+  let resources = 0;
+
+  const handle = line => {
+    lineNo++;
+    const trimmed = (lineNo === 1 ? line.replace(/^\uFEFF/, '') : line).trim();
+    if (!trimmed) return;
+    let resource;
+    try {
+      resource = JSON.parse(trimmed);
+    } catch (e) {
+      errors.push(`line ${lineNo}: not valid JSON (${e.message})`);
+      return;
+    }
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      errors.push(`line ${lineNo}: each NDJSON line must be one resource object`);
+      return;
+    }
+    resources++;
+    onResource(resource, `line ${lineNo} $`, null);
+    if (onProgress && lineNo % 5000 === 0) onProgress(lineNo);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    carry += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = carry.split(/\r?\n/);
+    carry = done ? '' : lines.pop();
+    lines.forEach(handle);
+    if (done) break;
+  }
+  return { format: 'ndjson', root: null, resources, errors };
+}
+
+/**
+ * Every { reference: "..." } inside a resource, with its JSON path.
+ * Contained resources are skipped; their references are checked where they are used.
+ * @returns {Array<{path: string, key: string, reference: string}>} key: the element holding the Reference ("subject", "result")
+ */
+export function referencesIn(resource, path) {
+  const out = [];
+  const walk = (node, at, key) => {
+    if (Array.isArray(node)) {
+      node.forEach((v, i) => walk(v, `${at}[${i}]`, key));
+    } else if (node && typeof node === 'object') {
+      if (typeof node.reference === 'string') out.push({ path: `${at}.reference`, key, reference: node.reference });
+      for (const [k, v] of Object.entries(node)) {
+        if (k !== 'contained' && v && typeof v === 'object') walk(v, `${at}.${k}`, k);
+      }
+    }
+  };
+  walk(resource, path, '');
+  return out;
+}
+
+/**
+ * Split a reference into its parts.
+ * @returns {{type: string|null, id: string|null, local: boolean}} local: "#id" into contained resources
+ */
+export function parseReference(reference) {
+  if (reference.startsWith('#')) return { type: null, id: reference.slice(1), local: true };
+  const m = /(?:^|\/)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(?:\/_history\/[^/]+)?$/.exec(reference);
+  return m ? { type: m[1], id: m[2], local: false } : { type: null, id: null, local: false };
+}
+
+/** FHIR R4 dateTime: YYYY, YYYY-MM, YYYY-MM-DD or a full timestamp with time zone. */
+export function isFhirDateTime(value) {
+  return typeof value === 'string' && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|[+-]((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/.test(value);
+}
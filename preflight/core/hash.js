@@ -0,0 +1,107 @@
+/**
+ * FILE HASHES
+ * SHA-256 of a File/Blob as lowercase hex. WebCrypto digests small files in one call;
+ * larger ones are read in slices through an incremental implementation, so a multi-GB
+ * file never has to be held in memory. Results are cached per File object.
+ */
+
+const ONE_SHOT_LIMIT = 64 * 1024 * 1024;
+const SLICE = 4 * 1024 * 1024;
+const cache = new WeakMap(); // File -> Promise<string>
+
+/**
+ * @param {Blob} file
+ * @returns {Promise<string>} 64 hex characters
+ */
+export function sha256File(file) {
+  let pending = cache.get(file);
+  if (!pending) {
+    pending = digestFile(file);
+    cache.set(file, pending);
+    pending.catch(() => cache.delete(file));
+  }
+  return pending;
+}
+
+async function digestFile(file) {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (subtle && file.size <= ONE_SHOT_LIMIT) return toHex(new Uint8Array(await subtle.digest('SHA-256', await file.arrayBuffer())));
+  const sha = createSha256();
+  for (let at = 0; at < file.size; at += SLICE) sha.update(new Uint8Array(await file.slice(at, at + SLICE).arrayBuffer()));
+  return toHex(sha.digest());
+}
+
+/* ---- incremental SHA-256 (FIPS 180-4) ---- */
+
+// First 32 bits of the fractional parts of the square / cube roots of the first primes
+const PRIMES = [];
+for (let n = 2; PRIMES.length < 64; n++) if (PRIMES.every(p => n % p)) PRIMES.push(n);
+const frac32 = x => Math.floor((x - Math.floor(x)) * 2 ** 32) >>> 0;
+const K = Uint32Array.from(PRIMES, p => frac32(Math.cbrt(p)));
+const H0 = Uint32Array.from(PRIMES.slice(0, 8), p => frac32(Math.sqrt(p)));
+
+/** @returns {{update(bytes: Uint8Array): void, digest(): Uint8Array}} */
+export function createSha256() {
+  const h = Uint32Array.from(H0);
+  const w = new Uint32Array(64);
+  const buf = new Uint8Array(64);
+  let used = 0;
+  let total = 0;
+
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  function block(b, o) {
+    for (let i = 0; i < 16; i++) w[i] = (b[o + i * 4] << 24) | (b[o + i * 4 + 1] << 16) | (b[o + i * 4 + 2] << 8) | b[o + i * 4 + 3];
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, bb, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & bb) ^ (a & c) ^ (bb & c))) | 0;
+      hh = g; g = f; f = e; e = (d + t1) | 0; d = c; c = bb; bb = a; a = (t1 + t2) | 0;
+    }
+    h[0] += a; h[1] += bb; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+  }
+
+  function update(bytes) {
+    let i = 0;
+    total += bytes.length;
+    if (used) {
+      const take = Math.min(64 - used, bytes.length);
+      buf.set(bytes.subarray(0, take), used);
+      used += take;
+      i = take;
+      if (used < 64) return;
+      block(buf, 0);
+      used = 0;
+    }
+    for (; i + 64 <= bytes.length; i += 64) block(bytes, i);
+    buf.set(bytes.subarray(i), 0);
+    used = bytes.length - i;
+  }
+
+  function digest() {
+    const bits = total * 8;
+    const tail = new Uint8Array(used < 56 ? 64 : 128);
+    tail.set(buf.subarray(0, used));
+    tail[used] = 0x80;
+    const view = new DataView(tail.buffer);
+    view.setUint32(tail.length - 8, Math.floor(bits / 2 ** 32));
+    view.setUint32(tail.length - 4, bits >>> 0);
+    for (let o = 0; o < tail.length; o += 64) block(tail, o);
+    const out = new Uint8Array(32);
+    const ov = new DataView(out.buffer);
+    h.forEach((v, i) => ov.setUint32(i * 4, v));
+    return out;
+  }
+
+  return { update, digest };
+}
+
+function toHex(bytes) {
+  let s = '';
+  for (const b of bytes) s += b.toString(16).padStart(2, '0');
+  return s;
+}
@@ -0,0 +1,117 @@
+/**
+ * HEADLESS RUNNER
+ * The same sniffing, routing, grouping and plugins as the page, without a DOM —
+ * for ingestion workers, tests and the CLI (cli/preflight.js).
+ * Images decode through the pure-JS decoders in core/decoders. Optional engines
+ * (xlsx, pdfjs-dist) are picked up when installed in a node_modules above preflight/.
+ */
+
+import { registerBuiltins } from './builtins.js';
+import { prepareFile, planBatch, analyzePrepared, analyzePreparedGroup } from './route.js';
+import { applyPolicyProfile } from './policy.js';
+import { sha256File } from './hash.js';
+
+/** Minimal stand-in for the {status, notes} UI contract. */
+export function headlessUi(onStatus) {
+  let text = '';
+  return {
+    status: {
+      get textContent() { return text; },
+      set textContent(v) { text = v; if (onStatus) onStatus(v); },
+      set innerHTML(v) { text = String(v).replace(/<[^>]*>/g, ''); }
+    },
+    notes: { textContent: '' }
+  };
+}
+
+/**
+ * Try to expose optional browser globals (XLSX, pdfjsLib) from installed packages.
+ * @returns {Promise<string[]>} names of the engines that loaded
+ */
+export async function loadOptionalEngines() {
+  const loaded = [];
+  const attempt = async (global, specs, pick = m => m.default || m) => {
+    if (globalThis[global]) { loaded.push(global); return; }
+    for (const spec of [].concat(specs)) {
+      try {
+        globalThis[global] = pick(await import(spec));
+        loaded.push(global);
+        return;
+      } catch (e) { /* not installed */ }
+    }
+  };
+  await attempt('XLSX', 'xlsx', m => (m.read ? m : m.default));
+  await attempt('pdfjsLib', ['pdfjs-dist/legacy/build/pdf.mjs', 'pdfjs-dist/legacy/build/pdf.js'], m => (m.getDocument ? m : m.default));
+  return loaded;
+}
+
+/**
+ * Analyze a batch of File objects.
+ * DICOM series are judged together (one record per series), everything else per file.
+ * @param {File[]} files
+ * @param {{onResult?: Function, onStatus?: Function, policy?: Object}} opts
+ *   policy: a policy profile (core/policy.js) to score with; it stays active afterwards
+ * @returns {Promise<Array<{name, files: string[], sha256: string[], kind, plugin, score, verdict, thresholds, policy, messages, details, phi?, analyzedAt}>>}
+ *   sha256: hex digest of each of files, in the same order
+ *   policy: {id, version} of the policy profile that scored it
+ *   phi: identifier counts by type ({name: 2, dob: 1}) when the PHI scan found any
+ */
+export async function analyzeFiles(files, { onResult, onStatus, policy } = {}) {
+  registerBuiltins();
+  if (policy) applyPolicyProfile(policy);
+  const items = [];
+  for (const file of files) items.push(await prepareFile(file));
+  const original = new Map(items.map(i => [i.effective, i.file]));
+
+  const { groups, singles } = await planBatch(items);
+  const records = [];
+  const emit = record => { records.push(record); if (onResult) onResult(record); };
+
+  for (const group of groups) {
+    const result = await analyzePreparedGroup(group, headlessUi(onStatus && (s => onStatus(group.label, s))));
+    const members = group.files.map(f => original.get(f) || f);
+    emit(toRecord(group.label, members.map(f => f.name), 'dicom', result, null, await Promise.all(members.map(sha256File))));
+  }
+  for (const item of singles) {
+    let result;
+    try {
+      result = await analyzePrepared(item, headlessUi(onStatus && (s => onStatus(item.file.name, s))));
+    } catch (e) {
+      result = { score: 0, verdict: 'reject', plugin: null, messages: [`Crashed: ${e.message}`], details: [] };
+    }
+    emit(toRecord(item.file.name, [item.file.name], item.sniff.kind, result, item.sniff, [await sha256File(item.file)]));
+  }
+  return records;
+}
+
+/** Convenience wrapper for a single file. */
+export async function analyzeFile(file) {
+  const [record] = await analyzeFiles([file]);
+  return record;
+}
+
+function toRecord(name, files, kind, result, sniff, sha256) {
+  return {
+    name,
+    files,
+    sha256,
+    kind,
+    extensionMismatch: !!(sniff && sniff.mismatch),
+    plugin: result.plugin || null,
+    score: result.score,
+    verdict: result.verdict,
+    thresholds: result.thresholds || null,
+    policy: result.policy || null,
+    messages: result.msg ? [result.msg, ...result.messages] : result.messages,
+    details: result.details,
+    fixes: (result.fixes || []).map(f => f.label),
+    ...(result.mapping ? { columns: columnNames(result.mapping) } : {}),
+    ...(result.phi && result.phi.findings.length ? { phi: result.phi.counts } : {}),
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+// { patient: 'MRN', result: 'Value', units: null, ... } from a plugin's column mapping
+function columnNames({ columns, assigned }) {
+  return Object.fromEntries(Object.entries(assigned).map(([role, i]) => [role, i === null ? null : columns[i]]));
+}
@@ -0,0 +1,162 @@
+/**
+ * HL7 v2 READER (ER7 / pipe-delimited)
+ * Reads the separators each message declares in MSH-1/MSH-2 (and FHS/BHS for batch
+ * envelopes), splits segments into fields, repetitions and components, and decodes
+ * escape sequences (\F\ \S\ \T\ \R\ \E\ \Xhh\ \.br\). Structure rules live with the
+ * plugin that needs them (plugins/labs/hl7.js).
+ */
+
+const DEFAULT_ENCODING = { field: '|', component: '^', repetition: '~', escape: '\\', subcomponent: '&' };
+const ENVELOPE = new Set(['FHS', 'FTS', 'BHS', 'BTS']);
+
+/**
+ * Parse an HL7 v2 file: one message, or a batch (FHS/BHS ... BTS/FTS) of many.
+ * @param {string} text
+ * @returns {{messages: Array<{index, line, batch, segments, encoding}>, envelope: Array, errors: string[]}}
+ *   batch: number of the BHS batch a message belongs to (0 = outside any BHS)
+ *   segment = { name, fields: string[], line, encoding, warnings: string[] }; fields[n] is field n
+ *   (MSH-1 = the separator); warnings: malformed escape sequences, decoded as written
+ */
+export function parseHl7(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const messages = [];
+  const envelope = [];
+  const errors = [];
+  let current = null;
+  let batch = 0;
+  let encoding = DEFAULT_ENCODING;
+
+  lines.forEach((raw, i) => {
+    const line = raw.replace(/^[\s\x0B\x1C]+|[\s\x1C]+$/g, ''); // MLLP framing bytes and padding
+    if (!line) return;
+    const name = line.slice(0, 3);
+    if (!/^[A-Z][A-Z0-9]{2}$/.test(name)) {
+      errors.push(`Line ${i + 1}: not an HL7 segment ("${line.slice(0, 20)}")`);
+      return;
+    }
+    if (name === 'MSH' || name === 'FHS' || name === 'BHS') {
+      const declared = readEncoding(line, name);
+      if (declared.error) errors.push(`Line ${i + 1}: ${declared.error}`);
+      else encoding = declared;
+    }
+    const segment = { name, fields: splitFields(line, name, encoding), line: i + 1, encoding, warnings: [] };
+    segment.fields.forEach((value, n) => {
+      if (n < 1 || (n <= 2 && (name === 'MSH' || name === 'FHS' || name === 'BHS'))) return;
+      badEscapes(value, encoding).forEach(seq => segment.warnings.push(`${name}-${n}: malformed escape sequence "${seq}" — kept as written`));
+    });
+
+    if (name === 'MSH') {
+      current = { index: messages.length + 1, line: i + 1, batch, segments: [segment], encoding };
+      messages.push(current);
+    } else if (ENVELOPE.has(name)) {
+      if (name === 'BHS') batch++;
+      envelope.push({ ...segment, batch });
+      if (name !== 'FHS') current = null; // BHS opens a batch, BTS/FTS close one
+    } else if (current) {
+      current.segments.push(segment);
+    } else {
+      errors.push(`Line ${i + 1}: ${name} segment outside of a message (no MSH before it)`);
+    }
+  });
+
+  return { messages, envelope, errors };
+}
+
+/**
+ * Separators from MSH/FHS/BHS: field separator at [3], then component, repetition, escape,
+ * subcomponent (and the v2.7 truncation character). {error} when they are not 4–5 distinct
+ * non-alphanumeric characters different from the field separator.
+ */
+function readEncoding(line, name) {
+  const field = line[3];
+  if (!field || /[A-Za-z0-9\s]/.test(field)) return { error: `${name}-1 "${field || ''}" is not a valid field separator` };
+  // split() leaves no field separator in `chars`
+  const chars = line.slice(4).split(field)[0];
+  if (chars.length < 4 || chars.length > 5 || /[A-Za-z0-9\s]/.test(chars) || new Set(chars).size < chars.length) {
+    return { error: `${name}-2 "${chars.slice(0, 10)}" is not 4–5 distinct encoding characters (expected e.g. "^~\\&")` };
+  }
+  return { field, component: chars[0], repetition: chars[1], escape: chars[2], subcomponent: chars[3] };
+}
+
+function splitFields(line, name, enc) {
+  const parts = line.split(enc.field);
+  if (name === 'MSH' || name === 'FHS' || name === 'BHS') {
+    // MSH-1 is the separator itself and MSH-2 holds the encoding characters
+    return [name, enc.field, ...parts.slice(1)];
+  }
+  return parts;
+}
+
+/** Raw value of field n (1-based), '' when absent. */
+export function field(segment, n) {
+  return segment.fields[n] || '';
+}
+
+/** Repetitions of field n, split on the repetition separator (not for MSH-2). */
+export function repetitions(segment, n) {
+  const raw = field(segment, n);
+  return raw ? raw.split(segment.encoding.repetition) : [];
+}
+
+/** Component c (1-based) of a field value, unescaped. */
+export function component(segment, value, c) {
+  return unescapeHl7(value.split(segment.encoding.component)[c - 1] || '', segment.encoding);
+}
+
+/** Field n as plain text: first repetition, components joined with spaces, escapes decoded. */
+export function text(segment, n) {
+  const first = repetitions(segment, n)[0] || '';
+  return first.split(segment.encoding.component).map(v => unescapeHl7(v, segment.encoding)).filter(Boolean).join(' ');
+}
+
+/** Decode HL7 escape sequences in a value. Formatting escapes (\H\ \N\ \Zxx\) are dropped. */
+export function unescapeHl7(value, enc = DEFAULT_ENCODING) {
+  const e = enc.escape;
+  if (!e || !value.includes(e)) return value;
+  let out = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== e) { out += value[i]; continue; }
+    const end = value.indexOf(e, i + 1);
+    if (end < 0) { out += value.slice(i); break; }
+    const seq = value.slice(i + 1, end);
+    i = end;
+    if (seq === 'F') out += enc.field;
+    else if (seq === 'S') out += enc.component;
+    else if (seq === 'T') out += enc.subcomponent;
+    else if (seq === 'R') out += enc.repetition;
+    else if (seq === 'E') out += e;
+    else if (seq === '.br') out += '\n';
+    else if (HEX_ESCAPE.test(seq)) out += seq.slice(1).match(/../g).map(h => String.fromCharCode(parseInt(h, 16))).join('');
+    else if (seq[0] === 'X') out += e + seq + e; // odd or non-hex digits: parseHl7 warns about it
+  }
+  return out;
+}
+
+const HEX_ESCAPE = /^X(?:[0-9A-Fa-f]{2})+$/;
+
+// Escape sequences unescapeHl7() cannot decode: \X\ without whole hex pairs, or no closing escape
+function badEscapes(value, enc) {
+  const e = enc.escape;
+  const bad = [];
+  if (!e || !value.includes(e)) return bad;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== e) continue;
+    const end = value.indexOf(e, i + 1);
+    if (end < 0) { bad.push(value.slice(i, i + 12)); break; }
+    const seq = value.slice(i + 1, end);
+    if (seq[0] === 'X' && !HEX_ESCAPE.test(seq)) bad.push(e + seq.slice(0, 10) + e);
+    i = end;
+  }
+  return bad;
+}
+
+/** Segments of a message by name. */
+export function segmentsOf(message, name) {
+  return message.segments.filter(s => s.name === name);
+}
+
+/** HL7 DTM/TS: YYYY[MM[DD[HH[MM[SS[.S{1,4}]]]]]][+/-ZZZZ] (a TS field's first component) */
+export function isHl7DateTime(value, enc = DEFAULT_ENCODING) {
+  const v = (value || '').split(enc.component)[0];
+  return /^\d{4}((0[1-9]|1[0-2])((0[1-9]|[12]\d|3[01])(([01]\d|2[0-3])([0-5]\d([0-5]\d(\.\d{1,4})?)?)?)?)?)?([+-]\d{4})?$/.test(v);
+}
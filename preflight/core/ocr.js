@@ -0,0 +1,178 @@
+/**
+ * OCR ENGINE
+ * Tesseract.js workers are expensive to start (WASM + language data), so they are kept
+ * and reused: up to OCR_WORKERS per language, handed out in turn and shut down after
+ * a minute without work. Inside an analysis worker (core/worker.js) there is no
+ * Tesseract global; the pool installs a bridge that runs the recognition on the page.
+ *
+ * Language packs are loaded from a local folder (vendor/tessdata, see vendor/README.txt)
+ * and from the Tesseract.js CDN when a pack is not there. detectScript() runs Tesseract's
+ * orientation and script detection (the legacy 'osd' pack) and names the packs to read
+ * that script with.
+ */
+
+const OCR_WORKERS = 2;
+const IDLE_MS = 60000;
+const SCRIPT_CONFIDENT = 2; // OSD script confidence below which the fallback packs are used
+
+const engines = new Map(); // lang -> { idle: worker[], busy: number, waiting: resolve[], timer }
+const remoteOnly = new Set(); // languages missing from the local folder
+let bridge = null;
+const config = {
+  langPath: new URL('../vendor/tessdata', import.meta.url).href,
+  // Tesseract script names -> language packs; mixed-language reports keep English alongside
+  scripts: { Latin: 'eng+spa', Devanagari: 'hin+eng', Bengali: 'ben+eng', Arabic: 'ara+eng', Cyrillic: 'rus+eng', Greek: 'ell+eng', Han: 'chi_sim+eng', Japanese: 'jpn+eng', Hangul: 'kor+eng' },
+  fallback: 'eng' // when the script is unknown or detection is unavailable
+};
+
+/** True when OCR can run here (Tesseract loaded, or bridged to a page that has it). */
+export function ocrAvailable() {
+  return !!bridge || !!globalThis.Tesseract;
+}
+
+/** Route recognize() and detectScript() elsewhere: fn(op, image, lang, params) -> Promise<{data}> (see core/pool.js). */
+export function setOcrBridge(fn) {
+  bridge = fn;
+}
+
+/**
+ * @param {{langPath?: string|null, scripts?: Object<string, string>, fallback?: string}} options
+ *   langPath: folder with <lang>.traineddata.gz (null: CDN only); scripts: merged into the
+ *   script -> packs table
+ */
+export function configureOcr({ langPath, scripts, fallback } = {}) {
+  if (langPath !== undefined) config.langPath = langPath;
+  if (scripts) Object.assign(config.scripts, scripts);
+  if (fallback) config.fallback = fallback;
+  remoteOnly.clear();
+}
+
+/**
+ * Recognize text in an image with a pooled worker.
+ * @param {Blob|ImageBitmap|HTMLCanvasElement} image
+ * @param {string} lang Tesseract language code(s), e.g. 'eng' or 'eng+deu'
+ * @param {Object} params Tesseract parameters (page segmentation mode, ...)
+ * @returns {Promise<{data: {text: string, confidence: number, words: Array<{text, bbox, confidence}>}}>}
+ */
+export async function recognize(image, lang = 'eng', params = {}) {
+  if (bridge) return bridge('recognize', image, lang, params);
+  if (!globalThis.Tesseract) throw new Error('OCR engine not loaded');
+  const engine = engineFor(lang);
+  const worker = await acquire(engine, lang);
+  let data;
+  try {
+    await worker.setParameters(params);
+    ({ data } = await worker.recognize(image));
+  } catch (e) {
+    // A worker that failed mid-job is not trusted again
+    engine.busy--;
+    worker.terminate().catch(() => {});
+    wake(engine);
+    throw e;
+  }
+  release(engine, worker);
+  return { data: { text: data.text || '', confidence: data.confidence, words: (data.words || []).map(w => ({ text: w.text, bbox: w.bbox, confidence: w.confidence })) } };
+}
+
+/**
+ * Script and orientation of the text in an image (Tesseract OSD).
+ * @returns {Promise<{data: {script: string|null, scriptConfidence: number, rotation: number, orientationConfidence: number, lang: string}}>}
+ *   rotation: clockwise quarter turn the content is in (as measureOrientation()); lang: the packs
+ *   for the script, or the fallback when detection fails (no 'osd' pack, too little text)
+ */
+export async function detectScript(image) {
+  if (bridge) return bridge('detect', image);
+  if (!globalThis.Tesseract) throw new Error('OCR engine not loaded');
+  let found = null;
+  const engine = engineFor('osd');
+  try {
+    const worker = await acquire(engine, 'osd');
+    try {
+      ({ data: found } = await worker.detect(image));
+    } finally {
+      release(engine, worker);
+    }
+  } catch (e) {
+    console.warn('OCR script detection unavailable', e);
+  }
+  if (!found || found.script === null) return { data: { script: null, scriptConfidence: 0, rotation: 0, orientationConfidence: 0, lang: config.fallback } };
+  return {
+    data: {
+      script: found.script,
+      scriptConfidence: found.script_confidence,
+      // orientation_degrees is the clockwise turn that makes the page upright
+      rotation: (360 - found.orientation_degrees) % 360,
+      orientationConfidence: found.orientation_confidence,
+      lang: (found.script_confidence >= SCRIPT_CONFIDENT && config.scripts[found.script]) || config.fallback
+    }
+  };
+}
+
+/** Shut every OCR worker down (e.g. before the page hides). */
+export async function terminateOcr() {
+  const all = [];
+  for (const engine of engines.values()) {
+    clearTimeout(engine.timer);
+    all.push(...engine.idle.splice(0).map(w => w.terminate().catch(() => {})));
+  }
+  engines.clear();
+  await Promise.all(all);
+}
+
+/* ---- worker bookkeeping ---- */
+
+function engineFor(lang) {
+  if (!engines.has(lang)) engines.set(lang, { idle: [], busy: 0, waiting: [], timer: null });
+  return engines.get(lang);
+}
+
+async function acquire(engine, lang) {
+  clearTimeout(engine.timer);
+  if (engine.idle.length) {
+    engine.busy++;
+    return engine.idle.pop();
+  }
+  if (engine.busy < OCR_WORKERS) {
+    engine.busy++;
+    try {
+      return await createEngine(lang);
+    } catch (e) {
+      engine.busy--;
+      wake(engine);
+      throw e;
+    }
+  }
+  await new Promise(resolve => engine.waiting.push(resolve));
+  return acquire(engine, lang);
+}
+
+// Local packs first; a pack missing there comes from the CDN from then on
+async function createEngine(lang) {
+  // OSD only exists for the legacy engine (OEM 0)
+  const [oem, legacy] = lang === 'osd' ? [0, { legacyCore: true, legacyLang: true }] : [1, {}];
+  if (config.langPath && !remoteOnly.has(lang)) {
+    try {
+      return await globalThis.Tesseract.createWorker(lang, oem, { ...legacy, langPath: config.langPath });
+    } catch (e) {
+      console.warn(`OCR language data for ${lang} not found in ${config.langPath}, using the CDN`, e);
+      remoteOnly.add(lang);
+    }
+  }
+  return globalThis.Tesseract.createWorker(lang, oem, legacy);
+}
+
+function release(engine, worker) {
+  engine.busy--;
+  engine.idle.push(worker);
+  wake(engine);
+  if (!engine.busy && !engine.waiting.length) {
+    engine.timer = setTimeout(() => {
+      engine.idle.splice(0).forEach(w => w.terminate().catch(() => {}));
+    }, IDLE_MS);
+  }
+}
+
+function wake(engine) {
+  const next = engine.waiting.shift();
+  if (next) next();
+}
@@ -0,0 +1,104 @@
+/**
+ * OCR PROBE
+ * A trial read of a page to judge legibility. The script and orientation are detected
+ * first (Tesseract OSD), so a Hindi or Spanish report is read with its own language packs
+ * and a sideways photo is read upright — otherwise a perfectly sharp page in the "wrong"
+ * language scores like a blurry one. Tesseract's page confidence is a mean that a few
+ * garbage words drag down; the probe reports the distribution instead (share of words
+ * below LOW_CONFIDENCE, median) and where the poorly read words cluster.
+ */
+
+import { recognize, detectScript } from './ocr.js';
+import { canRender, canvasToBlob, straightenCanvas } from './raster.js';
+
+const LOW_CONFIDENCE = 60; // word confidence (0–100) below which a word counts as poorly read
+const OSD_CONFIDENT = 2; // Tesseract orientation confidence worth acting on
+const MIN_WORDS = 5; // fewer words than this say nothing about legibility
+const REGION_WORDS = 3; // a third of the page needs this many words to be judged
+const REGION_SHARE = 0.5; // ...and at least this share of them poorly read
+const PARAMS = { tessedit_pageseg_mode: 6, preserve_interword_spaces: '1' };
+
+/**
+ * @param {Blob|HTMLCanvasElement|OffscreenCanvas} image the page (a canvas is encoded first)
+ * @param {{width: number, height: number, status?: {textContent: string}, where?: string}} options
+ *   width/height: the image size in pixels; where: status prefix, e.g. 'page 3'
+ * @returns {Promise<{script, lang, rotation, orientationConfidence, words: Object[], stats, regions: string[]}>}
+ *   words: {text, bbox, confidence} in the coordinates of the image as given; rotation: clockwise
+ *   quarter turn of the content (0 unless OSD is confident); stats: {words, low, lowShare, median}
+ */
+export async function ocrProbe(image, { width, height, status, where = '' } = {}) {
+  const say = t => { if (status) status.textContent = t; };
+  const suffix = where ? `, ${where}` : '';
+  const canvas = typeof image.getContext === 'function' ? image : null;
+  let blob = canvas ? await canvasToBlob(canvas) : image;
+  say(`OCR probe (detecting script${suffix})…`);
+  const { data: osd } = await detectScript(blob);
+  const rotation = osd.orientationConfidence >= OSD_CONFIDENT ? osd.rotation : 0;
+  let turned = 0;
+  if (rotation && canRender() && (canvas || typeof createImageBitmap === 'function')) {
+    const source = canvas || await createImageBitmap(blob);
+    blob = await canvasToBlob(straightenCanvas(source, width, height, { rotation }));
+    if (source.close) source.close();
+    turned = rotation;
+  }
+  say(`OCR probe (${osd.lang}${suffix})…`);
+  const { data } = await recognize(blob, osd.lang, PARAMS);
+  const words = (data.words || []).map(w => ({ text: w.text, bbox: unturn(w.bbox, turned, width, height), confidence: w.confidence }));
+  return { script: osd.script, lang: osd.lang, rotation, orientationConfidence: osd.orientationConfidence, words, stats: wordStats(words), regions: lowRegions(words, width, height) };
+}
+
+/**
+ * @param {Object} probe ocrProbe() result
+ * @param {{ocr_hi, ocr_mid, ocr_low_share_hi, ocr_low_share_mid}} W bonus when at most
+ *   ocr_low_share_hi (ocr_low_share_mid) of the words are poorly read
+ * @param {string} [where] prefix for messages, e.g. 'Page 3: '
+ * @returns {{score, msg: string[], det: string[]}}
+ */
+export function probeFindings(probe, W, where = '') {
+  const { stats, regions } = probe;
+  const msg = [], det = [];
+  let score = 0;
+  const script = probe.script ? `${probe.script}, ${probe.lang}` : probe.lang;
+  if (stats.words < MIN_WORDS) {
+    det.push(`${where}OCR (${script}): ${stats.words} word${stats.words === 1 ? '' : 's'} read — too few to judge legibility`);
+    return { score, msg, det };
+  }
+  const pct = v => `${Math.round(v * 100)}%`;
+  det.push(`${where}OCR (${script}${probe.rotation ? `, page rotated ${probe.rotation}°` : ''}): ${stats.words} words · ${pct(stats.lowShare)} below ${LOW_CONFIDENCE} · median ${Math.round(stats.median)}`);
+  if (stats.lowShare <= W.ocr_low_share_hi) score += W.ocr_hi;
+  else if (stats.lowShare <= W.ocr_low_share_mid) score += W.ocr_mid;
+  else msg.push(`${where}OCR probe: ${pct(stats.lowShare)} of words read with low confidence — focus/contrast might be weak (info only).`);
+  if (regions.length) msg.push(`${where}OCR probe: text is hard to read at the ${regions.join(', ')} of the page.`);
+  return { score, msg, det };
+}
+
+/* ---- helpers ---- */
+
+// Words with a letter or digit; punctuation and stray marks have meaningless confidences
+function wordStats(words) {
+  const conf = words.filter(w => /[\p{L}\p{N}]/u.test(w.text)).map(w => w.confidence).sort((a, b) => a - b);
+  const low = conf.filter(c => c < LOW_CONFIDENCE).length;
+  return { words: conf.length, low, lowShare: conf.length ? low / conf.length : 0, median: conf.length ? conf[Math.floor(conf.length / 2)] : 0 };
+}
+
+// Thirds of the page ("bottom left", "middle") where most words are poorly read
+function lowRegions(words, width, height) {
+  const cells = Array.from({ length: 9 }, () => ({ n: 0, low: 0 }));
+  for (const w of words) {
+    if (!/[\p{L}\p{N}]/u.test(w.text)) continue;
+    const cx = (w.bbox.x0 + w.bbox.x1) / 2 / width, cy = (w.bbox.y0 + w.bbox.y1) / 2 / height;
+    const cell = cells[Math.min(2, Math.max(0, Math.floor(cy * 3))) * 3 + Math.min(2, Math.max(0, Math.floor(cx * 3)))];
+    cell.n++;
+    if (w.confidence < LOW_CONFIDENCE) cell.low++;
+  }
+  const names = [['top left', 'top', 'top right'], ['left', 'middle', 'right'], ['bottom left', 'bottom', 'bottom right']];
+  return cells.map((c, i) => (c.n >= REGION_WORDS && c.low / c.n >= REGION_SHARE ? names[Math.floor(i / 3)][i % 3] : null)).filter(Boolean);
+}
+
+// A box in the upright copy back to the image as given (content turned `rotation`° clockwise)
+function unturn(b, rotation, width, height) {
+  if (rotation === 90) return { x0: width - b.y1, y0: b.x0, x1: width - b.y0, y1: b.x1 };
+  if (rotation === 180) return { x0: width - b.x1, y0: height - b.y1, x1: width - b.x0, y1: height - b.y0 };
+  if (rotation === 270) return { x0: b.y0, y0: height - b.x1, x1: b.y1, y1: height - b.x0 };
+  return { x0: b.x0, y0: b.y0, x1: b.x1, y1: b.y1 };
+}
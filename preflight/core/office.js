@@ -0,0 +1,328 @@
+/**
+ * OFFICE DOCUMENTS
+ * Opens the package behind a Word, Excel or OpenDocument file instead of reading only
+ * its text or its first sheet. OOXML (.docx/.xlsx and the macro-enabled .docm/.xlsm) and
+ * ODF (.odt/.ods) are ZIP packages whose parts are read here; 97–2003 files (.doc/.xls) and
+ * password-protected OOXML are OLE2 compound files, opened with SheetJS's CFB reader when
+ * it is loaded (stream names are still found without it).
+ * - documents: words, embedded pictures (a "document" that is only scanned pages),
+ *   tracked changes and comments
+ * - workbooks (SheetJS): every sheet, hidden sheets, merged cells, formula error values
+ *   and where the header row is
+ * Both report password protection and macros.
+ */
+
+const OLE_MAGIC = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+const OLE_STREAMS = ['EncryptedPackage', 'WordDocument', 'Workbook', 'Book', '_VBA_PROJECT'];
+const LABELS = { docx: 'Word document', odt: 'OpenDocument text', doc: 'Word 97–2003 document', xlsx: 'Excel workbook', ods: 'OpenDocument spreadsheet', xls: 'Excel 97–2003 workbook', ooxml: 'Office document' };
+const ERROR_CODES = { 0x00: '#NULL!', 0x07: '#DIV/0!', 0x0F: '#VALUE!', 0x17: '#REF!', 0x1D: '#NAME?', 0x24: '#NUM!', 0x2A: '#N/A', 0x2B: '#GETTING_DATA' };
+const ERROR_TEXT = /^#(NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|GETTING_DATA|SPILL!|CALC!)$/;
+const SCANNED_WORDS = 20; // pictures with less text than this are scanned pages
+const HEADER_ROWS = 10; // rows searched for the header
+const LISTED = 5; // sheets, ranges or cells named in one message
+
+/* ---- documents ---- */
+
+/**
+ * @param {File} file .docx, .docm, .odt or .doc
+ * @returns {Promise<{format, label, encrypted, macros, words: number|null, images, revisions: {insertions, deletions, tracking}, comments}>}
+ *   words: null where the text cannot be read (.doc)
+ */
+export async function inspectDocument(file) {
+  const pkg = await openPackage(new Uint8Array(await file.arrayBuffer()));
+  const doc = { format: pkg.format, label: LABELS[pkg.format] || 'Document', encrypted: pkg.encrypted, macros: pkg.macros, words: null, images: 0, revisions: { insertions: 0, deletions: 0, tracking: false }, comments: 0 };
+  if (pkg.encrypted) return doc;
+  const count = (xml, re) => (xml.match(re) || []).length;
+  if (pkg.format === 'docx') {
+    const xml = await pkg.read('word/document.xml');
+    // Runs split words ("Hel" + "lo"), so text is joined per paragraph; deleted text is <w:delText>
+    const text = xml.split(/<\/w:p>/).map(p => Array.from(p.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g), m => m[1]).join('')).join('\n');
+    doc.words = wordCount(text);
+    doc.images = Math.max(count(xml, /<w:drawing\b|<w:pict\b/g), pkg.names.filter(n => n.startsWith('word/media/')).length);
+    doc.revisions.insertions = count(xml, /<w:(ins|moveTo)\b/g);
+    doc.revisions.deletions = count(xml, /<w:(del|moveFrom)\b/g);
+    doc.revisions.tracking = /<w:trackRevisions\b(?![^>]*w:val="(0|false|off)")/.test(await pkg.read('word/settings.xml'));
+    doc.comments = count(await pkg.read('word/comments.xml'), /<w:comment\b/g);
+  } else if (pkg.format === 'odt') {
+    const xml = await pkg.read('content.xml');
+    const body = xml.replace(/<text:tracked-changes\b[\s\S]*?<\/text:tracked-changes>/g, '').replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '');
+    doc.words = wordCount(body.replace(/<text:(p|h)\b[^>]*>/g, '\n').replace(/<[^>]+>/g, ''));
+    doc.images = count(xml, /<draw:image\b/g);
+    doc.revisions.insertions = count(xml, /<text:insertion\b/g);
+    doc.revisions.deletions = count(xml, /<text:deletion\b/g);
+    doc.revisions.tracking = /config:name="RecordChanges"[^>]*>true</.test(await pkg.read('settings.xml'));
+    doc.comments = count(xml, /<office:annotation[\s>]/g);
+  }
+  return doc;
+}
+
+/**
+ * @param {Object} doc inspectDocument() result
+ * @param {{macro_penalty, scanned_penalty, tracked_changes_penalty}} W
+ * @returns {{penalty, msg: string[], det: string[]}}
+ */
+export function officeFindings(doc, W) {
+  const msg = [], det = [];
+  let penalty = 0;
+  const { insertions, deletions, tracking } = doc.revisions;
+  det.push(`Pictures: ${doc.images} · Tracked changes: ${insertions} insertions, ${deletions} deletions${tracking ? ' (tracking on)' : ''} · Comments: ${doc.comments}${doc.macros ? ' · Macros' : ''}`);
+  if (doc.macros) {
+    penalty += W.macro_penalty;
+    msg.push(macroMessage(doc));
+  }
+  if (doc.words !== null && doc.words < SCANNED_WORDS && doc.images) {
+    penalty += W.scanned_penalty;
+    msg.push(`Contains only scanned images (${doc.images} picture${doc.images > 1 ? 's' : ''}, ${doc.words} words of text) — upload the scans themselves as PDF or images so they can be checked, or a document with real text.`);
+  }
+  if (insertions + deletions) {
+    penalty += W.tracked_changes_penalty;
+    msg.push(`${insertions + deletions} tracked change${insertions + deletions > 1 ? 's' : ''} not accepted (${insertions} inserted, ${deletions} deleted) — accept or reject all changes so reviewers see the final text.`);
+  } else if (tracking) {
+    msg.push('Track Changes is on — turn it off before sharing the document.');
+  }
+  return { penalty, msg, det };
+}
+
+/* ---- workbooks ---- */
+
+/**
+ * Every sheet of a workbook. Needs SheetJS (globalThis.XLSX).
+ * @param {File} file .xlsx, .xlsm, .xls or .ods
+ * @returns {Promise<{format, label, encrypted, macros, wb, sheets: Object[]}>} wb: the SheetJS
+ *   workbook (null when encrypted); sheets: {name, hidden, ws, aoa, first, rows, cols, merges,
+ *   errors: [{addr, text}], header: {index, row, names}|null} — aoa: cell texts row by row from
+ *   sheet row `first` (1-based); rows: rows with content; header.index into aoa, header.row in the sheet
+ */
+export async function inspectWorkbook(file) {
+  const X = globalThis.XLSX;
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const pkg = await openPackage(bytes);
+  const book = { format: pkg.format, label: LABELS[pkg.format] || 'Workbook', encrypted: pkg.encrypted, macros: pkg.macros, wb: null, sheets: [] };
+  if (pkg.encrypted) return book;
+  try {
+    book.wb = X.read(bytes, { type: 'array' });
+  } catch (e) {
+    if (!/password|encrypt/i.test(e.message)) throw e;
+    book.encrypted = true;
+    return book;
+  }
+  const meta = (book.wb.Workbook && book.wb.Workbook.Sheets) || [];
+  book.sheets = book.wb.SheetNames.map((name, i) => sheetReport(X, name, book.wb.Sheets[name], meta[i] ? meta[i].Hidden || 0 : 0));
+  return book;
+}
+
+/** The sheet to score: the visible sheet with the most rows (null when there are no sheets). */
+export function mainSheet(book) {
+  const visible = book.sheets.filter(s => !s.hidden);
+  return (visible.length ? visible : book.sheets).reduce((best, s) => (!best || s.rows > best.rows ? s : best), null);
+}
+
+/**
+ * @param {Object} book inspectWorkbook() result
+ * @param {{macro_penalty, hidden_sheet_penalty, merged_cells_penalty, formula_error_penalty, header_penalty}} W
+ * @returns {{penalty, msg: string[], det: string[]}} each kind of problem costs its penalty once
+ */
+export function workbookFindings(book, W) {
+  const msg = [], det = [];
+  let penalty = 0;
+  const main = mainSheet(book);
+  const list = (items, fn) => items.slice(0, LISTED).map(fn).join(', ') + (items.length > LISTED ? '…' : '');
+  for (const s of book.sheets) {
+    det.push(`Sheet "${s.name}"${s.hidden ? ` (${s.hidden === 2 ? 'very hidden' : 'hidden'})` : ''}: ${s.rows} rows × ${s.cols} cols · header ${s.header ? `row ${s.header.row}` : 'not found'} · ${s.merges.length} merged ranges · ${s.errors.length} error values`);
+  }
+  if (book.macros) {
+    penalty += W.macro_penalty;
+    msg.push(macroMessage(book));
+  }
+  const hidden = book.sheets.filter(s => s.hidden);
+  if (hidden.length) {
+    penalty += W.hidden_sheet_penalty;
+    msg.push(`Hidden sheet${hidden.length > 1 ? 's' : ''} ${list(hidden, s => `"${s.name}"`)} — unhide or delete ${hidden.length > 1 ? 'them' : 'it'}; reviewers will not see what is there.`);
+  }
+  const merged = book.sheets.filter(s => s.merges.length);
+  if (merged.length) {
+    penalty += W.merged_cells_penalty;
+    merged.forEach(s => msg.push(`Merged cells on "${s.name}" (${list(s.merges, m => globalThis.XLSX.utils.encode_range(m))}) — unmerge them so every row carries its own values.`));
+  }
+  const broken = book.sheets.filter(s => s.errors.length);
+  if (broken.length) {
+    penalty += W.formula_error_penalty;
+    broken.forEach(s => msg.push(`${s.errors.length} error value${s.errors.length > 1 ? 's' : ''} on "${s.name}" (${list(s.errors, e => `${e.text} in ${e.addr}`)}) — fix the formulas or paste the values.`));
+  }
+  if (main && main.rows && !main.header) {
+    penalty += W.header_penalty;
+    msg.push(`No header row in the first ${HEADER_ROWS} rows of "${main.name}" — put the column names in row 1.`);
+  } else if (main && main.header && main.header.index > 0) {
+    penalty += W.header_penalty;
+    msg.push(`The header of "${main.name}" is on row ${main.header.row} — delete the title or note rows above it.`);
+  }
+  const others = book.sheets.filter(s => s !== main && !s.hidden && s.rows);
+  if (main && others.length) msg.push(`Only "${main.name}" is scored; ${list(others, s => `"${s.name}"`)} also ${others.length > 1 ? 'have' : 'has'} data — upload one table per file.`);
+  return { penalty, msg, det };
+}
+
+/* ---- both ---- */
+
+/** The result for a password-protected file: nothing in it can be checked. */
+export function lockedResult(report) {
+  return {
+    score: 10,
+    messages: [`${report.label} is password-protected — remove the password and upload it again; its contents cannot be checked.`],
+    details: [`Format: ${report.label} · encrypted`]
+  };
+}
+
+/**
+ * OLE2 stream names found in raw bytes (directory entries are UTF-16), for when the
+ * directory cannot be parsed — e.g. the sniffer's first 64 KB.
+ */
+export function oleStreamNames(bytes) {
+  return OLE_STREAMS.filter(name => hasUtf16(bytes, name));
+}
+
+function macroMessage(report) {
+  const isBook = ['xlsx', 'xls', 'ods'].includes(report.format);
+  const save = { docx: '.docx', doc: '.docx', odt: '.odt', xlsx: '.xlsx', xls: '.xlsx', ods: '.ods' }[report.format] || (isBook ? '.xlsx' : '.docx');
+  return `Macro-enabled ${isBook ? 'workbook' : 'document'} — save it as ${save} without macros before uploading.`;
+}
+
+/* ---- sheets ---- */
+
+function sheetReport(X, name, ws, hidden) {
+  const sheet = { name, hidden, ws, aoa: [], first: 1, rows: 0, cols: 0, merges: (ws && ws['!merges']) || [], errors: [], header: null };
+  if (!ws || !ws['!ref']) return sheet;
+  const range = X.utils.decode_range(ws['!ref']);
+  sheet.first = range.s.r + 1;
+  sheet.cols = range.e.c - range.s.c + 1;
+  for (const addr of Object.keys(ws)) {
+    if (addr[0] === '!') continue;
+    const cell = ws[addr];
+    const text = cell.t === 'e' ? cell.w || ERROR_CODES[cell.v] || '#ERROR' : cell.t === 's' && ERROR_TEXT.test(String(cell.v).trim()) ? String(cell.v).trim() : null;
+    if (text) sheet.errors.push({ addr, text });
+  }
+  sheet.aoa = X.utils.sheet_to_json(ws, { header: 1, defval: '', raw: false, blankrows: true });
+  sheet.rows = sheet.aoa.filter(r => r.some(v => String(v).trim())).length;
+  const index = findHeader(sheet.aoa);
+  if (index >= 0) sheet.header = { index, row: sheet.first + index, names: sheet.aoa[index].map(v => String(v).trim()) };
+  return sheet;
+}
+
+// The first row of distinct, mostly non-numeric names followed by a row about as wide;
+// title rows ("Results 2024") have a single cell and are skipped
+function findHeader(aoa) {
+  const filled = r => (aoa[r] || []).map(v => String(v).trim()).filter(Boolean);
+  for (let r = 0; r < Math.min(HEADER_ROWS, aoa.length); r++) {
+    const cells = filled(r);
+    if (cells.length < 2) continue;
+    const names = cells.filter(v => !/^[-+]?[\d.,\s]+%?$|^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(v));
+    if (names.length / cells.length < 0.8 || new Set(cells.map(v => v.toLowerCase())).size < cells.length) continue;
+    let next = r + 1;
+    while (next < aoa.length && !filled(next).length) next++;
+    if (next >= aoa.length || filled(next).length >= cells.length / 2) return r;
+  }
+  return -1;
+}
+
+/* ---- packages ---- */
+
+// {format, encrypted, macros, names, read(name) -> Promise<string>} for a ZIP or OLE2 file
+async function openPackage(bytes) {
+  if (OLE_MAGIC.every((b, i) => bytes[i] === b)) return openOle(bytes);
+  const entries = readZipDirectory(bytes);
+  const names = [...entries.keys()];
+  const read = async name => (entries.has(name) ? new TextDecoder().decode(await readZipEntry(bytes, entries.get(name))) : '');
+  let format = null;
+  if (entries.has('mimetype')) {
+    const type = await read('mimetype');
+    format = type.includes('opendocument.text') ? 'odt' : type.includes('opendocument.spreadsheet') ? 'ods' : null;
+  } else if (names.some(n => n.startsWith('word/'))) format = 'docx';
+  else if (names.some(n => n.startsWith('xl/'))) format = 'xlsx';
+  const encrypted = format === 'odt' || format === 'ods'
+    ? /<manifest:encryption-data\b/.test(await read('META-INF/manifest.xml'))
+    : [...entries.values()].some(e => e.encrypted);
+  const macros = names.some(n => /(^|\/)vbaProject\.bin$/i.test(n) || /^(Basic|Scripts)\/./.test(n));
+  return { format, encrypted, macros, names, read };
+}
+
+function openOle(bytes) {
+  const X = globalThis.XLSX;
+  const cfb = X && X.CFB ? X.CFB.read(bytes, { type: 'array' }) : null;
+  const names = cfb ? cfb.FileIndex.map(f => f.name) : oleStreamNames(bytes);
+  const stream = name => {
+    const entry = cfb && X.CFB.find(cfb, name);
+    return entry && entry.content ? Uint8Array.from(entry.content) : null;
+  };
+  let format = null, encrypted = false;
+  if (names.includes('EncryptedPackage')) {
+    // Password-protected .docx/.xlsx are wrapped in an OLE2 file
+    format = 'ooxml';
+    encrypted = true;
+  } else if (names.includes('WordDocument')) {
+    format = 'doc';
+    const fib = stream('WordDocument');
+    encrypted = !!fib && !!(fib[0x0B] & 0x01); // FibBase.fEncrypted
+  } else if (names.includes('Workbook') || names.includes('Book')) {
+    format = 'xls';
+    const globals = stream('Workbook') || stream('Book');
+    encrypted = !!globals && biffEncrypted(globals);
+  }
+  return { format, encrypted, macros: names.some(n => n.startsWith('_VBA_PROJECT')), names, read: async () => '' };
+}
+
+// A FILEPASS record before the end of the workbook globals
+function biffEncrypted(s) {
+  for (let pos = 0, n = 0; pos + 4 <= s.length && n < 64; n++) {
+    const type = s[pos] | (s[pos + 1] << 8), length = s[pos + 2] | (s[pos + 3] << 8);
+    if (type === 0x002F) return true;
+    if (type === 0x000A) break; // EOF
+    pos += 4 + length;
+  }
+  return false;
+}
+
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) { end = i; break; }
+  }
+  if (end < 0) throw new Error('Not a ZIP package (no central directory).');
+  const entries = new Map();
+  let pos = view.getUint32(end + 16, true);
+  for (let n = view.getUint16(end + 10, true); n > 0 && pos + 46 <= bytes.length && view.getUint32(pos, true) === 0x02014B50; n--) {
+    const nameLength = view.getUint16(pos + 28, true);
+    entries.set(new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength)), {
+      method: view.getUint16(pos + 10, true),
+      encrypted: !!(view.getUint16(pos + 8, true) & 0x01),
+      size: view.getUint32(pos + 20, true),
+      offset: view.getUint32(pos + 42, true)
+    });
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  return entries;
+}
+
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.size);
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`Unsupported ZIP compression (method ${entry.method}).`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function hasUtf16(bytes, text) {
+  const first = text.charCodeAt(0);
+  next: for (let i = bytes.indexOf(first); i >= 0; i = bytes.indexOf(first, i + 1)) {
+    for (let k = 1; k < text.length * 2; k++) {
+      if (bytes[i + k] !== (k & 1 ? 0 : text.charCodeAt(k >> 1))) continue next;
+    }
+    return true;
+  }
+  return false;
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(w => /[\p{L}\p{N}]/u.test(w)).length;
+}
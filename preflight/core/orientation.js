@@ -0,0 +1,68 @@
+/**
+ * PAGE ORIENTATION
+ * Skew (small angles) and rotation (90/180/270) of document images and rendered
+ * PDF pages, judged against a plugin's POLICY, plus the corrected file to upload.
+ * The estimators live in core/utils.js (estimateSkew, detectRotation).
+ */
+
+import { estimateSkew, detectRotation } from './utils.js';
+import { straightenImage, canRender } from './raster.js';
+
+// Below these confidences the estimate is noise (photos, empty pages, tables without lines)
+const MIN_SKEW_CONFIDENCE = 0.5;
+const MIN_ROTATION_CONFIDENCE = 0.5;
+
+/**
+ * Measure skew and rotation of a grayscale page.
+ * @returns {{angle: number, rotation: number, confident: boolean}}
+ *   angle: clockwise skew in degrees, rotation: clockwise quarter turns in degrees
+ */
+export function measureOrientation(gray, w, h) {
+  const skew = estimateSkew(gray, w, h);
+  const confident = skew.confidence >= MIN_SKEW_CONFIDENCE;
+  const rot = confident ? detectRotation(gray, w, h, skew) : { rotation: 0, confidence: 0 };
+  return {
+    angle: confident ? skew.angle : 0,
+    rotation: rot.confidence >= MIN_ROTATION_CONFIDENCE ? rot.rotation : 0,
+    confident
+  };
+}
+
+/**
+ * Penalties and messages for one page.
+ * @param {{angle, rotation, confident}} o measureOrientation() result
+ * @param {{skew_penalty, rotation_penalty, skew_tolerance}} W
+ * @returns {{penalty, msg: string[], det: string[], correction: {angle, rotation}|null}}
+ */
+export function orientationFindings(o, W) {
+  const det = [`Skew: ${o.confident ? `${o.angle.toFixed(1)}°` : 'n/a'} · Rotation: ${o.rotation}°`];
+  const msg = [];
+  let penalty = 0;
+  const skewed = Math.abs(o.angle) > W.skew_tolerance;
+  if (skewed) {
+    penalty += W.skew_penalty;
+    msg.push(`Page is skewed by ${o.angle.toFixed(1)}° — keep the page flat and aligned when scanning.`);
+  }
+  if (o.rotation) {
+    penalty += W.rotation_penalty;
+    msg.push(`Page is rotated ${o.rotation === 180 ? 'upside down' : `${o.rotation}°`} — turn it upright before uploading.`);
+  }
+  return { penalty, msg, det, correction: skewed || o.rotation ? { angle: skewed ? o.angle : 0, rotation: o.rotation } : null };
+}
+
+/** Offer for the card: the same image straightened. Only where a canvas can render it. */
+export function imageFix(file, correction) {
+  if (!correction || !canRender()) return null;
+  return {
+    id: 'deskew',
+    label: fixLabel(correction),
+    apply: () => straightenImage(file, correction)
+  };
+}
+
+export function fixLabel({ angle, rotation }) {
+  if (rotation && angle) return `Use rotated + deskewed copy (${rotation}°, ${angle.toFixed(1)}°)`;
+  if (rotation) return `Use rotated copy (${rotation}°)`;
+  return `Use deskewed copy (${angle.toFixed(1)}°)`;
+}
+
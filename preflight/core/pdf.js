@@ -0,0 +1,508 @@
+/**
+ * PDF PAGE INSPECTOR (PDF.js)
+ * Walks every page of a document instead of just page 1:
+ * - text layer, page size and orientation for all pages (cheap, no rendering)
+ * - render metrics (resolution, sharpness, contrast, ink, tile map) for a sample of pages
+ * - blank-page detection and mixed size / orientation findings
+ * Plugins score each rendered page with their own POLICY and combine the page
+ * scores with combinePageScores().
+ */
+
+import { toGrayscale, stddev, laplacianVariance, fixedName } from './utils.js';
+import { createCanvas, canRender, canvasToBlob, straightenCanvas } from './raster.js';
+import { measureOrientation, fixLabel } from './orientation.js';
+import { tileMap } from './tiles.js';
+
+/**
+ * Page sampling for large documents.
+ * - all:    render every page (ignores maxRendered)
+ * - head:   render the first maxRendered pages
+ * - spread: first, last and evenly spaced pages in between
+ */
+export const DEFAULT_SAMPLING = { strategy: 'spread', maxRendered: 12 };
+
+// Named paper sizes in PDF points (portrait), ±2%
+const PAPER = { A5: [420, 595], A4: [595, 842], Letter: [612, 792], Legal: [612, 1008], A3: [842, 1191], Tabloid: [792, 1224] };
+
+/**
+ * Page numbers (1-based) to render for a document of `count` pages.
+ * @param {number} count
+ * @param {{strategy?: string, maxRendered?: number}} sampling
+ */
+export function samplePages(count, sampling = DEFAULT_SAMPLING) {
+  const { strategy = 'spread', maxRendered = DEFAULT_SAMPLING.maxRendered } = sampling;
+  const max = Math.max(1, maxRendered | 0);
+  if (strategy === 'all' || count <= max) return Array.from({ length: count }, (_, i) => i + 1);
+  if (strategy === 'head') return Array.from({ length: max }, (_, i) => i + 1);
+  if (max === 1) return [1];
+  const picks = new Set();
+  for (let i = 0; i < max; i++) picks.add(1 + Math.round(i * (count - 1) / (max - 1)));
+  return [...picks].sort((a, b) => a - b);
+}
+
+/**
+ * Combine per-page scores into one document score.
+ * - worst:    the weakest page decides
+ * - mean:     plain average
+ * - weighted: average where each page weighs (101 - score), so weak pages pull harder
+ */
+export function combinePageScores(scores, rule = 'weighted') {
+  if (!scores.length) return 0;
+  if (rule === 'worst') return Math.min(...scores);
+  if (rule === 'mean') return scores.reduce((a, b) => a + b, 0) / scores.length;
+  let sum = 0, weights = 0;
+  for (const s of scores) { const w = 101 - s; sum += s * w; weights += w; }
+  return sum / weights;
+}
+
+/** "1–3, 7" style list of page numbers. */
+export function pageList(numbers) {
+  const out = [];
+  const sorted = [...numbers].sort((a, b) => a - b);
+  for (let i = 0; i < sorted.length; i++) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    out.push(j > i ? `${sorted[i]}–${sorted[j]}` : String(sorted[i]));
+    i = j;
+  }
+  return out.join(', ');
+}
+
+/** "Page 4" / "Pages 2–3, 7" */
+export function pagesLabel(numbers) {
+  return `Page${numbers.length > 1 ? 's' : ''} ${pageList(numbers)}`;
+}
+
+/** Paper name for a page size in points, or "W×H pt". */
+export function paperName(widthPt, heightPt) {
+  const [a, b] = [Math.min(widthPt, heightPt), Math.max(widthPt, heightPt)];
+  for (const [name, [w, h]] of Object.entries(PAPER)) {
+    if (Math.abs(a - w) / w <= 0.02 && Math.abs(b - h) / h <= 0.02) return name;
+  }
+  return `${Math.round(a)}×${Math.round(b)} pt`;
+}
+
+/**
+ * Inspect a PDF page by page.
+ * @param {File} file
+ * @param {{scale?: number, sampling?: Object, status?: {textContent: string}}} opts
+ * @returns {Promise<{pageCount, pages: Array, rendered: number[], renderError: string|null, layout: Object}>}
+ *   pages[i] = {n, widthPt, heightPt, orientation, paper, textChars, hasText,
+ *               rendered, width, height, megapx, lapVar, contrast, inkRatio, skew, tiles, blank}
+ *   skew = measureOrientation() result {angle, rotation, confident}; tiles = tileMap() result
+ */
+export async function inspectPdf(file, { scale = 2, sampling = DEFAULT_SAMPLING, status } = {}) {
+  const pdfjs = globalThis.pdfjsLib;
+  if (!pdfjs) throw new Error('PDF.js is not loaded');
+  const say = t => { if (status) status.textContent = t; };
+
+  say('Loading PDF.js…');
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const count = pdf.numPages;
+  const toRender = new Set(canRender() ? samplePages(count, sampling) : []);
+  const pages = [];
+  let renderError = canRender() ? null : 'canvas rendering unavailable';
+
+  try {
+    for (let n = 1; n <= count; n++) {
+      say(`Reading page ${n}/${count}…`);
+      const page = await pdf.getPage(n);
+      const base = page.getViewport({ scale: 1 });
+      const text = await page.getTextContent();
+      const textChars = (text.items || []).map(it => it.str || '').join(' ').replace(/\s+/g, ' ').trim().length;
+      const info = {
+        n,
+        widthPt: base.width,
+        heightPt: base.height,
+        orientation: base.width > base.height ? 'landscape' : 'portrait',
+        paper: paperName(base.width, base.height),
+        textChars,
+        hasText: textChars > 20,
+        rendered: false
+      };
+      if (toRender.has(n) && !renderError) {
+        try {
+          Object.assign(info, await renderMetrics(page, scale), { rendered: true });
+        } catch (e) {
+          renderError = e.message;
+        }
+      }
+      info.blank = info.rendered ? info.textChars === 0 && (info.inkRatio < 0.002 || info.contrast < 4) : false;
+      pages.push(info);
+      page.cleanup();
+    }
+  } finally {
+    pdf.destroy();
+  }
+
+  return { pageCount: count, pages, rendered: pages.filter(p => p.rendered).map(p => p.n), renderError, layout: layoutOf(pages) };
+}
+
+/**
+ * Render one page to a canvas (e.g. for an OCR probe of the weakest page).
+ * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+ */
+export async function renderPdfPage(file, n, scale = 2) {
+  const pdf = await globalThis.pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    return await drawPage(await pdf.getPage(n), scale);
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Small renders of the first pages (e.g. for perceptual hashes), each scaled to fit maxPixels.
+ * @returns {Promise<{pageCount: number, images: Array<{width, height, data}>}>}
+ */
+export async function renderPdfPreviews(file, { maxPages = 3, maxPixels = 250000 } = {}) {
+  const pdf = await globalThis.pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const images = [];
+  try {
+    for (let n = 1; n <= Math.min(maxPages, pdf.numPages); n++) {
+      const page = await pdf.getPage(n);
+      const base = page.getViewport({ scale: 1 });
+      const canvas = await drawPage(page, Math.sqrt(maxPixels / (base.width * base.height)));
+      images.push(canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height));
+      canvas.width = canvas.height = 0;
+      page.cleanup();
+    }
+    return { pageCount: pdf.numPages, images };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+async function drawPage(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+  await page.render({ canvasContext: canvas.getContext('2d', { willReadFrequently: true }), viewport }).promise;
+  return canvas;
+}
+
+async function renderMetrics(page, scale) {
+  const canvas = await drawPage(page, scale);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const gray = toGrayscale(img);
+  let ink = 0;
+  for (let i = 0; i < gray.length; i++) if (gray[i] < 200) ink++;
+  const metrics = {
+    width: canvas.width,
+    height: canvas.height,
+    megapx: (canvas.width * canvas.height) / 1e6,
+    lapVar: laplacianVariance(gray, canvas.width, canvas.height),
+    contrast: stddev(gray),
+    inkRatio: ink / gray.length,
+    skew: measureOrientation(gray, canvas.width, canvas.height),
+    tiles: tileMap(gray, canvas.width, canvas.height)
+  };
+  canvas.width = canvas.height = 0; // free the backing store before the next page
+  return metrics;
+}
+
+function layoutOf(pages) {
+  const papers = new Map();
+  for (const p of pages) papers.set(p.paper, (papers.get(p.paper) || []).concat(p.n));
+  const landscape = pages.filter(p => p.orientation === 'landscape').map(p => p.n);
+  const portrait = pages.filter(p => p.orientation === 'portrait').map(p => p.n);
+  return {
+    papers,
+    mixedSizes: papers.size > 1,
+    landscape,
+    portrait,
+    mixedOrientation: landscape.length > 0 && portrait.length > 0
+  };
+}
+
+/**
+ * Document-level findings shared by the plugins: blank pages, text layer coverage,
+ * mixed page sizes and orientations. Returns penalties (≤ 0) using the plugin's weights.
+ * @param {Object} doc inspectPdf() result
+ * @param {{blank_penalty, mixed_size_penalty, mixed_orientation_penalty, skew_penalty, rotation_penalty, skew_tolerance}} W
+ * @returns {{penalty, msg, det, corrections: Map<number, {angle, rotation}>}} corrections per page number
+ */
+export function documentFindings(doc, W) {
+  const msg = [], det = [];
+  let penalty = 0;
+  const { pages, layout } = doc;
+
+  det.push(`Pages: ${doc.pageCount} · rendered: ${doc.rendered.length ? pageList(doc.rendered) : 'none'}${doc.renderError ? ` (${doc.renderError})` : ''}`);
+
+  const withText = pages.filter(p => p.hasText).map(p => p.n);
+  const noText = pages.filter(p => !p.hasText && !p.blank).map(p => p.n);
+  const one = ns => ns.length === 1;
+  det.push(`Text layer: ${withText.length}/${pages.length} pages`);
+  if (withText.length && noText.length) msg.push(`${pagesLabel(noText)} ${one(noText) ? 'has' : 'have'} no text layer (scanned) — OCR will be required.`);
+
+  const blank = pages.filter(p => p.blank).map(p => p.n);
+  if (blank.length) {
+    det.push(`Blank pages: ${pageList(blank)}`);
+    penalty += Math.max(3 * W.blank_penalty, blank.length * W.blank_penalty);
+    msg.push(`${pagesLabel(blank)} ${one(blank) ? 'looks' : 'look'} blank — remove empty or separator pages.`);
+  }
+
+  det.push(`Page sizes: ${[...layout.papers].map(([name, ns]) => `${name} (${ns.length})`).join(', ')}`);
+  if (layout.mixedSizes) {
+    penalty += W.mixed_size_penalty;
+    msg.push('Mixed page sizes — re-scan or export all pages at the same paper size.');
+  }
+  if (layout.mixedOrientation) {
+    const minority = layout.landscape.length <= layout.portrait.length ? layout.landscape : layout.portrait;
+    const label = minority === layout.landscape ? 'landscape' : 'portrait';
+    det.push(`Orientation: ${layout.portrait.length} portrait, ${layout.landscape.length} landscape`);
+    penalty += W.mixed_orientation_penalty;
+    msg.push(`${pagesLabel(minority)} ${one(minority) ? 'is' : 'are'} ${label} — rotate ${one(minority) ? 'it' : 'them'} to match the rest of the document.`);
+  }
+
+  // Skew and upside-down / sideways content, on the rendered pages
+  const corrections = new Map();
+  const skewed = [], rotated = [];
+  for (const p of pages) {
+    if (!p.skew || p.blank) continue;
+    const angle = Math.abs(p.skew.angle) > W.skew_tolerance ? p.skew.angle : 0;
+    if (angle) skewed.push(p);
+    if (p.skew.rotation) rotated.push(p);
+    if (angle || p.skew.rotation) corrections.set(p.n, { angle, rotation: p.skew.rotation });
+  }
+  const angles = pages.filter(p => p.skew && p.skew.confident).map(p => `${p.n}: ${p.skew.angle.toFixed(1)}°`);
+  if (angles.length) det.push(`Skew by page: ${angles.join(', ')}`);
+  if (skewed.length) {
+    penalty += W.skew_penalty;
+    msg.push(`${pagesLabel(skewed.map(p => p.n))} ${one(skewed) ? 'is' : 'are'} skewed (${skewed.map(p => `${p.skew.angle.toFixed(1)}°`).join(', ')}) — keep pages flat and aligned when scanning.`);
+  }
+  if (rotated.length) {
+    penalty += W.rotation_penalty;
+    msg.push(`${pagesLabel(rotated.map(p => p.n))} ${one(rotated) ? 'is' : 'are'} rotated (${rotated.map(p => `${p.skew.rotation}°`).join(', ')}) — turn ${one(rotated) ? 'it' : 'them'} upright before uploading.`);
+  }
+  return { penalty, msg, det, corrections };
+}
+
+/**
+ * Offer for the card: a straightened copy of a scanned PDF. Pages are re-rendered as
+ * JPEG images, so it is only offered when no page has a text layer to lose.
+ */
+export function pdfFix(file, doc, corrections, scale = 2) {
+  if (!corrections.size || !canRender() || doc.pages.some(p => p.hasText)) return null;
+  const all = [...corrections.values()];
+  const label = all.length === 1 ? fixLabel(all[0]) : `Use straightened copy (${pagesLabel([...corrections.keys()]).toLowerCase()})`;
+  return { id: 'deskew', label, apply: () => straightenPdf(file, corrections, scale) };
+}
+
+/**
+ * Re-render every page, turning back the given corrections, into an image-only PDF.
+ * @param {Map<number, {angle, rotation}>} corrections
+ * @returns {Promise<File>} "<name>_deskewed.pdf"
+ */
+export async function straightenPdf(file, corrections, scale = 2) {
+  const pdf = await globalThis.pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const images = [];
+  try {
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const base = page.getViewport({ scale: 1 });
+      let canvas = await drawPage(page, scale);
+      const fix = corrections.get(n);
+      if (fix) canvas = straightenCanvas(canvas, canvas.width, canvas.height, fix);
+      const quarter = fix && (fix.rotation === 90 || fix.rotation === 270);
+      const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.9)).arrayBuffer());
+      images.push({ jpeg, width: canvas.width, height: canvas.height, widthPt: quarter ? base.height : base.width, heightPt: quarter ? base.width : base.height });
+      page.cleanup();
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return new File([jpegPagesToPdf(images)], fixedName(file.name, 'deskewed', 'pdf'), { type: 'application/pdf' });
+}
+
+/**
+ * Text runs of every page with their boxes, for searching the text layer.
+ * @returns {Promise<Array<{n, text, items: Array<{start, end, rect: number[]}>}>>}
+ *   text: the page's runs joined by spaces/newlines; start/end index into it;
+ *   rect: [x1, y1, x2, y2] in PDF user space
+ */
+export async function pdfTextRuns(file, { maxPages = 200 } = {}) {
+  const pdf = await globalThis.pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const pages = [];
+  try {
+    for (let n = 1; n <= Math.min(pdf.numPages, maxPages); n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      let text = '';
+      const items = [];
+      for (const it of content.items) {
+        if (!it.str) { if (it.hasEOL) text += '\n'; continue; }
+        const [, , c, d, e, f] = it.transform;
+        const size = Math.hypot(c, d) || it.height || 10;
+        items.push({ start: text.length, end: text.length + it.str.length, rect: [e, f - size * 0.25, e + (it.width || size * it.str.length * 0.5), f + size] });
+        text += it.str + (it.hasEOL ? '\n' : ' ');
+      }
+      pages.push({ n, text, items });
+      page.cleanup();
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return pages;
+}
+
+/**
+ * Re-render every page into an image-only PDF with regions painted black.
+ * @param {Map<number, Array<{rect?: number[], box?: {x, y, w, h}, scale?: number}>>} regions per page number
+ *   rect: PDF user space (pdfTextRuns); box: pixels of the page rendered at `scale` (OCR words)
+ * @returns {Promise<File>} "<name>_deidentified.pdf"
+ */
+export async function redactPdf(file, regions, scale = 2) {
+  const pdf = await globalThis.pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const images = [];
+  try {
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale });
+      const canvas = await drawPage(page, scale);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#000';
+      for (const r of regions.get(n) || []) {
+        if (r.rect) {
+          const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(r.rect);
+          ctx.fillRect(Math.min(x1, x2) - 1, Math.min(y1, y2) - 1, Math.abs(x2 - x1) + 2, Math.abs(y2 - y1) + 2);
+        } else if (r.box) {
+          const k = scale / (r.scale || scale);
+          ctx.fillRect(r.box.x * k - 1, r.box.y * k - 1, r.box.w * k + 2, r.box.h * k + 2);
+        }
+      }
+      const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.9)).arrayBuffer());
+      images.push({ jpeg, width: canvas.width, height: canvas.height, widthPt: base.width, heightPt: base.height });
+      canvas.width = canvas.height = 0;
+      page.cleanup();
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return new File([jpegPagesToPdf(images)], fixedName(file.name, 'deidentified', 'pdf'), { type: 'application/pdf' });
+}
+
+/** Minimal PDF 1.4 writer: one full-page DCT (JPEG) image per page. */
+export function jpegPagesToPdf(images) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const push = chunk => { const b = typeof chunk === 'string' ? enc.encode(chunk) : chunk; parts.push(b); length += b.length; };
+  const object = (id, dict, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${dict}\n`);
+    if (stream) { push('stream\n'); push(stream); push('\nendstream\n'); }
+    push('endobj\n');
+  };
+
+  push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  const kids = images.map((_, i) => 3 + i * 3);
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${images.length} >>`);
+  images.forEach((img, i) => {
+    const id = 3 + i * 3;
+    const w = img.widthPt.toFixed(2), h = img.heightPt.toFixed(2);
+    const content = enc.encode(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`);
+    object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+    object(id + 1, `<< /Length ${content.length} >>`, content);
+    object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.jpeg.length} >>`, img.jpeg);
+  });
+
+  const count = 3 + images.length * 3;
+  const xref = length;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+/**
+ * Minimal PDF 1.4 writer for text: A4 pages of lines in the standard Helvetica and
+ * Courier fonts, wrapped to the page width and paginated.
+ * @param {Array<{text: string, font?: 'regular'|'bold'|'mono', size?: number, gap?: number}>} lines
+ *   gap: extra space above the line, in points
+ * @returns {Blob} application/pdf
+ */
+export function textLinesToPdf(lines) {
+  const W = 595, H = 842, M = 48;
+  const FONTS = { regular: ['F1', 0.5], bold: ['F2', 0.55], mono: ['F3', 0.6] }; // resource, average glyph width (em)
+  const pages = [[]];
+  let y = H - M;
+  for (const line of lines) {
+    const [res, em] = FONTS[line.font] || FONTS.regular;
+    const size = line.size || 9;
+    const perLine = Math.max(10, Math.floor((W - 2 * M) / (size * em)));
+    const lead = size * 1.35;
+    wrapText(winAnsi(line.text), perLine).forEach((part, i) => {
+      const step = lead + (i === 0 ? line.gap || 0 : 0);
+      if (y - step < M) { pages.push([]); y = H - M; }
+      y -= step;
+      pages[pages.length - 1].push(`BT /${res} ${size} Tf ${M} ${y.toFixed(1)} Td (${part.replace(/[\\()]/g, '\\$&')}) Tj ET`);
+    });
+  }
+
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const push = s => { const b = latin1(s); parts.push(b); length += b.length; };
+  const object = (id, body) => { offsets[id] = length; push(`${id} 0 obj\n${body}\nendobj\n`); };
+
+  push('%PDF-1.4\n');
+  const fonts = [['Helvetica', 3], ['Helvetica-Bold', 4], ['Courier', 5]];
+  const kids = pages.map((_, i) => 6 + i * 2);
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  fonts.forEach(([name, id]) => object(id, `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`));
+  pages.forEach((ops, i) => {
+    const id = 6 + i * 2;
+    const content = ops.join('\n');
+    object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${id + 1} 0 R >>`);
+    object(id + 1, `<< /Length ${latin1(content).length} >>\nstream\n${content}\nendstream`);
+  });
+
+  const count = 6 + pages.length * 2;
+  const xref = length;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+// Map text onto the WinAnsi code page of the standard fonts (one byte per character)
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '™': 0x99 };
+const SPELLED = { '≥': '>=', '≤': '<=', '→': '->', '≠': '!=' };
+function winAnsi(text) {
+  let out = '';
+  for (const ch of String(text).replace(/[\r\n\t]+/g, ' ')) {
+    const code = ch.codePointAt(0);
+    if ((code >= 0x20 && code < 0x7F) || (code >= 0xA0 && code <= 0xFF)) out += ch;
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+    else if (SPELLED[ch]) out += SPELLED[ch];
+    else if (code > 0xFFFF || (code >= 0x2600 && code <= 0x27BF) || code === 0xFE0F) continue; // emoji and symbols
+    else out += '?';
+  }
+  return out.trim();
+}
+
+function latin1(s) {
+  const b = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) b[i] = s.charCodeAt(i) & 0xFF;
+  return b;
+}
+
+function wrapText(text, width) {
+  const out = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    for (let w = word; w.length;) {
+      if (!line && w.length > width) { out.push(w.slice(0, width)); w = w.slice(width); continue; }
+      if (line && line.length + 1 + w.length > width) { out.push(line); line = ''; continue; }
+      line = line ? `${line} ${w}` : w;
+      w = '';
+    }
+  }
+  if (line || !out.length) out.push(line);
+  return out;
+}
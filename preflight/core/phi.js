@@ -0,0 +1,592 @@
+/**
+ * PHI DETECTION AND DE-IDENTIFICATION
+ * Looks for patient identifiers — names, MRNs, dates of birth, phone numbers, SSNs,
+ * addresses, emails — where each format keeps them: PDF text layers and OCR words,
+ * CSV/XLSX cells, HL7 PID/NK1/GT1, FHIR Patient resources, DICOM patient tags and
+ * text burned into image corners. Findings go on the card as messages and details;
+ * the de-identify fix masks the values (or blanks the pixels) in a copy for upload.
+ *
+ * Free text is matched by labels ("DOB: ...", "MRN 12345") and by values with a shape
+ * (SSN, phone, email, street address). Unlabeled names are only found in structured
+ * fields and named columns. Names and IDs are replaced by stable pseudonyms
+ * ("Patient 1", "ID-0001") so rows of one patient stay together; dates of birth keep the year.
+ */
+
+import { csvStats, detectEncoding, detectDelimiter, fixedName, toGrayscale } from './utils.js';
+import { parseHl7, field, text as fieldText } from './hl7.js';
+import { readFhir, parseReference } from './fhir.js';
+import { parseDicom, dicomToGray, replaceStringValues } from './dicom.js';
+import { readImageData, canRender } from './raster.js';
+import { pdfTextRuns, redactPdf } from './pdf.js';
+import { findCornerText, blankImageRegions, blankDicomPixels } from './burnin.js';
+
+// type -> [label, plural]
+export const PHI_TYPES = {
+  name: ['name', 'names'],
+  mrn: ['MRN / patient ID', 'MRNs / patient IDs'],
+  dob: ['date of birth', 'dates of birth'],
+  phone: ['phone number', 'phone numbers'],
+  ssn: ['SSN', 'SSNs'],
+  address: ['address', 'addresses'],
+  email: ['email', 'emails'],
+  burnedIn: ['burned-in text region', 'burned-in text regions']
+};
+
+const MASK = '[REDACTED]';
+const MAX_FINDINGS = 500;
+const DICOM_HEAD_BYTES = 256 * 1024;
+
+/* -------------------------------------------------------------------------- */
+/*                                 FREE TEXT                                  */
+/* -------------------------------------------------------------------------- */
+
+// [type, pattern]; with a capture group only the group is the identifier
+const PATTERNS = [
+  ['name', /(?:\b[Pp]atient(?:[ \t]+[Nn]ame)?|\bPATIENT(?:[ \t]+NAME)?|\bPt\.?[ \t]+[Nn]ame|(?<![A-Za-z][ \t])\b(?:Name|NAME))[ \t]*:[ \t]*([A-Z][A-Za-z'-]+(?:,?[ \t](?![A-Za-z'-]+[ \t]*:)[A-Z][A-Za-z'-]*\.?){0,3})/dg],
+  ['mrn', /\b(?:MRN|M\.R\.N\.|medical[ \t]+record(?:[ \t]+(?:no\.?|number|#))?|patient[ \t]+(?:id|no\.?|number)|chart[ \t]+(?:no\.?|#)|hospital[ \t]+(?:no\.?|number)|NHS[ \t]+(?:no\.?|number))[ \t]*[:#]?[ \t]*([A-Z]{0,3}\d[\dA-Z-]{3,19})\b/dgi],
+  ['dob', /\b(?:DOB|D\.O\.B\.?|date[ \t]+of[ \t]+birth|birth[ \t]*date|born)[ \t]*[:#]?[ \t]*(\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}|\d{1,2}[ \t]+[A-Za-z]{3,9}\.?[ \t]+\d{4}|[A-Za-z]{3,9}\.?[ \t]+\d{1,2},?[ \t]+\d{4})/dgi],
+  ['ssn', /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/dg],
+  ['phone', /(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)[ .-]?|\b\d{3}[ .-])\d{3}[ .-]\d{4}\b/dg],
+  ['email', /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/dg],
+  ['address', /\b\d{1,6}[ \t]+(?:[A-Z][a-z]+\.?[ \t]+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Highway|Hwy)\b\.?(?:,?[ \t]+(?:Apt|Suite|Unit|#)[ \t]*\w+)?/dg],
+  ['address', /\b[A-Z][a-z]+(?:[ \t][A-Z][a-z]+)?,[ \t]+[A-Z]{2}[ \t]+\d{5}(?:-\d{4})?\b/dg],
+  ['address', /\b[A-Z]{1,2}\d[A-Z\d]?[ \t]+\d[A-Z]{2}\b/dg]
+];
+
+/**
+ * Identifiers in a piece of text.
+ * @returns {Array<{type: string, start: number, end: number, value: string}>} sorted, non-overlapping
+ */
+export function findPhi(text) {
+  if (!text) return [];
+  const spans = [];
+  for (const [type, re] of PATTERNS) {
+    re.lastIndex = 0;
+    for (let m; (m = re.exec(text));) {
+      const [start, end] = m.indices[1] || m.indices[0];
+      spans.push({ type, start, end, value: text.slice(start, end) });
+      if (m[0] === '') re.lastIndex++;
+    }
+  }
+  spans.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const out = [];
+  for (const s of spans) if (!out.length || s.start >= out[out.length - 1].end) out.push(s);
+  return out;
+}
+
+// Table columns that hold an identifier as a whole
+const COLUMNS = [
+  ['name', /^(patient[ _]?)?(full[ _]?)?name$|^(first|last|given|family|middle|sur)[ _]?name$|^(patient|surname|forename)$/i],
+  ['mrn', /^(mrn|medical[ _]?record([ _]?(no|number|#))?|patient[ _]?(id|no|number|identifier)|chart[ _]?(no|number)|nhs[ _]?(no|number))$/i],
+  ['dob', /^(dob|d\.o\.b\.?|date[ _]?of[ _]?birth|birth[ _]?date)$/i],
+  ['phone', /^(phone|telephone|tel|mobile|cell)([ _]?(no|number|#))?$/i],
+  ['ssn', /^(ssn|social[ _]?security([ _]?(no|number))?)$/i],
+  ['address', /^(address|street|addr(ess)?[ _]?(line)?[ _]?\d?|city|zip([ _]?code)?|post[ _]?code|postal[ _]?code)$/i],
+  ['email', /^e-?mail([ _]?address)?$/i]
+];
+
+/** PHI type of a table column from its header, or null. */
+export function phiColumn(header) {
+  const h = String(header || '').trim();
+  const hit = COLUMNS.find(([, re]) => re.test(h));
+  return hit ? hit[0] : null;
+}
+
+/**
+ * Replacement values for one file: names and IDs get stable pseudonyms, dates of
+ * birth keep the year, everything else becomes [REDACTED].
+ */
+export function createMasker() {
+  const seen = new Map();
+  const counters = { name: 0, mrn: 0 };
+  return (type, value) => {
+    const v = String(value === undefined || value === null ? '' : value).trim();
+    if (!v || isMasked(v, type)) return v;
+    if (type === 'dob') {
+      const year = /\b(1[89]\d\d|20\d\d)\b/.exec(v) || /^((?:1[89]|20)\d\d)/.exec(v);
+      return year ? year[1] : MASK;
+    }
+    if (type !== 'name' && type !== 'mrn') return MASK;
+    const key = `${type}:${v.toLowerCase()}`;
+    if (!seen.has(key)) {
+      const n = ++counters[type];
+      seen.set(key, type === 'name' ? `Patient ${n}` : `ID-${String(n).padStart(4, '0')}`);
+    }
+    return seen.get(key);
+  };
+}
+
+// What createMasker() leaves behind, so a de-identified copy scans clean. By type: a bare
+// year is only a masked date of birth (full dates, YYYY0101 included, are still PHI)
+const MASKED = {
+  any: /^(Patient[ ^]\d+|ID-\d{4,}|\[REDACTED\])$/,
+  dob: /^(1[89]|20)\d\d$/
+};
+
+function isMasked(value, type = null) {
+  const v = String(value).trim();
+  return MASKED.any.test(v) || (type === 'dob' && MASKED.dob.test(v));
+}
+
+function maskSpans(text, spans, mask) {
+  let out = text;
+  for (let i = spans.length - 1; i >= 0; i--) {
+    const s = spans[i];
+    out = out.slice(0, s.start) + mask(s.type, s.value) + out.slice(s.end);
+  }
+  return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  SCANNERS                                  */
+/* -------------------------------------------------------------------------- */
+
+/*
+ * Each scanner returns {findings, redact} or null when the format cannot be read here.
+ * finding = {type, where, value, count?}; redact() -> Promise<File|File[]>, or null when
+ * no copy can be produced in this environment.
+ */
+
+async function scanCsv(file) {
+  const findings = [];
+  const columns = new Map(); // column index -> {type, count, value}
+  let types = null;
+  const st = await csvStats(file, {
+    onRow: (fields, line, header) => {
+      if (!types) types = header.map(phiColumn);
+      fields.forEach((v, i) => {
+        if (!v.trim() || isMasked(v, types[i])) return;
+        if (types[i]) {
+          const col = columns.get(i) || { type: types[i], count: 0, value: v };
+          col.count++;
+          columns.set(i, col);
+          return;
+        }
+        for (const s of findPhi(v)) push(findings, { type: s.type, where: `line ${line}, ${header[i] || `column ${i + 1}`}`, value: s.value });
+      });
+    }
+  });
+  for (const [i, col] of columns) findings.unshift({ type: col.type, where: `column "${st.header[i]}"`, value: col.value, count: col.count });
+  return { findings, redact: () => redactCsv(file, st.header.map(phiColumn)) };
+}
+
+async function redactCsv(file, types) {
+  const head = new Uint8Array(await file.slice(0, 65536).arrayBuffer());
+  const delimiter = detectDelimiter(new TextDecoder(detectEncoding(head).encoding).decode(head));
+  const mask = createMasker();
+  const quote = v => (v.includes(delimiter) || /["\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const clean = (fields, colTypes) => fields.map((v, i) => (colTypes[i] ? mask(colTypes[i], v) : maskSpans(v, findPhi(v), mask)));
+  const lines = [];
+  const st = await csvStats(file, {
+    onRow: (fields, line, header) => {
+      if (!lines.length) lines.push(header.map(quote).join(delimiter));
+      lines.push(clean(fields, types).map(quote).join(delimiter));
+    }
+  });
+  if (!lines.length) lines.push(st.header.map(quote).join(delimiter));
+  return new File([lines.join('\n') + '\n'], fixedName(file.name, 'deidentified'), { type: 'text/csv' });
+}
+
+async function scanXlsx(file) {
+  const X = globalThis.XLSX;
+  if (!X) return null;
+  const wb = X.read(new Uint8Array(await file.arrayBuffer()), { type: 'array', cellDates: false });
+  const hits = []; // {ws, addr, type, spans?}
+  const findings = [];
+  for (const sheet of wb.SheetNames) {
+    const ws = wb.Sheets[sheet];
+    if (!ws || !ws['!ref']) continue;
+    const range = X.utils.decode_range(ws['!ref']);
+    const types = {};
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = ws[X.utils.encode_cell({ r: range.s.r, c })];
+      types[c] = cell ? phiColumn(cellText(cell)) : null;
+    }
+    const columns = {};
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const addr = X.utils.encode_cell({ r, c });
+        const cell = ws[addr];
+        const value = cell ? cellText(cell) : '';
+        if (!value.trim() || isMasked(value, types[c])) continue;
+        if (types[c]) {
+          hits.push({ ws, addr, type: types[c] });
+          columns[c] = columns[c] || { type: types[c], count: 0, value, header: cellText(ws[X.utils.encode_cell({ r: range.s.r, c })]) };
+          columns[c].count++;
+          continue;
+        }
+        const spans = findPhi(value);
+        if (!spans.length) continue;
+        hits.push({ ws, addr, spans });
+        spans.forEach(s => push(findings, { type: s.type, where: `${sheet}!${addr}`, value: s.value }));
+      }
+    }
+    Object.values(columns).forEach(col => findings.unshift({ type: col.type, where: `${sheet}, column "${col.header}"`, value: col.value, count: col.count }));
+  }
+  const redact = async () => {
+    const mask = createMasker();
+    for (const hit of hits) {
+      const cell = hit.ws[hit.addr];
+      const value = cellText(cell);
+      hit.ws[hit.addr] = { t: 's', v: hit.type ? mask(hit.type, value) : maskSpans(value, hit.spans, mask) };
+    }
+    const out = X.write(wb, { type: 'array', bookType: 'xlsx' });
+    return new File([out], fixedName(file.name, 'deidentified', 'xlsx'), { type: file.type || 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  };
+  return { findings, redact };
+}
+
+function cellText(cell) {
+  if (!cell) return '';
+  return String(cell.w !== undefined ? cell.w : cell.v !== undefined ? cell.v : '');
+}
+
+// Segment -> {field number: type}
+const HL7_FIELDS = {
+  PID: { 3: 'mrn', 4: 'mrn', 5: 'name', 6: 'name', 7: 'dob', 9: 'name', 11: 'address', 13: 'phone', 14: 'phone', 18: 'mrn', 19: 'ssn', 20: 'mrn' },
+  NK1: { 2: 'name', 4: 'address', 5: 'phone', 6: 'phone' },
+  GT1: { 3: 'name', 5: 'address', 6: 'phone', 7: 'phone', 8: 'dob', 12: 'ssn' }
+};
+// Free-text fields searched with findPhi()
+const HL7_NOTES = { NTE: [3], OBX: [5] };
+
+async function scanHl7(file) {
+  const source = await file.text();
+  const { messages } = parseHl7(source);
+  const findings = [];
+  const edits = []; // {segment, n, type} whole field, or {segment, n, spans}
+  for (const message of messages) {
+    for (const segment of message.segments) {
+      const where = n => `message ${message.index}, ${segment.name}-${n} (line ${segment.line})`;
+      for (const [n, type] of Object.entries(HL7_FIELDS[segment.name] || {})) {
+        const value = fieldText(segment, Number(n));
+        if (!value || isMasked(value, type)) continue;
+        edits.push({ segment, n: Number(n), type });
+        push(findings, { type, where: where(n), value });
+      }
+      if (segment.name === 'OBX' && !/^(TX|FT|ST)$/.test(field(segment, 2))) continue;
+      for (const n of HL7_NOTES[segment.name] || []) {
+        const spans = findPhi(field(segment, n));
+        if (!spans.length) continue;
+        edits.push({ segment, n, spans });
+        spans.forEach(s => push(findings, { type: s.type, where: where(n), value: s.value }));
+      }
+    }
+  }
+  return { findings, redact: async () => redactHl7(file, source, edits) };
+}
+
+function redactHl7(file, source, edits) {
+  const mask = createMasker();
+  const parts = source.split(/(\r\n|\r|\n)/); // text, separator, text, ...
+  const byLine = new Map();
+  edits.forEach(e => byLine.set(e.segment.line, (byLine.get(e.segment.line) || []).concat(e)));
+  for (const [line, list] of byLine) {
+    const enc = list[0].segment.encoding;
+    const fields = parts[(line - 1) * 2].split(enc.field);
+    for (const e of list) {
+      const raw = fields[e.n] || '';
+      if (e.spans) {
+        fields[e.n] = maskSpans(raw, e.spans, mask);
+      } else {
+        const plain = fieldText(e.segment, e.n);
+        fields[e.n] = escapeHl7(mask(e.type, e.type === 'dob' ? raw.split(enc.component)[0] : plain), enc);
+      }
+    }
+    parts[(line - 1) * 2] = fields.join(enc.field);
+  }
+  return new File([parts.join('')], fixedName(file.name, 'deidentified'), { type: file.type || 'text/plain' });
+}
+
+function escapeHl7(value, enc) {
+  const e = enc.escape;
+  return value.split('').map(ch => (ch === e ? `${e}E${e}` : ch === enc.field ? `${e}F${e}` : ch === enc.component ? `${e}S${e}` : ch === enc.repetition ? `${e}R${e}` : ch === enc.subcomponent ? `${e}T${e}` : ch)).join('');
+}
+
+const FHIR_PEOPLE = new Set(['Patient', 'RelatedPerson', 'Person']);
+const FHIR_FIELDS = { name: 'name', identifier: 'mrn', birthDate: 'dob', telecom: 'phone', address: 'address', contact: 'name', photo: 'name', text: 'name' };
+
+async function scanFhir(file) {
+  const findings = [];
+  const read = await readFhir(file, {
+    onResource: (resource, path) => {
+      if (FHIR_PEOPLE.has(resource.resourceType)) {
+        for (const [key, type] of Object.entries(FHIR_FIELDS)) {
+          const value = resource[key] === undefined ? '' : fhirValue(key, resource[key]);
+          if (value && !isMasked(value, type)) push(findings, { type, where: `${path}.${key}`, value });
+        }
+      }
+      if (resource.resourceType === 'Bundle') return; // entries are visited on their own
+      walkDisplays(resource, path, (node, at) => {
+        if (!isMasked(node.display)) push(findings, { type: 'name', where: `${at}.display`, value: node.display });
+      });
+    }
+  });
+  return { findings, redact: () => redactFhir(file, read.format) };
+}
+
+function fhirValue(key, value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (!first) return '';
+  if (key === 'name') return humanName(first);
+  if (key === 'identifier' || key === 'telecom') return first.value || '';
+  if (key === 'address') return first.text || [...[].concat(first.line || []), first.city, first.postalCode].filter(Boolean).join(' ');
+  if (key === 'contact') return humanName(first.name) || 'contact';
+  if (key === 'photo') return 'photo';
+  if (key === 'text') return String(first.div || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return typeof first === 'string' ? first : '';
+}
+
+function humanName(name) {
+  if (!name) return '';
+  return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ');
+}
+
+// References to a person that carry the person's name in "display"
+function walkDisplays(resource, path, onDisplay) {
+  const walk = (node, at, key) => {
+    if (Array.isArray(node)) { node.forEach((v, i) => walk(v, `${at}[${i}]`, key)); return; }
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.display === 'string' && typeof node.reference === 'string') {
+      const { type } = parseReference(node.reference);
+      if (FHIR_PEOPLE.has(type) || key === 'subject' || key === 'patient') onDisplay(node, at);
+    }
+    for (const [k, v] of Object.entries(node)) if (v && typeof v === 'object') walk(v, `${at}.${k}`, k);
+  };
+  walk(resource, path, '');
+}
+
+function redactResource(resource, mask) {
+  if (FHIR_PEOPLE.has(resource.resourceType)) {
+    if (resource.name) resource.name = [{ text: mask('name', humanName([].concat(resource.name)[0])) }];
+    if (Array.isArray(resource.identifier)) resource.identifier = resource.identifier.map(id => ({ ...id, value: mask('mrn', id.value) }));
+    if (resource.birthDate) resource.birthDate = mask('dob', resource.birthDate);
+    if (Array.isArray(resource.address)) {
+      resource.address = resource.address.map(a => {
+        const kept = {};
+        if (a.state) kept.state = a.state;
+        if (a.country) kept.country = a.country;
+        return kept;
+      });
+    }
+    delete resource.telecom;
+    delete resource.contact;
+    delete resource.photo;
+    delete resource.text;
+  }
+  if (resource.resourceType !== 'Bundle') walkDisplays(resource, '$', node => { node.display = mask('name', node.display); });
+  if (Array.isArray(resource.contained)) resource.contained.forEach(r => r && redactResource(r, mask));
+  return resource;
+}
+
+async function redactFhir(file, format) {
+  const mask = createMasker();
+  const source = (await file.text()).replace(/^\uFEFF/, '');
+  let out;
+  if (format === 'ndjson') {
+    out = source.split(/\r?\n/).map(line => {
+      if (!line.trim()) return line;
+      try {
+        return JSON.stringify(redactResource(JSON.parse(line), mask));
+      } catch {
+        return line;
+      }
+    }).join('\n');
+  } else {
+    const root = JSON.parse(source);
+    redactResource(root, mask);
+    if (root.resourceType === 'Bundle' && Array.isArray(root.entry)) root.entry.forEach(e => e && e.resource && redactResource(e.resource, mask));
+    out = JSON.stringify(root, null, 2);
+  }
+  return new File([out], fixedName(file.name, 'deidentified'), { type: file.type || 'application/fhir+json' });
+}
+
+// DICOM attributes that identify the patient: tag -> type
+const DICOM_TAGS = {
+  '00100010': 'name',
+  '00100020': 'mrn',
+  '00100030': 'dob',
+  '00100032': 'dob',
+  '00101000': 'mrn',
+  '00101001': 'name',
+  '00101040': 'address',
+  '00101060': 'name',
+  '00102154': 'phone',
+  '00080050': 'mrn'
+};
+
+async function scanDicom(files) {
+  const findings = [];
+  const tags = new Map(); // tag -> {type, count, value}
+  for (const file of files) {
+    const { elements } = parseDicom(await file.slice(0, DICOM_HEAD_BYTES).arrayBuffer(), { pixels: false });
+    for (const [tag, type] of Object.entries(DICOM_TAGS)) {
+      const el = elements.get(tag);
+      const value = el && Array.isArray(el.value) ? el.value.filter(Boolean).join('\\') : '';
+      if (!value || isMasked(value, type)) continue;
+      const hit = tags.get(tag) || { type, count: 0, value };
+      hit.count++;
+      tags.set(tag, hit);
+    }
+  }
+  for (const [tag, hit] of tags) {
+    findings.push({ type: hit.type, where: `(${tag.slice(0, 4)},${tag.slice(4)})${files.length > 1 ? ` in ${hit.count} of ${files.length} files` : ''}`, value: hit.value });
+  }
+
+  // Burned-in text: judged on the middle image, blanked in all of them
+  const probe = files[Math.floor(files.length / 2)];
+  const parsed = parseDicom(await probe.arrayBuffer());
+  let boxes = [];
+  if (parsed.pixel) {
+    const { gray } = dicomToGray(parsed.pixel, parsed.tags);
+    boxes = findCornerText(gray, parsed.pixel.cols, parsed.pixel.rows);
+    boxes.forEach(b => findings.push({ type: 'burnedIn', where: `${b.corner} corner (${b.w}×${b.h} px)`, value: '' }));
+  }
+
+  const redact = async () => {
+    const mask = createMasker();
+    const out = [];
+    for (const file of files) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const dataset = parseDicom(bytes, { pixels: false });
+      if (boxes.length) blankDicomPixels(bytes, dataset, boxes); // before values move
+      const values = new Map();
+      for (const [tag, type] of Object.entries(DICOM_TAGS)) {
+        const el = dataset.elements.get(tag);
+        const value = el && Array.isArray(el.value) ? el.value.filter(Boolean).join('\\') : '';
+        if (!value) continue;
+        let masked = mask(type, value);
+        // A DA value cannot hold a bare year, and YYYY0101 reads as a real date: birth dates and times are emptied
+        if (type === 'dob') masked = '';
+        values.set(tag, el.vr === 'PN' ? masked.replace(/ /g, '^') : masked);
+      }
+      out.push(new File([replaceStringValues(bytes, dataset, values)], fixedName(file.name, 'deidentified', 'dcm'), { type: 'application/dicom' }));
+    }
+    return files.length === 1 ? out[0] : out;
+  };
+  return { findings, redact };
+}
+
+async function scanImage(file, result) {
+  const findings = [];
+  let boxes = [];
+  if (result.ocr && result.ocr.words) {
+    boxes = wordHits(result.ocr.words, findings, '');
+  } else if (result.plugin === 'xray-plus' || result.plugin === 'med-imaging') {
+    const img = await readImageData(file);
+    const up = 1 / (img.scale || 1); // boxes in the file's own pixels when the read was scaled down
+    boxes = findCornerText(toGrayscale(img), img.width, img.height)
+      .map(b => ({ corner: b.corner, x: Math.floor(b.x * up), y: Math.floor(b.y * up), w: Math.ceil(b.w * up), h: Math.ceil(b.h * up) }));
+    boxes.forEach(b => findings.push({ type: 'burnedIn', where: `${b.corner} corner (${b.w}×${b.h} px)`, value: '' }));
+  }
+  const redact = canRender() && boxes.length ? async () => blankImageRegions(file, await readImageData(file, { maxPixels: Infinity }), boxes) : null;
+  return { findings, redact };
+}
+
+// OCR words -> text -> findPhi() spans -> pixel boxes of the words they cover
+function wordHits(words, findings, where) {
+  let text = '';
+  const at = [];
+  for (const w of words) {
+    at.push([text.length, text.length + w.text.length]);
+    text += `${w.text} `;
+  }
+  const boxes = [];
+  for (const s of findPhi(text)) {
+    push(findings, { type: s.type, where: where || 'image text', value: s.value });
+    words.forEach((w, i) => {
+      if (at[i][1] <= s.start || at[i][0] >= s.end || !w.bbox) return;
+      const { x0, y0, x1, y1 } = w.bbox;
+      boxes.push({ x: x0 - 2, y: y0 - 2, w: x1 - x0 + 4, h: y1 - y0 + 4 });
+    });
+  }
+  return boxes;
+}
+
+async function scanPdf(file, result) {
+  if (!globalThis.pdfjsLib) return null;
+  const findings = [];
+  const regions = new Map();
+  const add = (n, region) => regions.set(n, (regions.get(n) || []).concat(region));
+  for (const page of await pdfTextRuns(file)) {
+    for (const s of findPhi(page.text)) {
+      push(findings, { type: s.type, where: `page ${page.n}`, value: s.value });
+      page.items.filter(it => it.end > s.start && it.start < s.end).forEach(it => add(page.n, { rect: it.rect }));
+    }
+  }
+  const ocr = result.ocr;
+  if (ocr && ocr.words && ocr.page) {
+    wordHits(ocr.words, findings, `page ${ocr.page} (OCR)`).forEach(box => add(ocr.page, { box, scale: ocr.scale }));
+  }
+  const redact = canRender() && regions.size ? () => redactPdf(file, regions, 2) : null;
+  return { findings, redact };
+}
+
+function push(findings, finding) {
+  if (findings.length < MAX_FINDINGS) findings.push(finding);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  RESULTS                                   */
+/* -------------------------------------------------------------------------- */
+
+const SCANNERS = {
+  text: files => scanCsv(files[0]),
+  xlsx: files => scanXlsx(files[0]),
+  xls: files => scanXlsx(files[0]),
+  ods: files => scanXlsx(files[0]),
+  hl7: files => scanHl7(files[0]),
+  fhir: files => scanFhir(files[0]),
+  dicom: files => scanDicom(files),
+  pdf: (files, result) => scanPdf(files[0], result),
+  png: (files, result) => scanImage(files[0], result),
+  jpeg: (files, result) => scanImage(files[0], result),
+  webp: (files, result) => scanImage(files[0], result),
+  bmp: (files, result) => scanImage(files[0], result)
+};
+
+/**
+ * Scan the analyzed file(s) for PHI and add the findings to a plugin result.
+ * The score is not changed: identifiers are a question of where the file may go,
+ * not of its quality. Adds `phi: {counts, findings}` and a "deidentify" fix.
+ * @param {Object} result normalised plugin result (runPlugin/runGroup)
+ * @param {File[]} files what the plugin analyzed (one file, or a DICOM series)
+ * @param {string} kind sniffed content kind (core/sniff.js KINDS)
+ */
+export async function withPhi(result, files, kind) {
+  const scanner = SCANNERS[kind];
+  if (!scanner || !result.plugin) return result;
+  let scan;
+  try {
+    scan = await scanner(files, result);
+  } catch (e) {
+    return { ...result, details: [...result.details, `PHI scan skipped: ${e.message}`] };
+  }
+  if (!scan || !scan.findings.length) return { ...result, phi: { counts: {}, findings: [] } };
+
+  const counts = {};
+  scan.findings.forEach(f => { counts[f.type] = (counts[f.type] || 0) + (f.count || 1); });
+  const summary = Object.entries(counts).map(([type, n]) => `${n} ${PHI_TYPES[type][n === 1 ? 0 : 1]}`).join(', ');
+  const fixes = [...result.fixes];
+  if (scan.redact) fixes.push({ id: 'deidentify', label: 'Use de-identified copy', steps: ['deidentify'], apply: scan.redact });
+
+  return {
+    ...result,
+    messages: [
+      ...result.messages,
+      `Patient identifiers found (${summary}) — upload the de-identified copy unless the destination may hold PHI.`
+    ],
+    details: [
+      ...result.details,
+      `PHI findings (${scan.findings.length}${scan.findings.length >= MAX_FINDINGS ? '+' : ''}):`,
+      ...scan.findings.slice(0, 50).map(f => `  ${f.where}: ${PHI_TYPES[f.type][0]}${f.value ? ` "${hint(f.value)}"` : ''}${f.count > 1 ? ` (${f.count} cells)` : ''}`)
+    ],
+    fixes,
+    phi: { counts, findings: scan.findings.map(f => ({ ...f, value: hint(f.value) })) }
+  };
+}
+
+/** "John Smith" -> "J*** S****": enough to recognise the finding without repeating it. */
+function hint(value) {
+  return String(value || '').slice(0, 40).replace(/([A-Za-z0-9])([A-Za-z0-9]*)/g, (m, first, rest) => first + '*'.repeat(rest.length));
+}
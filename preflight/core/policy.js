@@ -0,0 +1,201 @@
+/**
+ * POLICY PROFILES
+ * Each plugin ships its scoring weights and accept/borderline thresholds as a POLICY
+ * object (exposed as plugin.policy). Those are the built-in profile. A policy profile
+ * is a JSON document (policies/*.json, schema in policies/policy.schema.json) that
+ * overrides them, so each deployment can be stricter or more lenient:
+ *
+ *   { "id": "strict", "version": "2026.03.1",
+ *     "defaults": { "thresholds": { "accept": 90, "borderline": 75 } },
+ *     "plugins":  { "labs": { "csv": { "rows_hi": 25 } } } }
+ *
+ * "defaults" applies to every plugin, then the plugin's own entry. Only keys the plugin
+ * already has can be set, with the same type. Applying a profile rewrites the plugins'
+ * POLICY objects in place (their code keeps reading POLICY.x), and applying another
+ * one — or the built-in profile — starts again from the shipped values.
+ * Every result records the {id, version} of the profile that scored it.
+ */
+
+export const BUILTIN_PROFILE = Object.freeze({ id: 'builtin', version: '1', description: 'Values shipped with each plugin' });
+
+const adopted = new Map(); // plugin name -> { plugin, surface, shipped }
+let active = BUILTIN_PROFILE;
+
+/**
+ * Called by the registry for every plugin it registers: remembers the shipped values
+ * and applies the active profile to the newcomer.
+ * @param {Object} plugin
+ * @param {{accept: number, borderline: number}} defaultThresholds used when the plugin declares none
+ */
+export function adoptPlugin(plugin, defaultThresholds) {
+  if (!plugin.thresholds) plugin.thresholds = { ...defaultThresholds };
+  const surface = plugin.policy && typeof plugin.policy === 'object' ? plugin.policy : { thresholds: plugin.thresholds };
+  if (surface.thresholds !== plugin.thresholds) surface.thresholds = plugin.thresholds;
+  adopted.set(plugin.name, { plugin, surface, shipped: clone(surface) });
+  overlay(surface, active, plugin.name);
+}
+
+/** The profile results are scored with now. */
+export function activeProfile() {
+  return { id: active.id, version: active.version, description: active.description || '' };
+}
+
+/** The active profile as it was applied (overrides only), e.g. to edit or save it. */
+export function getPolicyProfile() {
+  return clone(active);
+}
+
+/** "strict@2026.03.1" — how results and uploads name the profile. */
+export function profileLabel(profile = active) {
+  return `${profile.id}@${profile.version}`;
+}
+
+/**
+ * Check a profile against the schema rules and the registered plugins.
+ * @returns {{errors: string[], warnings: string[]}} messages carry JSON paths ($.plugins.labs.csv.rows_hi)
+ */
+export function validatePolicyProfile(profile) {
+  const errors = [];
+  const warnings = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return { errors: ['$: a profile must be a JSON object'], warnings };
+  if (typeof profile.id !== 'string' || !/^[A-Za-z0-9][\w.-]{0,63}$/.test(profile.id)) errors.push('$.id: required, letters/digits/._- (max 64)');
+  if (typeof profile.version !== 'string' || !profile.version.trim()) errors.push('$.version: required string (e.g. "2026.03.1")');
+  if (profile.description !== undefined && typeof profile.description !== 'string') errors.push('$.description: must be a string');
+  for (const key of Object.keys(profile)) {
+    if (!['$schema', 'id', 'version', 'description', 'defaults', 'plugins'].includes(key)) warnings.push(`$.${key}: unknown property, ignored`);
+  }
+
+  if (profile.defaults !== undefined) {
+    if (!isObject(profile.defaults)) errors.push('$.defaults: must be an object');
+    else {
+      for (const key of Object.keys(profile.defaults)) if (key !== 'thresholds') errors.push(`$.defaults.${key}: only "thresholds" can be set for every plugin`);
+      checkThresholds(profile.defaults.thresholds, '$.defaults.thresholds', errors);
+    }
+  }
+
+  if (profile.plugins !== undefined) {
+    if (!isObject(profile.plugins)) errors.push('$.plugins: must be an object keyed by plugin name');
+    else {
+      for (const [name, overrides] of Object.entries(profile.plugins)) {
+        const path = `$.plugins.${name}`;
+        if (!isObject(overrides)) { errors.push(`${path}: must be an object`); continue; }
+        const entry = adopted.get(name);
+        if (!entry) { warnings.push(`${path}: no plugin "${name}" is registered — kept for when it is`); continue; }
+        compareShape(entry.shipped, overrides, path, errors);
+        checkThresholds(overrides.thresholds, `${path}.thresholds`, errors);
+      }
+    }
+  }
+
+  // defaults + a plugin's own entry may each be fine and still cross over
+  if (!errors.length) {
+    for (const [name, { shipped }] of adopted) {
+      const t = { ...shipped.thresholds };
+      overlay({ thresholds: t }, { defaults: profile.defaults, plugins: { [name]: { thresholds: ((profile.plugins || {})[name] || {}).thresholds || {} } } }, name);
+      if (t.borderline > t.accept) errors.push(`$.plugins.${name}.thresholds: borderline ${t.borderline} is above accept ${t.accept} once the defaults apply`);
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Make a profile the active one. Throws when it does not validate (nothing is changed then).
+ * @param {Object} profile parsed JSON (BUILTIN_PROFILE restores the shipped values)
+ * @returns {{errors: string[], warnings: string[]}} warnings from validation
+ */
+export function applyPolicyProfile(profile) {
+  const report = validatePolicyProfile(profile);
+  if (report.errors.length) throw new Error(`Invalid policy profile: ${report.errors.join('; ')}`);
+  active = clone(profile);
+  for (const [name, { surface, shipped }] of adopted) {
+    restore(surface, shipped);
+    overlay(surface, active, name);
+  }
+  return report;
+}
+
+/**
+ * Read a profile from a URL (fetch), a File/Blob or a JSON string.
+ * @returns {Promise<Object>} the parsed profile (not yet applied)
+ */
+export async function loadPolicyProfile(source) {
+  let text;
+  if (typeof source === 'string' && !source.trim().startsWith('{')) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Policy profile ${source}: HTTP ${res.status}`);
+    text = await res.text();
+  } else {
+    text = typeof source === 'string' ? source : await source.text();
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Policy profile is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * The effective values of every registered plugin under the active profile, written as
+ * a complete profile — a starting point for editing or for a new customer profile.
+ */
+export function exportPolicyProfile() {
+  const plugins = {};
+  for (const [name, { surface }] of adopted) plugins[name] = clone(surface);
+  return { id: active.id, version: active.version, ...(active.description ? { description: active.description } : {}), plugins };
+}
+
+/* -------------------------------------------------------------------------- */
+
+function overlay(surface, profile, name) {
+  if (profile.defaults && profile.defaults.thresholds) merge(surface.thresholds, profile.defaults.thresholds);
+  const own = profile.plugins && profile.plugins[name];
+  if (own) merge(surface, own);
+}
+
+// Copy override values into target, keeping nested objects (and their identity)
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isObject(value) && isObject(target[key])) merge(target[key], value);
+    else if (key in target) target[key] = clone(value);
+  }
+}
+
+function restore(target, shipped) {
+  for (const [key, value] of Object.entries(shipped)) {
+    if (isObject(value) && isObject(target[key])) restore(target[key], value);
+    else target[key] = clone(value);
+  }
+}
+
+function compareShape(shipped, overrides, path, errors) {
+  for (const [key, value] of Object.entries(overrides)) {
+    const at = `${path}.${key}`;
+    if (!(key in shipped)) { errors.push(`${at}: not a setting of this plugin`); continue; }
+    const expected = shipped[key];
+    if (isObject(expected)) {
+      if (!isObject(value)) errors.push(`${at}: must be an object`);
+      else compareShape(expected, value, at, errors);
+    } else if (typeof value !== typeof expected) {
+      errors.push(`${at}: must be a ${typeof expected}`);
+    } else if (typeof value === 'number' && !isFinite(value)) {
+      errors.push(`${at}: must be a finite number`);
+    }
+  }
+}
+
+function checkThresholds(t, path, errors) {
+  if (t === undefined) return;
+  if (!isObject(t)) { errors.push(`${path}: must be an object`); return; }
+  for (const key of ['accept', 'borderline']) {
+    if (t[key] !== undefined && !(typeof t[key] === 'number' && t[key] >= 0 && t[key] <= 100)) errors.push(`${path}.${key}: must be a number from 0 to 100`);
+  }
+  if (typeof t.accept === 'number' && typeof t.borderline === 'number' && t.borderline > t.accept) errors.push(`${path}: borderline must not be above accept`);
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
@@ -0,0 +1,254 @@
+/**
+ * ANALYSIS POOL
+ * Runs analyses `concurrency` at a time. Built-in plugins run in module Web Workers
+ * (core/worker.js, OffscreenCanvas for decoding) so pixel loops never block the page;
+ * files that need page-only engines (PDF.js, SheetJS) or third-party plugins
+ * run on the page, sharing the same limit. Where workers are unavailable (no
+ * OffscreenCanvas, file:// pages) everything runs on the page.
+ *
+ * Each analysis gets a pixel budget from `memoryBudgetMB` (larger images are analyzed
+ * scaled down) and can be cancelled with an AbortSignal: a queued job is dropped, a
+ * running worker job stops with its worker. Fixes of worker results are applied by
+ * the worker that made them, or re-derived on the page when that worker is gone.
+ */
+
+import { BUILTIN_PLUGINS } from './builtins.js';
+import { getPlugin } from './registry.js';
+import { prepareFile, pluginFor, analyzePrepared, analyzePreparedGroup, rescore } from './route.js';
+import { getPolicyProfile } from './policy.js';
+import { setPixelBudget } from './raster.js';
+import { recognize, detectScript } from './ocr.js';
+
+const BYTES_PER_PIXEL = 16; // RGBA copy + grayscale + the plugins' working arrays
+const WORKER_KINDS = ['png', 'jpeg', 'webp', 'bmp', 'gif', 'dicom', 'text', 'hl7', 'fhir', 'json', 'docx', 'odt'];
+
+/**
+ * @param {{concurrency?: number, memoryBudgetMB?: number, workers?: boolean}} [options]
+ * @returns {{analyze: Function, analyzeGroup: Function, rescore: Function, concurrency: number}}
+ *   each returns a Promise of the normalised result; options {onStart, onStatus, onNotes, signal, mapping}
+ *   (onStart fires when the job leaves the queue)
+ */
+export function createAnalysisPool({ concurrency = defaultConcurrency(), memoryBudgetMB = 1024, workers = workersSupported() } = {}) {
+  const maxPixels = Math.floor(memoryBudgetMB * 1024 * 1024 / concurrency / BYTES_PER_PIXEL);
+  const queue = [];
+  const slots = []; // { worker, job }
+  let running = 0;
+  let seq = 0;
+  let useWorkers = workers;
+  setPixelBudget(maxPixels);
+
+  /**
+   * One prepared file ({file, sniff, effective}). opts.plugin analyzes it with that plugin;
+   * otherwise the job classifies the content and picks one.
+   */
+  function analyze(item, opts = {}) {
+    const chosen = opts.plugin || null;
+    const plugin = chosen ? getPlugin(chosen) : pluginFor(item);
+    const remote = useWorkers && inWorker(plugin, item.sniff.kind);
+    return submit({
+      remote,
+      message: { op: 'analyze', item, plugin: chosen },
+      inline: ui => analyzePrepared(item, ui, chosen)
+    }, opts);
+  }
+
+  /** A planBatch() group (DICOM series). */
+  function analyzeGroup(group, opts = {}) {
+    return submit({
+      remote: useWorkers && isBuiltin(group.plugin),
+      message: { op: 'group', group: { ...group, plugin: group.plugin.name } },
+      inline: ui => analyzePreparedGroup(group, ui)
+    }, opts);
+  }
+
+  /** Same as route.rescore(), through the pool. */
+  async function rescoreIn(pluginName, files, opts = {}, group = null) {
+    const kind = group ? 'dicom' : (await prepareFile(files)).sniff.kind;
+    return submit({
+      remote: useWorkers && inWorker(getPlugin(pluginName), kind),
+      message: { op: 'rescore', plugin: pluginName, files, group: group ? { ...group, plugin: group.plugin.name } : null },
+      inline: ui => rescore(pluginName, files, ui, group)
+    }, opts);
+  }
+
+  /* ---- scheduling ---- */
+
+  function submit(spec, { onStart, onStatus, onNotes, signal, mapping = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { ...spec, id: ++seq, onStart, onStatus, onNotes, mapping, resolve, reject, slot: null, cancelled: false };
+      if (signal) {
+        if (signal.aborted) return reject(cancelled());
+        signal.addEventListener('abort', () => cancel(job), { once: true });
+      }
+      queue.push(job);
+      pump();
+    });
+  }
+
+  function pump() {
+    while (running < concurrency && queue.length) start(queue.shift());
+  }
+
+  async function start(job) {
+    running++;
+    try {
+      if (job.onStart) job.onStart();
+      const result = job.remote ? await runRemote(job) : await runInline(job);
+      if (!job.cancelled) job.resolve(result);
+    } catch (e) {
+      if (!job.cancelled) job.reject(e);
+    } finally {
+      running--;
+      pump();
+    }
+  }
+
+  function cancel(job) {
+    if (job.cancelled) return;
+    job.cancelled = true;
+    const i = queue.indexOf(job);
+    if (i >= 0) queue.splice(i, 1);
+    if (job.slot) {
+      // Plugin pixel loops cannot be interrupted: stop the worker, a fresh one takes its place
+      job.slot.worker.terminate();
+      slots.splice(slots.indexOf(job.slot), 1);
+      job.slot.job = null;
+      job.slot.gone = true;
+      job.slot.calls.forEach(call => call({ gone: true }));
+      job.slot.finish(null);
+    }
+    job.reject(cancelled());
+  }
+
+  // On the page; a cancelled inline job finishes in the background and is ignored
+  async function runInline(job) {
+    return job.inline(uiFor(job));
+  }
+
+  function uiFor(job) {
+    return {
+      status: { set textContent(v) { if (job.onStatus && !job.cancelled) job.onStatus(String(v)); }, set innerHTML(v) { this.textContent = String(v).replace(/<[^>]*>/g, ''); } },
+      notes: { set textContent(v) { if (job.onNotes && !job.cancelled) job.onNotes(String(v)); } },
+      mapping: job.mapping
+    };
+  }
+
+  async function runRemote(job) {
+    let slot;
+    try {
+      slot = slots.find(s => !s.job) || spawn();
+    } catch (e) {
+      console.warn('Analysis workers unavailable, analyzing on the page', e);
+      useWorkers = false;
+      return runInline(job);
+    }
+    slot.job = job;
+    job.slot = slot;
+    const reply = await new Promise(resolve => {
+      slot.finish = resolve;
+      try {
+        slot.worker.postMessage({ type: 'run', id: job.id, ...job.message, mapping: job.mapping, policy: getPolicyProfile(), maxPixels, ocr: !!globalThis.Tesseract });
+      } catch (e) {
+        resolve({ type: 'local', message: e.message }); // something in the job cannot be copied to a worker
+      }
+    });
+    slot.job = null;
+    job.slot = null;
+    if (!reply) return null; // cancelled
+    if (reply.type === 'error') throw new Error(reply.message);
+    if (reply.type === 'local') return runInline(job);
+    if (reply.type === 'crash') {
+      if (reply.loaded) throw new Error('The analysis worker stopped — the file may be too large to analyze here.');
+      // Workers that cannot even load (blocked, unsupported) are not tried again
+      useWorkers = false;
+      return runInline(job);
+    }
+    return reply.result && withRemoteFixes(reply.result, slot, job);
+  }
+
+  function spawn() {
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    const slot = { worker, job: null, finish: null, calls: new Map(), gone: false, loaded: false };
+    worker.onmessage = ({ data: msg }) => onMessage(slot, msg);
+    worker.onerror = e => {
+      e.preventDefault();
+      console.error('Analysis worker failed', e.message || e);
+      slot.gone = true;
+      worker.terminate();
+      const i = slots.indexOf(slot);
+      if (i >= 0) slots.splice(i, 1);
+      if (slot.finish) slot.finish({ type: 'crash', loaded: slot.loaded });
+      slot.calls.forEach(call => call({ gone: true }));
+    };
+    slots.push(slot);
+    return slot;
+  }
+
+  function onMessage(slot, msg) {
+    const job = slot.job;
+    slot.loaded = true;
+    if (msg.type === 'status' && job && job.id === msg.id) { if (job.onStatus && !job.cancelled) job.onStatus(msg.text); }
+    else if (msg.type === 'notes' && job && job.id === msg.id) { if (job.onNotes && !job.cancelled) job.onNotes(msg.text); }
+    else if ((msg.type === 'done' || msg.type === 'error') && job && job.id === msg.id) slot.finish(msg);
+    else if (msg.type === 'fixed') {
+      const call = slot.calls.get(msg.id);
+      slot.calls.delete(msg.id);
+      if (call) call(msg);
+    } else if (msg.type === 'ocr') {
+      (msg.op === 'detect' ? detectScript(msg.image) : recognize(msg.image, msg.lang, msg.params)).then(
+        ({ data }) => slot.worker.postMessage({ type: 'ocr-result', id: msg.id, data }),
+        e => slot.worker.postMessage({ type: 'ocr-result', id: msg.id, error: e.message })
+      );
+    }
+  }
+
+  // fix.apply() asks the worker that holds the closure; if it is gone, the job is re-run
+  // on the page to get the fix back
+  function withRemoteFixes(result, slot, job) {
+    result.fixes = result.fixes.map(f => ({
+      ...f,
+      apply: async () => {
+        if (!slot.gone) {
+          const id = ++seq;
+          const reply = await new Promise(resolve => {
+            slot.calls.set(id, resolve);
+            slot.worker.postMessage({ type: 'fix', id, job: job.id, fix: f.id });
+          });
+          if (reply.error) throw new Error(reply.error);
+          if (!reply.gone) return reply.files;
+        }
+        const again = await job.inline(uiFor({ ...job, onStatus: null, onNotes: null }));
+        const local = again && again.fixes.find(x => x.id === f.id);
+        if (!local) throw new Error('This fix is no longer available — re-analyze the file.');
+        return local.apply();
+      }
+    }));
+    return result;
+  }
+
+  return { analyze, analyzeGroup, rescore: rescoreIn, concurrency };
+}
+
+function inWorker(plugin, kind) {
+  return isBuiltin(plugin) && WORKER_KINDS.includes(kind);
+}
+
+function isBuiltin(plugin) {
+  return !!plugin && BUILTIN_PLUGINS.includes(plugin);
+}
+
+function workersSupported() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+    typeof location !== 'undefined' && location.protocol !== 'file:';
+}
+
+function defaultConcurrency() {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+function cancelled() {
+  const err = new Error('Analysis cancelled');
+  err.cancelled = true;
+  return err;
+}
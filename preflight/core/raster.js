@@ -0,0 +1,173 @@
+/**
+ * RASTER ACCESS
+ * One way for plugins to get pixels and scratch canvases, in the browser or headless.
+ * - Browser: the native decoder (<img> / createImageBitmap) draws into a canvas.
+ * - Node / no DOM: pure-JS decoders in core/decoders (PNG, baseline JPEG, BMP).
+ * Images above the pixel budget are scaled down for analysis (the analysis pool sets the
+ * budget from its memory limit); fixes that re-encode a file read it at full size.
+ */
+
+import { loadImage, fixedName } from './utils.js';
+
+const hasDom = typeof document !== 'undefined' && typeof Image !== 'undefined';
+
+let pixelBudget = 40e6;
+let onDownsample = null;
+
+/**
+ * Largest image (in pixels) readImageData() hands out by default.
+ * @param {number} maxPixels
+ * @param {Function|null} listener called with {width, height, toWidth, toHeight} when an image is scaled down
+ */
+export function setPixelBudget(maxPixels, listener = null) {
+  pixelBudget = maxPixels;
+  onDownsample = listener;
+}
+
+/**
+ * Decode an image file to RGBA pixels, scaled down to fit the pixel budget.
+ * A scaled image carries `scale` (< 1) and its `sourceWidth` / `sourceHeight`.
+ * @param {{maxPixels?: number}} [opts] Infinity for full size
+ * @returns {Promise<{width, height, data: Uint8ClampedArray, scale?, sourceWidth?, sourceHeight?}>}
+ */
+export async function readImageData(file, { maxPixels = pixelBudget } = {}) {
+  const img = hasDom || typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined'
+    ? await readWithCanvas(file, maxPixels)
+    : fitBudget(await readWithDecoders(file), maxPixels);
+  // Only the budget is worth reporting; callers asking for a small copy know they get one
+  if (img.scale && maxPixels === pixelBudget && onDownsample) onDownsample({ width: img.sourceWidth, height: img.sourceHeight, toWidth: img.width, toHeight: img.height });
+  return img;
+}
+
+/**
+ * A 2D canvas of the given size: OffscreenCanvas when available, else a DOM canvas.
+ * Throws headless, where only pixel arrays are available.
+ */
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document !== 'undefined') {
+    const c = document.createElement('canvas');
+    c.width = width; c.height = height;
+    return c;
+  }
+  throw new Error('Canvas rendering is not available in this environment.');
+}
+
+export function canRender() {
+  return typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+}
+
+async function readWithCanvas(file, maxPixels) {
+  let source, width, height;
+  if (typeof createImageBitmap === 'function') {
+    try {
+      source = await createImageBitmap(file);
+      width = source.width; height = source.height;
+    } catch (e) {
+      source = null;
+    }
+  }
+  if (!source) {
+    if (!hasDom) throw new Error('Failed to load image.');
+    source = await loadImage(file);
+    width = source.naturalWidth; height = source.naturalHeight;
+  }
+  const s = budgetScale(width, height, maxPixels);
+  const w = Math.max(1, Math.round(width * s)), h = Math.max(1, Math.round(height * s));
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (s < 1) ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, w, h);
+  if (source.close) source.close();
+  const img = ctx.getImageData(0, 0, w, h);
+  return s < 1 ? scaled(img, width, height) : img;
+}
+
+function budgetScale(width, height, maxPixels) {
+  return width * height > maxPixels ? Math.sqrt(maxPixels / (width * height)) : 1;
+}
+
+function scaled(img, width, height) {
+  img.scale = img.width / width;
+  img.sourceWidth = width;
+  img.sourceHeight = height;
+  return img;
+}
+
+// Box-filter a decoded image down to the budget (headless decoders have no canvas to do it)
+function fitBudget(img, maxPixels) {
+  const s = budgetScale(img.width, img.height, maxPixels);
+  if (s >= 1) return img;
+  const w = Math.max(1, Math.floor(img.width * s)), h = Math.max(1, Math.floor(img.height * s));
+  const data = new Uint8ClampedArray(w * h * 4);
+  const fx = img.width / w, fy = img.height / h;
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y * fy), y1 = Math.max(y0 + 1, Math.floor((y + 1) * fy));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x * fx), x1 = Math.max(x0 + 1, Math.floor((x + 1) * fx));
+      const acc = [0, 0, 0, 0];
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const i = (yy * img.width + xx) * 4;
+          acc[0] += img.data[i]; acc[1] += img.data[i + 1]; acc[2] += img.data[i + 2]; acc[3] += img.data[i + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0), o = (y * w + x) * 4;
+      for (let c = 0; c < 4; c++) data[o + c] = acc[c] / n;
+    }
+  }
+  return scaled({ width: w, height: h, data }, img.width, img.height);
+}
+
+async function readWithDecoders(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) {
+    const { decodePng } = await import('./decoders/png.js');
+    return decodePng(bytes);
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    const { decodeJpeg } = await import('./decoders/jpeg.js');
+    return decodeJpeg(bytes);
+  }
+  if (bytes[0] === 0x42 && bytes[1] === 0x4D) {
+    const { decodeBmp } = await import('./decoders/bmp.js');
+    return decodeBmp(bytes);
+  }
+  throw new Error('Image format not decodable headless (PNG, JPEG and BMP are supported).');
+}
+
+/** Encode a canvas (DOM or Offscreen) to a Blob. */
+export async function canvasToBlob(canvas, type = 'image/png', quality) {
+  if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Canvas encode failed.'))), type, quality));
+}
+
+/**
+ * Draw a source (image, bitmap or canvas) turned back by its detected rotation and skew.
+ * Quarter turns swap width and height; uncovered corners are filled with `background`.
+ */
+export function straightenCanvas(source, width, height, { angle = 0, rotation = 0 }, background = '#fff') {
+  const quarter = rotation === 90 || rotation === 270;
+  const canvas = createCanvas(quarter ? height : width, quarter ? width : height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(-(rotation + angle) * Math.PI / 180);
+  ctx.drawImage(source, -width / 2, -height / 2);
+  return canvas;
+}
+
+/**
+ * Straightened copy of an image file, same format where the browser can encode it.
+ * @returns {Promise<File>} "<name>_deskewed.<ext>"
+ */
+export async function straightenImage(file, correction) {
+  const source = typeof createImageBitmap === 'function' ? await createImageBitmap(file) : await loadImage(file);
+  const width = source.naturalWidth || source.width, height = source.naturalHeight || source.height;
+  const canvas = straightenCanvas(source, width, height, correction);
+  if (source.close) source.close();
+  const type = /jpe?g/.test(file.type) || /\.jpe?g$/i.test(file.name) ? 'image/jpeg' : 'image/png';
+  const blob = await canvasToBlob(canvas, type, 0.92);
+  return new File([blob], fixedName(file.name, 'deskewed', type === 'image/jpeg' ? 'jpg' : 'png'), { type });
+}
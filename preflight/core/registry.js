@@ -0,0 +1,170 @@
+/**
+ * PLUGIN REGISTRY
+ * Holds every analyzer plugin (built-in and third-party), picks the one that
+ * should handle a file, runs its analyze() and turns the score into a verdict.
+ *
+ * A plugin is an object shaped like the ones in plugins/*:
+ *   { name, thresholds: {accept, borderline}, policy?, extensions: ['pdf', ...], analyze(file, ui) }
+ * policy is the plugin's POLICY object (weights, with thresholds inside it); policy
+ * profiles (core/policy.js) override its values in place.
+ * analyze() receives the UI contract { status, notes } (two elements whose
+ * textContent it may set) and resolves to { score, messages, details }.
+ * A result may also offer corrected versions of the file for upload:
+ *   fixes: [{ id, label, apply() -> Promise<File> }]
+ * Table plugins may report how they read the columns so the user can correct it:
+ *   mapping: { columns: [name], roles: [{ key, label }], assigned: { [role]: columnIndex|null } }
+ * The shell then re-runs analyze() with ui.mapping = the corrected { [role]: columnIndex|null }.
+ * Plugins that ran OCR may pass the words on for the PHI scan (core/phi.js):
+ *   ocr: { words: [{ text, bbox: {x0, y0, x1, y1} }], page?, scale? }  (page/scale for a rendered PDF page)
+ * Image and PDF plugins may pass a per-tile quality map for the card to draw over a thumbnail:
+ *   heatmap: core/tiles.js heatmap() result { label, cols, rows, thumb, layers: { sharpness, contrast, exposure } }
+ * After a plugin, the router adds a "deidentify" fix when patient identifiers are found;
+ * on a group it resolves to one File per member.
+ *
+ * Plugins that judge several files together (e.g. a DICOM series) may also provide
+ *   group(files) -> [{ key, label, files, ... }]  and  analyzeGroup(group, ui)
+ * Grouped files get one card for the whole group instead of one card each.
+ */
+
+import { adoptPlugin, activeProfile } from './policy.js';
+
+const DEFAULT_THRESHOLDS = { accept: 85, borderline: 70 };
+
+const entries = []; // { plugin, match, priority, order }
+let counter = 0;
+
+/**
+ * Register a plugin. Third-party plugins can pass a `match(file)` predicate
+ * and a higher `priority` to claim files before the built-ins do.
+ */
+export function registerPlugin(plugin, { match = null, priority = 0 } = {}) {
+  if (!plugin || typeof plugin.name !== 'string' || typeof plugin.analyze !== 'function') {
+    throw new TypeError('Plugin must have a name and an analyze(file, ui) function.');
+  }
+  unregisterPlugin(plugin.name);
+  adoptPlugin(plugin, DEFAULT_THRESHOLDS);
+  entries.push({ plugin, match, priority, order: counter++ });
+  entries.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+  return plugin;
+}
+
+export function unregisterPlugin(name) {
+  const i = entries.findIndex(e => e.plugin.name === name);
+  if (i >= 0) entries.splice(i, 1);
+}
+
+export function getPlugin(name) {
+  const e = entries.find(e => e.plugin.name === name);
+  return e ? e.plugin : null;
+}
+
+export function listPlugins() {
+  return entries.map(e => e.plugin);
+}
+
+/** True when the plugin declares it can read this file's extension (no list = anything). */
+export function supports(plugin, file) {
+  if (!Array.isArray(plugin.extensions)) return true;
+  return plugin.extensions.includes(extOf(file));
+}
+
+/**
+ * Choose the plugin for a file.
+ * 1. A plugin whose own match(file) claims it (highest priority first).
+ * 2. The preferred plugin name (routing hint from the shell), if it can read the file.
+ * 3. The first registered plugin that can read the file.
+ */
+export function pickPlugin(file, preferred) {
+  for (const e of entries) {
+    if (e.match && e.match(file) && supports(e.plugin, file)) return e.plugin;
+  }
+  const hinted = preferred ? getPlugin(preferred) : null;
+  if (hinted && supports(hinted, file)) return hinted;
+  const any = entries.find(e => supports(e.plugin, file));
+  return any ? any.plugin : null;
+}
+
+/** Map a score onto accept / borderline / reject using a plugin's thresholds. */
+export function verdictFor(score, thresholds = DEFAULT_THRESHOLDS) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  if (score >= t.accept) return 'accept';
+  if (score >= t.borderline) return 'borderline';
+  return 'reject';
+}
+
+/**
+ * Run a plugin over one file and normalise what it returns.
+ * Errors thrown by the plugin become a reject result instead of bubbling up.
+ */
+export async function runPlugin(plugin, file, ui) {
+  let raw;
+  try {
+    raw = await plugin.analyze(file, ui);
+  } catch (e) {
+    console.error(`[${plugin.name}]`, e);
+    raw = { score: 0, messages: [`Analyzer crashed: ${e.message}`], details: [] };
+  }
+  return normalize(plugin, raw);
+}
+
+/**
+ * Let grouping plugins claim files from a batch.
+ * @returns {Promise<{groups: Array<{plugin, key, label, files}>, rest: File[]}>}
+ */
+export async function groupFiles(files) {
+  let rest = [...files];
+  const groups = [];
+  for (const { plugin } of entries) {
+    if (typeof plugin.group !== 'function' || typeof plugin.analyzeGroup !== 'function') continue;
+    const candidates = rest.filter(f => supports(plugin, f));
+    if (!candidates.length) continue;
+    let claimed = [];
+    try {
+      claimed = (await plugin.group(candidates)) || [];
+    } catch (e) {
+      console.error(`[${plugin.name}] group()`, e);
+    }
+    for (const g of claimed) {
+      if (!g.files || !g.files.length) continue;
+      groups.push({ ...g, plugin });
+      rest = rest.filter(f => !g.files.includes(f));
+    }
+  }
+  return { groups, rest };
+}
+
+/** Group counterpart of runPlugin(). */
+export async function runGroup(group, ui) {
+  const { plugin } = group;
+  let raw;
+  try {
+    raw = await plugin.analyzeGroup(group, ui);
+  } catch (e) {
+    console.error(`[${plugin.name}]`, e);
+    raw = { score: 0, messages: [`Analyzer crashed: ${e.message}`], details: [] };
+  }
+  return normalize(plugin, raw);
+}
+
+function normalize(plugin, raw) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(plugin.thresholds || {}) };
+  const score = Math.max(0, Math.min(100, Math.round(Number(raw && raw.score) || 0)));
+  const profile = activeProfile();
+  return {
+    ...raw,
+    score,
+    messages: Array.isArray(raw && raw.messages) ? raw.messages : [],
+    details: Array.isArray(raw && raw.details) ? raw.details : [],
+    fixes: Array.isArray(raw && raw.fixes) ? raw.fixes : [],
+    plugin: plugin.name,
+    thresholds,
+    policy: { id: profile.id, version: profile.version },
+    verdict: verdictFor(score, thresholds)
+  };
+}
+
+function extOf(file) {
+  const name = (file && file.name) || '';
+  const i = name.lastIndexOf('.');
+  return i >= 0 ? name.slice(i + 1).toLowerCase() : '';
+}
@@ -0,0 +1,279 @@
+/**
+ * REMEDIATION ("Fix and upload")
+ * In-browser pixel fixes for images that score below accept:
+ * contrast normalization, CLAHE, flat-field (vignette) correction, dark-border
+ * cropping, grayscale conversion and downscaling of very large photos.
+ * Plugins pick the steps from what they measured (suggestRemedies) and offer the
+ * result as a fix (see the `fixes` contract in core/registry.js); the card re-scores
+ * the fixed file with the same plugin and shows before / after.
+ */
+
+import { toGrayscale, fixedName } from './utils.js';
+import { readImageData, createCanvas, canvasToBlob, canRender } from './raster.js';
+
+export const REMEDIES = {
+  crop: 'crop dark borders',
+  flatfield: 'flat-field correction',
+  clahe: 'CLAHE',
+  contrast: 'contrast normalization',
+  grayscale: 'grayscale',
+  downscale: 'downscale'
+};
+
+// Order the steps run in, whatever order a plugin lists them
+const ORDER = ['crop', 'downscale', 'flatfield', 'grayscale', 'clahe', 'contrast'];
+const DOWNSCALE_ABOVE = 6000; // long side in px ("very large photo")
+const DOWNSCALE_TO = 4000;
+
+/**
+ * Steps worth trying for an image, from metrics the plugin already computed.
+ * @param {{width, height, data}} img RGBA
+ * @param {Uint8ClampedArray} gray
+ * @param {{kind?: 'document'|'xray', lowContrast?: boolean, vignette?: number}} measured
+ * @returns {string[]} keys of REMEDIES
+ */
+export function suggestRemedies(img, gray, { kind = 'document', lowContrast = false, vignette = 0 } = {}) {
+  const steps = [];
+  const { width: w, height: h } = img;
+  if (darkBorders(gray, w, h)) steps.push('crop');
+  if (Math.max(w, h) > DOWNSCALE_ABOVE) steps.push('downscale');
+  if (kind === 'xray') {
+    if (vignette > 25) steps.push('flatfield');
+    if (lowContrast) steps.push('clahe');
+  } else {
+    if (isColor(img)) steps.push('grayscale');
+    if (lowContrast) steps.push('contrast');
+  }
+  return steps;
+}
+
+/**
+ * Offer for the card: the image with `steps` applied, re-encoded in its own format.
+ * @returns {{id, label, apply}|null} null when there is nothing to do or no canvas
+ */
+export function remedyFix(file, steps) {
+  if (!steps.length || !canRender()) return null;
+  const ordered = ORDER.filter(s => steps.includes(s));
+  return {
+    id: 'enhance',
+    label: `Fix: ${ordered.map(s => REMEDIES[s]).join(' + ')}`,
+    steps: ordered,
+    apply: async () => {
+      const out = applyRemedies(await readImageData(file, { maxPixels: Infinity }), ordered);
+      const canvas = createCanvas(out.width, out.height);
+      const ctx = canvas.getContext('2d');
+      const data = ctx.createImageData(out.width, out.height);
+      data.data.set(out.data);
+      ctx.putImageData(data, 0, 0);
+      const type = /jpe?g/.test(file.type) || /\.jpe?g$/i.test(file.name) ? 'image/jpeg' : 'image/png';
+      const blob = await canvasToBlob(canvas, type, 0.92);
+      return new File([blob], fixedName(file.name, 'fixed', type === 'image/jpeg' ? 'jpg' : 'png'), { type });
+    }
+  };
+}
+
+/**
+ * Run the steps on RGBA pixels.
+ * @param {{width, height, data: Uint8ClampedArray}} img
+ * @param {string[]} steps
+ * @returns {{width, height, data: Uint8ClampedArray}}
+ */
+export function applyRemedies(img, steps) {
+  let out = { width: img.width, height: img.height, data: new Uint8ClampedArray(img.data) };
+  for (const step of ORDER.filter(s => steps.includes(s))) {
+    if (step === 'crop') {
+      const box = darkBorders(toGrayscale(out), out.width, out.height);
+      if (box) out = crop(out, box);
+    } else if (step === 'downscale') {
+      out = downscale(out, DOWNSCALE_TO);
+    } else if (step === 'grayscale') {
+      const g = toGrayscale(out);
+      for (let i = 0, j = 0; j < g.length; i += 4, j++) out.data[i] = out.data[i + 1] = out.data[i + 2] = g[j];
+    } else {
+      const g = toGrayscale(out);
+      const mapped = step === 'flatfield' ? flatField(g, out.width, out.height)
+        : step === 'clahe' ? clahe(g, out.width, out.height)
+          : normalizeContrast(g);
+      applyLuminance(out, g, mapped);
+    }
+  }
+  return out;
+}
+
+/** Linear stretch of the 1st..99th percentile to 0..255. */
+export function normalizeContrast(g, lowPct = 0.01, highPct = 0.99) {
+  const hist = histogram(g);
+  const lo = percentile(hist, g.length, lowPct), hi = percentile(hist, g.length, highPct);
+  const out = new Uint8ClampedArray(g.length);
+  const span = Math.max(1, hi - lo);
+  for (let i = 0; i < g.length; i++) out[i] = ((g[i] - lo) * 255) / span;
+  return out;
+}
+
+/**
+ * Contrast-limited adaptive histogram equalization: per-tile equalization with the
+ * histogram clipped at `clip` × the mean bin count, bilinearly blended between tiles.
+ */
+export function clahe(g, w, h, { tiles = 8, clip = 3 } = {}) {
+  const tx = Math.max(1, Math.min(tiles, w >> 4)), ty = Math.max(1, Math.min(tiles, h >> 4));
+  const tw = w / tx, th = h / ty;
+  const maps = [];
+  for (let j = 0; j < ty; j++) {
+    for (let i = 0; i < tx; i++) {
+      const x0 = Math.floor(i * tw), x1 = Math.floor((i + 1) * tw), y0 = Math.floor(j * th), y1 = Math.floor((j + 1) * th);
+      const hist = new Float64Array(256);
+      for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) hist[g[y * w + x]]++;
+      const n = (x1 - x0) * (y1 - y0);
+      const limit = Math.max(1, (clip * n) / 256);
+      let excess = 0;
+      for (let k = 0; k < 256; k++) if (hist[k] > limit) { excess += hist[k] - limit; hist[k] = limit; }
+      const map = new Uint8ClampedArray(256);
+      let cdf = 0;
+      for (let k = 0; k < 256; k++) { cdf += hist[k] + excess / 256; map[k] = (cdf * 255) / n; }
+      maps.push(map);
+    }
+  }
+  const out = new Uint8ClampedArray(g.length);
+  for (let y = 0; y < h; y++) {
+    const fy = Math.min(ty - 1, Math.max(0, (y + 0.5) / th - 0.5));
+    const j0 = Math.floor(fy), j1 = Math.min(ty - 1, j0 + 1), wy = fy - j0;
+    for (let x = 0; x < w; x++) {
+      const fx = Math.min(tx - 1, Math.max(0, (x + 0.5) / tw - 0.5));
+      const i0 = Math.floor(fx), i1 = Math.min(tx - 1, i0 + 1), wx = fx - i0;
+      const v = g[y * w + x];
+      const top = maps[j0 * tx + i0][v] * (1 - wx) + maps[j0 * tx + i1][v] * wx;
+      const bottom = maps[j1 * tx + i0][v] * (1 - wx) + maps[j1 * tx + i1][v] * wx;
+      out[y * w + x] = top * (1 - wy) + bottom * wy;
+    }
+  }
+  return out;
+}
+
+/**
+ * Flat-field correction: divide by a heavily blurred copy (the illumination field)
+ * so dark corners come up to the level of the centre.
+ */
+export function flatField(g, w, h) {
+  // Estimate the field on a small copy; the blur radius is ~1/8 of the short side
+  const s = Math.max(1, Math.floor(Math.min(w, h) / 64));
+  const sw = Math.max(1, Math.floor(w / s)), sh = Math.max(1, Math.floor(h / s));
+  const small = new Float32Array(sw * sh);
+  for (let y = 0; y < sh; y++) for (let x = 0; x < sw; x++) small[y * sw + x] = g[Math.min(h - 1, y * s) * w + Math.min(w - 1, x * s)];
+  const field = boxBlur(boxBlur(small, sw, sh, Math.max(1, Math.round(Math.min(sw, sh) / 8))), sw, sh, Math.max(1, Math.round(Math.min(sw, sh) / 8)));
+  let mean = 0;
+  for (let i = 0; i < field.length; i++) mean += field[i];
+  mean /= field.length;
+  const out = new Uint8ClampedArray(g.length);
+  for (let y = 0; y < h; y++) {
+    const row = Math.min(sh - 1, Math.floor(y / s)) * sw;
+    for (let x = 0; x < w; x++) {
+      const f = Math.max(8, field[row + Math.min(sw - 1, Math.floor(x / s))]);
+      out[y * w + x] = (g[y * w + x] * mean) / f;
+    }
+  }
+  return out;
+}
+
+/**
+ * Bounding box of the content inside dark borders (scanner bed, film mask, black bars).
+ * @returns {{x, y, width, height}|null} null when no edge is dark or the box would be tiny
+ */
+export function darkBorders(g, w, h, threshold = 24) {
+  const rowMean = y => { let s = 0; for (let x = 0; x < w; x++) s += g[y * w + x]; return s / w; };
+  const colMean = x => { let s = 0; for (let y = 0; y < h; y++) s += g[y * w + x]; return s / h; };
+  let top = 0, bottom = h - 1, left = 0, right = w - 1;
+  while (top < bottom && rowMean(top) < threshold) top++;
+  while (bottom > top && rowMean(bottom) < threshold) bottom--;
+  while (left < right && colMean(left) < threshold) left++;
+  while (right > left && colMean(right) < threshold) right--;
+  const width = right - left + 1, height = bottom - top + 1;
+  // Ignore hairlines (< 1% of the side) and boxes that would throw most of the image away
+  const trimmed = top > h * 0.01 || h - 1 - bottom > h * 0.01 || left > w * 0.01 || w - 1 - right > w * 0.01;
+  if (!trimmed || width < w * 0.3 || height < h * 0.3) return null;
+  return { x: left, y: top, width, height };
+}
+
+function crop(img, { x, y, width, height }) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const from = ((y + row) * img.width + x) * 4;
+    data.set(img.data.subarray(from, from + width * 4), row * width * 4);
+  }
+  return { width, height, data };
+}
+
+/** Area-average downscale so the long side is at most `maxSide`. */
+function downscale(img, maxSide) {
+  const f = Math.max(img.width, img.height) / maxSide;
+  if (f <= 1) return img;
+  const width = Math.round(img.width / f), height = Math.round(img.height / f);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * f), y1 = Math.min(img.height, Math.max(y0 + 1, Math.floor((y + 1) * f)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * f), x1 = Math.min(img.width, Math.max(x0 + 1, Math.floor((x + 1) * f)));
+      const acc = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * img.width + sx) * 4;
+          acc[0] += img.data[i]; acc[1] += img.data[i + 1]; acc[2] += img.data[i + 2]; acc[3] += img.data[i + 3];
+        }
+      }
+      const n = (y1 - y0) * (x1 - x0), o = (y * width + x) * 4;
+      data[o] = acc[0] / n; data[o + 1] = acc[1] / n; data[o + 2] = acc[2] / n; data[o + 3] = acc[3] / n;
+    }
+  }
+  return { width, height, data };
+}
+
+// Scale RGB by new/old luminance so colour images keep their hue
+function applyLuminance(img, before, after) {
+  const d = img.data;
+  for (let i = 0, j = 0; j < before.length; i += 4, j++) {
+    if (before[j] === 0) { d[i] = d[i + 1] = d[i + 2] = after[j]; continue; }
+    const k = after[j] / before[j];
+    d[i] *= k; d[i + 1] *= k; d[i + 2] *= k;
+  }
+}
+
+function isColor(img) {
+  const d = img.data;
+  const step = Math.max(4, Math.floor(d.length / 4 / 50000) * 4);
+  let chroma = 0, n = 0;
+  for (let i = 0; i < d.length; i += step) {
+    chroma += Math.max(d[i], d[i + 1], d[i + 2]) - Math.min(d[i], d[i + 1], d[i + 2]);
+    n++;
+  }
+  return n > 0 && chroma / n > 12;
+}
+
+function histogram(g) {
+  const hist = new Float64Array(256);
+  for (let i = 0; i < g.length; i++) hist[g[i]]++;
+  return hist;
+}
+
+function percentile(hist, n, p) {
+  let acc = 0;
+  for (let k = 0; k < 256; k++) { acc += hist[k]; if (acc >= n * p) return k; }
+  return 255;
+}
+
+function boxBlur(src, w, h, r) {
+  const tmp = new Float32Array(src.length), out = new Float32Array(src.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let s = 0, n = 0;
+      for (let k = Math.max(0, x - r); k <= Math.min(w - 1, x + r); k++) { s += src[y * w + k]; n++; }
+      tmp[y * w + x] = s / n;
+    }
+  }
+  for (let x = 0; x < w; x++) {
+    for (let y = 0; y < h; y++) {
+      let s = 0, n = 0;
+      for (let k = Math.max(0, y - r); k <= Math.min(h - 1, y + r); k++) { s += tmp[k * w + x]; n++; }
+      out[y * w + x] = s / n;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,121 @@
+import { sniffFile, effectiveFile } from './sniff.js';
+import { pickPlugin, runPlugin, groupFiles, runGroup, getPlugin } from './registry.js';
+import { withPhi } from './phi.js';
+import { classifyContent, CONFIDENT } from './classify.js';
+
+/**
+ * Sniff a file and derive the File plugins should analyze.
+ * @returns {Promise<{file: File, sniff: Object, effective: File}>}
+ */
+export async function prepareFile(file) {
+  const sniff = await sniffFile(file);
+  return { file, sniff, effective: sniff.dangerous ? file : effectiveFile(file, sniff) };
+}
+
+/**
+ * UTILS: Routing hint
+ * Picks the preferred plugin name from the sniffed content, then from what the content
+ * classifier saw (when it is confident), then from whole words in the filename ("hand"
+ * matches hand_pa.jpg but not handout.jpg), then from a less certain classification.
+ * The registry falls back to another plugin when the preferred one cannot read the file type.
+ * @param {Object|null} [classification] classifyContent() result
+ */
+const XRAY_WORDS = ['xray', 'radiograph', 'cxr', 'hand', 'wrist', 'chest', 'bone'];
+const MED_WORDS = ['ct', 'mri', 'mr', 'ultrasound', 'us', 'axial', 'sagittal', 'coronal', 'radiology', 'dicom', 'series'];
+const LAB_WORDS = ['lab', 'labs', 'report', 'cbc', 'cmp', 'lipid', 'thyroid', 'blood', 'hl7', 'fhir', 'chemistry', 'haem', 'hematology', 'biochem', 'pathology'];
+
+export function determinePlugin(file, sniff, classification = null) {
+  const name = file.name.toLowerCase();
+  const tokens = name.replace(/x[- _]ray/g, 'xray').split(/[^a-z0-9]+/).filter(Boolean);
+  const words = new Set([...tokens, ...tokens.map(t => t.replace(/\d+/g, ''))]); // "cbc2024" also counts as "cbc"
+  const has = list => list.some(w => words.has(w));
+
+  // 0. Content decides when it is unambiguous
+  if (sniff.kind === 'hl7' || sniff.kind === 'fhir') return 'labs';
+  if (sniff.kind === 'dicom') return /^(CR|DX|DR|RG|MG)$/.test(sniff.modality || '') ? 'xray-plus' : 'med-imaging';
+  if (classification && classification.confidence >= CONFIDENT) return classification.plugin;
+
+  // 1. X-Ray Plus
+  if (has(XRAY_WORDS)) return 'xray-plus';
+
+  // 2. Med Imaging
+  if (has(MED_WORDS)) return 'med-imaging';
+
+  // 3. Labs
+  if (has(LAB_WORDS)) return 'labs';
+
+  // 4. Whatever the content suggested, however weakly
+  if (classification) return classification.plugin;
+  if (['text', 'xlsx', 'xls', 'ods'].includes(sniff.kind)) return 'labs'; // Spreadsheets likely labs
+
+  // 5. Default
+  return 'doc-ocr';
+}
+
+/**
+ * Split prepared files into plugin groups (DICOM series) and single files.
+ * Blocked files are always singles so they still get a (reject) result.
+ */
+export async function planBatch(items) {
+  const safe = items.filter(i => !i.sniff.dangerous);
+  const { groups, rest } = await groupFiles(safe.map(i => i.effective));
+  return { groups, singles: items.filter(i => i.sniff.dangerous || rest.includes(i.effective)) };
+}
+
+/**
+ * The plugin for a prepared file (null when blocked or unsupported), from its
+ * classification when it has one. Before classification this is the filename's choice.
+ */
+export function pluginFor({ file, sniff, effective, classification = null }) {
+  return sniff.dangerous ? null : pickPlugin(effective, determinePlugin(file, sniff, classification));
+}
+
+/**
+ * Analyze one prepared file: block dangerous content, classify it, pick a plugin, run it.
+ * @param {string} [pluginName] run this plugin instead of picking one (the user's choice
+ *   on the card, or a third-party plugin the page picked)
+ * @returns {Promise<Object>} normalised result (see registry.runPlugin) plus an optional `msg` headline
+ *   and `classification` ({plugin, label, confidence, reasons} or null)
+ */
+export async function analyzePrepared({ file, sniff, effective, classification = undefined }, ui, pluginName = null) {
+  // Executables and script content never reach a plugin
+  if (sniff.dangerous) {
+    return { score: 0, verdict: 'reject', plugin: null, messages: ['Only documents, images, tables and medical data files can be uploaded.'], details: [`Detected: ${sniff.dangerous}`], msg: `⛔ Blocked: ${sniff.dangerous}` };
+  }
+
+  if (classification === undefined && !pluginName) classification = await classifyContent(effective, sniff, ui);
+  const plugin = pluginName ? getPlugin(pluginName) : pluginFor({ file, sniff, effective, classification });
+  if (!plugin) {
+    return { score: 0, verdict: 'reject', plugin: null, messages: ['Consider uploading PDF/image/CSV/XLSX/ODS/DOCX/ODT/DICOM'], details: [], msg: `⚠️ ${sniff.label} — unsupported for analysis` };
+  }
+
+  const result = await withPhi(await runPlugin(plugin, effective, ui), [effective], sniff.kind);
+  if (sniff.mismatch) result.messages.unshift(`File extension .${sniff.declaredExt} does not match its content (${sniff.label}) — rename it before uploading.`);
+  result.classification = classification || null;
+  if (classification) result.details.push(`Content: ${classification.label} (${Math.round(classification.confidence * 100)}%${classification.reasons.length ? ` — ${classification.reasons.join('; ')}` : ''})`);
+  return result;
+}
+
+/** Analyze a plugin group (DICOM series) as one, then scan its files for patient identifiers. */
+export async function analyzePreparedGroup(group, ui) {
+  return withPhi(await runGroup(group, ui), group.files, 'dicom');
+}
+
+/**
+ * Re-score with the plugin that judged the original: a corrected copy from a fix,
+ * or the same file with ui.mapping set. A fix on a group returns one file per member.
+ * @param {string} pluginName result.plugin of the original
+ * @param {File|File[]} files
+ * @param {Object|null} group the planBatch() group the original came from
+ * @returns {Promise<Object|null>} null when the plugin is no longer registered
+ */
+export async function rescore(pluginName, files, ui, group = null) {
+  const plugin = getPlugin(pluginName);
+  if (!plugin) return null;
+  if (group) {
+    const members = [].concat(files);
+    return withPhi(await runGroup({ ...group, files: members }, ui), members, 'dicom');
+  }
+  const { sniff, effective } = await prepareFile(files);
+  return withPhi(await runPlugin(plugin, effective, ui), [effective], sniff.kind);
+}
@@ -1,9 +1,28 @@
-import { fmtSize, escapeHtml, loadImage } from './utils.js';
+import { fmtSize, escapeHtml } from './utils.js';
+import { listPlugins, supports } from './registry.js';
+import { registerBuiltins } from './builtins.js';
+import { prepareFile, planBatch } from './route.js';
+import { createAnalysisPool } from './pool.js';
+import { fingerprint, groupFingerprint, groupDuplicates, createHashHistory } from './duplicates.js';
+import { auditRecord, auditJson, auditCsv, auditPdf, auditFileName } from './audit.js';
+import { BUILTIN_PROFILE, applyPolicyProfile, validatePolicyProfile, loadPolicyProfile, getPolicyProfile, profileLabel } from './policy.js';
+import { uploadToBackend, isApiConfigured, getUploadQueue } from '../integrate_APIs/api_connector.js';
+
+// Built-in plugins (third-party plugins call registerPlugin from core/registry.js the same way)
+registerBuiltins();
+restorePolicy();
+
+// Analyses run a few at a time, in workers where possible (see core/pool.js)
+const pool = createAnalysisPool();
+// Fingerprints of earlier sessions, to flag files dropped again (see core/duplicates.js)
+const hashHistory = createHashHistory();
 
 // DOM Elements
 const drop = document.getElementById('drop');
 const fileInput = document.getElementById('file');
 const filesDiv = document.getElementById('files');
+const cards = []; // every card created, so a policy change can re-score them
+const session = new Map(); // card -> its latest audit record (kept when the card is closed)
 
 // Event Listeners
 drop.addEventListener('click', () => fileInput.click()); // Zone click triggers input
@@ -18,271 +37,746 @@ fileInput.addEventListener('change', async e => { await handleFiles(e.target.fil
 
 /**
  * Main File Handler
- * Step 1 (Detect): Iterate through files and route them.
+ * Step 1 (Sniff): Detect real content from magic bytes; block executables/scripts.
+ * Step 2 (Group): Plugins that judge files together (DICOM series) claim theirs first.
+ * Step 3 (Detect): Route the remaining files; every card appears at once and the pool
+ * analyzes them `pool.concurrency` at a time.
  */
 async function handleFiles(fileList) {
+  const items = [];
   for (const file of fileList) {
-    await analyzeFile(file);
+    items.push(await prepareFile(file));
   }
+
+  const { groups, singles } = await planBatch(items);
+  await Promise.all([...groups.map(analyzeGroup), ...singles.map(analyzeFile)]);
 }
 
 /**
- * FILE ROUTER & ANALYZER
- * Routes to: Image Logic, PDF Logic, or Spreadsheet Logic
+ * GROUP ANALYZER
+ * One card for a whole group (e.g. a CT series) instead of one per slice
  */
-async function analyzeFile(file) {
-  // 1. UI CARD
-  const ui = createCard(file);
-  const statusEl = ui.element.querySelector('.status-text');
-  const detailsEl = ui.element.querySelector('.details');
+async function analyzeGroup(group) {
+  const size = group.files.reduce((a, f) => a + f.size, 0);
+  const ui = createCard({ name: group.label, size }, group.files);
+  ui.group = group;
   document.getElementById('files').prepend(ui.element);
 
   try {
-    statusEl.innerHTML = `<span style="color:var(--muted)">analyzing with WebAssembly engines...</span>`;
-
-    // 2. ROUTE by file type
-    const lowName = file.name.toLowerCase();
-    const type = file.type;
-    const tag = determinePlugin(file); // Determine tag (xray, labs, etc)
+    const result = await pool.analyzeGroup(group, analysisOptions(ui, `analyzing ${group.files.length} files as one series...`));
+    renderResult(ui, result);
+    checkDuplicates(ui, () => groupFingerprint(group.label, group.files));
+  } catch (err) {
+    renderFailure(ui, err);
+  }
+}
 
-    let result = { valid: false, msg: "Unknown file type" };
+/**
+ * FILE ROUTER & ANALYZER
+ * Routes each file through the plugin registry to the matching plugin's analyze()
+ */
+async function analyzeFile(item) {
+  // 1. UI CARD
+  const ui = createCard(item.file, null, item.effective);
+  ui.item = item;
+  ui.sniffInfo = item.sniff;
+  document.getElementById('files').prepend(ui.element);
+  renderSniff(ui, item.sniff);
 
-    if (type.includes('image/') || /\.(jpg|jpeg|png|webp|bmp)$/i.test(lowName)) {
-      result = await checkImage(file, tag);
-    }
-    else if (type === 'application/pdf' || /\.pdf$/i.test(lowName)) {
-      result = await checkPdf(file, tag);
-    }
-    else if (
-      lowName.endsWith('.csv') ||
-      lowName.endsWith('.xlsx') ||
-      lowName.endsWith('.xls') ||
-      type.includes('spreadsheet') || type.includes('excel') || type.includes('csv')
-    ) {
-      result = await checkSpreadsheet(file, tag);
-    }
-    else {
-      // Fallback
-      result = { valid: false, score: 0, msg: "⚠️ File Type Unsupported for analysis", tag };
-    }
+  try {
+    // 2. ROUTE & ANALYZE (blocked content never reaches a plugin; plugins report status and notes)
+    const result = await pool.analyze(item, analysisOptions(ui, 'analyzing with WebAssembly engines...'));
 
     // 3. UPDATE FEEDBACK
-    renderResult(statusEl, detailsEl, result, ui.btn);
+    ui.classification = result.classification || null;
+    renderResult(ui, result);
+    renderClassification(ui);
+    checkDuplicates(ui, () => fingerprint(item.file, item.sniff));
 
   } catch (err) {
-    console.error(err);
-    renderResult(statusEl, detailsEl, { valid: false, score: 0, msg: `❌ Crashed: ${err.message}` }, ui.btn);
+    renderFailure(ui, err);
   }
 }
 
+/**
+ * Pool options for a card: progress goes to its status/notes, and its Cancel button
+ * (shown until the analysis ends) aborts the job, queued or running.
+ */
+function analysisOptions(ui, startText) {
+  const controller = new AbortController();
+  ui.cancel.hidden = false;
+  ui.cancel.onclick = () => controller.abort();
+  return {
+    ...progressTo(ui, null),
+    signal: controller.signal,
+    onStart: () => { ui.status.innerHTML = `<span style="color:var(--muted)">${escapeHtml(startText)}</span>`; }
+  };
+}
+
+// Re-checks of a card (new columns, new policy) report into it like the first analysis
+function progressTo(ui, mapping) {
+  return { mapping, onStatus: text => { ui.status.textContent = text; }, onNotes: text => { ui.notes.textContent = text; } };
+}
+
+function renderFailure(ui, err) {
+  if (err.cancelled) return renderResult(ui, { score: 0, verdict: 'reject', plugin: null, messages: [], details: [], msg: '⏹ Analysis cancelled' });
+  console.error(err);
+  renderResult(ui, { score: 0, verdict: 'reject', messages: [], details: [], msg: `❌ Crashed: ${err.message}` });
+}
+
 /* -------------------------------------------------------------------------- */
-/*                               LOGIC ENGINES                                */
+/*                                 UI HELPERS                                 */
 /* -------------------------------------------------------------------------- */
 
-/**
- * UTILS: File Tagging (Restoring "Plugin" Concept)
- */
-function determinePlugin(file) {
-  const name = file.name.toLowerCase();
-  const type = file.type.toLowerCase();
+function createCard(file, groupFiles = null, effective = file) {
+  const el = document.createElement('div');
+  el.className = 'result';
+  // Use a unique ID for the button to query it later within this element scope, 
+  // or just querySelector('.btn') since we have the reference to 'el'.
+  el.innerHTML = `
+    <div class="close-card-btn" onclick="this.parentElement.remove()">&times;</div>
+    <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;flex-wrap:wrap">
+      <div>
+        <div style="font-weight:bold; margin-bottom:4px;">${escapeHtml(file.name)}</div>
+        <div style="font-size:12px; color:var(--muted); margin-bottom:8px;">${fmtSize(file.size)}</div>
+      </div>
+      <div><button class="btn" disabled>Upload</button></div>
+    </div>
+    <div class="sniff" style="font-size:12px; margin-bottom:4px;"></div>
+    <div class="status-text" style="font-size:14px;">In Queue...</div>
+    <button class="fix-btn cancel-btn" hidden>Cancel</button>
+    <ul class="messages tips" style="margin:6px 0 0; padding-left:18px;"></ul>
+    <div class="classify" style="font-size:12px; margin-top:4px;"></div>
+    <div class="fixes" style="font-size:12px;"></div>
+    <div class="columns" style="font-size:12px;"></div>
+    <div class="compare" style="font-size:12px; margin-top:6px;"></div>
+    <div class="heatmap" style="font-size:12px; margin-top:6px;" hidden></div>
+    <div class="dupes" style="font-size:12px; margin-top:6px;"></div>
+    <div class="details tips" style="margin-top:4px; white-space:pre-line; color:var(--muted); font-size:12px;"></div>
+    <div class="upload" style="font-size:12px; margin-top:6px;" hidden></div>
+  `;
 
-  // 1. X-Ray Plus
-  if (/(x[- ]?ray|xray|radiograph|hand|wrist|chest|bone)/i.test(name)) return 'xray-plus';
+  const btn = el.querySelector('.btn');
+  const ui = {
+    element: el,
+    btn, // Return btn ref
+    sniff: el.querySelector('.sniff'),
+    status: el.querySelector('.status-text'),
+    cancel: el.querySelector('.cancel-btn'), // shown while the pool analyzes the card
+    messages: el.querySelector('.messages'),
+    fixes: el.querySelector('.fixes'),
+    classify: el.querySelector('.classify'),
+    columns: el.querySelector('.columns'),
+    compare: el.querySelector('.compare'),
+    heatmap: el.querySelector('.heatmap'),
+    notes: el.querySelector('.details'),
+    upload: el.querySelector('.upload'),
+    dupes: el.querySelector('.dupes'),
+    original: file,
+    groupFiles, // a group card uploads all of its files
+    group: null, // the planBatch() group behind a group card
+    uploadFile: file, // replaced when the user picks a corrected copy
+    effective, // what the plugin analyzed (renamed to its real extension)
+    analyzedFile: effective,
+    mappingOverride: null, // user-corrected column roles for table plugins
+    sniffInfo: null, // sniffFile() result of a single-file card
+    item: null, // the prepareFile() item of a single-file card, to re-analyze it
+    classification: null, // what the content classifier suggested (classify.js)
+    fingerprint: null, // duplicates.js fingerprint of the dropped file(s)
+    seenBefore: [], // matches in the hash history of earlier sessions
+    fix: null,
+    compareUrls: [], // blob URLs of the before/after view, revoked when it goes
+    result: null
+  };
 
-  // 2. Med Imaging
-  if (/(ct|mri|mr|ultrasound|us|axial|sagittal|coronal|radiology|dicom|series)/i.test(name) || type.includes('dicom') || name.endsWith('.dcm')) return 'med-imaging';
+  // Attach event listener to the upload button
+  btn.addEventListener('click', () => uploadCard(ui));
+  // Closing a card that is still queued or analyzing drops its job
+  el.querySelector('.close-card-btn').addEventListener('click', () => {
+    if (!ui.cancel.hidden) ui.cancel.click();
+    clearCompare(ui);
+    if (ui.fingerprint) renderDuplicates();
+  });
+  cards.push(ui);
+  return ui;
+}
 
-  // 3. Labs
-  if (/(lab|report|cbc|cmp|lipid|thyroid|blood|hl7|fhir|chemistry|haem|hematology|biochem|pathology)/i.test(name)) return 'labs';
-  if (name.endsWith('.csv') || name.endsWith('.xlsx')) return 'labs'; // Spreadsheets likely labs
+function renderSniff(ui, sniff) {
+  const parts = [`<span class="pill">${escapeHtml(sniff.label)}</span>`];
+  if (sniff.mismatch) parts.push(`<span class="warn">⚠️ extension .${escapeHtml(sniff.declaredExt)} ≠ content</span>`);
+  sniff.warnings.forEach(w => parts.push(`<span style="color:var(--muted)">${escapeHtml(w)}</span>`));
+  ui.sniff.innerHTML = parts.join(' ');
+}
+
+const VERDICT_UI = {
+  accept: { colorClass: 'good', msg: '✅ Good Quality — ready to upload' },
+  borderline: { colorClass: 'warn', msg: '⚠️ Borderline — upload allowed, review the tips' },
+  reject: { colorClass: 'bad', msg: '❌ Poor Quality — fix before uploading' }
+};
+
+function renderResult(ui, result) {
+  ui.result = result;
+  ui.cancel.hidden = true;
+  const { colorClass, msg } = VERDICT_UI[result.verdict] || VERDICT_UI.reject;
+
+  // Enable/Disable Upload Button (hard gate on reject, soft gate on borderline)
+  if (ui.btn) {
+    if (result.verdict === 'accept' || result.verdict === 'borderline') {
+      ui.btn.removeAttribute('disabled');
+    } else {
+      ui.btn.setAttribute('disabled', 'true');
+    }
+  }
 
-  // 4. Default
-  return 'doc-ocr';
+  // Plugin Pill
+  const tagHtml = result.plugin ? `<span class="pill" style="margin-left:8px; color:var(--text); border-color:var(--muted)">${escapeHtml(result.plugin)}</span>` : '';
+  const thrHtml = result.thresholds ? `<span style="font-size:12px; color:var(--muted)">(accept ≥ ${result.thresholds.accept}, borderline ≥ ${result.thresholds.borderline}${result.policy ? ` · policy ${escapeHtml(profileLabel(result.policy))}` : ''})</span>` : '';
+
+  ui.status.innerHTML = `<span class="score ${colorClass}">Score: ${result.score}/100</span> — <span class="${colorClass}">${escapeHtml(result.msg || msg)}</span> ${tagHtml} ${thrHtml}`;
+  ui.messages.innerHTML = (result.messages || []).map(m => `<li>${escapeHtml(m)}</li>`).join('');
+  ui.notes.textContent = (result.details || []).join('\n');
+  renderFixes(ui, result.fixes || []);
+  renderMapping(ui, result.mapping);
+  renderHeatmap(ui, result.heatmap);
+  recordAudit(ui).catch(err => console.warn('Audit record failed', err));
 }
 
-/** 
- * IMAGE ENGINE 
- * Score based on Resolution (50pts) + OCR Confidence (50pts)
+/**
+ * QUALITY MAP
+ * Per-tile sharpness, contrast and exposure (core/tiles.js) over a thumbnail of the image,
+ * or of the weakest PDF page: green is fine, red is weak, tiles without content stay clear.
  */
-async function checkImage(file, tag) {
-  // A. Load Image
-  let img;
-  try {
-    img = await loadImage(file);
-  } catch (e) { return { valid: false, score: 0, msg: "❌ Corrupt Image file", tag }; }
-
-  const width = img.naturalWidth;
-  const height = img.naturalHeight;
-  const minDim = Math.min(width, height);
-
-  // Scoring Part 1: Resolution (Max 50)
-  // < 600px = 0pts, 600-1200px = linear scaled, >1200px = 50pts
-  let resScore = 0;
-  if (minDim >= 1200) resScore = 50;
-  else if (minDim >= 600) resScore = Math.round(((minDim - 600) / 600) * 50);
-
-  // C. OCR Check (Tesseract)
-  let confidence = 0;
-  let ocrMsg = "OCR Queued";
-  try {
-    const worker = await Tesseract.createWorker('eng');
-    const ret = await worker.recognize(file);
-    confidence = ret.data.confidence; // 0-100
-    await worker.terminate();
-    ocrMsg = `OCR Conf: ${Math.round(confidence)}%`;
-  } catch (e) {
-    console.warn("OCR Failed", e);
-    ocrMsg = "OCR Failed";
+const HEAT_LAYERS = { sharpness: 'Sharpness', contrast: 'Contrast', exposure: 'Exposure' };
+
+function renderHeatmap(ui, map) {
+  ui.heatmap.innerHTML = '';
+  ui.heatmap.hidden = !map;
+  if (!map) return;
+  ui.heatmap.innerHTML = `
+    <div>Quality map${map.label ? ` (${escapeHtml(map.label)})` : ''}:
+      ${Object.entries(HEAT_LAYERS).map(([key, label]) => `<button class="fix-btn" data-layer="${key}">${label}</button>`).join('')}
+    </div>
+    <canvas width="${map.thumb.width}" height="${map.thumb.height}" style="display:block; margin-top:4px; border-radius:6px;"></canvas>`;
+  const canvas = ui.heatmap.querySelector('canvas');
+  const buttons = ui.heatmap.querySelectorAll('button');
+  const show = layer => {
+    buttons.forEach(b => b.classList.toggle('active', b.dataset.layer === layer));
+    drawHeatmap(canvas, map, layer);
+  };
+  buttons.forEach(b => b.addEventListener('click', () => show(b.dataset.layer)));
+  show('sharpness');
+}
+
+function drawHeatmap(canvas, map, layer) {
+  const { width, height, data } = map.thumb;
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(width, height);
+  for (let i = 0; i < data.length; i++) {
+    img.data[i * 4] = img.data[i * 4 + 1] = img.data[i * 4 + 2] = data[i];
+    img.data[i * 4 + 3] = 255;
   }
+  ctx.putImageData(img, 0, 0);
+  map.layers[layer].forEach((q, t) => {
+    if (q === null) return;
+    const x0 = Math.round(((t % map.cols) * width) / map.cols), x1 = Math.round(((t % map.cols + 1) * width) / map.cols);
+    const row = Math.floor(t / map.cols);
+    const y0 = Math.round((row * height) / map.rows), y1 = Math.round(((row + 1) * height) / map.rows);
+    ctx.fillStyle = `hsla(${Math.round(q * 120)}, 85%, 50%, 0.45)`; // red (0) to green (1)
+    ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+  });
+}
+
+/**
+ * CONTENT CLASSIFICATION
+ * Which plugin the content pointed to, and how sure it was. The user can pick another
+ * plugin that reads this file type; the file is then analyzed again from scratch.
+ */
+function renderClassification(ui) {
+  ui.classify.innerHTML = '';
+  const current = ui.result && ui.result.plugin;
+  const candidates = listPlugins().filter(p => supports(p, ui.effective));
+  if (!current || candidates.length < 2) return;
+  const c = ui.classification;
+  const seen = c
+    ? `Looks like <b>${escapeHtml(c.label)}</b> (${Math.round(c.confidence * 100)}%)`
+    : 'No content hint — picked by file name';
+  ui.classify.innerHTML = `
+    <span title="${escapeHtml(c ? c.reasons.join('\n') : '')}">${seen}</span> ·
+    <label>Analyze as <select>${candidates.map(p => `<option${p.name === current ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}</select></label>
+    <button class="fix-btn" disabled>Re-analyze</button>`;
+  const select = ui.classify.querySelector('select');
+  const button = ui.classify.querySelector('button');
+  select.addEventListener('change', () => { button.disabled = select.value === current; });
+  button.addEventListener('click', () => reanalyze(ui, select.value));
+}
 
-  // Scoring Part 2: OCR (Max 50)
-  // Confidence is 0-100. We map it to 0-50.
-  const ocrScore = Math.round(confidence / 2);
+async function reanalyze(ui, pluginName) {
+  // A different plugin judges the original file: fixes, column choices and comparisons reset
+  ui.uploadFile = ui.original;
+  ui.analyzedFile = ui.effective;
+  ui.fix = null;
+  ui.originalResult = null;
+  ui.mappingOverride = null;
+  clearCompare(ui);
+  ui.classify.innerHTML = '';
+  try {
+    const result = await pool.analyze(ui.item, { ...analysisOptions(ui, `re-analyzing with ${pluginName}...`), plugin: pluginName });
+    renderResult(ui, result);
+  } catch (err) {
+    renderFailure(ui, err);
+  }
+  renderClassification(ui);
+}
 
-  const totalScore = resScore + ocrScore;
-  const valid = totalScore >= 50;
+/**
+ * FIX AND UPLOAD
+ * Corrected copies offered by the plugin (deskewed scan, contrast/flat-field fixes...).
+ * The chosen copy is re-scored by the same plugin, shown before/after, and replaces the upload.
+ */
+function renderFixes(ui, fixes) {
+  ui.fixes.innerHTML = '';
+  fixes.forEach(fix => {
+    const b = document.createElement('button');
+    b.className = 'fix-btn';
+    b.textContent = fix.label;
+    b.addEventListener('click', () => applyFix(ui, fix, b));
+    ui.fixes.appendChild(b);
+  });
+}
 
-  let msg = valid ? "✅ Good Quality Image" : "⚠️ Low Quality Image";
-  if (minDim < 600) msg = "⚠️ Too Blurry / Small";
+async function applyFix(ui, fix, b) {
+  const before = ui.result;
+  const from = ui.uploadFile;
+  b.disabled = true;
+  b.textContent = 'Fixing…';
+  try {
+    const fixed = await fix.apply(); // one File, or one per member of a group
+    ui.status.innerHTML = `<span style="color:var(--muted)">re-scoring ${escapeHtml(Array.isArray(fixed) ? `${fixed.length} files` : fixed.name)}...</span>`;
+    const after = (await pool.rescore(before.plugin, fixed, { mapping: ui.mappingOverride }, ui.group)) || before;
+    if (!ui.fix) ui.originalResult = before;
+    if (ui.group) ui.groupFiles = [].concat(fixed);
+    else ui.uploadFile = ui.analyzedFile = fixed;
+    ui.fix = fix;
+    renderResult(ui, after);
+    renderCompare(ui, { file: ui.group ? ui.original : from, result: before }, { file: ui.group ? { name: ui.original.name, size: ui.groupFiles.reduce((a, f) => a + f.size, 0) } : fixed, result: after });
+  } catch (err) {
+    console.error(err);
+    b.disabled = false;
+    b.textContent = `${fix.label} — failed: ${err.message}`;
+  }
+}
 
-  return {
-    valid,
-    score: totalScore,
-    msg: `${msg} (${width}x${height}, ${ocrMsg})`,
-    tag
+function renderCompare(ui, before, after) {
+  clearCompare(ui);
+  // One URL per file serves both its thumbnail and its download link
+  const urls = new Map();
+  const urlFor = file => {
+    if (!urls.has(file)) urls.set(file, URL.createObjectURL(file));
+    return urls.get(file);
   };
+  const thumb = file => (/^image\/(png|jpeg|webp|bmp)$/.test(file.type) || /\.(png|jpe?g|webp|bmp)$/i.test(file.name))
+    ? `<img src="${urlFor(file)}" alt="" style="max-width:140px; max-height:140px; display:block; margin-top:4px; border-radius:6px;">` : '';
+  // Group cards compare series summaries ({name, size}); there is no single file to link
+  const link = file => (file instanceof Blob ? `<a href="${urlFor(file)}" download="${escapeHtml(file.name)}">${escapeHtml(file.name)}</a>` : escapeHtml(file.name));
+  const side = (title, { file, result }) => `
+    <div>
+      <div>${title}: <b class="${(VERDICT_UI[result.verdict] || VERDICT_UI.reject).colorClass}">${result.score}/100</b></div>
+      ${link(file)} · ${fmtSize(file.size)}
+      ${file instanceof Blob ? thumb(file) : ''}
+    </div>`;
+  ui.compare.innerHTML = `
+    <div style="display:flex; gap:16px; flex-wrap:wrap; align-items:flex-start;">
+      ${side('Before', before)}
+      ${side('After', after)}
+    </div>
+    <button class="fix-btn revert">Use original instead</button>`;
+  ui.compareUrls = [...urls.values()];
+  ui.compare.querySelector('.revert').addEventListener('click', () => {
+    ui.uploadFile = ui.original;
+    ui.analyzedFile = ui.effective;
+    if (ui.group) ui.groupFiles = ui.group.files;
+    ui.fix = null;
+    clearCompare(ui);
+    renderResult(ui, ui.originalResult);
+  });
+}
+
+function clearCompare(ui) {
+  ui.compareUrls.forEach(url => URL.revokeObjectURL(url));
+  ui.compareUrls = [];
+  ui.compare.innerHTML = '';
 }
 
 /**
- * PDF ENGINE (PDF.js)
- * Score based on Renderability and Dimensions/DPI
+ * COLUMN MAPPING
+ * Table plugins say which column they read as patient, date, test, result...
+ * The user can correct it; the file is then re-checked with ui.mapping set.
  */
-async function checkPdf(file, tag) {
-  const arrayBuffer = await file.arrayBuffer();
+function renderMapping(ui, mapping) {
+  ui.columns.innerHTML = '';
+  if (!mapping || !mapping.columns || !mapping.columns.length) return;
+  const options = mapping.columns.map((name, i) => `<option value="${i}">${escapeHtml(name)}</option>`).join('');
+  ui.columns.innerHTML = `
+    <details${ui.mappingOverride ? ' open' : ''}>
+      <summary>Columns</summary>
+      ${mapping.roles.map(r => `<label>${escapeHtml(r.label)} <select data-role="${escapeHtml(r.key)}"><option value="">— none —</option>${options}</select></label>`).join('')}
+      <button class="fix-btn">Re-check with these columns</button>
+    </details>`;
+  ui.columns.querySelectorAll('select').forEach(sel => {
+    const i = mapping.assigned[sel.dataset.role];
+    sel.value = i === null || i === undefined ? '' : String(i);
+  });
+  ui.columns.querySelector('button').addEventListener('click', () => recheckColumns(ui));
+}
 
-  // Load PDF
-  let pdf;
+async function recheckColumns(ui) {
+  const override = {};
+  ui.columns.querySelectorAll('select').forEach(sel => {
+    override[sel.dataset.role] = sel.value === '' ? null : Number(sel.value);
+  });
+  ui.mappingOverride = override;
+  ui.status.innerHTML = `<span style="color:var(--muted)">re-checking with your columns...</span>`;
   try {
-    const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-    pdf = await loadingTask.promise;
-  } catch (e) {
-    return { valid: false, score: 0, msg: "❌ Invalid PDF File", tag };
+    const result = await pool.rescore(ui.result.plugin, ui.analyzedFile, progressTo(ui, override));
+    if (result) renderResult(ui, result);
+  } catch (err) {
+    console.error(err);
+    ui.status.innerHTML = `<span class="bad">Re-checking failed: ${escapeHtml(err.message)}</span>`;
   }
+}
 
-  if (pdf.numPages === 0) {
-    return { valid: false, score: 0, msg: "❌ Empty PDF Document", tag };
+/**
+ * UPLOAD
+ * Files go to the resumable upload queue; the card shows progress and can cancel.
+ * A group card sends all of its files and shows their combined progress.
+ */
+async function uploadCard(ui) {
+  if (!isApiConfigured()) {
+    document.getElementById('api-modal').classList.add('active');
+    return;
   }
-
-  // Get Page 1
-  const page = await pdf.getPage(1);
-  const viewport = page.getViewport({ scale: 1.0 }); // 72 DPI base
-
-  // Determine Score based on width (assuming 72dpi, standard letter is ~600px width)
-  // > 500px width = Good. < 300px = Bad.
-  let score = 100;
-  if (viewport.width < 300 || viewport.height < 300) {
-    score = 40;
-  } else if (viewport.width < 500) {
-    score = 70;
+  const result = ui.result;
+  const files = ui.groupFiles || [ui.uploadFile];
+  const label = ui.btn.textContent;
+  // Disabled before hashing for the audit record, so a second click cannot queue it twice
+  ui.btn.setAttribute('disabled', 'true');
+  ui.btn.textContent = 'Uploading…';
+  let audit;
+  try {
+    audit = await recordAudit(ui);
+  } catch (err) {
+    console.error(err);
+    ui.btn.textContent = label;
+    ui.btn.removeAttribute('disabled');
+    ui.status.insertAdjacentHTML('beforeend', ` <span class="bad">Upload failed: ${escapeHtml(err.message)}</span>`);
+    return;
+  }
+  const controller = new AbortController();
+  const sent = files.map(() => 0);
+  const total = files.reduce((a, f) => a + f.size, 0);
+  const progress = showUploadProgress(ui.upload, () => controller.abort());
+  try {
+    await Promise.all(files.map((file, i) => uploadToBackend(file, {
+      score: result.score,
+      valid: result.verdict !== 'reject',
+      tag: result.plugin,
+      policy: result.policy ? profileLabel(result.policy) : undefined,
+      fixes: ui.fix ? (ui.fix.steps || [ui.fix.id]) : [],
+      sha256: audit.files[i].sha256,
+      audit
+    }, {
+      signal: controller.signal,
+      onProgress: job => {
+        sent[i] = job.offset;
+        progress(sent.reduce((a, n) => a + n, 0), total, job.state === 'retrying' ? job.error : '');
+      }
+    })));
+    progress(total, total, '');
+    ui.btn.textContent = 'Uploaded ✓';
+    if (ui.fingerprint) hashHistory.markUploaded(ui.fingerprint.sha256);
+  } catch (err) {
+    controller.abort(); // one file failed or was cancelled: stop the rest of the group too
+    ui.upload.hidden = true;
+    ui.btn.textContent = label;
+    ui.btn.removeAttribute('disabled');
+    ui.status.insertAdjacentHTML('beforeend', err.cancelled
+      ? ` <span style="color:var(--muted)">Upload cancelled</span>`
+      : ` <span class="bad">Upload failed: ${escapeHtml(err.message)}</span>`);
   }
+}
 
-  return {
-    valid: score >= 50,
-    score,
-    msg: score >= 80 ? `✅ Valid PDF (${pdf.numPages} Pages)` : "⚠️ Low Resolution / Thumbnail PDF",
-    tag
+// Progress bar + Cancel in `box`; returns update(sent, total, note)
+function showUploadProgress(box, onCancel) {
+  box.hidden = false;
+  box.innerHTML = `
+    <progress max="100" value="0" style="width:60%; vertical-align:middle;"></progress>
+    <span class="upload-pct" style="color:var(--muted)">0%</span>
+    <button class="fix-btn">Cancel</button>
+    <div class="upload-note" style="color:var(--muted)"></div>`;
+  const bar = box.querySelector('progress');
+  const cancel = box.querySelector('button');
+  cancel.addEventListener('click', () => { cancel.disabled = true; onCancel(); });
+  return (sent, total, note) => {
+    const pct = total ? Math.floor(sent / total * 100) : 100;
+    bar.value = pct;
+    box.querySelector('.upload-pct').textContent = `${pct}% · ${fmtSize(sent)} of ${fmtSize(total)}`;
+    box.querySelector('.upload-note').textContent = note;
+    if (sent >= total) cancel.remove();
   };
 }
 
+// Uploads a previous visit left unfinished continue in the background, each on a small card
+async function resumeUploads() {
+  if (!isApiConfigured()) return;
+  const queue = getUploadQueue();
+  for (const job of await queue.restore()) {
+    const el = document.createElement('div');
+    el.className = 'result';
+    el.innerHTML = `
+      <div class="close-card-btn" onclick="this.parentElement.remove()">&times;</div>
+      <div style="font-weight:bold; margin-bottom:4px;">${escapeHtml(job.name)}</div>
+      <div class="status-text" style="font-size:14px; color:var(--muted)">Resuming upload from your last visit…</div>
+      <div class="upload" style="font-size:12px; margin-top:6px;"></div>`;
+    filesDiv.prepend(el);
+    const status = el.querySelector('.status-text');
+    const progress = showUploadProgress(el.querySelector('.upload'), () => queue.cancel(job.id));
+    const unsubscribe = queue.subscribe(j => { if (j.id === job.id) progress(j.offset, j.size, j.state === 'retrying' ? j.error : ''); });
+    job.promise.then(
+      () => { status.textContent = 'Uploaded ✓'; },
+      err => {
+        el.querySelector('.upload').hidden = true;
+        status.innerHTML = err.cancelled ? 'Upload cancelled' : `<span class="bad">Upload failed: ${escapeHtml(err.message)}</span>`;
+      }
+    ).finally(unsubscribe);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 DUPLICATES                                 */
+/* -------------------------------------------------------------------------- */
+
 /**
- * SPREADSHEET ENGINE (SheetJS)
- * Score based on structure presence
+ * Fingerprint a card once it has a result, look it up in the history of earlier sessions,
+ * then regroup the list: copies and near-duplicates move next to each other and the
+ * sharpest, clearest one is suggested as the one to keep.
  */
-async function checkSpreadsheet(file, tag) {
-  const data = await file.arrayBuffer();
-  let workbook;
+async function checkDuplicates(ui, make) {
   try {
-    workbook = XLSX.read(data, { type: 'array' });
-  } catch (e) {
-    return { valid: false, score: 0, msg: "❌ Corrupt Spreadsheet", tag };
+    const fp = await make();
+    ui.fingerprint = fp;
+    ui.seenBefore = hashHistory.find(fp);
+    hashHistory.remember(fp);
+    renderDuplicates();
+  } catch (err) {
+    console.warn('Duplicate check failed', err);
   }
+}
 
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
+function renderDuplicates() {
+  const list = cards.filter(c => c.element.isConnected && c.fingerprint);
+  const groups = groupDuplicates(list.map(c => c.fingerprint), list.map(c => (c.result ? c.result.score : 0)));
+  const lines = new Map(list.map(c => [c, []]));
+  list.forEach(c => c.element.classList.remove('dup-member'));
+
+  for (const group of groups) {
+    // The list is newest-first: gather the group under its top card
+    const members = group.members.map(i => list[i]).sort((a, b) => cards.indexOf(b) - cards.indexOf(a));
+    const best = list[group.best];
+    let anchor = members[0].element;
+    for (const c of members.slice(1)) {
+      anchor.after(c.element);
+      anchor = c.element;
+      c.element.classList.add('dup-member');
+    }
+    const others = members.filter(c => c !== best);
+    const what = group.exact ? `${members.length} identical copies` : `${members.length} near-duplicates`;
+    lines.get(best).push(`<span class="good">★ Keep this one</span> — best of ${what}${group.exact ? '' : ` (${bestReason(best, members)})`}
+      <button class="fix-btn close-others">Close the other ${others.length}</button>`);
+    others.forEach(c => lines.get(c).push(`<span class="warn">${group.exact ? '⧉ Same file as' : '≈ Near-duplicate of'}</span> ${escapeHtml(best.original.name)} — keep that one`));
+  }
 
-  if (!sheet) return { valid: false, score: 0, msg: "❌ Empty Workbook", tag };
+  for (const c of list) {
+    c.seenBefore.slice(0, 3).forEach(m => lines.get(c).push(`<span style="color:var(--muted)">↺ ${m.match === 'exact' ? 'Same file' : 'Near-duplicate'} seen ${escapeHtml(new Date(m.at).toLocaleDateString())} as ${escapeHtml(m.name)}${m.uploaded ? ' (uploaded)' : ''}</span>`));
+    c.dupes.innerHTML = lines.get(c).map(l => `<div>${l}</div>`).join('');
+  }
+  for (const group of groups) {
+    const best = list[group.best];
+    best.dupes.querySelector('.close-others').addEventListener('click', () => {
+      group.members.map(i => list[i]).filter(c => c !== best).forEach(c => { clearCompare(c); c.element.remove(); });
+      renderDuplicates();
+    });
+  }
+}
 
-  // Convert to JSON (header row)
-  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+function bestReason(best, members) {
+  const top = key => members.every(c => (c.fingerprint[key] || 0) <= (best.fingerprint[key] || 0));
+  return [top('sharpness') && 'sharpest', top('contrast') && 'best contrast'].filter(Boolean).join(', ') || 'best balance of sharpness and contrast';
+}
 
-  if (!rows || rows.length === 0) {
-    return { valid: false, score: 0, msg: "❌ Empty File (No structure found)", tag };
-  }
+/* -------------------------------------------------------------------------- */
+/*                                AUDIT REPORT                                */
+/* -------------------------------------------------------------------------- */
 
-  const header = rows[0];
-  if (!header || header.length === 0) {
-    return { valid: false, score: 20, msg: "⚠️ Empty Structure (Header missing)", tag };
+/**
+ * Build the card's audit record for its current result (and upload files) and keep it in
+ * the session log. Hashing large files takes a moment; a newer result wins.
+ */
+async function recordAudit(ui) {
+  const result = ui.result;
+  const files = ui.groupFiles || [ui.uploadFile];
+  const record = await auditRecord({
+    name: ui.original.name,
+    type: ui.group ? `DICOM series (${files.length} files)` : ui.sniffInfo ? ui.sniffInfo.label : 'unknown',
+    extensionMismatch: !!(ui.sniffInfo && ui.sniffInfo.mismatch),
+    files,
+    source: ui.fix ? (ui.group ? ui.group.files : [ui.original]) : null,
+    fixes: ui.fix ? (ui.fix.steps || [ui.fix.id]) : [],
+    result
+  });
+  if (ui.result === result) {
+    session.set(ui, record);
+    renderAuditPanel();
   }
+  return record;
+}
 
-  // Bonus points for more columns? No, just pass.
-  return {
-    valid: true,
-    score: 100,
-    msg: `✅ Valid Table (${header.length} Cols Detected)`,
-    tag
-  };
+function renderAuditPanel() {
+  const el = document.getElementById('audit-count');
+  if (!el) return;
+  const records = [...session.values()];
+  el.textContent = `${records.length} item${records.length === 1 ? '' : 's'} this session`;
+  document.querySelectorAll('#audit-panel button').forEach(b => { b.disabled = !records.length; });
 }
 
+function initAuditPanel() {
+  const panel = document.getElementById('audit-panel');
+  if (!panel) return;
+  const formats = { json: auditJson, csv: auditCsv, pdf: auditPdf };
+  panel.querySelectorAll('button[data-format]').forEach(b => b.addEventListener('click', () => {
+    const format = b.dataset.format;
+    saveBlob(formats[format]([...session.values()]), auditFileName(format));
+  }));
+  renderAuditPanel();
+}
+
+function saveBlob(blob, name) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
 
 /* -------------------------------------------------------------------------- */
-/*                                 UI HELPERS                                 */
+/*                                   POLICY                                   */
 /* -------------------------------------------------------------------------- */
 
-function createCard(file) {
-  const el = document.createElement('div');
-  el.className = 'result';
-  // Use a unique ID for the button to query it later within this element scope, 
-  // or just querySelector('.btn') since we have the reference to 'el'.
-  el.innerHTML = `
-    <div class="close-card-btn" onclick="this.parentElement.remove()">&times;</div>
-    <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;flex-wrap:wrap">
-      <div>
-        <div style="font-weight:bold; margin-bottom:4px;">${escapeHtml(file.name)}</div>
-        <div style="font-size:12px; color:var(--muted); margin-bottom:8px;">${fmtSize(file.size)}</div>
-      </div>
-      <div><button class="btn" disabled>Upload</button></div>
-    </div>
-    <div class="status-text" style="font-size:14px;">In Queue...</div>
-    <div class="details tips" style="margin-top:4px;"></div>
-  `;
+// The last applied profile survives a reload
+const POLICY_KEY = 'preflight.policy';
+const $ = id => document.getElementById(id);
 
-  // Attach event listener to the upload button
-  const btn = el.querySelector('.btn');
-  btn.addEventListener('click', () => {
-    document.getElementById('api-modal').classList.add('active');
-  });
+function restorePolicy() {
+  try {
+    const saved = localStorage.getItem(POLICY_KEY);
+    if (saved) applyPolicyProfile(JSON.parse(saved));
+  } catch (e) {
+    console.warn('Saved policy profile ignored', e);
+    localStorage.removeItem(POLICY_KEY);
+  }
+}
 
-  return { element: el, btn }; // Return btn ref
+function renderPolicy() {
+  if (!$('policy-label')) return;
+  const profile = getPolicyProfile();
+  const preset = [...$('policy-select').options].find(o => o.value !== 'custom' && o.textContent.trim() === profile.id);
+  $('policy-select').value = profile.id === BUILTIN_PROFILE.id ? '' : preset ? preset.value : 'custom';
+  $('policy-label').textContent = profileLabel(profile);
+  $('policy-json').value = JSON.stringify(profile, null, 2);
+  const input = (p, key) => `<input type="number" min="0" max="100" data-plugin="${escapeHtml(p.name)}" data-key="${key}" value="${p.thresholds[key]}">`;
+  $('policy-thresholds').innerHTML = listPlugins()
+    .map(p => `<div><span>${escapeHtml(p.name)}</span> accept ${input(p, 'accept')} borderline ${input(p, 'borderline')}</div>`).join('');
 }
 
-function renderResult(statusEl, detailsEl, result, btnEl) {
-  let colorClass = 'bad';
-  if (result.score >= 80) colorClass = 'good';
-  else if (result.score >= 50) colorClass = 'warn';
+/**
+ * Validate, apply and remember a profile, then re-score every card already on the page.
+ * Validation errors are listed (with their JSON paths) and nothing changes.
+ */
+async function setPolicy(profile) {
+  const { errors, warnings } = validatePolicyProfile(profile);
+  const lines = errors.map(e => `<span class="bad">${escapeHtml(e)}</span>`).concat(warnings.map(w => `<span class="warn">${escapeHtml(w)}</span>`));
+  $('policy-report').innerHTML = lines.join('\n');
+  if (errors.length) return;
+  applyPolicyProfile(profile);
+  if (profile.id === BUILTIN_PROFILE.id) localStorage.removeItem(POLICY_KEY);
+  else localStorage.setItem(POLICY_KEY, JSON.stringify(profile));
+  renderPolicy();
+  await rescoreCards();
+}
 
-  // Enable/Disable Upload Button
-  if (btnEl) {
-    if (result.valid) {
-      btnEl.removeAttribute('disabled');
-    } else {
-      btnEl.setAttribute('disabled', 'true');
+// A threshold typed in the editor makes a new version of the active profile
+function editThreshold(input) {
+  const profile = getPolicyProfile();
+  const value = Number(input.value);
+  if (input.value === '' || !isFinite(value)) return;
+  if (profile.id === BUILTIN_PROFILE.id) { profile.id = 'custom'; delete profile.description; }
+  const edit = /\+edit\.(\d+)$/.exec(profile.version);
+  profile.version = edit ? profile.version.replace(/\d+$/, String(Number(edit[1]) + 1)) : `${profile.version}+edit.1`;
+  profile.plugins = profile.plugins || {};
+  const own = profile.plugins[input.dataset.plugin] = profile.plugins[input.dataset.plugin] || {};
+  own.thresholds = { ...own.thresholds, [input.dataset.key]: value };
+  return setPolicy(profile);
+}
+
+async function rescoreCards() {
+  for (const ui of cards) {
+    if (!ui.element.isConnected || !ui.result || !ui.result.plugin) continue;
+    try {
+      ui.status.innerHTML = `<span style="color:var(--muted)">re-scoring with policy ${escapeHtml(profileLabel(getPolicyProfile()))}...</span>`;
+      const result = await pool.rescore(ui.result.plugin, ui.group ? ui.groupFiles : ui.analyzedFile, progressTo(ui, ui.mappingOverride), ui.group);
+      if (!result) continue;
+      if (ui.fix) {
+        ui.originalResult = (await pool.rescore(result.plugin, ui.group ? ui.group.files : ui.effective, { mapping: ui.mappingOverride }, ui.group)) || ui.originalResult;
+      }
+      renderResult(ui, result);
+      if (ui.fix) {
+        const after = ui.group ? { name: ui.original.name, size: ui.groupFiles.reduce((a, f) => a + f.size, 0) } : ui.uploadFile;
+        renderCompare(ui, { file: ui.original, result: ui.originalResult }, { file: after, result });
+      }
+    } catch (err) {
+      console.error(err);
+      ui.status.insertAdjacentHTML('beforeend', ` <span class="bad">Re-scoring failed: ${escapeHtml(err.message)}</span>`);
     }
   }
+}
 
-  // Tag Pill
-  const tagHtml = result.tag ? `<span class="pill" style="margin-left:8px; color:var(--text); border-color:var(--muted)">${result.tag}</span>` : '';
-
-  statusEl.innerHTML = `<span class="score ${colorClass}">Score: ${result.score}/100</span> — <span class="${colorClass}">${result.msg}</span> ${tagHtml}`;
+function initPolicyEditor() {
+  if (!$('policy-label')) return;
+  const report = msg => { $('policy-report').innerHTML = `<span class="bad">${escapeHtml(msg)}</span>`; };
+  $('policy-select').addEventListener('change', async e => {
+    try {
+      await setPolicy(e.target.value ? await loadPolicyProfile(e.target.value) : BUILTIN_PROFILE);
+    } catch (err) { report(err.message); }
+  });
+  $('policy-file').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    try {
+      if (file) await setPolicy(await loadPolicyProfile(file));
+    } catch (err) { report(err.message); }
+  });
+  $('policy-apply').addEventListener('click', async () => {
+    try {
+      await setPolicy(await loadPolicyProfile($('policy-json').value));
+    } catch (err) { report(err.message); }
+  });
+  $('policy-thresholds').addEventListener('change', e => {
+    if (e.target.dataset.plugin) editThreshold(e.target);
+  });
+  $('policy-download').addEventListener('click', () => {
+    const profile = getPolicyProfile();
+    saveBlob(new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' }), `${profile.id}-${profile.version}.json`.replace(/[^\w.@+-]+/g, '_'));
+  });
+  renderPolicy();
 }
 
 /* -------------------------------------------------------------------------- */
@@ -310,5 +804,15 @@ async function updateViewCount() {
   }
 }
 
+// List the plugins that are actually registered
+function renderActivePlugins() {
+  const el = document.getElementById('active-plugins');
+  if (el) el.textContent = listPlugins().map(p => p.name).join(' · ');
+}
+
 // Run on Load
+renderActivePlugins();
+initPolicyEditor();
+initAuditPanel();
+resumeUploads();
 updateViewCount();
@@ -0,0 +1,213 @@
+/**
+ * CONTENT SNIFFER
+ * Detects what a file really is from its leading bytes (magic numbers), independent of
+ * its name or the browser-reported MIME type. Executables and script content are
+ * flagged as dangerous so the shell can reject them before any plugin runs.
+ */
+
+import { parseDicom } from './dicom.js';
+import { oleStreamNames } from './office.js';
+
+const HEAD_BYTES = 64 * 1024;
+
+// kind -> { label, mime, ext: canonical extension, exts: extensions that agree with the content }
+export const KINDS = {
+  pdf: { label: 'PDF document', mime: 'application/pdf', ext: 'pdf', exts: ['pdf'] },
+  png: { label: 'PNG image', mime: 'image/png', ext: 'png', exts: ['png'] },
+  jpeg: { label: 'JPEG image', mime: 'image/jpeg', ext: 'jpg', exts: ['jpg', 'jpeg', 'jpe', 'jfif'] },
+  webp: { label: 'WebP image', mime: 'image/webp', ext: 'webp', exts: ['webp'] },
+  bmp: { label: 'BMP image', mime: 'image/bmp', ext: 'bmp', exts: ['bmp', 'dib'] },
+  gif: { label: 'GIF image', mime: 'image/gif', ext: 'gif', exts: ['gif'] },
+  tiff: { label: 'TIFF image', mime: 'image/tiff', ext: 'tiff', exts: ['tif', 'tiff'] },
+  dicom: { label: 'DICOM', mime: 'application/dicom', ext: 'dcm', exts: ['dcm', 'dicom', 'dic'] },
+  docx: { label: 'Word document (OOXML)', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx', exts: ['docx', 'docm', 'dotx'] },
+  xlsx: { label: 'Excel workbook (OOXML)', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx', exts: ['xlsx', 'xlsm', 'xltx'] },
+  pptx: { label: 'PowerPoint (OOXML)', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', ext: 'pptx', exts: ['pptx', 'pptm'] },
+  odt: { label: 'OpenDocument text', mime: 'application/vnd.oasis.opendocument.text', ext: 'odt', exts: ['odt'] },
+  ods: { label: 'OpenDocument spreadsheet', mime: 'application/vnd.oasis.opendocument.spreadsheet', ext: 'ods', exts: ['ods'] },
+  doc: { label: 'Word 97–2003 document', mime: 'application/msword', ext: 'doc', exts: ['doc', 'dot'] },
+  xls: { label: 'Excel 97–2003 workbook', mime: 'application/vnd.ms-excel', ext: 'xls', exts: ['xls', 'xlt'] },
+  // Other OLE2 files, including password-protected OOXML (an encrypted package inside OLE2)
+  ole: { label: 'Legacy Office (OLE2)', mime: 'application/x-ole-storage', ext: '', exts: ['xls', 'doc', 'ppt', 'msg', 'docx', 'docm', 'xlsx', 'xlsm', 'pptx'] },
+  zip: { label: 'ZIP archive', mime: 'application/zip', ext: 'zip', exts: ['zip'] },
+  hl7: { label: 'HL7 v2 message', mime: 'x-application/hl7-v2+er7', ext: 'hl7', exts: ['hl7', 'txt', 'msg', 'er7', 'dat'] },
+  fhir: { label: 'FHIR JSON', mime: 'application/fhir+json', ext: 'json', exts: ['json', 'ndjson', 'fhir'] },
+  json: { label: 'JSON', mime: 'application/json', ext: 'json', exts: ['json'] },
+  text: { label: 'Plain text / CSV', mime: 'text/plain', ext: 'csv', exts: ['csv', 'tsv', 'txt', 'tab', 'dat'] },
+  unknown: { label: 'Unknown binary', mime: 'application/octet-stream', ext: '', exts: [] }
+};
+
+const EXEC_NAME_RE = /\.(exe|dll|scr|com|bat|cmd|ps1|vbs|vbe|js|jse|wsf|hta|msi|jar|sh|apk|app|lnk)$/i;
+const SCRIPT_START_RE = /^\s*(#!|@echo off|<\?php|<script|<!doctype html|<html|<svg)/i;
+const SCRIPT_BODY_RE = /(<script[\s>]|WScript\.Shell|ActiveXObject|powershell(\.exe)?\s+-|Invoke-Expression|\beval\s*\(|document\.write\s*\(|Shell\.Application)/i;
+
+/**
+ * Sniff a File/Blob.
+ * @returns {Promise<{kind, label, mime, ext, declaredExt, mismatch: boolean, dangerous: string|null, warnings: string[], modality: string|null}>}
+ */
+export async function sniffFile(file) {
+  const head = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+  return sniffBytes(head, file.name || '');
+}
+
+export function sniffBytes(bytes, name = '') {
+  const declaredExt = extOf(name);
+  const warnings = [];
+  let dangerous = null;
+  let kind = 'unknown';
+
+  const starts = (...sig) => sig.every((b, i) => b === null || bytes[i] === b);
+  const ascii = (o, n) => { let s = ''; for (let i = o; i < o + n && i < bytes.length; i++) s += String.fromCharCode(bytes[i]); return s; };
+
+  // Executables first — these never reach a plugin.
+  if (starts(0x4D, 0x5A)) dangerous = 'Windows executable (MZ/PE header)';
+  else if (starts(0x7F, 0x45, 0x4C, 0x46)) dangerous = 'Linux executable (ELF header)';
+  else if (starts(0xFE, 0xED, 0xFA, 0xCE) || starts(0xFE, 0xED, 0xFA, 0xCF) || starts(0xCE, 0xFA, 0xED, 0xFE) || starts(0xCF, 0xFA, 0xED, 0xFE)) dangerous = 'macOS executable (Mach-O header)';
+  else if (starts(0xCA, 0xFE, 0xBA, 0xBE)) dangerous = 'Mach-O universal binary / Java class';
+  else if (starts(0x4C, 0x00, 0x00, 0x00, 0x01, 0x14, 0x02, 0x00)) dangerous = 'Windows shortcut (.lnk)';
+
+  if (ascii(0, 5) === '%PDF-') kind = 'pdf';
+  else if (starts(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)) kind = 'png';
+  else if (starts(0xFF, 0xD8, 0xFF)) kind = 'jpeg';
+  else if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') kind = 'webp';
+  else if (ascii(0, 2) === 'BM' && bytes.length > 14) kind = 'bmp';
+  else if (ascii(0, 4) === 'GIF8') kind = 'gif';
+  else if (starts(0x49, 0x49, 0x2A, 0x00) || starts(0x4D, 0x4D, 0x00, 0x2A)) kind = 'tiff';
+  else if (bytes.length >= 132 && ascii(128, 4) === 'DICM') kind = 'dicom';
+  else if (starts(0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1)) {
+    const ole = sniffOle(bytes);
+    kind = ole.kind;
+    warnings.push(...ole.warnings);
+  } else if (starts(0x50, 0x4B, 0x03, 0x04) || starts(0x50, 0x4B, 0x05, 0x06)) {
+    const zip = sniffZip(bytes, declaredExt);
+    kind = zip.kind;
+    if (zip.dangerous) dangerous = zip.dangerous;
+    warnings.push(...zip.warnings);
+  } else if (!dangerous) {
+    const text = decodeText(bytes);
+    if (text !== null) {
+      const trimmed = text.replace(/^﻿/, '').trimStart();
+      if (SCRIPT_START_RE.test(trimmed) || SCRIPT_BODY_RE.test(text)) dangerous = 'Script / HTML content';
+      else if (/^(MSH|FHS|BHS)[^A-Za-z0-9\s]/.test(trimmed)) kind = 'hl7';
+      else if (/^[{[]/.test(trimmed)) kind = /"resourceType"\s*:/.test(trimmed) ? 'fhir' : 'json';
+      else kind = 'text';
+    } else if (looksLikeRawDicom(bytes)) {
+      kind = 'dicom';
+      warnings.push('DICOM without Part 10 preamble.');
+    }
+  }
+
+  if (kind === 'pdf') {
+    const text = ascii(0, bytes.length);
+    if (/\/Launch\b/.test(text)) dangerous = 'PDF with /Launch action (runs external programs)';
+    else if (/\/JavaScript\b|\/JS\s*[(<]/.test(text)) warnings.push('PDF contains embedded JavaScript.');
+  }
+
+  // Modality lets the shell route radiographs and cross-sectional studies apart.
+  let modality = null;
+  if (kind === 'dicom') modality = parseDicom(bytes, { pixels: false }).tags.Modality || null;
+
+  const info = KINDS[kind];
+  const mismatch = !!declaredExt && !info.exts.includes(declaredExt);
+
+  return { kind, label: info.label, mime: info.mime, ext: info.ext, declaredExt, mismatch, dangerous, warnings, modality };
+}
+
+/**
+ * The File a plugin should see: renamed to the canonical extension of its content,
+ * so extension-based plugin routing follows the real format. Returns the original
+ * File untouched when the name already carries that extension.
+ */
+export function effectiveFile(file, sniff) {
+  const info = KINDS[sniff.kind];
+  if (!info || !info.ext || sniff.declaredExt === info.ext) return file;
+  const base = (file.name || 'file').replace(/\.[^.]*$/, '');
+  return new File([file], `${base}.${info.ext}`, { type: info.mime, lastModified: file.lastModified });
+}
+
+/* -------------------------------------------------------------------------- */
+
+// Stream names in the directory; it can lie beyond the sniffed prefix in large files
+function sniffOle(bytes) {
+  const names = oleStreamNames(bytes);
+  const warnings = [];
+  let kind = 'ole';
+  if (names.includes('EncryptedPackage')) warnings.push('Password-protected Office document (encrypted package).');
+  else if (names.includes('WordDocument')) kind = 'doc';
+  else if (names.includes('Workbook') || names.includes('Book')) kind = 'xls';
+  if (names.includes('_VBA_PROJECT')) warnings.push('Document contains VBA macros.');
+  return { kind, warnings };
+}
+
+function sniffZip(bytes, declaredExt) {
+  const names = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+  // Walk local file headers that fit in the sniffed prefix.
+  while (pos + 30 <= bytes.length && view.getUint32(pos, true) === 0x04034B50 && names.length < 200) {
+    const compSize = view.getUint32(pos + 18, true);
+    const nameLen = view.getUint16(pos + 26, true);
+    const extraLen = view.getUint16(pos + 28, true);
+    const flags = view.getUint16(pos + 6, true);
+    let name = '';
+    for (let i = 0; i < nameLen && pos + 30 + i < bytes.length; i++) name += String.fromCharCode(bytes[pos + 30 + i]);
+    names.push({ name, offset: pos + 30 + nameLen + extraLen, size: compSize });
+    if (flags & 0x08) break; // sizes live in a data descriptor; stop walking
+    pos += 30 + nameLen + extraLen + compSize;
+  }
+  const warnings = [];
+  let dangerous = null;
+  const joined = names.map(n => n.name).join('\n');
+  const exec = names.find(n => EXEC_NAME_RE.test(n.name));
+  if (exec) dangerous = `Archive contains executable/script: ${exec.name}`;
+  if (/AndroidManifest\.xml|META-INF\/MANIFEST\.MF/.test(joined)) dangerous = 'Application package (APK/JAR)';
+
+  let kind = 'zip';
+  // ODF stores the mimetype uncompressed, first by the spec — though not every writer follows it
+  const mimetype = names.find(n => n.name === 'mimetype');
+  if (mimetype) {
+    let mt = '';
+    for (let i = 0; i < mimetype.size && mimetype.offset + i < bytes.length; i++) mt += String.fromCharCode(bytes[mimetype.offset + i]);
+    if (mt.includes('opendocument.text')) kind = 'odt';
+    else if (mt.includes('opendocument.spreadsheet')) kind = 'ods';
+  }
+  if (kind === 'zip') {
+    if (/(^|\n)word\//.test(joined)) kind = 'docx';
+    else if (/(^|\n)xl\//.test(joined)) kind = 'xlsx';
+    else if (/(^|\n)ppt\//.test(joined)) kind = 'pptx';
+    else if (/\[Content_Types\]\.xml/.test(joined)) {
+      // OOXML whose parts lie beyond the sniffed prefix; trust the extension family.
+      kind = KINDS.xlsx.exts.includes(declaredExt) ? 'xlsx' : KINDS.pptx.exts.includes(declaredExt) ? 'pptx' : 'docx';
+      warnings.push('OOXML package — part list beyond sniffed range.');
+    }
+  }
+  if (/vbaProject\.bin/.test(joined)) warnings.push('Package contains VBA macros.');
+  return { kind, dangerous, warnings };
+}
+
+function decodeText(bytes) {
+  if (!bytes.length) return '';
+  // UTF-16 BOMs
+  if ((bytes[0] === 0xFF && bytes[1] === 0xFE) || (bytes[0] === 0xFE && bytes[1] === 0xFF)) {
+    return new TextDecoder(bytes[0] === 0xFF ? 'utf-16le' : 'utf-16be').decode(bytes.subarray(0, 8192));
+  }
+  const n = Math.min(bytes.length, 8192);
+  let control = 0;
+  for (let i = 0; i < n; i++) {
+    const b = bytes[i];
+    if (b === 0) return null;
+    if (b < 9 || (b > 13 && b < 32)) control++;
+  }
+  if (control / n > 0.02) return null;
+  return new TextDecoder('utf-8').decode(bytes.subarray(0, n));
+}
+
+function looksLikeRawDicom(bytes) {
+  // Preamble-less DICOM usually opens with a group 0008 element (little endian).
+  return bytes.length > 8 && bytes[0] === 0x08 && bytes[1] === 0x00 && bytes[3] === 0x00;
+}
+
+function extOf(name) {
+  const i = name.lastIndexOf('.');
+  return i >= 0 ? name.slice(i + 1).toLowerCase() : '';
+}
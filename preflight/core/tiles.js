@@ -0,0 +1,151 @@
+/**
+ * QUALITY MAPS
+ * One sharpness and one contrast number per image hide local problems: a photo that is
+ * sharp in the middle and blurred at the bottom, where the lab values are, still averages
+ * out fine. tileMap() measures every cell of a grid — Laplacian variance (sharpness),
+ * stddev (contrast) and mean brightness (exposure) — and marks the cells with content, so
+ * blank paper and empty background do not count as blurry.
+ * Plugins score with a statistic over the content tiles (tileFindings) and hand a small
+ * heatmap to the card, which draws it over a thumbnail of the image or page.
+ */
+
+import { shrinkGray } from './capture.js';
+
+const GRID = 8; // tiles along the long side
+const MIN_TILE = 32; // px; small images get fewer tiles
+const CONTENT_SD = 12; // a tile with less spread than this is blank paper or background
+const THUMB_SIDE = 160;
+const STATS = ['global', 'median', 'p25', 'p10', 'worst'];
+
+/**
+ * @param {Uint8ClampedArray} gray luminance of the analyzed image or page
+ * @returns {{cols, rows, width, height, sharpness: Float32Array, contrast: Float32Array, exposure: Float32Array, content: Uint8Array, thumb}}
+ *   per tile, row by row; sharpness on the laplacianVariance() scale (/100); thumb: a small
+ *   grayscale copy {width, height, data} for heatmap()
+ */
+export function tileMap(gray, width, height, { grid = GRID } = {}) {
+  const size = Math.max(MIN_TILE, Math.ceil(Math.max(width, height) / grid));
+  const cols = Math.max(1, Math.round(width / size)), rows = Math.max(1, Math.round(height / size));
+  const n = cols * rows;
+  const sum = new Float64Array(n), sum2 = new Float64Array(n), count = new Float64Array(n);
+  const lap = new Float64Array(n), lap2 = new Float64Array(n), lapCount = new Float64Array(n);
+  const colOf = new Int32Array(width);
+  for (let x = 0; x < width; x++) colOf[x] = Math.min(cols - 1, Math.floor((x * cols) / width));
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(rows - 1, Math.floor((y * rows) / height)) * cols;
+    const inner = y > 0 && y < height - 1;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x, t = row + colOf[x], v = gray[i];
+      sum[t] += v; sum2[t] += v * v; count[t]++;
+      if (!inner || x === 0 || x === width - 1) continue;
+      // Same 3×3 kernel as laplacianVariance(), so tile values compare with the global one
+      const l = 8 * v - gray[i - width - 1] - gray[i - width] - gray[i - width + 1] - gray[i - 1] - gray[i + 1] - gray[i + width - 1] - gray[i + width] - gray[i + width + 1];
+      lap[t] += l; lap2[t] += l * l; lapCount[t]++;
+    }
+  }
+  const { g, w, h } = shrinkGray(gray, width, height, THUMB_SIDE);
+  const thumb = { width: w, height: h, data: g === gray ? gray.slice() : g };
+  const map = { cols, rows, width, height, sharpness: new Float32Array(n), contrast: new Float32Array(n), exposure: new Float32Array(n), content: new Uint8Array(n), thumb };
+  for (let t = 0; t < n; t++) {
+    const mean = sum[t] / (count[t] || 1);
+    const sd = Math.sqrt(Math.max(0, sum2[t] / (count[t] || 1) - mean * mean));
+    const lm = lap[t] / (lapCount[t] || 1);
+    map.sharpness[t] = lapCount[t] ? Math.max(0, lap2[t] / lapCount[t] - lm * lm) / 100 : 0;
+    map.contrast[t] = sd;
+    map.exposure[t] = mean;
+    map.content[t] = sd >= CONTENT_SD ? 1 : 0;
+  }
+  return map;
+}
+
+/**
+ * A statistic of 'sharpness' or 'contrast' over the content tiles.
+ * @param {string} stat 'median', 'p25', 'p10' (any pNN) or 'worst'
+ * @returns {number|null} null when no tile has content
+ */
+export function tileStat(map, metric, stat) {
+  const values = [];
+  map[metric].forEach((v, t) => { if (map.content[t]) values.push(v); });
+  if (!values.length) return null;
+  values.sort((a, b) => a - b);
+  if (stat === 'worst') return values[0];
+  const p = stat === 'median' ? 50 : Number(String(stat).replace(/^p/, ''));
+  return values[Math.min(values.length - 1, Math.floor((values.length * (isFinite(p) ? p : 50)) / 100))];
+}
+
+/**
+ * The sharpness and contrast to score with, and findings for weak regions.
+ * @param {Object} map tileMap() result
+ * @param {{tile_stat, weak_region_penalty, weak_region_share}} W tile_stat: 'global' scores the
+ *   whole-image values and penalizes weak regions separately; 'median', 'p25', 'p10' or 'worst'
+ *   score that statistic of the content tiles instead (weak regions are then only reported)
+ * @param {{sharpness: number, contrast: number}} global whole-image measurements
+ * @param {{blur: number, flat: number}} limits the plugin's lowest passing sharpness and contrast
+ * @param {string} [where] prefix for messages, e.g. 'Page 3: '
+ * @returns {{sharpness, contrast, penalty, msg: string[], det: string[]}}
+ */
+export function tileFindings(map, W, global, limits, where = '') {
+  const stat = STATS.includes(W.tile_stat) ? W.tile_stat : 'global';
+  const msg = [], det = [];
+  let penalty = 0;
+  const content = map.content.reduce((a, v) => a + v, 0);
+  const out = { sharpness: global.sharpness, contrast: global.contrast };
+  if (!content) {
+    det.push(`${where}Tiles: ${map.cols}×${map.rows}, none with content`);
+    return { ...out, penalty, msg, det };
+  }
+  if (stat !== 'global') {
+    out.sharpness = tileStat(map, 'sharpness', stat);
+    out.contrast = tileStat(map, 'contrast', stat);
+  }
+  det.push(`${where}Tiles: ${map.cols}×${map.rows}, ${content} with content · sharpness p10 ${tileStat(map, 'sharpness', 'p10').toFixed(1)} / worst ${tileStat(map, 'sharpness', 'worst').toFixed(1)} · contrast p10 ${tileStat(map, 'contrast', 'p10').toFixed(1)}${stat === 'global' ? '' : ` · scored on ${stat} tile`}`);
+  const weak = [
+    { metric: 'sharpness', limit: limits.blur, what: 'blurry', advice: 'refocus on that part of the page and retake' },
+    { metric: 'contrast', limit: limits.flat, what: 'faint', advice: 'light the whole page evenly' }
+  ];
+  for (const { metric, limit, what, advice } of weak) {
+    if (global[metric] < limit) continue; // the whole image already fails this check
+    const tiles = [];
+    map[metric].forEach((v, t) => { if (map.content[t] && v < limit) tiles.push(t); });
+    if (tiles.length / content < (W.weak_region_share || 0.1)) continue;
+    if (stat === 'global') penalty += W.weak_region_penalty || 0;
+    msg.push(`${where}${what[0].toUpperCase()}${what.slice(1)} region ${placeOf(map, tiles)} (${tiles.length} of ${content} areas with content) — ${advice}.`);
+  }
+  return { ...out, penalty, msg, det };
+}
+
+/**
+ * What the card draws: a grayscale thumbnail and, per tile, a quality from 0 (bad) to 1
+ * (good) per layer; null for tiles without content.
+ * @param {{blur: number, flat: number}} limits as for tileFindings()
+ * @returns {{label, cols, rows, thumb: {width, height, data: Uint8ClampedArray}, layers: {sharpness, contrast, exposure}}}
+ */
+export function heatmap(map, limits, label = '') {
+  const clamp = v => Math.round(Math.max(0, Math.min(1, v)) * 100) / 100;
+  const layer = fn => Array.from(map.content, (c, t) => fn(t, c));
+  return {
+    label,
+    cols: map.cols,
+    rows: map.rows,
+    thumb: map.thumb,
+    layers: {
+      // The plugin's passing limit is the middle of the scale, twice it is full marks
+      sharpness: layer((t, c) => (c ? clamp(map.sharpness[t] / (2 * limits.blur)) : null)),
+      contrast: layer((t, c) => (c ? clamp(map.contrast[t] / (2 * limits.flat)) : null)),
+      // Under-exposed below ~100, clipped above ~245; every tile counts
+      exposure: layer(t => clamp(Math.min((map.exposure[t] - 30) / 70, (255 - map.exposure[t]) / 12)))
+    }
+  };
+}
+
+// "at the bottom", "at the top left", "in several places"
+function placeOf(map, tiles) {
+  const xs = tiles.map(t => (t % map.cols + 0.5) / map.cols), ys = tiles.map(t => (Math.floor(t / map.cols) + 0.5) / map.rows);
+  const spread = v => Math.max(...v) - Math.min(...v);
+  if (tiles.length > 2 && spread(xs) > 0.6 && spread(ys) > 0.6) return 'in several places';
+  const third = (v, names) => names[Math.min(2, Math.floor((v.reduce((a, b) => a + b, 0) / v.length) * 3))];
+  const vertical = spread(ys) > 0.6 ? '' : third(ys, ['top', 'middle', 'bottom']);
+  const horizontal = spread(xs) > 0.6 ? '' : third(xs, ['left', 'centre', 'right']);
+  const place = [vertical, horizontal].filter(p => p && p !== 'middle' && p !== 'centre').join(' ');
+  return place ? `at the ${place}` : 'in the middle';
+}
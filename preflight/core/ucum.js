@@ -0,0 +1,123 @@
+/**
+ * UCUM UNIT SYNTAX
+ * Checks a unit code against the UCUM grammar (case-sensitive c/s form): terms joined
+ * by "." and "/", parentheses, {annotations}, integer exponents and prefixed metric
+ * atoms. The atom table covers the units lab results use; anything else is reported
+ * as unknown rather than invalid. Common hand-typed spellings get a suggestion
+ * ("mcg" -> "ug", "10^9/L" -> "10*9/L").
+ */
+
+const PREFIXES = ['da', 'Ki', 'Mi', 'Gi', 'Ti', 'Y', 'Z', 'E', 'P', 'T', 'G', 'M', 'k', 'h', 'd', 'c', 'm', 'u', 'n', 'p', 'f', 'a', 'z', 'y'];
+
+// Atoms that take prefixes (mg, kPa, umol, mL, U, [IU] ...)
+const METRIC = new Set([
+  'm', 's', 'g', 'rad', 'K', 'C', 'cd', 'mol', 'sr', 'Hz', 'N', 'Pa', 'J', 'W', 'A', 'V', 'F', 'Ohm', 'S', 'Wb', 'Cel', 'T', 'H',
+  'lm', 'lx', 'Bq', 'Gy', 'Sv', 'l', 'L', 'ar', 't', 'bar', 'u', 'eV', 'cal', 'eq', 'osm', 'kat', 'U', 'Ci', 'R', 'P', 'St',
+  'g%', 'gf', 'dyn', 'erg', 'G', 'Gal', 'Mx', 'Oe', 'Bi', 'REM', 'RAD',
+  '[iU]', '[IU]', 'm[Hg]', 'm[H2O]', '[CFU]', '[PFU]', '[FFU]', "[arb'U]", "[USP'U]", '[BAU]', '[AU]', '[Lf]', '[PNU]', "[D'ag'U]", '[IR]',
+  'B', 'Np', 'bit', 'By', 'Bd'
+]);
+// Atoms without prefixes
+const PLAIN = new Set([
+  '1', '%', '10*', '10^', '[pi]', '[ppth]', '[ppm]', '[ppb]', '[pptr]', '[pH]', 'min', 'h', 'd', 'a', 'wk', 'mo', 'a_j', 'a_t', 'mo_j', 'mo_s',
+  "'", "''", 'deg', 'gon', '[in_i]', '[ft_i]', '[yd_i]', '[mi_i]', '[lb_av]', '[oz_av]', '[gr]', '[gal_us]', '[qt_us]', '[pt_us]', '[foz_us]',
+  '[degF]', '[degR]', '[HPF]', '[LPF]', '[drp]', '[mesh_i]', '[Ch]', '[hp_X]', '[hp_C]', '[kp_X]', '[kp_C]',
+  "[APL'U]", "[GPL'U]", "[MPL'U]", "[beth'U]", "[todd'U]", "[dye'U]", "[smgy'U]", "[ka'U]", "[knk'U]", "[mclg'U]", "[tb'U]",
+  '[CCID_50]', '[TCID_50]', '[EID_50]', '[ELU]', '[EU]', "[Amb'a'1'U]", '[S]', '[HP]', '[diop]', "[wood'U]",
+  '[kn_i]', '[psi]', '[m_e]', '[m_p]', '[c]', '[h]', '[k]', '[G]', '[g]', '[e]', '[ly]', 'atm', 'Ao', 'b', 'circ', 'sph', '[sct]', '[tbs_us]',
+  '[tsp_us]', '[cup_us]', '[lcwt_av]', '[ston_av]', 'mho', '[car_m]', '[car_Au]', '[smoot]', '[MET]'
+]);
+
+// Frequent non-UCUM spellings and what they should be
+const SUGGEST = [
+  [/mcg/g, 'ug'], [/µ|μ/g, 'u'], [/\[?IU\]?/g, '[IU]'], [/mEq/g, 'meq'], [/\bcc\b/g, 'mL'], [/\^(\d)/g, '*$1'], [/10E(\d)/g, '10*$1'], [/x10\*?/g, '10*'],
+  [/mm ?Hg/g, 'mm[Hg]'], [/cm ?H2O/g, 'cm[H2O]'], [/\bhrs?\b/g, 'h'], [/\bsec\b/g, 's'], [/\bmins?\b/g, 'min'], [/\s+/g, ''],
+  [/\bgm\b/g, 'g'], [/\bHPF\b/g, '[HPF]'], [/\bLPF\b/g, '[LPF]'], [/\bppm\b/g, '[ppm]'], [/\bpH\b/g, '[pH]'], [/°C/g, 'Cel'], [/°F/g, '[degF]']
+];
+
+/**
+ * @param {string} code UCUM case-sensitive unit code (Quantity.code)
+ * @returns {{valid: boolean, known: boolean, error?: string, suggestion?: string}}
+ *   valid: passes the grammar; known: every atom is in the table above
+ */
+export function checkUcum(code) {
+  if (typeof code !== 'string' || !code) return { valid: false, known: false, error: 'empty unit' };
+  const result = parse(code);
+  if (result.valid && result.known) return result;
+  const suggestion = suggestUcum(code);
+  return suggestion && suggestion !== code && parse(suggestion).known ? { ...result, suggestion } : result;
+}
+
+function suggestUcum(code) {
+  return SUGGEST.reduce((s, [re, to]) => s.replace(re, to), code);
+}
+
+function parse(code) {
+  if (/[^\x21-\x7E]/.test(code)) return { valid: false, known: false, error: 'only printable ASCII without spaces is allowed' };
+  let pos = 0;
+  let known = true;
+  const fail = error => { throw new Error(`${error} at position ${pos + 1}`); };
+
+  // term := ['/'] component (('.' | '/') component)*
+  const term = () => {
+    if (code[pos] === '/') pos++;
+    component();
+    while (code[pos] === '.' || code[pos] === '/') {
+      pos++;
+      component();
+    }
+  };
+  // component := '(' term ')' | annotation | annotatable [annotation] | factor
+  const component = () => {
+    if (code[pos] === '(') {
+      pos++;
+      term();
+      if (code[pos] !== ')') fail('missing ")"');
+      pos++;
+      annotation();
+      return;
+    }
+    if (code[pos] === '{') {
+      annotation();
+      return;
+    }
+    const start = pos;
+    while (pos < code.length && !'./(){}'.includes(code[pos])) {
+      if (code[pos] !== '[') {
+        pos++;
+        continue;
+      }
+      const end = code.indexOf(']', pos);
+      if (end < 0) fail('missing "]"');
+      pos = end + 1;
+    }
+    const symbol = code.slice(start, pos);
+    if (!symbol) fail('missing unit');
+    if (!atom(symbol)) known = false;
+    annotation();
+  };
+  const annotation = () => {
+    if (code[pos] !== '{') return;
+    const end = code.indexOf('}', pos);
+    if (end < 0) fail('missing "}"');
+    if (code.slice(pos + 1, end).includes('{')) fail('nested "{"');
+    pos = end + 1;
+  };
+
+  try {
+    term();
+    if (pos < code.length) fail(`unexpected "${code[pos]}"`);
+    return { valid: true, known };
+  } catch (e) {
+    return { valid: false, known: false, error: e.message };
+  }
+}
+
+/** A simple unit with an optional exponent: integer factor, plain atom, or prefix + metric atom. */
+function atom(symbol) {
+  if (/^\d+$/.test(symbol)) return true;
+  const m = /^(.*?[^\d+-])([+-]?\d+)?$/.exec(symbol) || [symbol, symbol];
+  const unit = m[1];
+  if (PLAIN.has(unit) || METRIC.has(unit)) return true;
+  return PREFIXES.some(p => unit.startsWith(p) && METRIC.has(unit.slice(p.length)));
+}
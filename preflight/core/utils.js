@@ -1,9 +1,28 @@
 export function toGrayscale(img){const d=img.data,n=img.width*img.height;const out=new Uint8ClampedArray(n);for(let i=0,j=0;i<d.length;i+=4,j++){out[j]=(0.2126*d[i]+0.7152*d[i+1]+0.0722*d[i+2])|0;}return out;}
 export function stddev(a){let s=0,s2=0;for(let i=0;i<a.length;i++){const v=a[i];s+=v;s2+=v*v;}const n=a.length,mean=s/n;return Math.sqrt(Math.max(0,s2/n-mean*mean));}
 export function laplacianVariance(g,w,h){const k=[-1,-1,-1,-1,8,-1,-1,-1,-1];let sum=0,sum2=0,count=0;for(let y=1;y<h-1;y++){for(let x=1;x<w-1;x++){let v=0,i=0;for(let dy=-1;dy<=1;dy++){for(let dx=-1;dx<=1;dx++){v+=g[(y+dy)*w+(x+dx)]*k[i++];}}sum+=v;sum2+=v*v;count++;}}const mean=sum/count;return Math.max(0,sum2/count-mean*mean)/100;}
-export function detectDelimiter(sample){const candidates=[',',';','\t','|'];const score=c=>{const lines=sample.split(/\r?\n/).slice(0,50);const counts=lines.map(l=>l.split(c).length);const mean=counts.reduce((a,b)=>a+b,0)/counts.length;const varc=counts.reduce((a,b)=>a+(b-mean)*(b-mean),0)/counts.length;return -varc;};return candidates.sort((a,b)=>score(b)-score(a))[0];}
+export function detectDelimiter(sample){const candidates=[',',';','\t','|'];const stats=c=>{const counts=[];const p=createCsvParser({delimiter:c,onRow:f=>{if(counts.length<50)counts.push(f.length);}});p.push(sample.slice(0,65536));p.end();const n=counts.length||1;const mean=counts.reduce((a,b)=>a+b,0)/n;const varc=counts.reduce((a,b)=>a+(b-mean)*(b-mean),0)/n;return{mean,varc};};const scored=candidates.map(c=>({c,...stats(c)}));const split=scored.filter(x=>x.mean>1.5);const pool=split.length?split:scored;pool.sort((a,b)=>(a.varc-b.varc)||(b.mean-a.mean));return pool[0].c;}
 export function mode(arr){const m=new Map();arr.forEach(v=>m.set(v,(m.get(v)||0)+1));let best=arr[0],bestn=0;for(const [k,v] of m){if(v>bestn){best=k;bestn=v;}}return best;}
 export function refCols(ref){const m=/:([A-Z]+)\d+$/i.exec(ref);if(!m)return 0;return colToNum(m[1]);}function colToNum(col){let n=0;for(let i=0;i<col.length;i++){n=n*26+(col.toUpperCase().charCodeAt(i)-64);}return n;}
 export function loadImage(file){return new Promise((resolve,reject)=>{const url=URL.createObjectURL(file);const img=new Image();img.onload=()=>{URL.revokeObjectURL(url);resolve(img);};img.onerror=()=>reject(new Error('Failed to load image.'));img.src=url;});}
 export function escapeHtml(s){return String(s).replace(/[&<>"']/g,m=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));}
-export function fmtSize(n){const u=['B','KB','MB','GB'];let i=0;while(n>1024&&i<u.length-1){n/=1024;i++}return `${n.toFixed(1)} ${u[i]}`;}
\ No newline at end of file
+export function fmtSize(n){const u=['B','KB','MB','GB'];let i=0;while(n>1024&&i<u.length-1){n/=1024;i++}return `${n.toFixed(1)} ${u[i]}`;}export function otsuThreshold(g){const hist=new Float64Array(256);for(let i=0;i<g.length;i++)hist[g[i]|0]++;const n=g.length;let sum=0;for(let i=0;i<256;i++)sum+=i*hist[i];let sumB=0,wB=0,best=0,thr=127;for(let t=0;t<256;t++){wB+=hist[t];if(!wB)continue;const wF=n-wB;if(!wF)break;sumB+=t*hist[t];const mB=sumB/wB,mF=(sum-sumB)/wF;const between=wB*wF*(mB-mF)*(mB-mF);if(between>best){best=between;thr=t;}}return thr;}
+function inkPoints(g,w,h,maxSide=600,maxPoints=40000){const s=Math.max(1,Math.ceil(Math.max(w,h)/maxSide));const sw=Math.floor(w/s),sh=Math.floor(h/s);const small=new Uint8ClampedArray(sw*sh);for(let y=0;y<sh;y++)for(let x=0;x<sw;x++)small[y*sw+x]=g[(y*s)*w+x*s];const thr=otsuThreshold(small);let dark=0;for(let i=0;i<small.length;i++)if(small[i]<=thr)dark++;const inkIsDark=dark<=small.length/2;const xs=[],ys=[];const step=Math.max(1,Math.ceil(Math.min(dark,small.length-dark)/maxPoints));let k=0;for(let y=0;y<sh;y++)for(let x=0;x<sw;x++){const i=y*sw+x;if((small[i]<=thr)===inkIsDark&&(k++%step===0)){xs.push(x);ys.push(y);}}return{xs,ys,w:sw,h:sh};}
+function profileBins(xs,ys,diag,rad){const c=Math.cos(rad),s=Math.sin(rad);const bins=new Float64Array(2*diag+2);for(let i=0;i<xs.length;i++){bins[Math.round(ys[i]*c-xs[i]*s)+diag]++;}return bins;}
+function profileScore(xs,ys,diag,rad){const bins=profileBins(xs,ys,diag,rad);let sc=0;for(let i=0;i<bins.length;i++)sc+=bins[i]*bins[i];return sc;}
+/** Skew of text lines by projection profile, for horizontal and vertical (90°-turned) lines. angle: degrees the lines are rotated clockwise from their axis (rotate by -angle to straighten); confidence 0..1. */
+export function estimateSkew(g,w,h,{maxAngle=15}={}){const {xs,ys,w:sw,h:sh}=inkPoints(g,w,h);if(xs.length<50)return{angle:0,confidence:0,vertical:false};const diag=Math.ceil(Math.hypot(sw,sh));const rad=d=>d*Math.PI/180;const scores=[];let best=-Infinity,bestA=0,vertical=false;for(const base of [0,90]){for(let a=-maxAngle;a<=maxAngle;a+=1){const sc=profileScore(xs,ys,diag,rad(base+a));scores.push(sc);if(sc>best){best=sc;bestA=a;vertical=base===90;}}}let fine=bestA;const base=vertical?90:0;for(let a=bestA-1;a<=bestA+1;a+=0.1){const sc=profileScore(xs,ys,diag,rad(base+a));if(sc>best){best=sc;fine=a;}}const sorted=scores.sort((a,b)=>a-b);const median=sorted[sorted.length>>1];return{angle:Math.round(fine*10)/10,confidence:Math.max(0,Math.min(1,(best-median)/best*2)),vertical};}
+function lineProfileBias(p){let max=0;for(const v of p)if(v>max)max=v;let above=0,below=0,lines=0;for(let i=0;i<p.length;){if(p[i]<=max*0.1){i++;continue;}let j=i;while(j<p.length&&p[j]>max*0.1)j++;if(j-i>=3){let peak=0;for(let k=i;k<j;k++)if(p[k]>peak)peak=p[k];let top=i,bot=j-1;while(p[top]<peak*0.5)top++;while(p[bot]<peak*0.5)bot--;for(let k=i;k<top;k++)above+=p[k];for(let k=bot+1;k<j;k++)below+=p[k];lines++;}i=j;}return{above,below,lines};}
+/** Coarse page orientation: rotation (0/90/180/270) the content is turned clockwise, from line direction and ascender/descender balance (Latin script). Pass estimateSkew()'s result to reuse it. */
+export function detectRotation(g,w,h,skew=estimateSkew(g,w,h)){const {xs,ys,w:sw,h:sh}=inkPoints(g,w,h);if(xs.length<200||!skew.confidence)return{rotation:0,confidence:0};const diag=Math.ceil(Math.hypot(sw,sh));const bins=profileBins(xs,ys,diag,(skew.angle+(skew.vertical?90:0))*Math.PI/180);const {above,below,lines}=lineProfileBias(bins);if(!lines)return{rotation:0,confidence:0};const upright=above>=below;const rotation=skew.vertical?(upright?90:270):(upright?0:180);const bias=Math.abs(above-below)/Math.max(1,above+below);return{rotation,confidence:Math.round(Math.min(1,bias*3)*100)/100};}
+export function fixedName(name,suffix,ext){const base=name.replace(/\.[^.]+$/,'');return `${base}_${suffix}.${ext||name.split('.').pop()||'png'}`;}
+/** Text encoding of a byte sample: BOM first, then UTF-16 zero-byte pattern, then strict UTF-8, else Windows-1252 (Latin-1). */
+export function detectEncoding(bytes){if(bytes[0]===0xEF&&bytes[1]===0xBB&&bytes[2]===0xBF)return{encoding:'utf-8',bom:true};if(bytes[0]===0xFF&&bytes[1]===0xFE)return{encoding:'utf-16le',bom:true};if(bytes[0]===0xFE&&bytes[1]===0xFF)return{encoding:'utf-16be',bom:true};const n=Math.min(bytes.length,4096)&~1;let evenZero=0,oddZero=0;for(let i=0;i<n;i+=2){if(bytes[i]===0)evenZero++;if(bytes[i+1]===0)oddZero++;}if(n&&oddZero>n/2*0.3&&evenZero<n/2*0.05)return{encoding:'utf-16le',bom:false};if(n&&evenZero>n/2*0.3&&oddZero<n/2*0.05)return{encoding:'utf-16be',bom:false};let end=bytes.length;if(end>=65536){end-=4;while(end>0&&(bytes[end]&0xC0)===0x80)end--;}try{new TextDecoder('utf-8',{fatal:true}).decode(bytes.subarray(0,end));return{encoding:'utf-8',bom:false};}catch(e){return{encoding:'windows-1252',bom:false};}}
+/** Incremental RFC 4180 parser: push(text) any number of times, then end(). onRow(fields, line) gets the 1-based physical line each record starts on; quoted fields may hold delimiters, "" and newlines. A field keeps at most maxField characters, so an unclosed quote (unterminatedAt after end()) cannot pull the rest of a large file into memory. */
+const MAX_CSV_FIELD=1<<20;
+export function createCsvParser({delimiter=',',onRow,maxField=MAX_CSV_FIELD}){let field='',row=[],inQuotes=false,quotePending=false,afterQuote=false,pendingCR=false,started=false,line=1,rowLine=1;const endField=()=>{row.push(field);field='';afterQuote=false;};const endRow=()=>{endField();if(started||row.length>1||row[0]!=='')onRow(row,rowLine);row=[];started=false;rowLine=line;};const parser={unterminatedAt:null,push(text){for(let i=0;i<text.length;i++){const ch=text[i];if(pendingCR){pendingCR=false;if(ch==='\n')continue;}if(quotePending){quotePending=false;if(ch==='"'){if(field.length<maxField)field+='"';continue;}inQuotes=false;afterQuote=true;}if(inQuotes){if(ch==='"')quotePending=true;else if(ch==='\r'||ch==='\n'){line++;if(field.length<maxField)field+='\n';pendingCR=ch==='\r';}else if(field.length<maxField)field+=ch;continue;}if(ch===delimiter){endField();started=true;}else if(ch==='\r'||ch==='\n'){line++;pendingCR=ch==='\r';endRow();}else if(ch==='"'&&field===''&&!afterQuote){inQuotes=true;started=true;}else{if(field.length<maxField)field+=ch;started=true;}}},end(){if(quotePending){quotePending=false;inQuotes=false;}if(inQuotes){parser.unterminatedAt=rowLine;inQuotes=false;}if(field!==''||row.length||started)endRow();}};return parser;}
+/**
+ * Stream a delimited text file through the RFC 4180 parser with bounded memory.
+ * @returns {Promise<{encoding, bom, delimiter, header: string[], rows, unterminatedAt, ragged: {count, examples: Array<{line, fields, expected}>}, emptyRate, columnEmpty: Array<{name, rate}>, sample: string[][], bytes}>}
+ */
+export async function csvStats(file,{sampleRows=200,maxExamples=20,onProgress,onRow}={}){const head=new Uint8Array(await file.slice(0,65536).arrayBuffer());const {encoding,bom}=detectEncoding(head);const delimiter=detectDelimiter(new TextDecoder(encoding).decode(head));let header=null,rows=0,cells=0,empties=0,raggedCount=0;const examples=[],sample=[],colEmpty=[];const parser=createCsvParser({delimiter,onRow:(fields,line)=>{if(!header){header=fields.map(f=>f.trim());return;}rows++;if(sample.length<sampleRows)sample.push(fields);if(onRow)onRow(fields,line,header);if(fields.length!==header.length){raggedCount++;if(examples.length<maxExamples)examples.push({line,fields:fields.length,expected:header.length});}for(let i=0;i<fields.length;i++){const empty=fields[i].trim()==='';cells++;if(empty){empties++;colEmpty[i]=(colEmpty[i]||0)+1;}}for(let i=fields.length;i<header.length;i++){cells++;empties++;colEmpty[i]=(colEmpty[i]||0)+1;}}});const decoder=new TextDecoder(encoding);const reader=file.stream().getReader();let read=0;for(;;){const {done,value}=await reader.read();if(done)break;read+=value.length;parser.push(decoder.decode(value,{stream:true}));if(onProgress)onProgress(read,file.size);}parser.push(decoder.decode());parser.end();header=header||[];return{encoding,bom,delimiter,header,rows,unterminatedAt:parser.unterminatedAt,ragged:{count:raggedCount,examples},emptyRate:cells?empties/cells:1,columnEmpty:header.map((name,i)=>({name:name||`column ${i+1}`,rate:rows?(colEmpty[i]||0)/rows:1})),sample,bytes:file.size};}
@@ -0,0 +1,95 @@
+/**
+ * ANALYSIS WORKER
+ * Runs the built-in plugins off the main thread for core/pool.js. The page sends
+ *   { type: 'run', id, op: 'analyze'|'group'|'rescore', ..., policy, maxPixels, ocr }
+ * and gets back 'status' / 'notes' messages while the plugin works, then 'done' with the
+ * result or 'error'. A result's fixes stay here (they are closures); the page asks for
+ *   { type: 'fix', id, job, fix }  and receives the corrected File(s).
+ * OCR is not available in a worker, so recognize() and detectScript() are bridged to the page ('ocr').
+ */
+
+import { registerBuiltins } from './builtins.js';
+import { analyzePrepared, analyzePreparedGroup, rescore } from './route.js';
+import { getPlugin } from './registry.js';
+import { applyPolicyProfile, getPolicyProfile } from './policy.js';
+import { setPixelBudget } from './raster.js';
+import { setOcrBridge } from './ocr.js';
+
+const KEEP_FIXES = 32; // results whose fixes can still be applied here (oldest dropped first)
+
+registerBuiltins();
+
+const fixes = new Map(); // job id -> fixes[]
+const ocrCalls = new Map(); // request id -> {resolve, reject}
+let ocrSeq = 0;
+
+const ocrBridge = (op, image, lang, params) => new Promise((resolve, reject) => {
+  const id = ++ocrSeq;
+  ocrCalls.set(id, { resolve, reject });
+  self.postMessage({ type: 'ocr', id, op, image, lang, params });
+});
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.type === 'run') run(msg);
+  else if (msg.type === 'fix') applyFix(msg);
+  else if (msg.type === 'ocr-result') {
+    const call = ocrCalls.get(msg.id);
+    ocrCalls.delete(msg.id);
+    if (call) msg.error ? call.reject(new Error(msg.error)) : call.resolve({ data: msg.data });
+  }
+};
+
+async function run(msg) {
+  const { id } = msg;
+  const notes = new Set(); // the plugin and the PHI scan may both read the image
+  const ui = {
+    status: { set textContent(v) { self.postMessage({ type: 'status', id, text: String(v) }); }, set innerHTML(v) { this.textContent = String(v).replace(/<[^>]*>/g, ''); } },
+    notes: { set textContent(v) { self.postMessage({ type: 'notes', id, text: String(v) }); } },
+    mapping: msg.mapping || null
+  };
+  try {
+    if (JSON.stringify(msg.policy) !== JSON.stringify(getPolicyProfile())) applyPolicyProfile(msg.policy);
+    setOcrBridge(msg.ocr ? ocrBridge : null); // only when the page has an OCR engine loaded
+    setPixelBudget(msg.maxPixels, d => notes.add(`Analyzed at ${d.toWidth}×${d.toHeight} (from ${d.width}×${d.height}) to stay within the memory budget`));
+
+    let result;
+    if (msg.op === 'analyze') result = await analyzePrepared(msg.item, ui, msg.plugin);
+    else if (msg.op === 'group') result = await analyzePreparedGroup({ ...msg.group, plugin: getPlugin(msg.group.plugin) }, ui);
+    else result = await rescore(msg.plugin, msg.files, ui, msg.group ? { ...msg.group, plugin: getPlugin(msg.group.plugin) } : null);
+    if (!result) return self.postMessage({ type: 'done', id, result: null });
+
+    result.details = [...result.details, ...notes];
+    keepFixes(id, result.fixes || []);
+    self.postMessage({ type: 'done', id, result: cloneable({ ...result, fixes: (result.fixes || []).map(f => ({ id: f.id, label: f.label, steps: f.steps })) }) });
+  } catch (e) {
+    self.postMessage({ type: 'error', id, message: e.message });
+  }
+}
+
+async function applyFix({ id, job, fix }) {
+  const list = fixes.get(job);
+  const found = list && list.find(f => f.id === fix);
+  if (!found) return self.postMessage({ type: 'fixed', id, gone: true });
+  try {
+    self.postMessage({ type: 'fixed', id, files: await found.apply() });
+  } catch (e) {
+    self.postMessage({ type: 'fixed', id, error: e.message });
+  }
+}
+
+function keepFixes(id, list) {
+  if (!list.length) return;
+  fixes.set(id, list);
+  while (fixes.size > KEEP_FIXES) fixes.delete(fixes.keys().next().value);
+}
+
+// Results are plain data apart from the odd function a plugin leaves in; drop those
+function cloneable(v) {
+  if (typeof v === 'function') return undefined;
+  if (Array.isArray(v)) return v.map(cloneable);
+  if (!v || typeof v !== 'object' || ArrayBuffer.isView(v) || v instanceof Blob || v instanceof ArrayBuffer) return v;
+  if (v instanceof Map) return new Map([...v].map(([k, x]) => [k, cloneable(x)]));
+  const out = {};
+  for (const [k, x] of Object.entries(v)) if (typeof x !== 'function') out[k] = cloneable(x);
+  return out;
+}
@@ -4,12 +4,18 @@
  * This file serves as the bridge between the Client-Side Preflight Validator
  * and your Server-Side Infrastructure.
  * 
+ * Uploads go through upload_queue.js: chunked and resumable (tus 1.0 protocol),
+ * retried with backoff, and kept in IndexedDB until the server has them.
+ *
  * TODO:
- * 1. Replace API_ENDPOINT with your actual upload URL.
+ * 1. Replace API_ENDPOINT with your actual tus upload URL
+ *    (or run `node integrate_APIs/tus_server.js` and use http://localhost:1080/files/).
  * 2. Add any required headers (Authorization, X-API-Key, etc.).
  * 3. Import this function into 'core/shell.js' when you are ready to go live.
  */
 
+import { createUploadQueue } from './upload_queue.js';
+
 const API_CONFIG = {
     // Replace this with your actual backend endpoint
     ENDPOINT: "https://api.your-company.com/v1/ingest/files",
@@ -18,50 +24,102 @@ const API_CONFIG = {
     HEADERS: {
         // "Authorization": "Bearer <YOUR_TOKEN>",
         // "X-Custom-Auth": "SecretKey"
+    },
+
+    // Upload queue: files sent at once, chunk size, retries per failure streak
+    UPLOAD: {
+        CONCURRENCY: 2,
+        CHUNK_SIZE: 2 * 1024 * 1024,
+        RETRIES: 6
     }
 };
 
+let queue = null;
+
 /**
- * Uploads a validated file to the backend.
+ * True once ENDPOINT points at a real backend (the shell shows a setup hint until then).
+ */
+export function isApiConfigured() {
+    return !/api\.your-company\.com/.test(API_CONFIG.ENDPOINT);
+}
+
+/**
+ * The shared upload queue (created on first use from API_CONFIG).
+ * Use it to show pending uploads: restore() re-queues the ones a previous page left unfinished.
+ */
+export function getUploadQueue() {
+    if (!queue) {
+        queue = createUploadQueue({
+            endpoint: API_CONFIG.ENDPOINT,
+            headers: API_CONFIG.HEADERS,
+            concurrency: API_CONFIG.UPLOAD.CONCURRENCY,
+            chunkSize: API_CONFIG.UPLOAD.CHUNK_SIZE,
+            retries: API_CONFIG.UPLOAD.RETRIES
+        });
+    }
+    return queue;
+}
+
+/**
+ * Uploads a validated file to the backend through the resumable upload queue.
  * 
  * @param {File} file - The raw file object from the drop zone.
- * @param {Object} metadata - Quality data (Score, Plugin Tag, Validation Msg).
- * @returns {Promise<Object>} - The JSON response from your server.
+ * @param {Object} metadata - Quality data (Score, Plugin Tag, Policy profile, applied Fixes,
+ *   the file's SHA-256 and its audit record).
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options] - onProgress(job) with
+ *   {offset, size, state, error}; aborting the signal cancels the upload.
+ * @returns {Promise<Object>} - {id, location, name, size} once the server has every byte.
  */
-export async function uploadToBackend(file, metadata) {
+export async function uploadToBackend(file, metadata, { onProgress, signal } = {}) {
     console.log(`🚀 Starting Upload: ${file.name}`);
     console.log(`📊 Quality Score: ${metadata.score}/100 [${metadata.tag}]`);
 
-    const formData = new FormData();
-    formData.append("document", file);
+    // Sent as tus Upload-Metadata, so your server can prioritize or
+    // route files based on quality before processing.
+    const job = getUploadQueue().enqueue(file, {
+        preflight_score: metadata.score,
+        preflight_valid: metadata.valid,
+        preflight_tag: metadata.tag, // e.g., 'xray-plus', 'doc-ocr'
+        // Policy profile that produced the score, e.g. 'strict@2026.10.1'
+        preflight_policy: metadata.policy,
+        // The file was corrected in the browser (e.g. 'clahe', 'crop', 'deskew')
+        preflight_fixes: metadata.fixes && metadata.fixes.length ? metadata.fixes : undefined,
+        // SHA-256 of this file and the audit record of its verdict (core/audit.js),
+        // so the server can match what it received to what preflight judged
+        preflight_sha256: metadata.sha256,
+        preflight_audit: metadata.audit ? auditHeader(metadata.audit) : undefined
+    });
 
-    // Sending Preflight "Metadata" headers allows your server to 
-    // prioritize or route files based on quality before processing.
-    formData.append("preflight_score", metadata.score);
-    formData.append("preflight_valid", metadata.valid);
-    formData.append("preflight_tag", metadata.tag); // e.g., 'xray-plus', 'doc-ocr'
+    const unsubscribe = onProgress ? getUploadQueue().subscribe(j => { if (j.id === job.id) onProgress(j); }) : () => {};
+    const onAbort = () => getUploadQueue().cancel(job.id);
+    if (signal) {
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+    }
 
     try {
-        const response = await fetch(API_CONFIG.ENDPOINT, {
-            method: "POST",
-            headers: {
-                ...API_CONFIG.HEADERS,
-                // Note: Content-Type is set automatically by the browser for FormData
-            },
-            body: formData
-        });
-
-        if (!response.ok) {
-            throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
-        }
-
-        const data = await response.json();
+        const data = await job.promise;
         console.log("✅ Upload Successful:", data);
         return data;
 
     } catch (error) {
-        console.error("❌ Upload Failed:", error);
+        if (!error.cancelled) console.error("❌ Upload Failed:", error);
         // Re-throw to handle UI error states in shell.js
         throw error;
+    } finally {
+        unsubscribe();
+        if (signal) signal.removeEventListener('abort', onAbort);
     }
 }
+
+/**
+ * The audit record as JSON for Upload-Metadata. Request headers are limited in size, so
+ * long details (then messages) are left out of very large records; the counts say so.
+ */
+function auditHeader(audit) {
+    const LIMIT = 6000;
+    let json = JSON.stringify(audit);
+    if (json.length > LIMIT) json = JSON.stringify({ ...audit, details: [], detailsOmitted: audit.details.length });
+    if (json.length > LIMIT) json = JSON.stringify({ ...audit, details: [], detailsOmitted: audit.details.length, messages: [], messagesOmitted: audit.messages.length });
+    return json;
+}
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * ✈️ PREFLIGHT REFERENCE UPLOAD SERVER
+ * ====================================
+ * A small tus 1.0 server (core protocol + creation + termination) for trying the upload
+ * queue without a backend. Not for production: no auth, no expiry, one process.
+ *
+ *   node integrate_APIs/tus_server.js [--port 1080] [--dir ./uploads] [--fail-rate 0.2]
+ *
+ * Then set API_CONFIG.ENDPOINT in api_connector.js to http://localhost:1080/files/.
+ * Each upload is stored as <dir>/<id>.bin with its decoded Upload-Metadata in <id>.json.
+ * --fail-rate answers that share of PATCH requests with a 503 (after keeping part of the
+ * chunk), to watch the client retry and resume.
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import { mkdir, readFile, writeFile, stat, rm } from 'node:fs/promises';
+import path from 'node:path';
+
+const TUS_VERSION = '1.0.0';
+const MAX_SIZE = 4 * 1024 * 1024 * 1024;
+
+const CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, HEAD, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset, X-API-Key',
+    'Access-Control-Expose-Headers': 'Location, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Upload-Length, Upload-Offset',
+    'Tus-Resumable': TUS_VERSION
+};
+
+const opts = { port: 1080, dir: path.resolve('uploads'), failRate: 0 };
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') opts.port = Number(argv[++i]);
+    else if (argv[i] === '--dir') opts.dir = path.resolve(argv[++i]);
+    else if (argv[i] === '--fail-rate') opts.failRate = Number(argv[++i]);
+    else {
+        console.error('Usage: tus_server.js [--port 1080] [--dir ./uploads] [--fail-rate 0.2]');
+        process.exit(2);
+    }
+}
+
+await mkdir(opts.dir, { recursive: true });
+
+const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+        console.error(err);
+        send(res, 500, {}, err.message);
+    });
+});
+server.listen(opts.port, () => console.log(`tus server on http://localhost:${opts.port}/files/ · storing in ${opts.dir}`));
+
+async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = /^\/files\/?([\w-]*)$/.exec(url.pathname);
+    if (!match) return send(res, 404);
+    const id = match[1];
+
+    if (req.method === 'OPTIONS') {
+        return send(res, 204, { 'Tus-Version': TUS_VERSION, 'Tus-Extension': 'creation,termination', 'Tus-Max-Size': String(MAX_SIZE) });
+    }
+    if (req.headers['tus-resumable'] !== TUS_VERSION) return send(res, 412, { 'Tus-Version': TUS_VERSION });
+
+    if (req.method === 'POST' && !id) {
+        const length = Number(req.headers['upload-length']);
+        if (!Number.isInteger(length) || length < 0) return send(res, 400, {}, 'Upload-Length required');
+        if (length > MAX_SIZE) return send(res, 413);
+        const newId = randomUUID();
+        const info = { id: newId, length, metadata: decodeMetadata(req.headers['upload-metadata']), createdAt: new Date().toISOString() };
+        if (length === 0) info.completedAt = info.createdAt; // nothing to PATCH
+        await writeFile(file(newId, 'bin'), '');
+        await writeFile(file(newId, 'json'), JSON.stringify(info, null, 2));
+        console.log(`created ${newId} · ${info.metadata.filename || '?'} · ${length} bytes`);
+        return send(res, 201, { Location: `/files/${newId}` });
+    }
+
+    const info = id ? await load(id) : null;
+    if (!info) return send(res, 404);
+
+    if (req.method === 'HEAD') {
+        return send(res, 200, { 'Upload-Offset': String(await offsetOf(id)), 'Upload-Length': String(info.length), 'Cache-Control': 'no-store' });
+    }
+
+    if (req.method === 'PATCH') {
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') return send(res, 415);
+        const offset = await offsetOf(id);
+        if (Number(req.headers['upload-offset']) !== offset) return send(res, 409, { 'Upload-Offset': String(offset) });
+        const fail = Math.random() < opts.failRate;
+        await append(req, id, info.length - offset, fail);
+        const now = await offsetOf(id);
+        if (fail) return send(res, 503, {}, 'Simulated failure');
+        if (now === info.length) {
+            info.completedAt = new Date().toISOString();
+            await writeFile(file(id, 'json'), JSON.stringify(info, null, 2));
+            console.log(`completed ${id} · ${info.metadata.filename || '?'}`);
+        }
+        return send(res, 204, { 'Upload-Offset': String(now) });
+    }
+
+    if (req.method === 'DELETE') {
+        await rm(file(id, 'bin'), { force: true });
+        await rm(file(id, 'json'), { force: true });
+        console.log(`deleted ${id}`);
+        return send(res, 204);
+    }
+
+    return send(res, 405);
+}
+
+// Write the request body after the current end of the upload. A simulated failure keeps
+// only the first half of the chunk, like a connection that dropped mid-way.
+function append(req, id, room, fail) {
+    return new Promise((resolve, reject) => {
+        const out = createWriteStream(file(id, 'bin'), { flags: 'a' });
+        let written = 0;
+        let limit = room;
+        const declared = Number(req.headers['content-length']);
+        if (fail && declared > 0) limit = Math.min(room, Math.floor(declared / 2));
+        req.on('data', buf => {
+            const take = buf.subarray(0, Math.max(0, limit - written));
+            written += take.length;
+            if (take.length) out.write(take);
+        });
+        req.on('end', () => out.end(resolve));
+        req.on('error', err => out.end(() => reject(err)));
+        req.on('aborted', () => out.end(resolve));
+    });
+}
+
+async function offsetOf(id) {
+    return (await stat(file(id, 'bin'))).size;
+}
+
+async function load(id) {
+    try {
+        return JSON.parse(await readFile(file(id, 'json'), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function file(id, ext) {
+    return path.join(opts.dir, `${id}.${ext}`);
+}
+
+function decodeMetadata(header = '') {
+    const out = {};
+    for (const pair of header.split(',')) {
+        const [key, value = ''] = pair.trim().split(' ');
+        if (key) out[key] = Buffer.from(value, 'base64').toString('utf8');
+    }
+    return out;
+}
+
+function send(res, status, headers = {}, body = '') {
+    res.writeHead(status, { ...CORS, ...headers });
+    res.end(body);
+}
@@ -0,0 +1,350 @@
+/**
+ * ✈️ PREFLIGHT UPLOAD QUEUE
+ * =========================
+ * Chunked, resumable uploads over the tus 1.0 protocol (https://tus.io/protocols/resumable-upload):
+ *
+ *   POST   <endpoint>   Upload-Length, Upload-Metadata   -> 201 + Location
+ *   HEAD   <location>                                    -> Upload-Offset (where to resume)
+ *   PATCH  <location>   Upload-Offset + one chunk        -> 204 + the new Upload-Offset
+ *   DELETE <location>                                    -> cancelled (termination extension)
+ *
+ * `concurrency` files are sent at a time, each in `chunkSize` pieces. A failed request is
+ * retried with exponential backoff (waiting for the browser to come back online first) and
+ * the offset is read back from the server before sending more, so no byte is sent twice.
+ * Pending uploads — the file included — are kept in IndexedDB, and restore() picks them up
+ * again after a reload. `node integrate_APIs/tus_server.js` is a reference server to try it.
+ */
+
+const TUS_VERSION = '1.0.0';
+const DB_NAME = 'preflight-uploads';
+
+const DEFAULTS = {
+    concurrency: 2,
+    chunkSize: 2 * 1024 * 1024,
+    retries: 6,            // per failure streak; a chunk that goes through resets it
+    retryDelay: 1000,      // first wait, doubled on each retry...
+    maxRetryDelay: 30000,  // ...up to this
+    headers: {},
+    persist: true          // keep pending uploads in IndexedDB (where available)
+};
+
+/**
+ * @param {{endpoint: string, concurrency?: number, chunkSize?: number, retries?: number,
+ *          retryDelay?: number, maxRetryDelay?: number, headers?: Object, persist?: boolean}} options
+ * @returns {{enqueue: Function, cancel: Function, restore: Function, list: Function, subscribe: Function}}
+ */
+export function createUploadQueue(options) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!opts.endpoint) throw new Error('createUploadQueue: an endpoint is required');
+    const db = opts.persist ? openDb() : Promise.resolve(null);
+    const jobs = new Map();
+    const waiting = [];
+    const listeners = new Set();
+    let running = 0;
+
+    /**
+     * Add a file to the queue.
+     * @param {File} file
+     * @param {Object} metadata sent as tus Upload-Metadata (values are stringified, arrays joined with ",")
+     * @returns {Object} the job: {id, name, size, offset, state, error, promise}; promise resolves to {id, location, name, size}
+     */
+    function enqueue(file, metadata = {}, { id = newId(), location = null } = {}) {
+        const job = { id, file, metadata, name: file.name, size: file.size, offset: 0, location, state: 'queued', error: null, abort: null, resync: !!location };
+        job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+        job.promise.catch(() => {}); // callers that don't await a job shouldn't see unhandled rejections
+        jobs.set(id, job);
+        if (!location) save('uploads', { id, endpoint: opts.endpoint, file, name: file.name, type: file.type, lastModified: file.lastModified, metadata, createdAt: Date.now() });
+        waiting.push(job);
+        emit(job);
+        pump();
+        return job;
+    }
+
+    /** Stop an upload (queued, running or waiting to retry) and delete it on the server. */
+    async function cancel(id) {
+        const job = jobs.get(id);
+        if (!job || job.state === 'done' || job.state === 'cancelled') return;
+        const wasWaiting = waiting.indexOf(job);
+        if (wasWaiting >= 0) waiting.splice(wasWaiting, 1);
+        set(job, { state: 'cancelled' });
+        if (job.abort) job.abort();
+        if (wasWaiting >= 0 || !job.abort) job.reject(cancelled());
+        forget(job);
+        if (job.location) {
+            try {
+                await fetch(job.location, { method: 'DELETE', headers: { ...opts.headers, 'Tus-Resumable': TUS_VERSION } });
+            } catch (e) {
+                console.warn('Upload cancelled, but the server copy could not be deleted', e);
+            }
+        }
+    }
+
+    /**
+     * Re-queue the uploads a previous page left unfinished (same endpoint).
+     * @returns {Promise<Object[]>} the restored jobs
+     */
+    async function restore() {
+        const records = (await all('uploads')) || [];
+        const locations = new Map(((await all('locations', true)) || []).map(r => [r.key, r.value]));
+        const out = [];
+        for (const r of records) {
+            if (r.endpoint !== opts.endpoint || jobs.has(r.id)) continue;
+            const file = r.file instanceof File ? r.file : new File([r.file], r.name, { type: r.type, lastModified: r.lastModified });
+            out.push(enqueue(file, r.metadata, { id: r.id, location: locations.get(r.id) || null }));
+        }
+        return out;
+    }
+
+    /** Snapshots of every job this page knows about. */
+    function list() {
+        return [...jobs.values()].map(snapshot);
+    }
+
+    /** fn(snapshot) on every state or progress change; returns an unsubscribe function. */
+    function subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    /* ---- scheduling ---- */
+
+    function pump() {
+        while (running < opts.concurrency && waiting.length) run(waiting.shift());
+    }
+
+    async function run(job) {
+        running++;
+        set(job, { state: 'uploading', error: null });
+        try {
+            await transfer(job);
+            set(job, { state: 'done', offset: job.size });
+            forget(job);
+            job.resolve({ id: job.id, location: job.location, name: job.name, size: job.size });
+        } catch (err) {
+            if (job.state === 'cancelled') job.reject(cancelled());
+            else {
+                // Out of retries (or refused): the caller decides whether to send it again
+                set(job, { state: 'failed', error: err.message });
+                forget(job);
+                job.reject(err);
+            }
+        } finally {
+            running--;
+            pump();
+        }
+    }
+
+    async function transfer(job) {
+        let attempt = 0;
+        for (;;) {
+            try {
+                if (!job.location) await create(job);
+                else if (job.resync) await sync(job);
+                while (job.offset < job.size) {
+                    await patch(job);
+                    attempt = 0;
+                }
+                return;
+            } catch (err) {
+                if (job.state === 'cancelled' || !err.retryable || attempt >= opts.retries) throw err;
+                if (err.status === 404 || err.status === 410) {
+                    // The server dropped the upload (expired, restarted): start it over
+                    job.location = null;
+                    job.offset = 0;
+                    save('locations', null, job.id, true);
+                }
+                job.resync = true;
+                const delay = Math.min(opts.maxRetryDelay, opts.retryDelay * 2 ** attempt) * (0.8 + Math.random() * 0.4);
+                attempt++;
+                set(job, { state: 'retrying', error: `${err.message} — retry ${attempt}/${opts.retries} in ${Math.round(delay / 1000)}s` });
+                await wait(job, delay);
+                set(job, { state: 'uploading' });
+            }
+        }
+    }
+
+    /* ---- protocol ---- */
+
+    async function create(job) {
+        const res = await request(job, opts.endpoint, 'POST', {
+            'Upload-Length': String(job.size),
+            'Upload-Metadata': encodeMetadata({ filename: job.name, filetype: job.file.type, ...job.metadata })
+        });
+        const location = res.headers.get('Location');
+        if (!location) throw new Error('Server did not return a Location for the upload');
+        job.location = new URL(location, opts.endpoint).href;
+        job.offset = 0;
+        job.resync = false;
+        save('locations', job.location, job.id, true);
+    }
+
+    async function sync(job) {
+        const res = await request(job, job.location, 'HEAD', {});
+        job.offset = readOffset(res);
+        job.resync = false;
+        emit(job);
+    }
+
+    async function patch(job) {
+        const chunk = job.file.slice(job.offset, Math.min(job.size, job.offset + opts.chunkSize));
+        const res = await request(job, job.location, 'PATCH', {
+            'Upload-Offset': String(job.offset),
+            'Content-Type': 'application/offset+octet-stream'
+        }, chunk);
+        const offset = readOffset(res);
+        if (offset <= job.offset) throw retryable(new Error(`Server did not advance the upload (offset ${offset})`));
+        set(job, { offset });
+    }
+
+    async function request(job, url, method, headers, body) {
+        if (job.state === 'cancelled') throw cancelled();
+        const controller = new AbortController();
+        job.abort = () => controller.abort();
+        let res;
+        try {
+            res = await fetch(url, { method, headers: { ...opts.headers, 'Tus-Resumable': TUS_VERSION, ...headers }, body, signal: controller.signal });
+        } catch (err) {
+            if (job.state === 'cancelled') throw cancelled();
+            throw retryable(new Error(`Network error: ${err.message}`));
+        } finally {
+            job.abort = null;
+        }
+        if (!res.ok) {
+            const err = new Error(`Server responded with ${res.status}${res.statusText ? `: ${res.statusText}` : ''}`);
+            err.status = res.status;
+            // 409 = offset mismatch (re-read it); 404/410 = upload gone (start over)
+            err.retryable = res.status === 408 || res.status === 409 || res.status === 423 || res.status === 429 || res.status >= 500 || (!!job.location && (res.status === 404 || res.status === 410));
+            throw err;
+        }
+        return res;
+    }
+
+    // Backoff delay, or until the browser is online again; cancel() cuts it short
+    function wait(job, ms) {
+        return new Promise((resolve, reject) => {
+            const win = typeof window !== 'undefined' ? window : null;
+            const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+            const done = () => {
+                clearTimeout(timer);
+                if (win) win.removeEventListener('online', done);
+                job.abort = null;
+                resolve();
+            };
+            const timer = offline && win ? null : setTimeout(done, ms);
+            if (win) win.addEventListener('online', done);
+            job.abort = () => { clearTimeout(timer); if (win) win.removeEventListener('online', done); reject(cancelled()); };
+        });
+    }
+
+    /* ---- state, events, persistence ---- */
+
+    function set(job, patchValues) {
+        Object.assign(job, patchValues);
+        emit(job);
+    }
+
+    function emit(job) {
+        const snap = snapshot(job);
+        listeners.forEach(fn => {
+            try { fn(snap); } catch (e) { console.error(e); }
+        });
+    }
+
+    function forget(job) {
+        save('uploads', null, job.id);
+        save('locations', null, job.id, true);
+    }
+
+    async function save(store, value, key, outOfLine = false) {
+        try {
+            await tx(db, store, 'readwrite', s => {
+                if (value === null) return s.delete(key);
+                return outOfLine ? s.put(value, key) : s.put(value);
+            });
+        } catch (e) {
+            console.warn(`Upload queue: could not persist (${store})`, e);
+        }
+    }
+
+    async function all(store, withKeys = false) {
+        try {
+            if (!withKeys) return await tx(db, store, 'readonly', s => s.getAll());
+            const [keys, values] = await Promise.all([tx(db, store, 'readonly', s => s.getAllKeys()), tx(db, store, 'readonly', s => s.getAll())]);
+            return keys && keys.map((key, i) => ({ key, value: values[i] }));
+        } catch (e) {
+            console.warn('Upload queue: could not read pending uploads', e);
+            return null;
+        }
+    }
+
+    return { enqueue, cancel, restore, list, subscribe };
+}
+
+/* -------------------------------------------------------------------------- */
+
+function snapshot(job) {
+    return { id: job.id, name: job.name, size: job.size, offset: job.offset, state: job.state, error: job.error, location: job.location };
+}
+
+function readOffset(res) {
+    const offset = Number(res.headers.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) throw retryable(new Error('Server sent no valid Upload-Offset'));
+    return offset;
+}
+
+// "key base64(value),key2 base64(value2)" — UTF-8 safe
+function encodeMetadata(metadata) {
+    return Object.entries(metadata)
+        .filter(([, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => {
+            const bytes = new TextEncoder().encode(Array.isArray(v) ? v.join(',') : String(v));
+            let bin = '';
+            bytes.forEach(b => { bin += String.fromCharCode(b); });
+            return `${k.replace(/[\s,]+/g, '_')} ${btoa(bin)}`;
+        })
+        .join(',');
+}
+
+function retryable(err) {
+    err.retryable = true;
+    return err;
+}
+
+function cancelled() {
+    const err = new Error('Upload cancelled');
+    err.cancelled = true;
+    return err;
+}
+
+function newId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    return new Promise(resolve => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore('uploads', { keyPath: 'id' });
+            req.result.createObjectStore('locations'); // id -> upload URL, written once the server has one
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            console.warn('Upload queue: IndexedDB unavailable, pending uploads will not survive a reload', req.error);
+            resolve(null);
+        };
+    });
+}
+
+async function tx(dbPromise, store, mode, fn) {
+    const db = await dbPromise;
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const t = db.transaction(store, mode);
+        const req = fn(t.objectStore(store));
+        t.oncomplete = () => resolve(req.result);
+        t.onerror = () => reject(t.error);
+        t.onabort = () => reject(t.error);
+    });
+}
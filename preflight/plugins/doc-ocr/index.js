@@ -1,41 +1,65 @@
-import { toGrayscale, stddev, laplacianVariance, detectDelimiter, mode, refCols, loadImage } from '../../core/utils.js';
-const POLICY={pdf:{textLayer:30,resolution_hi:20,resolution_mid:12,resolution_low:6,sharp_hi:20,sharp_mid:12,sharp_low:4,contrast_hi:20,contrast_mid:12,contrast_low:4,ocr_hi:10,ocr_mid:6},
-image:{resolution_hi:40,resolution_mid:24,resolution_low:10,sharp_hi:35,sharp_mid:20,sharp_low:8,contrast_hi:25,contrast_mid:15,contrast_low:5,ocr_hi:10,ocr_mid:6},
+import { toGrayscale, stddev, laplacianVariance, refCols, csvStats } from '../../core/utils.js';
+import { readImageData } from '../../core/raster.js';
+import { ocrAvailable } from '../../core/ocr.js';
+import { ocrProbe, probeFindings } from '../../core/ocrprobe.js';
+import { inspectPdf, documentFindings, combinePageScores, pagesLabel, renderPdfPage, pdfFix } from '../../core/pdf.js';
+import { measureOrientation, orientationFindings, imageFix } from '../../core/orientation.js';
+import { suggestRemedies, remedyFix } from '../../core/remedy.js';
+import { inspectCapture, captureFindings, perspectiveFix } from '../../core/capture.js';
+import { tileMap, tileFindings, heatmap } from '../../core/tiles.js';
+import { inspectDocument, officeFindings, inspectWorkbook, mainSheet, workbookFindings, lockedResult } from '../../core/office.js';
+const POLICY={pdf:{textLayer:30,resolution_hi:20,resolution_mid:12,resolution_low:6,sharp_hi:20,sharp_mid:12,sharp_low:4,contrast_hi:20,contrast_mid:12,contrast_low:4,ocr_hi:10,ocr_mid:6,ocr_low_share_hi:0.1,ocr_low_share_mid:0.25,skew_penalty:-8,rotation_penalty:-10,skew_tolerance:1.0,tile_stat:'global',weak_region_penalty:-15,weak_region_share:0.1,blank_penalty:-8,mixed_size_penalty:-5,mixed_orientation_penalty:-5,combine:'weighted',sampling:{strategy:'spread',maxRendered:12}},
+image:{resolution_hi:40,resolution_mid:24,resolution_low:10,sharp_hi:35,sharp_mid:20,sharp_low:8,contrast_hi:25,contrast_mid:15,contrast_low:5,ocr_hi:10,ocr_mid:6,ocr_low_share_hi:0.1,ocr_low_share_mid:0.25,skew_penalty:-8,rotation_penalty:-10,skew_tolerance:1.0,tile_stat:'global',weak_region_penalty:-15,weak_region_share:0.1,perspective_penalty:-8,perspective_tolerance:8,framing_penalty:-5,cutoff_penalty:-12,glare_penalty:-8,shadow_penalty:-6},
 csv:{rows_hi:35,rows_low:15,consistency_hi:40,consistency_mid:24,consistency_low:10,empties_hi:25,empties_mid:12,empties_low:6},
-xlsx:{rows_hi:40,rows_low:20,cols_hi:30,cols_low:12,empties_hi:20,empties_mid:10,empties_low:4,bonus:10},
-docx:{words_hi:60,words_mid:40,words_low:20,bonus:20},
+xlsx:{rows_hi:40,rows_low:20,cols_hi:30,cols_low:12,empties_hi:20,empties_mid:10,empties_low:4,bonus:10,macro_penalty:-10,hidden_sheet_penalty:-5,merged_cells_penalty:-8,formula_error_penalty:-10,header_penalty:-8},
+docx:{words_hi:60,words_mid:40,words_low:20,bonus:20,macro_penalty:-10,scanned_penalty:-25,tracked_changes_penalty:-10},
 thresholds:{accept:85,borderline:70}};
-export default{name:'doc-ocr',thresholds:POLICY.thresholds,async analyze(file,ui){const ext=file.name.toLowerCase().split('.').pop();
+const LIMITS={blur:60,flat:25}; // lowest passing sharpness and contrast, for the tile maps
+export default{name:'doc-ocr',thresholds:POLICY.thresholds,policy:POLICY,extensions:['pdf','jpg','jpeg','png','bmp','webp','csv','xlsx','xlsm','xls','ods','docx','docm','odt','doc'],async analyze(file,ui){const ext=file.name.toLowerCase().split('.').pop();
 if(/pdf$/.test(ext))return analyzePdf(file,ui); if(/jpe?g|png|bmp|webp$/.test(ext))return analyzeImage(file,ui);
-if(/csv$/.test(ext))return analyzeCsv(file); if(/xlsx$/.test(ext))return analyzeXlsx(file); if(/docx$/.test(ext))return analyzeDocx(file);
+if(/csv$/.test(ext))return analyzeCsv(file,ui); if(/^(xlsx|xlsm|xls|ods)$/.test(ext))return analyzeXlsx(file,ui); if(/^(docx|docm|odt|doc)$/.test(ext))return analyzeDocument(file,ui);
 return{score:50,messages:['Unknown type: minimal checks only','Consider uploading PDF/image/CSV/XLSX/DOCX'],details:[]};}};
-async function analyzePdf(file,{status,notes}){let hasText=false,canvas;const W=POLICY.pdf;try{status.textContent='Loading PDF.js…';const ab=await file.arrayBuffer();const pdf=await pdfjsLib.getDocument({data:ab}).promise;const page=await pdf.getPage(1);status.textContent='Reading text layer…';const text=await page.getTextContent();const textLayer=(text.items||[]).map(it=>it.str||'').join(' ');hasText=textLayer.trim().length>20;status.textContent='Rendering page…';const viewport=page.getViewport({scale:2.6});canvas=document.createElement('canvas');canvas.width=Math.floor(viewport.width);canvas.height=Math.floor(viewport.height);const ctx=canvas.getContext('2d',{willReadFrequently:true});await page.render({canvasContext:ctx,viewport}).promise;}catch(e){return{score:hasText?60:40,messages:['PDF.js not available — limited checks.'],details:['PDF.js error: '+e.message]};}
-const img=canvas.getContext('2d').getImageData(0,0,canvas.width,canvas.height);const gray=toGrayscale(img);const contrast=stddev(gray);const lapVar=laplacianVariance(gray,canvas.width,canvas.height);const megapx=(canvas.width*canvas.height)/1e6;
-let score=0,msg=[],det=[];if(hasText){score+=W.textLayer;det.push('Text layer: yes');}else{det.push('Text layer: no');msg.push('No text layer — OCR needed.');}
-det.push(`Render MP: ${megapx.toFixed(2)}`);if(megapx>=3)score+=W.resolution_hi;else if(megapx>=1.5){score+=W.resolution_mid;msg.push('Low resolution — scan at 300 DPI.');}else{score+=W.resolution_low;msg.push('Very low resolution.');}
-det.push(`Sharpness(LapVar/100): ${lapVar.toFixed(1)}`);if(lapVar>120)score+=W.sharp_hi;else if(lapVar>=60){score+=W.sharp_mid;msg.push('Slight blur.');}else{score+=W.sharp_low;msg.push('Blurry — rescan.');}
-det.push(`Contrast(stddev): ${contrast.toFixed(1)}`);if(contrast>=35)score+=W.contrast_hi;else if(contrast>=25){score+=W.contrast_mid;msg.push('Low contrast.');}else{score+=W.contrast_low;msg.push('Very low contrast.');}
-if(window.Tesseract){try{status.textContent='OCR probe (eng)…';const {data:{confidence}}=await Tesseract.recognize(canvas,'eng',{tessedit_pageseg_mode:6,preserve_interword_spaces:'1'});det.push(`OCR conf (eng): ${Math.round(confidence||0)}`);if(confidence>=85)score+=W.ocr_hi;else if(confidence>=70)score+=W.ocr_mid;else msg.push('OCR probe: low confidence — focus/contrast might be weak (info only).');}catch(e){det.push('OCR probe skipped: '+e.message);}}
-msg.push(...standardHints('pdf'));notes.textContent=det.join('\n');return{score:Math.min(100,score),messages:dedupe(msg),details:det};}
-async function analyzeImage(file,{status,notes}){const W=POLICY.image;status.textContent='Decoding image…';const imgEl=await loadImage(file);const w=imgEl.naturalWidth,h=imgEl.naturalHeight;const canvas=document.createElement('canvas');canvas.width=w;canvas.height=h;const ctx=canvas.getContext('2d',{willReadFrequently:true});ctx.drawImage(imgEl,0,0);const img=ctx.getImageData(0,0,w,h);const gray=toGrayscale(img);const contrast=stddev(gray);const lapVar=laplacianVariance(gray,w,h);const megapx=(w*h)/1e6;
+async function analyzePdf(file,{status,notes}){const W=POLICY.pdf;let doc;try{doc=await inspectPdf(file,{scale:2.6,sampling:W.sampling,status});}catch(e){return{score:40,messages:['PDF.js not available — limited checks.'],details:['PDF.js error: '+e.message]};}
+const {penalty,msg,det,corrections}=documentFindings(doc,W);const pages=doc.pages.filter(p=>p.rendered&&!p.blank);const lowRes=[],blurry=[],lowContrast=[],scores=[];
+for(const p of pages){const region=tileFindings(p.tiles,W,{sharpness:p.lapVar,contrast:p.contrast},LIMITS,`Page ${p.n}: `);let s=p.hasText?W.textLayer:0;if(p.megapx>=3)s+=W.resolution_hi;else if(p.megapx>=1.5){s+=W.resolution_mid;lowRes.push(p.n);}else{s+=W.resolution_low;lowRes.push(p.n);}
+if(region.sharpness>120)s+=W.sharp_hi;else if(region.sharpness>=60){s+=W.sharp_mid;blurry.push(p.n);}else{s+=W.sharp_low;blurry.push(p.n);}
+if(region.contrast>=35)s+=W.contrast_hi;else if(region.contrast>=25){s+=W.contrast_mid;lowContrast.push(p.n);}else{s+=W.contrast_low;lowContrast.push(p.n);}
+s+=region.penalty;msg.push(...region.msg);scores.push(s);det.push(`Page ${p.n}: ${s} · MP ${p.megapx.toFixed(2)} · LapVar/100 ${p.lapVar.toFixed(1)} · Contrast ${p.contrast.toFixed(1)}${p.hasText?' · text':''}`,...region.det);}
+let score;if(scores.length){score=combinePageScores(scores,W.combine);det.push(`Document score (${W.combine} of ${scores.length} page${scores.length>1?'s':''}): ${Math.round(score)}`);}else{const textShare=doc.pages.filter(p=>p.hasText).length/Math.max(1,doc.pageCount);score=textShare*W.textLayer+W.resolution_mid+W.sharp_mid+W.contrast_mid;msg.push('Pages could not be rendered — image quality unchecked.');}
+if(!doc.pages.some(p=>p.hasText))msg.push('No text layer — OCR needed.');
+if(lowRes.length)msg.push(`${pagesLabel(lowRes)}: low resolution — scan at 300 DPI.`);if(blurry.length)msg.push(`${pagesLabel(blurry)}: blurry — rescan.`);if(lowContrast.length)msg.push(`${pagesLabel(lowContrast)}: low contrast.`);
+let ocr=null;if(ocrAvailable()&&pages.length){const worst=pages[scores.indexOf(Math.min(...scores))];try{const canvas=await renderPdfPage(file,worst.n,2.6);const probe=await ocrProbe(canvas,{width:canvas.width,height:canvas.height,status,where:`page ${worst.n}`});ocr={page:worst.n,scale:2.6,words:probe.words};const p=probeFindings(probe,W,`Page ${worst.n}: `);det.push(...p.det);msg.push(...p.msg);score+=p.score;}catch(e){det.push('OCR probe skipped: '+e.message);}}
+const weakest=pages[scores.indexOf(Math.min(...scores))];msg.push(...standardHints('pdf'));notes.textContent=det.join('\n');return{score:Math.max(0,Math.min(100,Math.round(score+penalty))),messages:dedupe(msg),details:det,fixes:[pdfFix(file,doc,corrections,2.6)].filter(Boolean),ocr,heatmap:weakest?heatmap(weakest.tiles,LIMITS,`Page ${weakest.n}`):null};}
+async function analyzeImage(file,{status,notes}){const W=POLICY.image;status.textContent='Decoding image…';const img=await readImageData(file);const w=img.width,h=img.height;const gray=toGrayscale(img);const contrast=stddev(gray);const lapVar=laplacianVariance(gray,w,h);const megapx=(w*h)/1e6;const tiles=tileMap(gray,w,h);const region=tileFindings(tiles,W,{sharpness:lapVar,contrast},LIMITS);
 let score=0,msg=[],det=[];det.push(`MP: ${megapx.toFixed(2)}`);if(megapx>=3)score+=W.resolution_hi;else if(megapx>=1.5){score+=W.resolution_mid;msg.push('Low resolution image — aim for ≥ 2000px long edge.');}else{score+=W.resolution_low;msg.push('Very low resolution image.');}
-det.push(`Sharpness(LapVar/100): ${lapVar.toFixed(1)}`);if(lapVar>120)score+=W.sharp_hi;else if(lapVar>=60){score+=W.sharp_mid;msg.push('Slightly blurry.');}else{score+=W.sharp_low;msg.push('Blurry — retake/scan.');}
-det.push(`Contrast(stddev): ${contrast.toFixed(1)}`);if(contrast>=35)score+=W.contrast_hi;else if(contrast>=25){score+=W.contrast_mid;msg.push('Low contrast — use better lighting or grayscale.');}else{score+=W.contrast_low;msg.push('Very low contrast.');}
-if(window.Tesseract){try{status.textContent='OCR probe (eng)…';const {data:{confidence}}=await Tesseract.recognize(canvas,'eng',{tessedit_pageseg_mode:6,preserve_interword_spaces:'1'});det.push(`OCR conf (eng): ${Math.round(confidence||0)}`);if(confidence>=85)score+=W.ocr_hi;else if(confidence>=70)score+=W.ocr_mid;else msg.push('OCR probe: low confidence — focus/contrast might be weak (info only).');}catch(e){det.push('OCR probe skipped: '+e.message);}}
-msg.push(...standardHints('image'));notes.textContent=det.join('\n');return{score:Math.min(100,score),messages:dedupe(msg),details:det};}
-async function analyzeCsv(file){const W=POLICY.csv;const text=await file.text();const sample=text.slice(0,250000);const delim=detectDelimiter(sample);const rows=sample.split(/\r?\n/).filter(r=>r.trim().length>0).slice(0,200);const colsCount=rows.map(r=>r.split(delim).length);const modeCols=mode(colsCount);const inconsistent=colsCount.filter(c=>Math.abs(c-modeCols)>0).length;const empties=rows.reduce((acc,r)=>acc+(r.split(delim).filter(c=>c===''||c===null).length),0);const totalCells=rows.reduce((acc,r)=>acc+r.split(delim).length,0);const emptyRate=totalCells?(empties/totalCells):1;
-let score=0,msg=[],det=[];det.push(`Rows: ${rows.length}, Delim: ${JSON.stringify(delim)}`);if(rows.length>=10){score+=W.rows_hi;}else{score+=W.rows_low;msg.push('Very few data rows — include ≥ 10 rows.');}
-const inconsistencyRate=rows.length?(inconsistent/rows.length):1;det.push(`Inconsistency: ${(inconsistencyRate*100).toFixed(1)}%`);if(inconsistencyRate<=0.05){score+=W.consistency_hi;}else if(inconsistencyRate<=0.15){score+=W.consistency_mid;msg.push('Irregular column counts — fix separators/quotes.');}else{score+=W.consistency_low;msg.push('Highly inconsistent columns — clean CSV export.');}
-det.push(`Empty cells rate: ${(emptyRate*100).toFixed(1)}%`);if(emptyRate<=0.1){score+=W.empties_hi;}else if(emptyRate<=0.25){score+=W.empties_mid;msg.push('Many empty cells — fill key fields where possible.');}else{score+=W.empties_low;msg.push('Too many empty cells.');}
+det.push(`Sharpness(LapVar/100): ${lapVar.toFixed(1)}`);if(region.sharpness>120)score+=W.sharp_hi;else if(region.sharpness>=60){score+=W.sharp_mid;msg.push('Slightly blurry.');}else{score+=W.sharp_low;msg.push('Blurry — retake/scan.');}
+det.push(`Contrast(stddev): ${contrast.toFixed(1)}`);if(region.contrast>=35)score+=W.contrast_hi;else if(region.contrast>=25){score+=W.contrast_mid;msg.push('Low contrast — use better lighting or grayscale.');}else{score+=W.contrast_low;msg.push('Very low contrast.');}
+det.push(...region.det);msg.push(...region.msg);score+=region.penalty;
+let probe=null,ocr=null;if(ocrAvailable()){try{probe=await ocrProbe(file,{width:img.sourceWidth||w,height:img.sourceHeight||h,status});ocr={words:probe.words};}catch(e){det.push('OCR probe skipped: '+e.message);}}
+// Script detection reads the text itself, so its page orientation outranks the layout-based one
+const o=measureOrientation(gray,w,h);const orient=orientationFindings(probe&&probe.rotation?{...o,rotation:probe.rotation}:o,W);det.push(...orient.det);msg.push(...orient.msg);score+=orient.penalty;
+const capture=captureFindings(inspectCapture(img,gray),W);det.push(...capture.det);msg.push(...capture.msg);score+=capture.penalty;
+if(probe){const p=probeFindings(probe,W);det.push(...p.det);msg.push(...p.msg);score+=p.score;}
+msg.push(...standardHints('image'));notes.textContent=det.join('\n');score=Math.max(0,Math.min(100,score));const remedy=score<POLICY.thresholds.accept?remedyFix(file,suggestRemedies(img,gray,{lowContrast:contrast<35})):null;return{score,messages:dedupe(msg),details:det,fixes:[imageFix(file,orient.correction),perspectiveFix(file,capture.correction),remedy].filter(Boolean),ocr,heatmap:heatmap(tiles,LIMITS)};}
+async function analyzeCsv(file,{status}){const W=POLICY.csv;const st=await csvStats(file,{onProgress:(done,total)=>{status.textContent=`Reading CSV… ${Math.round(done*100/Math.max(1,total))}%`;}});
+let score=0,msg=[],det=[];det.push(`Rows: ${st.rows}, Cols: ${st.header.length}, Delim: ${JSON.stringify(st.delimiter)}, Encoding: ${st.encoding}${st.bom?' (BOM)':''}`);if(st.rows>=10){score+=W.rows_hi;}else{score+=W.rows_low;msg.push('Very few data rows — include ≥ 10 rows.');}
+const inconsistencyRate=st.rows?(st.ragged.count/st.rows):1;det.push(`Ragged rows: ${st.ragged.count} (${(inconsistencyRate*100).toFixed(1)}%)`);if(inconsistencyRate<=0.05){score+=W.consistency_hi;}else if(inconsistencyRate<=0.15){score+=W.consistency_mid;msg.push('Irregular column counts — fix separators/quotes.');}else{score+=W.consistency_low;msg.push('Highly inconsistent columns — clean CSV export.');}
+msg.push(...st.ragged.examples.slice(0,5).map(e=>`Line ${e.line}: ${e.fields} field${e.fields===1?'':'s'} (expected ${e.expected}).`));if(st.ragged.count>5)msg.push(`…and ${st.ragged.count-5} more ragged rows.`);if(st.unterminatedAt)msg.push(`Unclosed quote starting on line ${st.unterminatedAt} — the rest of the file is read as one field.`);
+det.push(`Empty cells rate: ${(st.emptyRate*100).toFixed(1)}%`,...st.columnEmpty.map(c=>`  ${c.name}: ${(c.rate*100).toFixed(1)}% empty`));if(st.emptyRate<=0.1){score+=W.empties_hi;}else if(st.emptyRate<=0.25){score+=W.empties_mid;msg.push('Many empty cells — fill key fields where possible.');}else{score+=W.empties_low;msg.push('Too many empty cells.');}
+const sparse=st.columnEmpty.filter(c=>c.rate>0.5);if(sparse.length)msg.push(`Mostly empty column${sparse.length>1?'s':''}: ${sparse.slice(0,5).map(c=>c.name).join(', ')}.`);
 msg.push(...standardHints('csv'));return{score:Math.min(100,score),messages:dedupe(msg),details:det};}
-async function analyzeXlsx(file){const W=POLICY.xlsx;if(!window.XLSX||typeof XLSX.read!=='function'){await new Promise(r=>setTimeout(r,1200));}
-if(!window.XLSX||typeof XLSX.read!=='function'){return{score:45,messages:['XLSX library not available — try again or save as CSV.'],details:['XLSX not ready']};}
-try{const ab=await file.arrayBuffer();const wb=XLSX.read(ab,{type:'array'});const sheetName=wb.SheetNames[0];if(!sheetName)return{score:40,messages:['No sheets found','Ensure the workbook has at least one sheet.'],details:[]};const ws=wb.Sheets[sheetName];const json=XLSX.utils.sheet_to_json(ws,{defval:''});const rows=json.length;const cols=ws['!ref']?refCols(ws['!ref']):0;
-let score=0,msg=[],det=[];det.push(`Rows: ${rows}, Cols: ${cols}`);if(rows>=10){score+=W.rows_hi;}else{score+=W.rows_low;msg.push('Too few rows — include ≥ 10.');}if(cols>=2){score+=W.cols_hi;}else{score+=W.cols_low;msg.push('Very few columns — check the sheet range.');}
-let empties=0,total=0;json.slice(0,200).forEach(r=>{const vals=Object.values(r);total+=vals.length;vals.forEach(v=>{if(v===''||v===null)empties++;});});const er=total?empties/total:1;det.push(`Empty cells rate: ${(er*100).toFixed(1)}%`);if(er<=0.1){score+=W.empties_hi;}else if(er<=0.25){score+=W.empties_mid;msg.push('Many blanks — fill key fields.');}else{score+=W.empties_low;msg.push('High blank rate — export clean data.');}
-score+=W.bonus;msg.push(...standardHints('xlsx'));return{score:Math.min(100,score),messages:dedupe(msg),details:det};}catch(e){return{score:45,messages:['Could not parse XLSX — save as CSV and retry.'],details:['Parse error: '+e.message]};}}
-async function analyzeDocx(file){const W=POLICY.docx;try{const ab=await file.arrayBuffer();const res=await window.mammoth.extractRawText({arrayBuffer:ab});const text=(res.value||'').trim();const words=text.split(/\s+/).filter(Boolean).length;
-let score=0,msg=[],det=[];det.push(`Words: ${words}`);if(words>=100){score+=W.words_hi;}else if(words>=30){score+=W.words_mid;msg.push('Very short DOCX — include more content.');}else{score+=W.words_low;msg.push('Too little text — document may be empty or scanned image.');}
-score+=W.bonus;msg.push(...standardHints('docx'));return{score:Math.min(100,score),messages:dedupe(msg),details:det};}catch(e){return{score:45,messages:['Could not read DOCX — export to PDF (text) or copy-paste plain text.'],details:['Mammoth error: '+e.message]};}}
+async function analyzeXlsx(file,{status}){const W=POLICY.xlsx;if(!globalThis.XLSX||typeof XLSX.read!=='function'){await new Promise(r=>setTimeout(r,1200));}
+if(!globalThis.XLSX||typeof XLSX.read!=='function'){return{score:45,messages:['XLSX library not available — try again or save as CSV.'],details:['XLSX not ready']};}
+try{status.textContent='Reading workbook…';const book=await inspectWorkbook(file);if(book.encrypted)return lockedResult(book);const sheet=mainSheet(book);if(!sheet)return{score:40,messages:['No sheets found','Ensure the workbook has at least one sheet.'],details:[]};
+const body=(sheet.header?sheet.aoa.slice(sheet.header.index+1):sheet.aoa).filter(r=>r.some(v=>String(v).trim()));const rows=body.length;const cols=sheet.header?sheet.header.names.length:sheet.cols;
+let score=0,msg=[],det=[];det.push(`Format: ${book.label} · ${book.sheets.length} sheet${book.sheets.length>1?'s':''} · scored: "${sheet.name}"`,`Rows: ${rows}, Cols: ${cols}`);if(rows>=10){score+=W.rows_hi;}else{score+=W.rows_low;msg.push('Too few rows — include ≥ 10.');}if(cols>=2){score+=W.cols_hi;}else{score+=W.cols_low;msg.push('Very few columns — check the sheet range.');}
+let empties=0,total=0;body.slice(0,200).forEach(r=>{const vals=r.slice(0,cols);total+=vals.length;vals.forEach(v=>{if(!String(v).trim())empties++;});});const er=total?empties/total:1;det.push(`Empty cells rate: ${(er*100).toFixed(1)}%`);if(er<=0.1){score+=W.empties_hi;}else if(er<=0.25){score+=W.empties_mid;msg.push('Many blanks — fill key fields.');}else{score+=W.empties_low;msg.push('High blank rate — export clean data.');}
+const found=workbookFindings(book,W);det.push(...found.det);msg.push(...found.msg);score+=found.penalty;
+score+=W.bonus;msg.push(...standardHints('xlsx'));return{score:Math.max(0,Math.min(100,score)),messages:dedupe(msg),details:det};}catch(e){return{score:45,messages:['Could not parse the workbook — save as CSV and retry.'],details:['Parse error: '+e.message]};}}
+async function analyzeDocument(file,{status}){const W=POLICY.docx;try{status.textContent='Reading document…';const doc=await inspectDocument(file);if(doc.encrypted)return lockedResult(doc);
+let score=0,msg=[],det=[];det.push(`Format: ${doc.label}`);if(doc.words===null){score+=W.words_low;msg.push(`${doc.label} — its text cannot be checked here; save it as .docx or PDF.`);}
+else{det.push(`Words: ${doc.words}`);if(doc.words>=100){score+=W.words_hi;}else if(doc.words>=30){score+=W.words_mid;msg.push('Very short document — include more content.');}else{score+=W.words_low;if(!doc.images)msg.push('Too little text — the document may be empty.');}}
+const found=officeFindings(doc,W);det.push(...found.det);msg.push(...found.msg);score+=found.penalty;
+score+=W.bonus;msg.push(...standardHints('docx'));return{score:Math.max(0,Math.min(100,score)),messages:dedupe(msg),details:det};}catch(e){return{score:45,messages:['Could not read the document — export to PDF (text) or copy-paste plain text.'],details:['Read error: '+e.message]};}}
 function standardHints(kind){const common=['Ensure the entire page/content is visible (no cropped edges).','Avoid shadows and reflections; use even lighting.','Use descriptive file names (e.g., report_2025_04_02.pdf).'];const byType={pdf:['Preferred: exported PDF with a real text layer (no photos of screens).','Scan at 300 DPI, grayscale; keep page flat and aligned.'],image:['Aim for ≥ 2000px long edge, sharp focus, and good contrast.','Hold device steady; avoid perspective warp.'],csv:['Use a consistent delimiter (comma or tab).','Include a header row; avoid merged cells.','Quote text fields that contain delimiters.'],xlsx:['Use a single clean sheet with a header row.','Avoid merged cells; keep one record per row.'],docx:['Use clear headings and plain text (avoid scanned images of text).','Ensure fonts are readable.']};return[...(byType[kind]||[]),...common];}
-function dedupe(arr){const s=new Set(),out=[];for(const x of arr){const k=String(x).trim();if(k&&!s.has(k)){s.add(k);out.push(k);}}return out;}
\ No newline at end of file
+function dedupe(arr){const s=new Set(),out=[];for(const x of arr){const k=String(x).trim();if(k&&!s.has(k)){s.add(k);out.push(k);}}return out;}
@@ -0,0 +1,361 @@
+/**
+ * LAB TABLE COLUMNS
+ * Works out which spreadsheet column holds the patient ID, date/time, test, result,
+ * units and reference range — from header names first, then from what the values look
+ * like — and checks the values against that mapping: physiologically implausible
+ * results for common analytes, one test reported in several units, and dates that
+ * cannot be read. Rows are fed one at a time so CSVs of any length stay in bounded
+ * memory; the mapping is inferred from the first SAMPLE_ROWS rows unless the user
+ * has corrected it on the card.
+ */
+
+// weight: how much a missing column costs (see missingRoles)
+export const ROLES = [
+  { key: 'patient', label: 'Patient/ID', weight: 2, header: /patient|\bmrn\b|\bpid\b|^id$|subject|person|medical.?record|\bnhs\b|identifier|\bpat\b/ },
+  { key: 'datetime', label: 'Date/time', weight: 2, header: /date|time|collect|drawn|sampled|timestamp|\bdt\b|\bwhen\b/ },
+  { key: 'test', label: 'Test', weight: 2, header: /test|analyte|assay|parameter|component|investigation|observation|\bexam|\bloinc\b|^name$|\bitem\b/ },
+  { key: 'result', label: 'Result', weight: 3, header: /result|value|reading|level|measure|\bconc|\bobs.?val|\bqty\b/ },
+  { key: 'units', label: 'Units', weight: 1, header: /unit|\buom\b/ },
+  { key: 'range', label: 'Reference range', weight: 1, header: /range|\bref|normal|interval|limits/ }
+];
+
+const SAMPLE_ROWS = 200;
+const MAX_EXAMPLES = 5;
+
+// Physiologically plausible limits (not reference ranges): values outside are almost
+// certainly unit or transcription errors. Keys are normalised units (see normUnit).
+// More specific names come first so "HDL cholesterol" is not read as total cholesterol.
+const ANALYTES = [
+  { key: 'hba1c', label: 'HbA1c', names: /hba1c|\ba1c\b|glycated|glycosylated/, limits: { '%': [2, 25], 'mmol/mol': [5, 240] } },
+  { key: 'hdl', label: 'HDL cholesterol', names: /\bhdl\b/, limits: { 'mg/dl': [2, 250], 'mmol/l': [0.05, 6.5] } },
+  { key: 'ldl', label: 'LDL cholesterol', names: /\bldl\b/, limits: { 'mg/dl': [2, 1000], 'mmol/l': [0.05, 26] } },
+  { key: 'cholesterol', label: 'Cholesterol', names: /cholesterol|\bchol\b/, limits: { 'mg/dl': [20, 1500], 'mmol/l': [0.5, 40] } },
+  { key: 'triglycerides', label: 'Triglycerides', names: /triglycer|\btrig\b|\btg\b/, limits: { 'mg/dl': [5, 10000], 'mmol/l': [0.05, 115] } },
+  { key: 'glucose', label: 'Glucose', names: /glucose|\bglu\b|blood sugar|\bfbs\b|\bfpg\b/, limits: { 'mg/dl': [10, 2000], 'mmol/l': [0.5, 110] } },
+  { key: 'sodium', label: 'Sodium', names: /sodium|^na\+?$|\bna\b/, limits: { 'mmol/l': [90, 200], 'meq/l': [90, 200] } },
+  { key: 'potassium', label: 'Potassium', names: /potassium|^k\+?$/, limits: { 'mmol/l': [1, 12], 'meq/l': [1, 12] } },
+  { key: 'chloride', label: 'Chloride', names: /chloride|^cl-?$/, limits: { 'mmol/l': [50, 150], 'meq/l': [50, 150] } },
+  { key: 'bicarbonate', label: 'Bicarbonate', names: /bicarb|hco3|^(total )?co2$/, limits: { 'mmol/l': [2, 60], 'meq/l': [2, 60] } },
+  { key: 'calcium', label: 'Calcium', names: /calcium|^ca$/, limits: { 'mg/dl': [2, 20], 'mmol/l': [0.5, 5] } },
+  { key: 'creatinine', label: 'Creatinine', names: /creatinine|^creat?$|^cr$/, limits: { 'mg/dl': [0.05, 30], 'umol/l': [5, 2700] } },
+  { key: 'urea', label: 'Urea/BUN', names: /\burea\b|\bbun\b/, limits: { 'mg/dl': [1, 300], 'mmol/l': [0.3, 100] } },
+  { key: 'hemoglobin', label: 'Hemoglobin', names: /ha?emoglobin|\bhgb\b|^hb$/, limits: { 'g/dl': [2, 25], 'g/l': [20, 250], 'mmol/l': [1.2, 15.5] } },
+  { key: 'hematocrit', label: 'Hematocrit', names: /ha?ematocrit|\bhct\b|\bpcv\b/, limits: { '%': [5, 75], 'l/l': [0.05, 0.75] } },
+  { key: 'wbc', label: 'WBC', names: /\bwbc\b|white (blood )?cell|leu[ck]ocytes?( count)?$/, limits: { '10*9/l': [0.05, 500] } },
+  { key: 'rbc', label: 'RBC', names: /\brbc\b|red (blood )?cell count|erythrocytes?( count)?$/, limits: { '10*12/l': [0.5, 10] } },
+  { key: 'platelets', label: 'Platelets', names: /platelet|\bplt\b|thrombocyte/, limits: { '10*9/l': [1, 2500] } },
+  { key: 'alt', label: 'ALT', names: /\balt\b|alanine amino|\bsgpt\b/, limits: { 'u/l': [1, 20000] } },
+  { key: 'ast', label: 'AST', names: /\bast\b|aspartate amino|\bsgot\b/, limits: { 'u/l': [1, 40000] } },
+  { key: 'alp', label: 'Alkaline phosphatase', names: /\balp\b|alkaline phos/, limits: { 'u/l': [5, 5000] } },
+  { key: 'bilirubin', label: 'Bilirubin', names: /bilirubin|\bt\.? ?bili\b|\btbil\b/, limits: { 'mg/dl': [0, 60], 'umol/l': [0, 1000] } },
+  { key: 'albumin', label: 'Albumin', names: /albumin|^alb$/, limits: { 'g/dl': [0.5, 7], 'g/l': [5, 70] } },
+  { key: 'tsh', label: 'TSH', names: /\btsh\b|thyrotropin|thyroid stimulating/, limits: { 'miu/l': [0.001, 1000], 'uiu/ml': [0.001, 1000] } },
+  { key: 'inr', label: 'INR', names: /\binr\b/, limits: { '': [0.5, 20], '1': [0.5, 20], ratio: [0.5, 20] } },
+  { key: 'crp', label: 'CRP', names: /\bcrp\b|c-reactive/, limits: { 'mg/l': [0, 1000], 'mg/dl': [0, 100] } }
+];
+
+const NUMBER = /^[+-]?(\d{1,3}([.,]\d{3})+([.,]\d+)?|\d+([.,]\d+)?|[.,]\d+)$/;
+// Thousands grouping for each decimal separator: 1,200.5 with '.', 1.200,5 with ','
+const GROUPED = { '.': /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/, ',': /^[+-]?\d{1,3}(\.\d{3})+(,\d+)?$/ };
+const CENSORED = /^[<>]=?\s*[+-]?(\d+([.,]\d+)?|[.,]\d+)$/;
+const RANGE = /^[+-]?\d+([.,]\d+)?\s*(-|–|to)\s*[+-]?\d+([.,]\d+)?$/i;
+const UNIT = /^(%|‰|ratio|index|[a-zµμ]{0,4}(g|mol|eq|l|u|iu|kat|osm)(\/([a-zµμ]{0,3}(l|dl|g|kg|mol|h|min|24h|s))|\/(1\.73)?m2)*|(x?10[*^e]?\d+|k|thou|mill)\/[uµμ]?l|[fpnuµμm]?l|s(ec)?|mm\s?hg|cells\/[uµμ]?l|\/hpf|\/lpf)$/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** Normalise a unit for comparison: case, spacing, micro sign, 10^9 spellings. */
+export function normUnit(unit) {
+  let u = String(unit || '').trim().toLowerCase().replace(/\s+/g, '').replace(/[µμ]|mc(?=[gl])/g, 'u');
+  u = u.replace(/^(x?10[*^e]?3|k|thou)\/ul$/, '10*9/l').replace(/^(x?10[*^e]?6|mill)\/ul$/, '10*12/l').replace(/^x?10[\^e](\d+)/, '10*$1').replace(/^x10\*/, '10*');
+  return u.replace(/^iu\//, 'u/').replace(/^(\[iu\])\//, 'u/');
+}
+
+/** The analyte a test name or column header refers to, or null. */
+export function findAnalyte(name) {
+  const n = String(name || '').toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').trim();
+  return n ? ANALYTES.find(a => a.names.test(n)) || null : null;
+}
+
+/**
+ * Read a lab date: ISO 8601, YYYYMMDD[hhmm[ss]], D/M/Y or M/D/Y (/.- separators, 2- or
+ * 4-digit year), "3 Mar 2024" / "Mar 3, 2024", each with an optional time.
+ * @returns {{date: Date, order: 'dmy'|'mdy'|null}|null} order: evidence for the day/month order
+ */
+export function parseLabDate(value) {
+  const s = String(value || '').trim();
+  let m;
+  const time = t => {
+    if (!t) return [0, 0, 0];
+    const tm = /^[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(am|pm)?\s*(z|[+-]\d{2}:?\d{2})?$/i.exec(t);
+    if (!tm) return null;
+    let h = Number(tm[1]);
+    if (tm[4]) h = (h % 12) + (/pm/i.test(tm[4]) ? 12 : 0);
+    return h < 24 && Number(tm[2]) < 60 && Number(tm[3] || 0) < 61 ? [h, Number(tm[2]), Number(tm[3] || 0)] : null;
+  };
+  const make = (y, mo, d, t, order = null) => {
+    const hms = time(t);
+    if (!hms || mo < 1 || mo > 12 || d < 1 || d > new Date(Date.UTC(y, mo, 0)).getUTCDate()) return null;
+    return { date: new Date(Date.UTC(y, mo - 1, d, ...hms)), order };
+  };
+  const year = y => (y.length === 2 ? 2000 + Number(y) - (Number(y) > 50 ? 100 : 0) : Number(y));
+
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})(.*)$/.exec(s))) return make(+m[1], +m[2], +m[3], m[4]);
+  if ((m = /^((?:19|20)\d{2})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?$/.exec(s))) return make(+m[1], +m[2], +m[3], m[4] ? ` ${m[4]}:${m[5]}${m[6] ? `:${m[6]}` : ''}` : '');
+  if ((m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(.*)$/.exec(s))) {
+    const a = +m[1], b = +m[2], y = year(m[3]);
+    if (a > 12) return make(y, b, a, m[4], 'dmy');
+    if (b > 12) return make(y, a, b, m[4], 'mdy');
+    return make(y, b, a, m[4]); // both parts ≤ 12: either order gives a valid date
+  }
+  if ((m = /^(\d{1,2})[\s-]([a-z]{3})[a-z]*\.?[\s-](\d{4}|\d{2})(.*)$/i.exec(s))) {
+    const mo = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    return mo ? make(year(m[3]), mo, +m[1], m[4]) : null;
+  }
+  if ((m = /^([a-z]{3})[a-z]*\.?\s(\d{1,2}),?\s(\d{4})(.*)$/i.exec(s))) {
+    const mo = MONTHS.indexOf(m[1].toLowerCase()) + 1;
+    return mo ? make(+m[3], mo, +m[2], m[4]) : null;
+  }
+  return null;
+}
+
+/** @param {'.'|','} decimal the column's decimal separator (decimalSeparator()) */
+function parseNumber(value, decimal = '.') {
+  let s = String(value).trim();
+  if (!NUMBER.test(s)) return null;
+  if (GROUPED[decimal].test(s)) s = s.replace(decimal === '.' ? /,/g : /\./g, '');
+  const n = Number(s.replace(',', '.'));
+  return isNaN(n) ? null : n;
+}
+
+// ',' when a column's sample has more unmistakable decimal commas (5,4 or 0,0125) than
+// decimal points; "1,200" could be either and does not count
+function decimalSeparator(rows, i) {
+  let comma = 0, point = 0;
+  for (const fields of rows) {
+    const s = String(fields[i] == null ? '' : fields[i]).trim();
+    if (/^[+-]?\d*,(\d{1,2}|\d{4,})$/.test(s)) comma++;
+    else if (/^[+-]?\d*\.(\d{1,2}|\d{4,})$/.test(s)) point++;
+  }
+  return comma > point ? ',' : '.';
+}
+
+/** What a single cell looks like. */
+function cellKind(value) {
+  const s = String(value == null ? '' : value).trim();
+  if (!s) return 'empty';
+  if (NUMBER.test(s)) return /^(19|20)\d{6}$/.test(s) && parseLabDate(s) ? 'date' : 'number';
+  if (CENSORED.test(s)) return 'censored';
+  if (RANGE.test(s)) return 'range';
+  if (parseLabDate(s)) return 'date';
+  if (UNIT.test(s)) return 'unit';
+  return 'text';
+}
+
+/**
+ * Per-column profile of the sample rows.
+ * @returns {Array<{index, name, type, kinds: Object, analytes: number, filled: number}>}
+ *   type: the dominant kind (number, date, range, unit, text, empty); analytes: cells naming a known analyte
+ */
+export function profileColumns(header, rows) {
+  return header.map((name, index) => {
+    const kinds = { number: 0, censored: 0, range: 0, date: 0, unit: 0, text: 0, empty: 0 };
+    let analytes = 0;
+    for (const row of rows) {
+      const v = row[index];
+      const kind = cellKind(v);
+      kinds[kind]++;
+      if (kind === 'text' && findAnalyte(v)) analytes++;
+    }
+    const filled = rows.length - kinds.empty;
+    const type = filled ? Object.entries(kinds).filter(([k]) => k !== 'empty').sort((a, b) => b[1] - a[1])[0][0] : 'empty';
+    return { index, name: name || `column ${index + 1}`, type: type === 'censored' ? 'number' : type, kinds, analytes, filled };
+  });
+}
+
+/**
+ * Assign roles to columns: header names weigh most, value types break ties and fill
+ * in for unnamed columns. Each column takes at most one role.
+ * @returns {{patient: number|null, datetime, test, result, units, range, analytes: Array<{index, analyte, unit}>}}
+ *   analytes: wide layout, one column per analyte ("Glucose (mg/dL)"), when there is no test/result pair
+ */
+export function mapColumns(profiles) {
+  const frac = (p, ...kinds) => (p.filled ? kinds.reduce((s, k) => s + p.kinds[k], 0) / p.filled : 0);
+  const typeFit = {
+    patient: p => (p.type === 'text' || p.type === 'number' ? 0.3 : 0),
+    datetime: p => frac(p, 'date') * 1.2,
+    test: p => (p.filled ? (p.analytes / p.filled) * 1.5 : 0) + frac(p, 'text') * 0.3,
+    result: p => frac(p, 'number', 'censored') * 1.1,
+    units: p => frac(p, 'unit') * 1.2,
+    range: p => frac(p, 'range') * 1.2
+  };
+  const candidates = [];
+  for (const role of ROLES) {
+    for (const p of profiles) {
+      if (!p.filled) continue;
+      const named = role.header.test(p.name.toLowerCase()) ? 2 : 0;
+      const score = named + typeFit[role.key](p);
+      if (score >= 1) candidates.push({ role: role.key, index: p.index, score });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+  const mapping = Object.fromEntries(ROLES.map(r => [r.key, null]));
+  const used = new Set();
+  for (const c of candidates) {
+    if (mapping[c.role] !== null || used.has(c.index)) continue;
+    mapping[c.role] = c.index;
+    used.add(c.index);
+  }
+  mapping.analytes = [];
+  if (mapping.test === null || mapping.result === null) {
+    for (const p of profiles) {
+      const analyte = !used.has(p.index) && p.type === 'number' && findAnalyte(p.name);
+      if (analyte) mapping.analytes.push({ index: p.index, analyte, unit: unitFromHeader(p.name) });
+    }
+  }
+  return mapping;
+}
+
+// User corrections win; analyte columns stay only while no test/result pair is mapped
+function applyOverride(auto, override) {
+  const merged = { ...auto, ...override };
+  const taken = new Set(ROLES.map(r => merged[r.key]).filter(i => i !== null));
+  merged.analytes = merged.test === null || merged.result === null ? auto.analytes.filter(a => !taken.has(a.index)) : [];
+  return merged;
+}
+
+function unitFromHeader(name) {
+  const m = /[([]\s*([^)\]]+?)\s*[)\]]/.exec(name);
+  return m ? m[1] : '';
+}
+
+/**
+ * Streaming checker for one table.
+ * @param {{override?: Object}} opts override: a user-corrected mapping ({role: index|null})
+ * @returns {{row: (fields: string[], line: number, header: string[]) => void, finish: () => Object}}
+ *   finish() -> { profiles, mapping, findings: [{severity, text}], stats }
+ */
+export function createLabChecker({ override = null } = {}) {
+  let header = null;
+  let buffer = [];
+  let mapping = null;
+  let profiles = [];
+  let decimals = []; // column index -> decimal separator
+  const stats = { rows: 0, checked: 0, implausible: 0, nonNumeric: 0, dates: 0, badDates: 0, future: 0, badRanges: 0 };
+  const examples = { implausible: [], nonNumeric: [], badDates: [], badRanges: [] };
+  const units = new Map(); // analyte/test -> Map(normUnit -> { unit, count, line })
+  const order = { dmy: 0, mdy: 0 };
+  const now = Date.now();
+  const note = (list, text) => { if (examples[list].length < MAX_EXAMPLES) examples[list].push(text); };
+
+  const start = () => {
+    profiles = profileColumns(header, buffer.map(b => b.fields));
+    decimals = header.map((_, i) => decimalSeparator(buffer.map(b => b.fields), i));
+    mapping = override ? applyOverride(mapColumns(profiles), override) : mapColumns(profiles);
+    buffer.forEach(b => check(b.fields, b.line));
+    buffer = null;
+  };
+
+  const check = (fields, line) => {
+    const at = i => (i === null || i === undefined ? '' : String(fields[i] == null ? '' : fields[i]).trim());
+    if (mapping.datetime !== null && at(mapping.datetime)) {
+      stats.dates++;
+      const d = parseLabDate(at(mapping.datetime));
+      if (!d) {
+        stats.badDates++;
+        note('badDates', `line ${line}: "${at(mapping.datetime).slice(0, 30)}"`);
+      } else {
+        if (d.order) order[d.order]++;
+        if (d.date.getTime() > now + 86400000) stats.future++;
+      }
+    }
+    if (mapping.range !== null && at(mapping.range) && !RANGE.test(at(mapping.range)) && !CENSORED.test(at(mapping.range))) {
+      stats.badRanges++;
+      note('badRanges', `line ${line}: "${at(mapping.range).slice(0, 30)}"`);
+    }
+    if (mapping.result !== null) {
+      const raw = at(mapping.result);
+      const test = at(mapping.test);
+      if (!raw) return;
+      const value = parseNumber(raw, decimals[mapping.result]);
+      if (value === null) {
+        if (!CENSORED.test(raw)) {
+          stats.nonNumeric++;
+          note('nonNumeric', `line ${line}: ${test ? `${test} = ` : ''}"${raw.slice(0, 30)}"`);
+        }
+        return;
+      }
+      const analyte = findAnalyte(test);
+      const unit = at(mapping.units);
+      trackUnit(analyte ? analyte.label : test, unit, line);
+      plausible(analyte, value, unit, line);
+    }
+    for (const col of mapping.analytes) {
+      const value = parseNumber(at(col.index), decimals[col.index]);
+      if (value !== null) plausible(col.analyte, value, col.unit, line);
+    }
+  };
+
+  const trackUnit = (test, unit, line) => {
+    if (!test) return;
+    const key = test.toLowerCase();
+    if (!units.has(key)) units.set(key, { test, seen: new Map() });
+    const seen = units.get(key).seen;
+    const u = normUnit(unit);
+    if (seen.has(u)) seen.get(u).count++;
+    else if (seen.size < 10) seen.set(u, { unit: unit || '(none)', count: 1, line });
+  };
+
+  const plausible = (analyte, value, unit, line) => {
+    if (!analyte) return;
+    stats.checked++;
+    const u = normUnit(unit);
+    let limits = analyte.limits[u];
+    if (!limits && !u) {
+      // No unit given: only flag values no unit could explain
+      const all = Object.values(analyte.limits);
+      limits = [Math.min(...all.map(l => l[0])), Math.max(...all.map(l => l[1]))];
+    }
+    if (!limits || (value >= limits[0] && value <= limits[1])) return;
+    stats.implausible++;
+    note('implausible', `line ${line}: ${analyte.label} ${value}${unit ? ` ${unit}` : ''} (plausible ${limits[0]}–${limits[1]}${unit ? ` ${unit}` : ''})`);
+  };
+
+  const row = (fields, line, head) => {
+    header = header || head;
+    stats.rows++;
+    if (buffer) {
+      buffer.push({ fields, line });
+      if (buffer.length >= SAMPLE_ROWS) start();
+    } else {
+      check(fields, line);
+    }
+  };
+
+  const finish = () => {
+    if (buffer) {
+      header = header || [];
+      start();
+    }
+    const findings = [];
+    const add = (severity, text) => findings.push({ severity, text });
+    if (stats.implausible) add('error', `${stats.implausible} implausible result${stats.implausible > 1 ? 's' : ''} — check units and decimal points: ${examples.implausible.join('; ')}`);
+    for (const { test, seen } of units.values()) {
+      if (seen.size < 2) continue;
+      const list = [...seen.values()].map(s => `${s.unit} (${s.count}×, first on line ${s.line})`).join(', ');
+      add('error', `${test} is reported in ${seen.size} different units: ${list} — convert to one unit`);
+    }
+    if (stats.badDates) add('error', `${stats.badDates} of ${stats.dates} dates cannot be read: ${examples.badDates.join('; ')}`);
+    if (order.dmy && order.mdy) add('error', `dates mix day/month order (${order.dmy} look DD/MM, ${order.mdy} look MM/DD) — use YYYY-MM-DD`);
+    if (stats.future) add('warning', `${stats.future} date${stats.future > 1 ? 's are' : ' is'} in the future`);
+    if (stats.nonNumeric) add('warning', `${stats.nonNumeric} result${stats.nonNumeric > 1 ? 's are' : ' is'} not a number: ${examples.nonNumeric.join('; ')}`);
+    if (stats.badRanges) add('warning', `${stats.badRanges} reference range${stats.badRanges > 1 ? 's are' : ' is'} not in "low-high" form: ${examples.badRanges.join('; ')}`);
+    return { profiles, mapping, findings, stats, dateOrder: order.dmy > order.mdy ? 'dmy' : order.mdy ? 'mdy' : null };
+  };
+
+  return { row, finish };
+}
+
+/** Roles a lab table needs that the mapping left empty. Wide tables carry test and units in their headers. */
+export function missingRoles(mapping) {
+  const wide = mapping.analytes && mapping.analytes.length;
+  return ROLES.filter(r => mapping[r.key] === null && !(wide && (r.key === 'test' || r.key === 'result' || (r.key === 'units' && mapping.analytes.every(a => a.unit)))));
+}
@@ -0,0 +1,321 @@
+/**
+ * FHIR R4 LAB RESULT RULES
+ * Checks Bundle.type and entries, resolves references inside the bundle (or the NDJSON
+ * file), and requires what a lab Observation needs: status, a LOINC code, subject,
+ * effectiveDateTime, UCUM units and a referenceRange for numeric results.
+ * DiagnosticReport.result must point to Observations in the same bundle.
+ * Every finding carries the JSON path of the element at fault ($.entry[3].resource.code).
+ */
+
+import { referencesIn, parseReference, isFhirDateTime } from '../../core/fhir.js';
+import { checkUcum } from '../../core/ucum.js';
+
+const BUNDLE_TYPES = new Set(['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection']);
+const LAB_BUNDLE_TYPES = new Set(['collection', 'document', 'message', 'transaction', 'batch', 'searchset']);
+const OBSERVATION_STATUS = new Set(['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown']);
+const REPORT_STATUS = new Set(['registered', 'partial', 'preliminary', 'final', 'amended', 'corrected', 'appended', 'cancelled', 'entered-in-error', 'unknown']);
+const LOINC = 'http://loinc.org';
+const LOINC_ALIASES = new Set(['LN', 'LOINC', 'loinc', 'http://loinc.org/', 'https://loinc.org', 'urn:oid:2.16.840.1.113883.6.1']);
+const UCUM = 'http://unitsofmeasure.org';
+const ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+// Reference element -> resource types it may point to; unresolved ones are errors
+const TARGETS = {
+  'Observation.subject': ['Patient', 'Group', 'Device', 'Location'],
+  'Observation.hasMember': ['Observation', 'QuestionnaireResponse', 'MolecularSequence'],
+  'Observation.specimen': ['Specimen'],
+  'DiagnosticReport.subject': ['Patient', 'Group', 'Device', 'Location'],
+  'DiagnosticReport.result': ['Observation'],
+  'DiagnosticReport.specimen': ['Specimen']
+};
+// Findings kept for display; counts always cover everything
+const MAX_FINDINGS = 500;
+const MAX_TARGETS = 50000;
+
+/**
+ * Streaming validator: feed it every resource from core/fhir.js readFhir, then finish().
+ * @returns {{resource: (resource, path, entry) => void, finish: (read) => {findings: Array<{severity, where, text}>, stats: Object}}}
+ */
+export function createFhirValidator() {
+  const findings = [];
+  const stats = {
+    resources: 0, typed: 0, observations: 0, obsOk: 0, loinc: 0, quantities: 0, ucumOk: 0,
+    reports: 0, references: 0, resolved: 0, errors: 0, warnings: 0, types: {}
+  };
+  const add = (severity, where, text) => {
+    stats[severity === 'error' ? 'errors' : 'warnings']++;
+    if (findings.length < MAX_FINDINGS) findings.push({ severity, where, text });
+  };
+  const known = new Map(); // "Type/id" or fullUrl -> resource type
+  const refs = new Map(); // distinct reference use -> { reference, owner, key, path, count }
+  const observations = []; // JSON only: identities of each Observation, for unlinked-result checks
+  const linked = new Set();
+  let truncated = false;
+
+  const resource = (res, path, entry) => {
+    stats.resources++;
+    const type = res.resourceType;
+    if (typeof type !== 'string' || !/^[A-Z][A-Za-z]+$/.test(type)) {
+      add('error', `${path}.resourceType`, 'missing or invalid resourceType');
+      return;
+    }
+    stats.typed++;
+    stats.types[type] = (stats.types[type] || 0) + 1;
+    if (res.id !== undefined && !ID.test(String(res.id))) add('error', `${path}.id`, `id "${res.id}" is not a valid FHIR id`);
+    if (res.id) known.set(`${type}/${res.id}`, type);
+    if (entry && typeof entry.fullUrl === 'string') known.set(entry.fullUrl, type);
+
+    const contained = new Set((Array.isArray(res.contained) ? res.contained : []).map(c => c && c.id).filter(Boolean));
+    // A Bundle's own references are its entries' references; those are walked per entry
+    for (const r of type === 'Bundle' ? [] : referencesIn(res, path)) {
+      stats.references++;
+      const local = parseReference(r.reference).local;
+      if (local) {
+        if (contained.has(r.reference.slice(1))) stats.resolved++;
+        else add('error', r.path, `"${r.reference}" points to a contained resource that does not exist`);
+        continue;
+      }
+      const id = `${r.reference}\u0000${type}.${r.key}`;
+      const seen = refs.get(id);
+      if (seen) seen.count++;
+      else if (refs.size < MAX_TARGETS) refs.set(id, { reference: r.reference, owner: type, key: r.key, path: r.path, count: 1 });
+      else truncated = true;
+    }
+
+    const errors = stats.errors;
+    if (type === 'Bundle') checkBundle(res, path, add);
+    else if (type === 'Observation') {
+      stats.observations++;
+      checkObservation(res, path, add, stats);
+      if (stats.errors === errors) stats.obsOk++;
+      if (!path.startsWith('line ')) observations.push({ path, ids: [res.id && `Observation/${res.id}`, entry && entry.fullUrl].filter(Boolean) });
+    } else if (type === 'DiagnosticReport') {
+      stats.reports++;
+      checkReport(res, path, add);
+    }
+  };
+
+  const finish = read => {
+    read.errors.forEach(e => add('error', e.split(':')[0], e.slice(e.indexOf(':') + 2)));
+    const ndjson = read.format === 'ndjson';
+    if (!ndjson && read.root && read.root.resourceType !== 'Bundle' && stats.resources === 1) {
+      add('warning', '$', `single ${read.root.resourceType || 'resource'} — send lab results as a Bundle with the Patient they refer to`);
+    }
+
+    const external = new Map(); // NDJSON: target type -> { count, path }
+    for (const r of refs.values()) {
+      const target = resolve(r.reference, known);
+      const allowed = TARGETS[`${r.owner}.${r.key}`];
+      if (target) {
+        stats.resolved += r.count;
+        if (allowed && !allowed.includes(target.type)) add('error', r.path, `${r.owner}.${r.key} points to a ${target.type} — expected ${allowed.join(' or ')}`);
+        if (r.owner === 'DiagnosticReport' && r.key === 'result') target.keys.forEach(k => linked.add(k));
+        if (r.owner === 'Observation' && r.key === 'hasMember') target.keys.forEach(k => linked.add(k));
+        continue;
+      }
+      const more = r.count > 1 ? ` (used ${r.count} times)` : '';
+      if (ndjson) {
+        const t = parseReference(r.reference).type || 'other';
+        const e = external.get(t) || { count: 0, path: r.path };
+        e.count += r.count;
+        external.set(t, e);
+      } else {
+        const bundled = read.root && read.root.resourceType === 'Bundle';
+        add(allowed && bundled ? 'error' : 'warning', r.path, `reference "${r.reference}" does not resolve to a resource in this ${bundled ? 'bundle' : 'file'}${more}`);
+      }
+    }
+    for (const [t, e] of external) {
+      add('warning', e.path, `${e.count} reference${e.count > 1 ? 's' : ''} to ${t} resources not in this file — upload the ${t} export alongside it`);
+    }
+    if (truncated) add('warning', 'file', `more than ${MAX_TARGETS} distinct references — only the first ${MAX_TARGETS} were resolved`);
+
+    if (stats.reports) {
+      const unlinked = observations.filter(o => !o.ids.some(k => linked.has(k)));
+      if (unlinked.length) add('warning', unlinked[0].path, `${unlinked.length} Observation${unlinked.length > 1 ? 's are' : ' is'} not listed in any DiagnosticReport.result`);
+    }
+    if (!stats.observations) add('error', ndjson ? 'file' : '$', 'no Observation resources — nothing to import as lab results');
+    return { findings, stats };
+  };
+
+  return { resource, finish };
+}
+
+function resolve(reference, known) {
+  if (known.has(reference)) return { type: known.get(reference), keys: [reference, ...literal(reference)] };
+  const { type, id } = parseReference(reference);
+  const key = type && `${type}/${id}`;
+  return key && known.has(key) ? { type: known.get(key), keys: [key] } : null;
+}
+
+function literal(reference) {
+  const { type, id } = parseReference(reference);
+  return type ? [`${type}/${id}`] : [];
+}
+
+function checkBundle(bundle, path, add) {
+  const type = bundle.type;
+  if (!type) add('error', `${path}.type`, 'Bundle.type is missing');
+  else if (!BUNDLE_TYPES.has(type)) add('error', `${path}.type`, `Bundle.type "${type}" is not an R4 bundle type`);
+  else if (!LAB_BUNDLE_TYPES.has(type)) add('warning', `${path}.type`, `Bundle.type "${type}" is a server response, not a set of lab results — send a collection, document or transaction`);
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  if (!entries.length) {
+    add('error', `${path}.entry`, 'Bundle has no entries');
+    return;
+  }
+  const first = entries[0] && entries[0].resource && entries[0].resource.resourceType;
+  if (type === 'document' && first !== 'Composition') add('error', `${path}.entry[0].resource`, 'a document Bundle must start with a Composition');
+  if (type === 'message' && first !== 'MessageHeader') add('error', `${path}.entry[0].resource`, 'a message Bundle must start with a MessageHeader');
+
+  const fullUrls = new Set();
+  entries.forEach((entry, i) => {
+    const at = `${path}.entry[${i}]`;
+    if (!entry || !entry.resource) {
+      if (!/-response$/.test(type)) add('error', at, 'entry has no resource');
+      return;
+    }
+    if (!entry.fullUrl) add('warning', `${at}.fullUrl`, 'entry has no fullUrl — other entries cannot reference it reliably');
+    else if (fullUrls.has(entry.fullUrl)) add('error', `${at}.fullUrl`, `duplicate fullUrl "${entry.fullUrl}"`);
+    else fullUrls.add(entry.fullUrl);
+    if ((type === 'transaction' || type === 'batch') && !(entry.request && entry.request.method && entry.request.url)) {
+      add('error', `${at}.request`, `${type} entries need request.method and request.url`);
+    }
+  });
+}
+
+function checkObservation(obs, path, add, stats) {
+  if (!obs.status) add('error', `${path}.status`, 'Observation.status is missing');
+  else if (!OBSERVATION_STATUS.has(obs.status)) add('error', `${path}.status`, `status "${obs.status}" is not an Observation status`);
+  else if (obs.status === 'entered-in-error' || obs.status === 'cancelled') add('warning', `${path}.status`, `status is "${obs.status}" — this result should not be imported`);
+  else if (obs.status === 'registered' || obs.status === 'preliminary') add('warning', `${path}.status`, `status is "${obs.status}" — result is not final yet`);
+
+  if (checkCode(obs.code, `${path}.code`, add, 'error')) stats.loinc++;
+  if (!obs.subject) add('error', `${path}.subject`, 'Observation.subject is missing — result cannot be matched to a patient');
+
+  if (obs.effectiveDateTime !== undefined) {
+    if (!isFhirDateTime(obs.effectiveDateTime)) add('error', `${path}.effectiveDateTime`, `"${obs.effectiveDateTime}" is not a FHIR dateTime (YYYY-MM-DDThh:mm:ss+zz:zz)`);
+  } else if (obs.effectivePeriod || obs.effectiveInstant) {
+    add('warning', path, `uses ${obs.effectivePeriod ? 'effectivePeriod' : 'effectiveInstant'} — lab results should carry effectiveDateTime`);
+  } else {
+    add('error', `${path}.effectiveDateTime`, 'effectiveDateTime is missing — when was the specimen taken?');
+  }
+
+  const hasValue = Object.keys(obs).some(k => k.startsWith('value'));
+  if (!hasValue && !obs.dataAbsentReason && !obs.hasMember && !obs.component) {
+    add('error', path, 'no value[x], dataAbsentReason, hasMember or component — the Observation carries no result');
+  }
+  if (obs.valueQuantity) {
+    const unit = checkQuantity(obs.valueQuantity, `${path}.valueQuantity`, add, stats);
+    checkRanges(obs, path, unit, add);
+  }
+  if (Array.isArray(obs.component)) {
+    obs.component.forEach((c, i) => {
+      const at = `${path}.component[${i}]`;
+      checkCode(c && c.code, `${at}.code`, add, 'warning');
+      if (c && c.valueQuantity) checkQuantity(c.valueQuantity, `${at}.valueQuantity`, add, stats);
+    });
+  }
+}
+
+/** CodeableConcept with a LOINC coding; returns true when a valid LOINC code is present. */
+function checkCode(code, at, add, severity) {
+  const codings = code && Array.isArray(code.coding) ? code.coding : [];
+  if (!code || (!codings.length && !code.text)) {
+    add('error', at, 'code is missing');
+    return false;
+  }
+  const i = codings.findIndex(c => c && c.system === LOINC);
+  if (i < 0) {
+    const alias = codings.findIndex(c => c && LOINC_ALIASES.has(c.system));
+    if (alias >= 0) add(severity, `${at}.coding[${alias}].system`, `LOINC system must be "${LOINC}", not "${codings[alias].system}"`);
+    else add(severity, `${at}.coding`, `no LOINC coding (system "${LOINC}")${code.text ? ` for "${String(code.text).slice(0, 40)}"` : ''}`);
+    return false;
+  }
+  const loinc = String(codings[i].code || '');
+  if (!isLoincCode(loinc)) {
+    add('error', `${at}.coding[${i}].code`, loinc ? `"${loinc}" is not a valid LOINC code (check digit)` : 'LOINC coding has no code');
+    return false;
+  }
+  return true;
+}
+
+/** LOINC codes are NNNNN-C where C is a mod-10 check digit over NNNNN. */
+export function isLoincCode(code) {
+  const m = /^(\d{1,7})-(\d)$/.exec(code);
+  if (!m) return false;
+  const digits = m[1].split('').reverse();
+  const odd = digits.filter((_, i) => i % 2 === 0).join('');
+  const even = digits.filter((_, i) => i % 2 === 1).join('');
+  const sum = (even + String(Number(odd) * 2)).split('').reduce((s, d) => s + Number(d), 0);
+  return (10 - (sum % 10)) % 10 === Number(m[2]);
+}
+
+/** Quantity with a UCUM code; returns the code when it is valid UCUM. */
+function checkQuantity(q, at, add, stats) {
+  stats.quantities++;
+  if (typeof q.value !== 'number') {
+    if (q.value === undefined) add('error', `${at}.value`, 'quantity has no value');
+    else add('error', `${at}.value`, `value ${JSON.stringify(q.value).slice(0, 30)} must be a JSON number`);
+  }
+  if (!q.code) {
+    add(q.unit ? 'warning' : 'error', `${at}.code`, q.unit ? `unit "${q.unit}" has no UCUM code` : 'quantity has no unit');
+    return null;
+  }
+  if (q.system !== UCUM) add('warning', `${at}.system`, `units should use the UCUM system "${UCUM}"${q.system ? `, not "${q.system}"` : ''}`);
+  const ucum = checkUcum(q.code);
+  const hint = ucum.suggestion ? ` — did you mean "${ucum.suggestion}"?` : '';
+  if (!ucum.valid) {
+    add('error', `${at}.code`, `"${q.code}" is not valid UCUM (${ucum.error})${hint}`);
+    return null;
+  }
+  if (!ucum.known) add('warning', `${at}.code`, `"${q.code}" is not a recognised UCUM unit${hint}`);
+  else stats.ucumOk++;
+  return q.code;
+}
+
+function checkRanges(obs, path, unit, add) {
+  const ranges = Array.isArray(obs.referenceRange) ? obs.referenceRange : [];
+  if (!ranges.length) {
+    add('error', `${path}.referenceRange`, 'numeric result without referenceRange');
+    return;
+  }
+  ranges.forEach((r, i) => {
+    const at = `${path}.referenceRange[${i}]`;
+    if (!r || (!r.low && !r.high && !r.text)) add('error', at, 'referenceRange has neither low, high nor text');
+    for (const bound of ['low', 'high']) {
+      const q = r && r[bound];
+      if (!q) continue;
+      if (typeof q.value !== 'number') add('error', `${at}.${bound}.value`, `${bound} bound has no numeric value`);
+      if (unit && q.code && q.code !== unit) add('warning', `${at}.${bound}.code`, `range unit "${q.code}" differs from result unit "${unit}"`);
+    }
+  });
+
+  const r = ranges[0] || {};
+  const value = obs.valueQuantity.value;
+  if (typeof value !== 'number') return;
+  const outside = (r.low && typeof r.low.value === 'number' && value < r.low.value) || (r.high && typeof r.high.value === 'number' && value > r.high.value);
+  const codes = (obs.interpretation || []).flatMap(c => (c && c.coding || []).map(x => x.code));
+  if (outside && (!codes.length || codes.includes('N'))) {
+    add('warning', `${path}.interpretation`, `value ${value} is outside the reference range but interpretation is ${codes.length ? 'N (normal)' : 'missing'}`);
+  }
+}
+
+function checkReport(report, path, add) {
+  if (!report.status) add('error', `${path}.status`, 'DiagnosticReport.status is missing');
+  else if (!REPORT_STATUS.has(report.status)) add('error', `${path}.status`, `status "${report.status}" is not a DiagnosticReport status`);
+  if (!report.code) add('error', `${path}.code`, 'DiagnosticReport.code is missing');
+  if (!report.subject) add('warning', `${path}.subject`, 'DiagnosticReport.subject is missing');
+  if (!report.effectiveDateTime && !report.effectivePeriod) add('warning', `${path}.effectiveDateTime`, 'DiagnosticReport has no effective time');
+  const results = Array.isArray(report.result) ? report.result : [];
+  if (!results.length) {
+    add('warning', `${path}.result`, 'DiagnosticReport lists no results');
+    return;
+  }
+  const seen = new Set();
+  results.forEach((r, i) => {
+    const ref = r && r.reference;
+    if (!ref) add('error', `${path}.result[${i}]`, 'result entry has no reference');
+    else if (seen.has(ref)) add('warning', `${path}.result[${i}].reference`, `"${ref}" is listed twice`);
+    seen.add(ref);
+  });
+}
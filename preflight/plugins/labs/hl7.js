@@ -0,0 +1,183 @@
+/**
+ * HL7 v2 LAB RESULT RULES (ORU^R01)
+ * Checks batch envelopes, the ORU^R01 segment structure and the fields a lab
+ * result needs: PID-3, OBR-7, OBX-2 vs OBX-5, OBX-6, OBX-7, OBX-8, OBX-11.
+ * Every finding is addressed as "message 3, OBX 7: ..." so it can be fixed at source.
+ */
+
+import { field, repetitions, component, text, segmentsOf, isHl7DateTime } from '../../core/hl7.js';
+
+// HL7 table 0078 (interpretation codes) and 0085 (observation result status)
+const ABNORMAL_FLAGS = new Set(['L', 'H', 'LL', 'HH', 'LU', 'HU', '<', '>', 'N', 'A', 'AA', 'S', 'R', 'I', 'MS', 'VS', 'U', 'D', 'B', 'W', 'NEG', 'POS', 'NR', 'RR', 'IND', 'E', 'EX', 'HX', 'LX', 'NS', 'SDD', 'SYN-R', 'SYN-S', 'NCL', 'HM', 'CAR', 'EXP', 'WR', 'IE', 'QCF', 'TOX']);
+const RESULT_STATUS = new Set(['C', 'D', 'F', 'I', 'N', 'O', 'P', 'R', 'S', 'U', 'W', 'X', 'A']);
+const TEXT_TYPES = new Set(['ST', 'TX', 'FT']);
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const RANGE = /^\s*([<>]=?\s*[+-]?\d*\.?\d+|[+-]?\d*\.?\d+\s*-\s*[+-]?\d*\.?\d+|[+-]?\d*\.?\d+\s*-\s*|-\s*[+-]?\d*\.?\d+)\s*$/;
+// Segments allowed in an ORU^R01 (v2.3–2.5) in addition to MSH/PID/OBR/OBX
+const ORU_OPTIONAL = new Set(['SFT', 'NTE', 'PD1', 'NK1', 'PV1', 'PV2', 'ORC', 'TQ1', 'TQ2', 'CTD', 'FT1', 'CTI', 'SPM', 'SAC', 'TXA', 'DSC', 'UAC', 'PRT', 'ZDS']);
+
+/**
+ * Validate a parsed HL7 file (core/hl7.js parseHl7).
+ * @returns {{findings: Array<{severity: 'error'|'warning', where: string, text: string}>, stats: Object}}
+ */
+export function validateHl7(parsed) {
+  const findings = [];
+  const add = (severity, where, msg) => findings.push({ severity, where, text: msg });
+  const stats = { messages: parsed.messages.length, oru: 0, obx: 0, obxOk: 0, coded: 0, pid3: 0, batches: 0 };
+
+  parsed.errors.forEach(e => add('error', 'file', e));
+  checkEnvelope(parsed, add, stats);
+
+  for (const msg of parsed.messages) {
+    const where = `message ${msg.index}`;
+    msg.segments.forEach(seg => seg.warnings.forEach(w => add('warning', `${where}, ${seg.name} (line ${seg.line})`, w)));
+    const msh = msg.segments[0];
+    const type = [component(msh, field(msh, 9), 1), component(msh, field(msh, 9), 2)].join('^');
+    if (!field(msh, 10)) add('warning', `${where}, MSH`, 'MSH-10 message control ID is empty');
+    if (!field(msh, 12)) add('warning', `${where}, MSH`, 'MSH-12 version ID is empty');
+    if (type !== 'ORU^R01') {
+      add('error', `${where}, MSH`, `MSH-9 is ${type === '^' ? 'empty' : type} — expected ORU^R01 (observation result)`);
+      continue;
+    }
+    stats.oru++;
+    checkStructure(msg, where, add);
+    checkPatient(msg, where, add, stats);
+    checkOrders(msg, where, add);
+    checkObservations(msg, where, add, stats);
+  }
+  return { findings, stats };
+}
+
+function checkEnvelope({ envelope, messages }, add, stats) {
+  const names = envelope.map(s => s.name);
+  const fhs = names.includes('FHS'), fts = names.includes('FTS');
+  if (fhs !== fts) add('error', 'file', fhs ? 'FHS without a closing FTS' : 'FTS without an opening FHS');
+  const bhs = envelope.filter(s => s.name === 'BHS');
+  const bts = envelope.filter(s => s.name === 'BTS');
+  stats.batches = bhs.length;
+  if (bhs.length !== bts.length) add('error', 'file', `${bhs.length} BHS but ${bts.length} BTS — every batch needs a header and a trailer`);
+  for (const trailer of bts) {
+    const declared = field(trailer, 1);
+    const actual = messages.filter(m => m.batch === trailer.batch).length;
+    if (declared && Number(declared) !== actual) add('error', `batch ${trailer.batch}, BTS`, `BTS-1 says ${declared} messages but the batch has ${actual}`);
+  }
+  const ftsSeg = envelope.find(s => s.name === 'FTS');
+  if (ftsSeg && field(ftsSeg, 1) && Number(field(ftsSeg, 1)) !== bhs.length) {
+    add('error', 'file, FTS', `FTS-1 says ${field(ftsSeg, 1)} batches but the file has ${bhs.length}`);
+  }
+  if (!envelope.length && messages.length > 1) add('warning', 'file', `${messages.length} messages without FHS/BHS batch envelope`);
+}
+
+// MSH [SFT] [NTE] PID [PD1] [NTE] [PV1 [PV2]] { [ORC] OBR [NTE] { [OBX] [NTE] } } [DSC]
+function checkStructure(msg, where, add) {
+  let seenPid = false, seenObr = false;
+  for (const seg of msg.segments.slice(1)) {
+    if (seg.name === 'MSH') continue;
+    if (seg.name === 'PID') {
+      if (seenPid) add('warning', `${where}, PID`, 'more than one PID segment in one ORU^R01');
+      if (seenObr) add('error', `${where}, PID`, 'PID after OBR — patient must come before the orders');
+      seenPid = true;
+    } else if (seg.name === 'OBR') {
+      seenObr = true;
+    } else if (seg.name === 'OBX') {
+      if (!seenObr) add('error', `${where}, OBX (line ${seg.line})`, 'OBX before any OBR — results must belong to an order');
+    } else if (!ORU_OPTIONAL.has(seg.name) && !seg.name.startsWith('Z')) {
+      add('warning', `${where}, ${seg.name}`, `${seg.name} is not part of ORU^R01`);
+    }
+  }
+  if (!seenPid) add('error', where, 'no PID segment — results cannot be matched to a patient');
+  if (!seenObr) add('error', where, 'no OBR segment — message has no order/report');
+}
+
+function checkPatient(msg, where, add, stats) {
+  const pid = segmentsOf(msg, 'PID')[0];
+  if (!pid) return;
+  const ids = repetitions(pid, 3).filter(r => component(pid, r, 1));
+  if (!ids.length) {
+    add('error', `${where}, PID`, 'PID-3 patient identifier list is empty');
+    return;
+  }
+  stats.pid3++;
+  if (!ids.some(r => component(pid, r, 5) || component(pid, r, 4))) {
+    add('warning', `${where}, PID`, 'PID-3 identifiers have no assigning authority or type code (components 4/5)');
+  }
+  if (!text(pid, 5)) add('warning', `${where}, PID`, 'PID-5 patient name is empty');
+}
+
+function checkOrders(msg, where, add) {
+  segmentsOf(msg, 'OBR').forEach((obr, i) => {
+    const at = `${where}, OBR ${i + 1}`;
+    const when = field(obr, 7);
+    if (!when) add('error', at, 'OBR-7 observation date/time is empty');
+    else if (!isHl7DateTime(when, obr.encoding)) add('error', at, `OBR-7 "${when}" is not an HL7 date/time (YYYYMMDDHHMM[SS])`);
+    if (!component(obr, field(obr, 4), 1)) add('error', at, 'OBR-4 universal service ID (test code) is empty');
+  });
+}
+
+function checkObservations(msg, where, add, stats) {
+  segmentsOf(msg, 'OBX').forEach((obx, i) => {
+    const at = `${where}, OBX ${i + 1}`;
+    stats.obx++;
+    let errors = 0;
+    const err = t => { errors++; add('error', at, t); };
+    const warn = t => add('warning', at, t);
+
+    const type = field(obx, 2);
+    const raw = field(obx, 5);
+    const value = component(obx, raw, 1);
+    const status = field(obx, 11);
+    const id = field(obx, 3);
+    if (!component(obx, id, 1)) err('OBX-3 observation identifier is empty');
+    else if (component(obx, id, 3)) stats.coded++;
+    else warn('OBX-3 has no coding system (component 3, e.g. LN for LOINC)');
+
+    if (!raw) {
+      if (!/^[DXIN]$/.test(status)) err('OBX-5 result is empty');
+    } else if (!type) {
+      err('OBX-2 value type is empty but OBX-5 has a result');
+    } else if (type === 'NM') {
+      if (!NUMERIC.test(value.trim())) err(`numeric value type but text result ("${value.slice(0, 30)}")`);
+    } else if (type === 'SN') {
+      const num = component(obx, raw, 2);
+      if (!NUMERIC.test(num.trim())) err(`structured numeric (SN) without a number in OBX-5.2 ("${raw.slice(0, 30)}")`);
+    } else if (type === 'CE' || type === 'CWE' || type === 'CNE') {
+      if (!component(obx, raw, 1) && !component(obx, raw, 2)) err(`${type} result has neither code nor text`);
+    } else if (type === 'DT' || type === 'DTM' || type === 'TS') {
+      if (!isHl7DateTime(value, obx.encoding)) err(`${type} value type but "${value.slice(0, 30)}" is not a date`);
+    } else if (TEXT_TYPES.has(type)) {
+      if (NUMERIC.test(value.trim())) warn(`${type} value type holds a number — send it as NM so it can be trended`);
+    }
+
+    const quantitative = type === 'NM' || type === 'SN';
+    const units = text(obx, 6);
+    if (quantitative && !units) warn('numeric result without units (OBX-6)');
+
+    const range = text(obx, 7);
+    if (range && !RANGE.test(range)) warn(`OBX-7 reference range "${range}" is not in "low-high", "<x" or ">x" form`);
+    if (quantitative && !range) warn('numeric result without reference range (OBX-7)');
+
+    const flags = repetitions(obx, 8).map(f => component(obx, f, 1)).filter(Boolean);
+    const unknown = flags.filter(f => !ABNORMAL_FLAGS.has(f));
+    if (unknown.length) warn(`OBX-8 abnormal flag ${unknown.join(', ')} is not in HL7 table 0078`);
+    if (type === 'NM' && range && NUMERIC.test(value.trim())) {
+      const outside = outOfRange(Number(value), range);
+      if (outside && (!flags.length || flags.includes('N'))) warn(`value ${value} is outside ${range} but OBX-8 is ${flags.length ? 'N (normal)' : 'empty'}`);
+    }
+
+    if (!status) err('OBX-11 result status is empty');
+    else if (!RESULT_STATUS.has(status)) err(`OBX-11 result status "${status}" is not in HL7 table 0085`);
+
+    if (!errors) stats.obxOk++;
+  });
+}
+
+function outOfRange(v, range) {
+  const r = range.replace(/\s+/g, '');
+  let m = /^([+-]?\d*\.?\d+)-([+-]?\d*\.?\d+)$/.exec(r);
+  if (m) return v < Number(m[1]) || v > Number(m[2]);
+  m = /^<(=?)([+-]?\d*\.?\d+)$/.exec(r);
+  if (m) return m[1] ? v > Number(m[2]) : v >= Number(m[2]);
+  m = /^>(=?)([+-]?\d*\.?\d+)$/.exec(r);
+  if (m) return m[1] ? v < Number(m[2]) : v <= Number(m[2]);
+  return false;
+}
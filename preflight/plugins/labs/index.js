@@ -1,170 +1,266 @@
-import { toGrayscale, stddev, laplacianVariance, detectDelimiter, mode, refCols, loadImage } from '../../core/utils.js';
+import { toGrayscale, stddev, laplacianVariance, csvStats } from '../../core/utils.js';
+import { readImageData } from '../../core/raster.js';
+import { inspectPdf, documentFindings, combinePageScores, pagesLabel, pdfFix } from '../../core/pdf.js';
+import { measureOrientation, orientationFindings, imageFix } from '../../core/orientation.js';
+import { suggestRemedies, remedyFix } from '../../core/remedy.js';
+import { inspectCapture, captureFindings, perspectiveFix } from '../../core/capture.js';
+import { tileMap, tileFindings, heatmap } from '../../core/tiles.js';
+import { inspectWorkbook, mainSheet, workbookFindings, lockedResult } from '../../core/office.js';
+import { parseHl7 } from '../../core/hl7.js';
+import { validateHl7 } from './hl7.js';
+import { readFhir } from '../../core/fhir.js';
+import { createFhirValidator } from './fhir.js';
+import { ROLES, createLabChecker, missingRoles } from './columns.js';
 
 const POLICY = {
-  pdf: { text: 35, dpi_hi: 20, dpi_mid: 12, skew_penalty: -8, contrast_hi: 20, contrast_mid: 12, contrast_low: 6, completeness: 15 },
-  image: { resolution_hi: 35, resolution_mid: 20, resolution_low: 8, sharp_hi: 25, sharp_mid: 15, sharp_low: 6, contrast_hi: 20, contrast_mid: 12, contrast_low: 6 },
-  csv: { rows_hi: 30, rows_low: 15, consistency_hi: 35, consistency_mid: 22, consistency_low: 10, empties_hi: 20, empties_mid: 10, empties_low: 5, units_bonus: 10 },
-  xlsx: { rows_hi: 30, rows_low: 15, cols_hi: 25, cols_low: 12, empties_hi: 20, empties_mid: 10, empties_low: 5, units_bonus: 10 },
-  hl7: { segments: 60, observations: 25, codes: 15 },
-  fhir: { structure: 60, observations: 25, units: 15 },
+  pdf: { text: 35, dpi_hi: 20, dpi_mid: 12, skew_penalty: -8, contrast_hi: 20, contrast_mid: 12, contrast_low: 6, completeness: 15,
+    rotation_penalty: -10, skew_tolerance: 1.0, tile_stat: 'global', weak_region_penalty: -15, weak_region_share: 0.1, blank_penalty: -8, mixed_size_penalty: -5, mixed_orientation_penalty: -5, combine: 'weighted', sampling: { strategy: 'spread', maxRendered: 12 } },
+  image: { resolution_hi: 35, resolution_mid: 20, resolution_low: 8, sharp_hi: 25, sharp_mid: 15, sharp_low: 6, contrast_hi: 20, contrast_mid: 12, contrast_low: 6,
+    skew_penalty: -8, rotation_penalty: -10, skew_tolerance: 1.0, tile_stat: 'global', weak_region_penalty: -15, weak_region_share: 0.1,
+    perspective_penalty: -8, perspective_tolerance: 8, framing_penalty: -5, cutoff_penalty: -12, glare_penalty: -8, shadow_penalty: -6 },
+  csv: { rows_hi: 30, rows_low: 15, consistency_hi: 35, consistency_mid: 22, consistency_low: 10, empties_hi: 20, empties_mid: 10, empties_low: 5,
+    mapping: 15, value_error_penalty: -8, value_warning_penalty: -2, max_value_penalty: -25 },
+  xlsx: { rows_hi: 30, rows_low: 15, cols_hi: 25, cols_low: 12, empties_hi: 20, empties_mid: 10, empties_low: 5,
+    mapping: 25, value_error_penalty: -8, value_warning_penalty: -2, max_value_penalty: -25,
+    macro_penalty: -10, hidden_sheet_penalty: -5, merged_cells_penalty: -8, formula_error_penalty: -10, header_penalty: -8 },
+  hl7: { structure: 45, identifiers: 15, observations: 25, codes: 15, error_penalty: -4, warning_penalty: -1, max_penalty: -30 },
+  fhir: { structure: 25, references: 20, observations: 25, codes: 15, units: 15, error_penalty: -4, warning_penalty: -1, max_penalty: -30 },
   thresholds: { accept: 85, borderline: 70 }
 };
+// Lowest passing sharpness and contrast, for the tile maps
+const LIMITS = { blur: 60, flat: 20 };
 
 export default {
   name: 'labs',
   thresholds: POLICY.thresholds,
+  policy: POLICY,
+  extensions: ['pdf', 'jpg', 'jpeg', 'png', 'bmp', 'webp', 'csv', 'xlsx', 'xlsm', 'xls', 'ods', 'json', 'ndjson', 'hl7'],
   async analyze(file, ui){
     const name = (file.name||'').toLowerCase();
     if (/pdf$/.test(name)) return analyzePdf(file, ui);
     if (/(jpe?g|png|bmp|webp)$/.test(name)) return analyzeImage(file, ui);
-    if (/csv$/.test(name)) return analyzeCsv(file);
-    if (/xlsx$/.test(name)) return analyzeXlsx(file);
-    if (/json$/.test(name)) return analyzeFhirJson(file);
-    if (/hl7$/.test(name) || /x-hl7/.test(file.type||'')) return analyzeHl7(file);
+    if (/csv$/.test(name)) return analyzeCsv(file, ui);
+    if (/\.(xlsx|xlsm|xls|ods)$/.test(name)) return analyzeXlsx(file, ui);
+    if (/json$/.test(name)) return analyzeFhirJson(file, ui);
+    if (/hl7$/.test(name) || /x-hl7/.test(file.type||'')) return analyzeHl7(file, ui);
     return { score: 55, messages: ['Unknown lab file format'], details: [] };
   }
 };
 
 async function analyzePdf(file, {status, notes}){
   const W=POLICY.pdf;
+  let doc;
   try{
-    status.textContent = 'Loading PDF.js…';
-    const ab=await file.arrayBuffer();
-    const pdf=await pdfjsLib.getDocument({data:ab}).promise;
-    const page=await pdf.getPage(1);
-    const text=await page.getTextContent();
-    const hasText=((text.items||[]).map(it=>it.str||'').join(' ').trim().length>20);
-    const viewport=page.getViewport({scale:2.0});
-    const canvas=document.createElement('canvas'); canvas.width=viewport.width|0; canvas.height=viewport.height|0;
-    const ctx=canvas.getContext('2d',{willReadFrequently:true}); await page.render({canvasContext:ctx,viewport}).promise;
-    const img=ctx.getImageData(0,0,canvas.width,canvas.height); const gray=toGrayscale(img);
-    const contrast=stddev(gray); const lapVar=laplacianVariance(gray,canvas.width,canvas.height);
-    let score=0,msg=[],det=[];
-    if (hasText){ score+=W.text; det.push('Text layer: yes'); } else { det.push('Text layer: no'); msg.push('Scanned PDF — OCR will be required.'); }
-    const megapx=(canvas.width*canvas.height)/1e6; det.push(`Render MP: ${megapx.toFixed(2)}`);
-    if (megapx>=2.0) score+=W.dpi_hi; else if (megapx>=1.0){ score+=W.dpi_mid; msg.push('Low resolution — prefer ≥ 300 DPI.'); }
-    det.push(`Sharpness(LapVar/100): ${lapVar.toFixed(1)}`);
-    det.push(`Contrast(stddev): ${contrast.toFixed(1)}`);
-    if (contrast>=30) score+=W.contrast_hi; else if (contrast>=20) score+=W.contrast_mid; else score+=W.contrast_low;
-    score+=W.completeness; msg.push('Check patient name, date, test panel, and reference ranges present.');
-    notes.textContent = det.join('\n');
-    return { score: Math.min(100,score), messages: dedupe(msg), details: det };
+    doc=await inspectPdf(file, {scale:2.0, sampling:W.sampling, status});
   }catch(e){
     return { score: 50, messages: ['PDF parse error — limited checks.'], details: ['PDF.js error: '+e.message] };
   }
+  const {penalty, msg, det, corrections}=documentFindings(doc, W);
+  const pages=doc.pages.filter(p=>p.rendered && !p.blank);
+  const lowRes=[], lowContrast=[], scores=[];
+  for (const p of pages){
+    const region=tileFindings(p.tiles, W, {sharpness: p.lapVar, contrast: p.contrast}, LIMITS, `Page ${p.n}: `);
+    let s=p.hasText?W.text:0;
+    if (p.megapx>=2.0) s+=W.dpi_hi; else { if (p.megapx>=1.0) s+=W.dpi_mid; lowRes.push(p.n); }
+    if (region.contrast>=30) s+=W.contrast_hi; else if (region.contrast>=20) s+=W.contrast_mid; else { s+=W.contrast_low; lowContrast.push(p.n); }
+    s+=W.completeness+region.penalty;
+    msg.push(...region.msg);
+    scores.push(s);
+    det.push(`Page ${p.n}: ${s} · MP ${p.megapx.toFixed(2)} · LapVar/100 ${p.lapVar.toFixed(1)} · Contrast ${p.contrast.toFixed(1)}${p.hasText?' · text':''}`, ...region.det);
+  }
+  let score;
+  if (scores.length){
+    score=combinePageScores(scores, W.combine);
+    det.push(`Document score (${W.combine} of ${scores.length} page${scores.length>1?'s':''}): ${Math.round(score)}`);
+  } else {
+    // Nothing rendered (headless, or only blank pages): judge the text layer alone
+    const textShare=doc.pages.filter(p=>p.hasText).length/Math.max(1,doc.pageCount);
+    score=textShare*W.text+W.dpi_mid+W.contrast_mid+W.completeness;
+    msg.push('Pages could not be rendered — image quality unchecked.');
+  }
+  if (!doc.pages.some(p=>p.hasText)) msg.push('Scanned PDF — OCR will be required.');
+  if (lowRes.length) msg.push(`${pagesLabel(lowRes)}: low resolution — prefer ≥ 300 DPI.`);
+  if (lowContrast.length) msg.push(`${pagesLabel(lowContrast)}: low contrast.`);
+  msg.push('Check patient name, date, test panel, and reference ranges present.');
+  notes.textContent = det.join('\n');
+  const weakest=pages[scores.indexOf(Math.min(...scores))];
+  return { score: Math.max(0, Math.min(100, Math.round(score+penalty))), messages: dedupe(msg), details: det, fixes: [pdfFix(file, doc, corrections)].filter(Boolean),
+    heatmap: weakest ? heatmap(weakest.tiles, LIMITS, `Page ${weakest.n}`) : null };
 }
 
 async function analyzeImage(file, {status, notes}){
   const W=POLICY.image;
   status.textContent='Decoding lab image…';
-  const imgEl=await loadImage(file);
-  const w=imgEl.naturalWidth,h=imgEl.naturalHeight;
-  const canvas=document.createElement('canvas'); canvas.width=w; canvas.height=h;
-  const ctx=canvas.getContext('2d',{willReadFrequently:true}); ctx.drawImage(imgEl,0,0);
-  const img=ctx.getImageData(0,0,w,h); const gray=toGrayscale(img);
+  const img=await readImageData(file);
+  const w=img.width,h=img.height;
+  const gray=toGrayscale(img);
   const contrast=stddev(gray); const lapVar=laplacianVariance(gray,w,h);
   const megapx=(w*h)/1e6;
+  const tiles=tileMap(gray,w,h);
+  const region=tileFindings(tiles, W, {sharpness: lapVar, contrast}, LIMITS);
   let score=0,msg=[],det=[];
   det.push(`MP: ${megapx.toFixed(2)}`);
   if (megapx>=2.0) score+=W.resolution_hi; else if (megapx>=1.0){ score+=W.resolution_mid; msg.push('Low resolution — aim for higher DPI.'); } else { score+=W.resolution_low; msg.push('Very low resolution.'); }
   det.push(`Sharpness(LapVar/100): ${lapVar.toFixed(1)}`);
-  if (lapVar>120) score+=W.sharp_hi; else if (lapVar>=60){ score+=W.sharp_mid; msg.push('Slight blur.'); } else { score+=W.sharp_low; msg.push('Blurry — rescan.'); }
+  if (region.sharpness>120) score+=W.sharp_hi; else if (region.sharpness>=60){ score+=W.sharp_mid; msg.push('Slight blur.'); } else { score+=W.sharp_low; msg.push('Blurry — rescan.'); }
   det.push(`Contrast(stddev): ${contrast.toFixed(1)}`);
-  if (contrast>=30) score+=W.contrast_hi; else if (contrast>=20){ score+=W.contrast_mid; msg.push('Low contrast.'); } else { score+=W.contrast_low; msg.push('Very low contrast.'); }
+  if (region.contrast>=30) score+=W.contrast_hi; else if (region.contrast>=20){ score+=W.contrast_mid; msg.push('Low contrast.'); } else { score+=W.contrast_low; msg.push('Very low contrast.'); }
+  det.push(...region.det); msg.push(...region.msg); score+=region.penalty;
+  const orient=orientationFindings(measureOrientation(gray,w,h), W);
+  det.push(...orient.det); msg.push(...orient.msg); score+=orient.penalty;
+  const capture=captureFindings(inspectCapture(img, gray), W);
+  det.push(...capture.det); msg.push(...capture.msg); score+=capture.penalty;
   notes.textContent = det.join('\n');
-  return { score: Math.min(100,score), messages: dedupe(msg), details: det };
+  score=Math.max(0, Math.min(100,score));
+  const remedy=score<POLICY.thresholds.accept ? remedyFix(file, suggestRemedies(img, gray, {lowContrast: contrast<30})) : null;
+  return { score, messages: dedupe(msg), details: det, fixes: [imageFix(file, orient.correction), perspectiveFix(file, capture.correction), remedy].filter(Boolean),
+    heatmap: heatmap(tiles, LIMITS) };
 }
 
-async function analyzeCsv(file){
+async function analyzeCsv(file, {status, mapping}){
   const W=POLICY.csv;
-  const text=await file.text(); const sample=text.slice(0,250000);
-  const delim=detectDelimiter(sample);
-  const rows=sample.split(/\r?\n/).filter(r=>r.trim().length>0).slice(0,200);
-  const colsCount = rows.map(r=>r.split(delim).length);
-  const modeCols = mode(colsCount);
-  const inconsistent = colsCount.filter(c => Math.abs(c-modeCols)>0).length;
-  const empties = rows.reduce((acc,r)=>acc+(r.split(delim).filter(c=>c===''||c===null).length),0);
-  const totalCells = rows.reduce((acc,r)=>acc+r.split(delim).length,0);
-  const emptyRate = totalCells? (empties/totalCells):1;
+  const checker=createLabChecker({override: mapping});
+  const st=await csvStats(file, {onRow: checker.row, onProgress:(done,total)=>{ status.textContent=`Reading CSV… ${Math.round(done*100/Math.max(1,total))}%`; }});
   let score=0,msg=[],det=[];
-  det.push(`Rows: ${rows.length}, Delim: ${JSON.stringify(delim)}`);
-  if (rows.length>=10) score+=W.rows_hi; else { score+=W.rows_low; msg.push('Very few rows — include ≥ 10.'); }
-  const inconsistencyRate = rows.length? (inconsistent/rows.length):1;
-  det.push(`Inconsistency: ${(inconsistencyRate*100).toFixed(1)}%`);
+  det.push(`Rows: ${st.rows}, Cols: ${st.header.length}, Delim: ${JSON.stringify(st.delimiter)}, Encoding: ${st.encoding}${st.bom?' (BOM)':''}`);
+  if (st.rows>=10) score+=W.rows_hi; else { score+=W.rows_low; msg.push('Very few rows — include ≥ 10.'); }
+  const inconsistencyRate = st.rows? (st.ragged.count/st.rows):1;
+  det.push(`Ragged rows: ${st.ragged.count} (${(inconsistencyRate*100).toFixed(1)}%)`);
   if (inconsistencyRate<=0.05) score+=W.consistency_hi; else if (inconsistencyRate<=0.15){ score+=W.consistency_mid; msg.push('Irregular column counts — fix separators/quotes.'); } else { score+=W.consistency_low; msg.push('Highly inconsistent columns — clean CSV export.'); }
-  det.push(`Empty cells rate: ${(emptyRate*100).toFixed(1)}%`);
-  if (emptyRate<=0.1) score+=W.empties_hi; else if (emptyRate<=0.25){ score+=W.empties_mid; msg.push('Many empty cells — fill key fields.'); } else { score+=W.empties_low; msg.push('Too many empty cells.'); }
-  if (/(unit|units|mg\/dl|mmol\/l|g\/l|iu\/l)/i.test(sample)) score+=W.units_bonus;
-  msg.push('Ensure patient ID, collection date/time, units, and reference ranges are present.');
-  return { score: Math.min(100,score), messages: dedupe(msg), details: det };
+  msg.push(...raggedMessages(st));
+  det.push(`Empty cells rate: ${(st.emptyRate*100).toFixed(1)}%`);
+  det.push(...st.columnEmpty.map(c=>`  ${c.name}: ${(c.rate*100).toFixed(1)}% empty`));
+  if (st.emptyRate<=0.1) score+=W.empties_hi; else if (st.emptyRate<=0.25){ score+=W.empties_mid; msg.push('Many empty cells — fill key fields.'); } else { score+=W.empties_low; msg.push('Too many empty cells.'); }
+  const sparse=st.columnEmpty.filter(c=>c.rate>0.5);
+  if (sparse.length) msg.push(`Mostly empty column${sparse.length>1?'s':''}: ${sparse.slice(0,5).map(c=>c.name).join(', ')}.`);
+  const table=columnReport(checker.finish(), W);
+  score+=table.score; msg.push(...table.msg); det.push(...table.det);
+  return { score: Math.max(0, Math.min(100, Math.round(score))), messages: dedupe(msg), details: det, mapping: table.mapping };
+}
+
+// "Line 12: 2 fields (expected 4)" for the first few ragged rows, plus an unterminated quote
+function raggedMessages(st){
+  const out=st.ragged.examples.slice(0,5).map(e=>`Line ${e.line}: ${e.fields} field${e.fields===1?'':'s'} (expected ${e.expected}).`);
+  if (st.ragged.count>5) out.push(`…and ${st.ragged.count-5} more ragged rows.`);
+  if (st.unterminatedAt) out.push(`Unclosed quote starting on line ${st.unterminatedAt} — the rest of the file is read as one field.`);
+  return out;
+}
+
+/**
+ * Inferred column roles and value checks, shared by the CSV and XLSX paths.
+ * `mapping` on the result lets the card show the roles and send corrections back as ui.mapping.
+ */
+function columnReport({profiles, mapping, findings, stats}, W){
+  const missing=missingRoles(mapping);
+  const errors=findings.filter(f=>f.severity==='error').length;
+  const weight=roles=>roles.reduce((sum, r)=>sum+r.weight, 0);
+  let score=W.mapping*(1-weight(missing)/weight(ROLES));
+  score+=Math.max(W.max_value_penalty, errors*W.value_error_penalty + (findings.length-errors)*W.value_warning_penalty);
+  const name=i=>i===null||!profiles[i]? '—' : profiles[i].name;
+  const det=[`Columns: ${ROLES.map(r=>`${r.label} → ${name(mapping[r.key])}`).join(' · ')}`];
+  if (mapping.analytes.length) det.push(`Analyte columns: ${mapping.analytes.map(a=>`${name(a.index)} (${a.analyte.label}${a.unit?`, ${a.unit}`:''})`).join(', ')}`);
+  det.push(`Column types: ${profiles.map(p=>`${p.name}: ${p.type}`).join(', ')}`);
+  det.push(`Results checked for plausibility: ${stats.checked} (implausible: ${stats.implausible})`);
+  const msg=findings.map(f=>f.text.charAt(0).toUpperCase()+f.text.slice(1)+'.');
+  if (missing.length) msg.push(`No column found for ${missing.map(r=>r.label).join(', ')} — pick ${missing.length>1?'them':'it'} under "Columns".`);
+  const assigned=Object.fromEntries(ROLES.map(r=>[r.key, mapping[r.key]]));
+  return { score, msg, det, mapping: { columns: profiles.map(p=>p.name), roles: ROLES.map(({key, label})=>({key, label})), assigned } };
 }
 
-async function analyzeXlsx(file){
+async function analyzeXlsx(file, {status, mapping}){
   const W=POLICY.xlsx;
-  if(!window.XLSX||typeof XLSX.read!=='function'){await new Promise(r=>setTimeout(r,1200));}
-  if(!window.XLSX||typeof XLSX.read!=='function'){return{score:50,messages:['XLSX library not available — try again or save as CSV.'],details:['XLSX not ready']};}
+  if(!globalThis.XLSX||typeof XLSX.read!=='function'){await new Promise(r=>setTimeout(r,1200));}
+  if(!globalThis.XLSX||typeof XLSX.read!=='function'){return{score:50,messages:['XLSX library not available — try again or save as CSV.'],details:['XLSX not ready']};}
   try{
-    const ab=await file.arrayBuffer();
-    const wb=XLSX.read(ab,{type:'array'});
-    const sheetName=wb.SheetNames[0]; if(!sheetName) return { score:45, messages:['No sheets found'], details:[] };
-    const ws=wb.Sheets[sheetName];
-    const json=XLSX.utils.sheet_to_json(ws,{defval:''});
-    const rows=json.length;
-    const cols=ws['!ref']? (ws['!ref'].match(/:([A-Z]+)/)||[])[1] : null;
+    status.textContent='Reading workbook…';
+    const book=await inspectWorkbook(file);
+    if (book.encrypted) return lockedResult(book);
+    const sheet=mainSheet(book); if(!sheet) return { score:45, messages:['No sheets found'], details:[] };
+    // Rows above a detected header (titles, notes) are not data
+    const start=sheet.header? sheet.header.index+1 : 1;
+    const header=(sheet.header? sheet.header.names : (sheet.aoa[0]||[]).map(h=>String(h).trim()));
+    const body=sheet.aoa.slice(start);
+    const data=body.filter(r=>r.some(v=>String(v).trim()));
+    const rows=data.length;
     let score=0,msg=[],det=[];
+    det.push(`Format: ${book.label} · ${book.sheets.length} sheet${book.sheets.length>1?'s':''} · scored: "${sheet.name}"`);
     det.push(`Rows: ${rows}`);
     if (rows>=10) score+=W.rows_hi; else { score+=W.rows_low; msg.push('Too few rows — include ≥ 10.'); }
-    if (cols) score+=W.cols_hi; else score+=W.cols_low;
+    if (sheet.cols>1) score+=W.cols_hi; else score+=W.cols_low;
     let empties=0,total=0;
-    json.slice(0,200).forEach(r=>{const vals=Object.values(r); total+=vals.length; vals.forEach(v=>{ if(v===''||v===null) empties++; });});
+    data.slice(0,200).forEach(r=>{const vals=r.slice(0,header.length||sheet.cols); total+=vals.length; vals.forEach(v=>{ if(!String(v).trim()) empties++; });});
     const er = total? empties/total : 1;
     det.push(`Empty cells rate: ${(er*100).toFixed(1)}%`);
     if (er<=0.1) score+=W.empties_hi; else if (er<=0.25){ score+=W.empties_mid; msg.push('Many blanks — fill key fields.'); } else { score+=W.empties_low; msg.push('High blank rate.'); }
-    const text = JSON.stringify(json).toLowerCase();
-    if (/(unit|units|mg\/dl|mmol\/l|g\/l|iu\/l)/i.test(text)) score+=W.units_bonus;
-    msg.push('Check columns: Patient/ID, DateTime, Test, Result, Units, Reference Range.');
-    return { score: Math.min(100,score), messages: dedupe(msg), details: det };
+    const found=workbookFindings(book, W);
+    score+=found.penalty; msg.push(...found.msg); det.push(...found.det);
+    status.textContent='Checking columns and values…';
+    const checker=createLabChecker({override: mapping});
+    body.forEach((r,i)=>checker.row(r.map(String), sheet.first+start+i, header));
+    const table=columnReport(checker.finish(), W);
+    score+=table.score; msg.push(...table.msg); det.push(...table.det);
+    return { score: Math.max(0, Math.min(100, Math.round(score))), messages: dedupe(msg), details: det, mapping: table.mapping };
   }catch(e){
-    return { score: 50, messages:['Could not parse XLSX — save as CSV and retry.'], details: ['Parse error: '+e.message] };
+    return { score: 50, messages:['Could not parse the workbook — save as CSV and retry.'], details: ['Parse error: '+e.message] };
   }
 }
 
-async function analyzeFhirJson(file){
+async function analyzeFhirJson(file, {status}){
   const W=POLICY.fhir;
   try{
-    const raw = await file.text();
-    const obj = JSON.parse(raw);
-    let score=0, det=[], msg=[];
-    const resources = Array.isArray(obj.entry) ? obj.entry.map(e=>e.resource) : (obj.resourceType? [obj] : []);
-    const hasPatient = resources.some(r=>r && r.resourceType==='Patient');
-    const observations = resources.filter(r=>r && r.resourceType==='Observation');
-    const withUnits = observations.filter(o=>o && o.valueQuantity && (o.valueQuantity.unit||o.valueQuantity.code));
-    if (hasPatient) score += W.structure; else msg.push('No Patient resource found.');
-    score += Math.min(25, observations.length? 25: 0);
-    if (withUnits.length) score += W.units; else msg.push('Observations missing units.');
-    det.push(`Observations: ${observations.length} · With units: ${withUnits.length}`);
-    return { score: Math.min(100,score), messages: dedupe(msg), details: det };
+    status.textContent='Validating FHIR resources…';
+    const validator=createFhirValidator();
+    const read=await readFhir(file, { onResource: validator.resource, onProgress: n=>{ status.textContent=`Validating FHIR NDJSON… line ${n}`; } });
+    const {findings, stats}=validator.finish(read);
+    const errors=findings.filter(f=>f.severity==='error'), warnings=findings.filter(f=>f.severity==='warning');
+    let score=0;
+    score+=W.structure*(stats.resources? stats.typed/stats.resources : 0)*(stats.observations? 1 : 0.5);
+    score+=W.references*(stats.references? stats.resolved/stats.references : 1);
+    score+=W.observations*(stats.observations? stats.obsOk/stats.observations : 0);
+    score+=W.codes*(stats.observations? stats.loinc/stats.observations : 0);
+    score+=W.units*(stats.quantities? stats.ucumOk/stats.quantities : 1);
+    score+=Math.max(W.max_penalty, stats.errors*W.error_penalty + stats.warnings*W.warning_penalty);
+    const types=Object.entries(stats.types).map(([t,n])=>`${t} ${n}`).join(', ');
+    const det=[
+      `Format: ${read.format==='ndjson'?'NDJSON (bulk export)':read.root && read.root.resourceType==='Bundle'?`Bundle (${read.root.type||'no type'})`:'single resource'} · Resources: ${stats.resources}${types?` (${types})`:''}`,
+      `Observations: ${stats.observations} (valid: ${stats.obsOk}, LOINC: ${stats.loinc}) · Quantities: ${stats.quantities} (UCUM: ${stats.ucumOk})`,
+      `References: ${stats.references} (resolved: ${stats.resolved})${stats.reports?` · DiagnosticReports: ${stats.reports}`:''}`,
+      `Findings: ${stats.errors} errors, ${stats.warnings} warnings${findings.length<stats.errors+stats.warnings?` (first ${findings.length} listed)`:''}`,
+      ...[...errors, ...warnings].slice(0,200).map(f=>`${f.severity==='error'?'✗':'!'} ${f.where}: ${f.text}`)
+    ];
+    const msg=[...errors, ...warnings].slice(0,8).map(f=>`${f.where}: ${f.text}`);
+    if (stats.errors+stats.warnings>8) msg.push(`…and ${stats.errors+stats.warnings-8} more findings (see details).`);
+    return { score: Math.max(0, Math.min(100, Math.round(score))), messages: dedupe(msg), details: det };
   }catch(e){
     return { score: 50, messages:['Invalid JSON or FHIR structure.'], details:['JSON parse error: '+e.message] };
   }
 }
 
-async function analyzeHl7(file){
+async function analyzeHl7(file, {status}){
   const W=POLICY.hl7;
   try{
-    const text = await file.text();
-    let score=0, det=[], msg=[];
-    const segs = text.split(/\r?\n/).map(s=>s.split('|')[0]).filter(Boolean);
-    const hasMSH = segs.includes('MSH');
-    const hasPID = segs.includes('PID');
-    const hasOBR = segs.includes('OBR');
-    const obxCount = segs.filter(s=>s==='OBX').length;
-    if (hasMSH && hasPID) score += 30;
-    if (hasOBR) score += 15;
-    score += Math.min(25, obxCount? 25:0);
-    det.push(`Segments: ${segs.length} (OBX: ${obxCount})`);
-    if (!(hasMSH && hasPID)) msg.push('Missing MSH/PID segments.');
-    return { score: Math.min(100, score + 15), messages: dedupe(msg), details: det };
+    status.textContent='Parsing HL7 v2…';
+    const parsed=parseHl7(await file.text());
+    if (!parsed.messages.length) return { score: 20, messages: ['No MSH segment — not an HL7 v2 message.', ...parsed.errors.slice(0,3)], details: [] };
+    const {findings, stats}=validateHl7(parsed);
+    const errors=findings.filter(f=>f.severity==='error'), warnings=findings.filter(f=>f.severity==='warning');
+    let score=0;
+    score+=W.structure*(stats.oru/stats.messages);
+    score+=W.identifiers*(stats.oru? stats.pid3/stats.oru : 0);
+    score+=W.observations*(stats.obx? stats.obxOk/stats.obx : 0);
+    score+=W.codes*(stats.obx? stats.coded/stats.obx : 0);
+    score+=Math.max(W.max_penalty, errors.length*W.error_penalty + warnings.length*W.warning_penalty);
+    const det=[
+      `Messages: ${stats.messages} (ORU^R01: ${stats.oru})${stats.batches?`, batches: ${stats.batches}`:''}`,
+      `Encoding: ${Object.values(parsed.messages[0].encoding).join('')}`,
+      `OBX: ${stats.obx} (valid: ${stats.obxOk}, coded: ${stats.coded})`,
+      `Findings: ${errors.length} errors, ${warnings.length} warnings`,
+      ...[...errors, ...warnings].slice(0,200).map(f=>`${f.severity==='error'?'✗':'!'} ${f.where}: ${f.text}`)
+    ];
+    const msg=[...errors, ...warnings].slice(0,8).map(f=>`${f.where}: ${f.text}`);
+    if (findings.length>8) msg.push(`…and ${findings.length-8} more findings (see details).`);
+    if (!stats.obx) msg.push('No OBX result segments.');
+    return { score: Math.max(0, Math.min(100, Math.round(score))), messages: dedupe(msg), details: det };
   }catch(e){
     return { score: 50, messages:['HL7 parse error.'], details:['HL7 error: '+e.message] };
   }
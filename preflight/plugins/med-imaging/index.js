@@ -1,4 +1,7 @@
-import { toGrayscale, stddev, laplacianVariance, loadImage } from '../../core/utils.js';
+import { toGrayscale, stddev, laplacianVariance } from '../../core/utils.js';
+import { readImageData } from '../../core/raster.js';
+import { readDicomFile, dicomToGray, levelsInWindow } from '../../core/dicom.js';
+import { groupSeries, checkSeries } from './series.js';
 
 const POLICY = {
   jpgpng: {
@@ -9,39 +12,89 @@ const POLICY = {
     center_uniform_hi: 20, center_uniform_mid: 12, center_uniform_low: 6,
     bonus: 10
   },
+  dicom: {
+    matrix_hi: 20, matrix_mid: 12, matrix_low: 6,
+    metadata: 10, missing_spacing_penalty: -10, missing_geometry_penalty: -5, low_bitdepth_penalty: -6,
+    no_pixels_base: 60, truncated_penalty: -50
+  },
+  series: { gap_penalty: -20, duplicate_penalty: -10, spacing_penalty: -10, orientation_penalty: -20, localizer_penalty: -3 },
   thresholds: { accept: 85, borderline: 70 }
 };
 
 export default {
   name: 'med-imaging',
   thresholds: POLICY.thresholds,
+  policy: POLICY,
+  extensions: ['jpg', 'jpeg', 'png', 'bmp', 'webp', 'dcm'],
   async analyze(file, ui){
     const ext = (file.name||'').toLowerCase().split('.').pop();
-    if (ext === 'dcm' || (file.type && /dicom/i.test(file.type))) return analyzeDICOMStub(file);
+    if (ext === 'dcm' || (file.type && /dicom/i.test(file.type))) return analyzeDicom(file, ui);
     if (/(jpe?g|png|bmp|webp)$/i.test(file.name)) return analyzeScanExport(file, ui);
     return { score: 55, messages: ['Not recognized as CT/MR/US export — fallback.'], details: [] };
+  },
+  group(files){
+    return groupSeries(files.filter(f => /\.dcm$/i.test(f.name||'') || /dicom/i.test(f.type||'')));
+  },
+  analyzeGroup(group, ui){
+    return analyzeSeries(group, ui);
   }
 };
 
+async function analyzeSeries(group, {status, notes}){
+  status.textContent = `Checking series completeness (${group.files.length} files)…`;
+  const chk = checkSeries(group, POLICY.series);
+
+  status.textContent = 'Scoring representative slice…';
+  const scratch = { status: { textContent: '' }, notes: { textContent: '' } };
+  const slice = await analyzeDicom(chk.representative, scratch);
+
+  const det = [...chk.det, `Representative slice: ${chk.representative.name} (score ${slice.score})`, ...slice.details];
+  notes.textContent = det.join('\n');
+  return {
+    score: Math.max(0, Math.min(100, slice.score + chk.penalty)),
+    messages: dedupe([...chk.msg, ...slice.messages]),
+    details: det
+  };
+}
+
 async function analyzeScanExport(file, {status, notes}){
   const W = POLICY.jpgpng;
   status.textContent = 'Decoding CT/MR/US export…';
-  const imgEl = await loadImage(file);
-  const w=imgEl.naturalWidth, h=imgEl.naturalHeight;
-  const canvas=document.createElement('canvas'); canvas.width=w; canvas.height=h;
-  const ctx=canvas.getContext('2d',{willReadFrequently:true}); ctx.drawImage(imgEl,0,0);
-  const img = ctx.getImageData(0,0,w,h);
+  const img = await readImageData(file);
+  const w=img.width, h=img.height;
   const g = toGrayscale(img);
 
   const megapx=(w*h)/1e6;
+  let sizeScore, sizeMsg=null;
+  if (megapx>=1.0) sizeScore=W.size_hi; else if (megapx>=0.6){ sizeScore=W.size_mid; sizeMsg='Low resolution — prefer larger matrix.'; } else { sizeScore=W.size_low; sizeMsg='Very low resolution export.'; }
+
+  const q = scoreScan(g, w, h, { sizeScore, sizeDetail: `MP: ${megapx.toFixed(2)}`, sizeMsg });
+  let score = q.score + W.bonus;
+  const det = q.det, msg = q.msg;
+  msg.push(...[
+    'Prefer original DICOM for analysis.',
+    'Ensure pixel spacing/orientation metadata is preserved on upload.'
+  ]);
+
+  notes.textContent = det.join('\n');
+  return { score: Math.max(0, Math.min(100, score)), messages: dedupe(msg), details: det };
+}
+
+/**
+ * Shared pixel scoring for exports and decoded DICOM.
+ * g is grayscale on a 0..255 scale (Uint8 for exports, windowed Float32 for DICOM).
+ * opts.banding overrides the 8-bit histogram banding test (DICOM counts real stored levels instead).
+ */
+function scoreScan(g, w, h, { sizeScore, sizeDetail, sizeMsg, banding: bandingOverride }){
+  const W = POLICY.jpgpng;
   const contrast = stddev(g);
   const lapVar = laplacianVariance(g,w,h);
 
   const hist = new Uint32Array(256);
-  for (let i=0;i<g.length;i++) hist[g[i]]++;
+  for (let i=0;i<g.length;i++) hist[g[i]|0]++;
   let emptyBins=0;
   for (let i=1;i<255;i++) if (hist[i]===0) emptyBins++;
-  const banding = emptyBins > 140;
+  const banding = bandingOverride !== undefined ? bandingOverride : emptyBins > 140;
 
   function meanRect(x0,y0,x1,y1){
     let s=0,n=0;
@@ -78,8 +131,8 @@ async function analyzeScanExport(file, {status, notes}){
   const motionRatio = Math.max(gx,gy) / Math.max(1, Math.min(gx,gy));
 
   let score=0, det=[], msg=[];
-  det.push(`MP: ${megapx.toFixed(2)}`);
-  if (megapx>=1.0) score+=W.size_hi; else if (megapx>=0.6){ score+=W.size_mid; msg.push('Low resolution — prefer larger matrix.'); } else { score+=W.size_low; msg.push('Very low resolution export.'); }
+  det.push(sizeDetail);
+  score += sizeScore; if (sizeMsg) msg.push(sizeMsg);
 
   det.push(`Sharpness(LapVar/100): ${lapVar.toFixed(1)}`);
   if (lapVar>120) score+=W.sharp_hi; else if (lapVar>=60){ score+=W.sharp_mid; msg.push('Slight blur — check motion.'); } else { score+=W.sharp_low; msg.push('Blurry — repeat acquisition/export.'); }
@@ -96,25 +149,69 @@ async function analyzeScanExport(file, {status, notes}){
   if (bgStd >= 18) { score += W.noise_penalty; msg.push('High noise — adjust dose, averaging, or reconstruction.'); }
   if (motionRatio >= 2.5) { score += W.motion_penalty; msg.push('Motion artifacts likely — consider breath-hold or stabilization.'); }
 
-  score += W.bonus;
-  msg.push(...[
-    'Prefer original DICOM for analysis.',
-    'Ensure pixel spacing/orientation metadata is preserved on upload.'
-  ]);
-
-  notes.textContent = det.join('\n');
-  return { score: Math.max(0, Math.min(100, score)), messages: dedupe(msg), details: det };
+  return { score, det, msg };
 }
 
 function dedupe(arr){ const s=new Set(), out=[]; for(const x of arr){ const k=String(x).trim(); if(k && !s.has(k)){ s.add(k); out.push(k); } } return out; }
 
-async function analyzeDICOMStub(file){
-  return {
-    score: 75,
-    messages: [
-      'DICOM client stub: full checks should run server-side with a DICOM toolkit.',
-      'Validate Modality (CT/MR/US), PixelSpacing, SliceThickness, Orientation, Series completeness.'
-    ],
-    details: ['Format: DICOM (.dcm)']
-  };
+async function analyzeDicom(file, {status, notes}){
+  const W = POLICY.dicom;
+  status.textContent = 'Parsing DICOM…';
+  const dcm = await readDicomFile(file);
+  const t = dcm.tags;
+  if (!dcm.elements.size) {
+    return { score: 20, messages: ['Not a readable DICOM file.', ...dcm.errors], details: ['Format: DICOM (.dcm)', ...dcm.warnings] };
+  }
+
+  let meta = 0, det = [], msg = [];
+  det.push(`Transfer syntax: ${dcm.transferSyntax.name}${dcm.hasPreamble ? '' : ' (no DICM preamble)'}`);
+  if (dcm.hasPreamble) meta += 2; else msg.push('Missing DICOM Part 10 preamble — re-export from PACS as standard DICOM.');
+
+  const modality = t.Modality || '';
+  det.push(`Modality: ${modality || '—'} · Photometric: ${t.PhotometricInterpretation || '—'} · BitsStored: ${t.BitsStored || '—'}`);
+  if (/^(CT|MR|US|PT|NM|XA|RF|MG|CR|DX)$/.test(modality)) meta += 2; else msg.push('Modality tag missing or unexpected for CT/MR/US.');
+
+  const spacing = [].concat(t.PixelSpacing || t.ImagerPixelSpacing || []);
+  det.push(`PixelSpacing: ${spacing.length ? spacing.map(v => v.toFixed(3)).join(' × ') + ' mm' : '—'} · SliceThickness: ${t.SliceThickness !== undefined ? t.SliceThickness + ' mm' : '—'}`);
+  let penalty = 0;
+  if (spacing.length === 2 && spacing.every(v => v > 0)) meta += 2;
+  else { penalty += W.missing_spacing_penalty; msg.push('PixelSpacing missing — measurements will be unreliable.'); }
+
+  const iop = [].concat(t.ImageOrientationPatient || []);
+  det.push(`Orientation: ${iop.length === 6 ? iop.map(v => v.toFixed(2)).join(', ') : '—'}`);
+  const crossSectional = /^(CT|MR|PT|NM)$/.test(modality);
+  if (crossSectional && (iop.length !== 6 || t.SliceThickness === undefined)) {
+    penalty += W.missing_geometry_penalty; msg.push('ImageOrientationPatient/SliceThickness missing — 3D reconstruction not possible.');
+  } else meta += 2;
+
+  const bitsStored = Number(t.BitsStored) || 0;
+  if (bitsStored >= 10 || modality === 'US') meta += 2;
+  else if (bitsStored) { penalty += W.low_bitdepth_penalty; msg.push(`Only ${bitsStored} bits stored — likely a down-converted export.`); }
+
+  if (dcm.warnings.length) det.push(...dcm.warnings);
+  if (dcm.errors.length) msg.push(...dcm.errors);
+  // A cut-off file is broken whatever its metadata says — it must not outscore an intact one
+  if (dcm.truncated) penalty += W.truncated_penalty;
+
+  if (!dcm.pixel) {
+    msg.push('Pixel data not decoded — quality checks limited to metadata.');
+    notes.textContent = det.join('\n');
+    return { score: Math.max(0, Math.min(100, W.no_pixels_base + meta + penalty)), messages: dedupe(msg), details: det };
+  }
+
+  status.textContent = 'Scoring DICOM pixels…';
+  const px = dcm.pixel;
+  const { gray, window: voi } = dicomToGray(px, t);
+  const levels = levelsInWindow(px, voi);
+  det.push(`Window: C ${voi.center} / W ${voi.width} (${voi.source}) · Stored levels in window: ${levels}${px.frames > 1 ? ` · Frames: ${px.frames} (first scored)` : ''}`);
+
+  const minDim = Math.min(px.rows, px.cols);
+  let sizeScore, sizeMsg = null;
+  if (minDim >= 512) sizeScore = W.matrix_hi; else if (minDim >= 256){ sizeScore = W.matrix_mid; sizeMsg = 'Small acquisition matrix — prefer ≥ 512.'; } else { sizeScore = W.matrix_low; sizeMsg = 'Very small acquisition matrix.'; }
+
+  const q = scoreScan(gray, px.cols, px.rows, { sizeScore, sizeDetail: `Matrix: ${px.cols}×${px.rows}`, sizeMsg, banding: levels < 64 });
+  msg.push(...q.msg);
+  const score = q.score + Math.min(W.metadata, meta) + penalty;
+  notes.textContent = [...det, ...q.det].join('\n');
+  return { score: Math.max(0, Math.min(100, score)), messages: dedupe(msg), details: [...det, ...q.det] };
 }
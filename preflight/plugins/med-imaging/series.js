@@ -0,0 +1,159 @@
+import { parseDicom } from '../../core/dicom.js';
+
+// Headers sit well before PixelData; reading a prefix keeps large studies cheap to group.
+const HEADER_BYTES = 256 * 1024;
+const LOCALIZER_RE = /(localizer|localiser|scout|topogram|surview|survey|scanogram|pilot)/i;
+
+/**
+ * Read the header of every DICOM file and group them by Study + Series UID.
+ * Only cross-sectional series (CT/MR/PT/NM) with 2+ instances become groups;
+ * single files and projection radiographs keep their per-file analysis.
+ */
+export async function groupSeries(files) {
+  const instances = [];
+  for (const file of files) {
+    const dcm = parseDicom(await file.slice(0, HEADER_BYTES).arrayBuffer(), { pixels: false });
+    if (!dcm.elements.size) continue;
+    instances.push({ file, tags: dcm.tags });
+  }
+
+  const studies = new Map();
+  for (const inst of instances) {
+    const study = inst.tags.StudyInstanceUID || 'unknown-study';
+    if (!studies.has(study)) studies.set(study, []);
+    studies.get(study).push(inst);
+  }
+
+  const groups = [];
+  for (const [studyUid, members] of studies) {
+    const studyHasLocalizer = members.some(isLocalizer);
+    const bySeries = new Map();
+    for (const inst of members) {
+      const key = inst.tags.SeriesInstanceUID || 'unknown-series';
+      if (!bySeries.has(key)) bySeries.set(key, []);
+      bySeries.get(key).push(inst);
+    }
+    for (const [seriesUid, list] of bySeries) {
+      const modality = list[0].tags.Modality || '';
+      if (list.length < 2 || !/^(CT|MR|PT|NM)$/.test(modality)) continue;
+      if (list.every(isLocalizer)) continue; // a scout series is judged per file
+      const t = list[0].tags;
+      const label = `${modality} series ${t.SeriesNumber !== undefined ? '#' + t.SeriesNumber : ''} ${t.SeriesDescription || ''} (${list.length} files)`.replace(/\s+/g, ' ').trim();
+      groups.push({
+        key: `${studyUid}/${seriesUid}`,
+        label,
+        files: list.map(i => i.file),
+        instances: list,
+        studyHasLocalizer
+      });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Completeness and geometry checks for one grouped series.
+ * @returns {{penalty: number, det: string[], msg: string[], representative: File}}
+ */
+export function checkSeries(group, W) {
+  const det = [], msg = [];
+  let penalty = 0;
+
+  const localizers = group.instances.filter(isLocalizer);
+  const slices = group.instances.filter(i => !isLocalizer(i));
+  if (localizers.length) {
+    det.push(`Localizer images mixed into series: ${localizers.length} (excluded from geometry)`);
+    msg.push('Localizer/scout images are mixed into the axial series — export them as their own series.');
+  }
+  if (!group.studyHasLocalizer) {
+    penalty += W.localizer_penalty;
+    msg.push('No localizer/scout series found for this study — include it so positioning can be reviewed.');
+  }
+
+  // 1. InstanceNumber gaps & duplicates
+  const numbers = slices.map(i => Number(i.tags.InstanceNumber)).filter(n => isFinite(n)).sort((a, b) => a - b);
+  if (numbers.length < slices.length) {
+    msg.push(`${slices.length - numbers.length} file(s) have no InstanceNumber.`);
+  }
+  const dupNumbers = numbers.filter((n, i) => i > 0 && n === numbers[i - 1]);
+  const unique = [...new Set(numbers)];
+  const missing = [];
+  for (let i = 1; i < unique.length; i++) {
+    for (let n = unique[i - 1] + 1; n < unique[i] && missing.length < 1000; n++) missing.push(n);
+  }
+  det.push(`Instances: ${slices.length} · InstanceNumber ${unique.length ? unique[0] + '–' + unique[unique.length - 1] : '—'} · Missing: ${missing.length} · Duplicates: ${dupNumbers.length}`);
+  if (missing.length) {
+    penalty += W.gap_penalty;
+    msg.push(`Series incomplete — missing InstanceNumber ${listSome(missing)}.`);
+  }
+  if (dupNumbers.length) {
+    penalty += W.duplicate_penalty;
+    msg.push(`Duplicate InstanceNumber ${listSome([...new Set(dupNumbers)])} — the same slice was exported twice or two series were merged.`);
+  }
+
+  // 2. Orientation consistency
+  const withIop = slices.filter(i => Array.isArray(i.tags.ImageOrientationPatient) && i.tags.ImageOrientationPatient.length === 6);
+  const orientations = [];
+  for (const inst of withIop) {
+    const iop = inst.tags.ImageOrientationPatient;
+    if (!orientations.some(o => o.every((v, k) => Math.abs(v - iop[k]) < 0.01))) orientations.push(iop);
+  }
+  det.push(`Orientations in series: ${orientations.length || '—'}`);
+  if (orientations.length > 1) {
+    penalty += W.orientation_penalty;
+    msg.push(`Mixed orientations inside one series (${orientations.length} different ImageOrientationPatient values).`);
+  }
+
+  // 3. Slice position spacing along the slice normal
+  const thickness = Number(slices[0] && slices[0].tags.SliceThickness);
+  const spacingTag = Number(slices[0] && slices[0].tags.SpacingBetweenSlices);
+  if (orientations.length === 1) {
+    const normal = cross(orientations[0].slice(0, 3), orientations[0].slice(3));
+    const positions = withIop
+      .filter(i => Array.isArray(i.tags.ImagePositionPatient) && i.tags.ImagePositionPatient.length === 3)
+      .map(i => dot(i.tags.ImagePositionPatient, normal))
+      .sort((a, b) => a - b);
+    if (positions.length >= 2) {
+      const steps = positions.slice(1).map((p, i) => p - positions[i]);
+      const overlapping = steps.filter(d => d < 0.01).length;
+      const real = steps.filter(d => d >= 0.01);
+      const median = real.length ? [...real].sort((a, b) => a - b)[Math.floor(real.length / 2)] : 0;
+      const holes = real.filter(d => d > median * 1.5).length;
+      const spread = real.length ? (Math.max(...real) - Math.min(...real)) : 0;
+      det.push(`Slice spacing: median ${median.toFixed(2)} mm · range ${real.length ? Math.min(...real).toFixed(2) + '–' + Math.max(...real).toFixed(2) : '—'} mm · SliceThickness ${isFinite(thickness) ? thickness + ' mm' : '—'}${isFinite(spacingTag) ? ` · SpacingBetweenSlices ${spacingTag} mm` : ''}`);
+      // Slices already penalized by their InstanceNumber are not penalized again by position
+      if (overlapping) {
+        if (!dupNumbers.length) penalty += W.duplicate_penalty;
+        msg.push(`${overlapping} slice(s) share the same position — duplicated or merged acquisitions.`);
+      }
+      if (holes) {
+        if (!missing.length) penalty += W.gap_penalty;
+        msg.push(`${holes} gap(s) in slice positions larger than 1.5× the normal spacing — slices missing.`);
+      } else if (median > 0 && spread / median > 0.1) {
+        penalty += W.spacing_penalty;
+        msg.push('Uneven slice spacing — volume reconstruction will be distorted.');
+      }
+      const expected = isFinite(spacingTag) && spacingTag > 0 ? spacingTag : thickness;
+      if (isFinite(expected) && expected > 0 && median > expected * 1.2) {
+        penalty += W.spacing_penalty;
+        msg.push(`Slice spacing (${median.toFixed(2)} mm) exceeds ${expected === spacingTag ? 'SpacingBetweenSlices' : 'SliceThickness'} (${expected} mm) — anatomy between slices is not covered.`);
+      }
+    } else {
+      msg.push('ImagePositionPatient missing — slice spacing cannot be verified.');
+    }
+  }
+
+  // The middle slice stands in for pixel quality of the whole series.
+  const ordered = [...slices].sort((a, b) => (Number(a.tags.InstanceNumber) || 0) - (Number(b.tags.InstanceNumber) || 0));
+  const representative = (ordered[Math.floor(ordered.length / 2)] || group.instances[0]).file;
+  return { penalty, det, msg, representative };
+}
+
+function isLocalizer(inst) {
+  const type = [].concat(inst.tags.ImageType || []).join('\\');
+  return /LOCALIZER/i.test(type) || LOCALIZER_RE.test(inst.tags.SeriesDescription || '');
+}
+
+function cross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function listSome(arr) { return arr.length > 8 ? arr.slice(0, 8).join(', ') + ` … (+${arr.length - 8})` : arr.join(', '); }
@@ -0,0 +1,257 @@
+import { otsuThreshold } from '../../core/utils.js';
+import { shrinkGray } from '../../core/capture.js';
+
+// The checks run on a copy this size (long side); they look at regions, not fine detail.
+const WORK_SIDE = 512;
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Radiograph acquisition checks on a grayscale image (0..255, bone bright once polarity
+ * is known):
+ * - collimation: uniform shutter bands with a straight inner edge on each side
+ * - polarity: a flat direct-exposure background that is white means a negative
+ *   (MONOCHROME1 shown without inversion)
+ * - exposure: pixels clipped to black (over-exposed, burnt out) or to white
+ *   (under-exposed) in the central part of the field
+ * - anatomy at the edges: soft tissue or bone running into the edge of the field
+ * - laterality marker: a small bright glyph (lead L/R) in one of the field's corners
+ * @returns {{field: {left, top, right, bottom, sides: string[], share}, inverted: boolean|null,
+ *            clipped: {dark: number, bright: number}, edges: Array<{side, body, bone}>,
+ *            marker: {corner: string}|null}}
+ *   field edges as fractions of the image size; inverted null when there is no background to judge by
+ */
+export function inspectRadiograph(gray, width, height) {
+  const { g, w, h } = shrinkGray(gray, width, height, WORK_SIDE);
+  const field = findCollimation(g, w, h);
+  const inverted = judgePolarity(g, w, h, field);
+  const v = inverted ? g.map(x => 255 - x) : g;
+  return {
+    field: {
+      left: field.x0 / w, top: field.y0 / h, right: field.x1 / w, bottom: field.y1 / h,
+      sides: field.sides,
+      share: ((field.x1 - field.x0) * (field.y1 - field.y0)) / (w * h)
+    },
+    inverted,
+    clipped: clipping(v, w, field),
+    edges: anatomyAtEdges(v, w, field),
+    marker: findMarker(v, w, field)
+  };
+}
+
+/**
+ * Penalties and messages for inspectRadiograph().
+ * @param {{overexposure_penalty, underexposure_penalty, clip_tolerance, edge_clipping_penalty,
+ *          collimation_bonus, tight_collimation_penalty, inverted_penalty, marker_missing_penalty}} W
+ * @returns {{score: number, msg: string[], det: string[]}} score: the sum of the weights that apply
+ */
+export function radiographFindings(r, W) {
+  const msg = [], det = [];
+  let score = 0;
+  const pct = v => `${Math.round(v * 100)}%`;
+
+  det.push(`Clipped: ${(r.clipped.dark * 100).toFixed(1)}% black · ${(r.clipped.bright * 100).toFixed(1)}% white (central field)`);
+  if (r.clipped.dark > W.clip_tolerance) {
+    score += W.overexposure_penalty;
+    msg.push(`Over-exposed: ${pct(r.clipped.dark)} of the central field is clipped to black — detail is burnt out; lower the dose or re-window the export.`);
+  }
+  if (r.clipped.bright > W.clip_tolerance) {
+    score += W.underexposure_penalty;
+    msg.push(`Under-exposed: ${pct(r.clipped.bright)} of the central field is clipped to white — increase the exposure or re-window the export.`);
+  }
+
+  const f = r.field;
+  det.push(`Collimation: ${f.sides.length ? `${f.sides.join(', ')} · field ${pct(f.share)} of the image` : 'none detected'}`);
+  if (f.sides.length && f.share < 0.25) {
+    score += W.tight_collimation_penalty;
+    msg.push(`The collimated field covers only ${pct(f.share)} of the image — crop to the field or check the collimator setting.`);
+  } else if (f.sides.length >= 2) {
+    score += W.collimation_bonus;
+  }
+
+  const cut = r.edges.filter(e => e.bone >= 0.1 || e.body >= 0.6);
+  det.push(`Anatomy at the field edge: ${r.edges.map(e => `${e.side} ${pct(e.body)}${e.bone ? ` (bone ${pct(e.bone)})` : ''}`).join(' · ')}`);
+  if (cut.length) {
+    score += W.edge_clipping_penalty;
+    const bone = cut.some(e => e.bone >= 0.1);
+    msg.push(`${bone ? 'Bone' : 'Anatomy'} runs into the ${cut.map(e => e.side).join(' and ')} edge${cut.length > 1 ? 's' : ''} — part of it may be cut off; centre the region of interest with a margin.`);
+  }
+
+  det.push(`Polarity: ${r.inverted === null ? 'undetermined (no background visible)' : r.inverted ? 'inverted' : 'standard'}`);
+  if (r.inverted) {
+    score += W.inverted_penalty;
+    msg.push('Image looks inverted (negative): the background is white and bone dark — export with standard polarity (MONOCHROME2), or apply the MONOCHROME1 inversion.');
+  }
+
+  det.push(`Laterality marker: ${r.marker ? `found (${r.marker.corner})` : 'not found'}`);
+  if (!r.marker) {
+    score += W.marker_missing_penalty;
+    msg.push('No laterality marker (L/R) found in the corners — place one at acquisition rather than annotating afterwards.');
+  }
+  return { score, msg, det };
+}
+
+/* ---- collimation ---- */
+
+// Per side, the depth of a uniform band whose inner edge is a straight line
+function findCollimation(g, w, h) {
+  const field = { x0: 0, y0: 0, x1: w, y1: h, sides: [] };
+  for (const side of SIDES) {
+    const vertical = side === 'top' || side === 'bottom';
+    const along = vertical ? w : h, across = vertical ? h : w;
+    const at = (i, d) => { // i: position along the side, d: depth from the edge
+      const x = vertical ? i : side === 'left' ? d : w - 1 - d;
+      const y = vertical ? (side === 'top' ? d : h - 1 - d) : i;
+      return g[y * w + x];
+    };
+    // The outermost line must be uniform
+    const edge = [];
+    for (let i = Math.floor(along * 0.2); i < along * 0.8; i++) edge.push(at(i, 0));
+    const level = edge.reduce((a, b) => a + b, 0) / edge.length;
+    if (Math.sqrt(edge.reduce((a, b) => a + (b - level) * (b - level), 0) / edge.length) > 10) continue;
+    // Depth where each line across the side leaves that level, in the middle 60% of the side
+    const stops = [];
+    for (let i = Math.floor(along * 0.2); i < along * 0.8; i++) {
+      let d = 0;
+      while (d < across * 0.4 && Math.abs(at(i, d) - level) < 30) d++;
+      stops.push(d);
+    }
+    const sorted = [...stops].sort((a, b) => a - b);
+    const depth = sorted[sorted.length >> 1];
+    const straight = stops.filter(d => Math.abs(d - depth) <= Math.max(2, across * 0.015)).length / stops.length;
+    if (depth < across * 0.01 || depth >= across * 0.4 || straight < 0.7) continue;
+    field.sides.push(side);
+    // One pixel in: the shutter edge is blended into its neighbour by the downscale
+    if (side === 'top') field.y0 = depth + 1;
+    else if (side === 'bottom') field.y1 = h - depth - 1;
+    else if (side === 'left') field.x0 = depth + 1;
+    else field.x1 = w - depth - 1;
+  }
+  return field;
+}
+
+/* ---- polarity ---- */
+
+// Direct-exposure background (air) is flat and, in standard polarity, the darkest part of
+// the image. Look at the flat pixels of a ring inside the field edge.
+function judgePolarity(g, w, h, f) {
+  const ring = Math.max(2, Math.round(Math.min(f.x1 - f.x0, f.y1 - f.y0) * 0.1));
+  let flat = 0, total = 0, sum = 0;
+  for (let y = f.y0 + 2; y < f.y1 - 2; y += 2) {
+    for (let x = f.x0 + 2; x < f.x1 - 2; x += 2) {
+      if (x >= f.x0 + ring && x < f.x1 - ring && y >= f.y0 + ring && y < f.y1 - ring) continue;
+      total++;
+      let s = 0, s2 = 0;
+      for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) { const v = g[(y + dy) * w + x + dx]; s += v; s2 += v * v; }
+      const mean = s / 25;
+      if (s2 / 25 - mean * mean < 16) { flat++; sum += mean; }
+    }
+  }
+  if (!total || flat / total < 0.15) return null;
+  const level = sum / flat;
+  if (level > 170) return true;
+  return level < 85 ? false : null;
+}
+
+/* ---- exposure ---- */
+
+function clipping(v, w, f) {
+  // The central half of the field, where the anatomy is, not the background around it
+  const cw = f.x1 - f.x0, ch = f.y1 - f.y0;
+  let dark = 0, bright = 0, n = 0;
+  for (let y = Math.round(f.y0 + ch * 0.25); y < f.y1 - ch * 0.25; y++) {
+    for (let x = Math.round(f.x0 + cw * 0.25); x < f.x1 - cw * 0.25; x++) {
+      const p = v[y * w + x];
+      if (p <= 2) dark++;
+      else if (p >= 253) bright++;
+      n++;
+    }
+  }
+  return { dark: n ? dark / n : 0, bright: n ? bright / n : 0 };
+}
+
+/* ---- anatomy at the edges ---- */
+
+// Soft tissue: above the background/body threshold; bone: above the body's own threshold
+function anatomyAtEdges(v, w, f) {
+  const values = [];
+  for (let y = f.y0; y < f.y1; y++) for (let x = f.x0; x < f.x1; x++) values.push(v[y * w + x]);
+  const body = otsuThreshold(values);
+  const inBody = values.filter(x => x > body);
+  const bone = inBody.length ? Math.max(body + 30, otsuThreshold(inBody)) : 256;
+  const strip = Math.max(2, Math.round(Math.min(f.x1 - f.x0, f.y1 - f.y0) * 0.02));
+  return SIDES.map(side => {
+    const vertical = side === 'top' || side === 'bottom';
+    const from = vertical ? f.x0 : f.y0, to = vertical ? f.x1 : f.y1;
+    let b = 0, o = 0;
+    for (let i = from; i < to; i++) {
+      let maxV = 0;
+      for (let d = 0; d < strip; d++) {
+        const x = vertical ? i : side === 'left' ? f.x0 + d : f.x1 - 1 - d;
+        const y = vertical ? (side === 'top' ? f.y0 + d : f.y1 - 1 - d) : i;
+        maxV = Math.max(maxV, v[y * w + x]);
+      }
+      if (maxV > body) b++;
+      if (maxV > bone) o++;
+    }
+    return { side, body: b / (to - from), bone: o / (to - from) };
+  });
+}
+
+/* ---- laterality marker ---- */
+
+// Lead markers show as small, saturated glyphs that stand out from their surroundings
+function findMarker(v, w, f) {
+  const fw = f.x1 - f.x0, fh = f.y1 - f.y0;
+  const cw = Math.round(fw * 0.25), ch = Math.round(fh * 0.25);
+  const area = fw * fh;
+  const corners = [['top left', f.x0, f.y0], ['top right', f.x1 - cw, f.y0], ['bottom right', f.x1 - cw, f.y1 - ch], ['bottom left', f.x0, f.y1 - ch]];
+  for (const [corner, rx, ry] of corners) {
+    const seen = new Uint8Array(cw * ch);
+    for (let sy = 0; sy < ch; sy++) {
+      for (let sx = 0; sx < cw; sx++) {
+        if (seen[sy * cw + sx] || v[(ry + sy) * w + rx + sx] < 235) continue;
+        const blob = fill(v, w, rx, ry, cw, ch, sx, sy, seen);
+        if (isGlyph(v, w, f, blob, area)) return { corner };
+      }
+    }
+  }
+  return null;
+}
+
+// 4-connected bright pixels from (sx, sy) within the corner region
+function fill(v, w, rx, ry, cw, ch, sx, sy, seen) {
+  const stack = [sy * cw + sx];
+  const blob = { n: 0, x0: sx + rx, y0: sy + ry, x1: sx + rx, y1: sy + ry, edge: false };
+  seen[sy * cw + sx] = 1;
+  while (stack.length) {
+    const i = stack.pop(), x = i % cw, y = (i - x) / cw;
+    blob.n++;
+    blob.x0 = Math.min(blob.x0, x + rx); blob.x1 = Math.max(blob.x1, x + rx);
+    blob.y0 = Math.min(blob.y0, y + ry); blob.y1 = Math.max(blob.y1, y + ry);
+    if (x === 0 || y === 0 || x === cw - 1 || y === ch - 1) blob.edge = true;
+    for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+      if (nx < 0 || ny < 0 || nx >= cw || ny >= ch) continue;
+      const j = ny * cw + nx;
+      if (!seen[j] && v[(ny + ry) * w + nx + rx] >= 235) { seen[j] = 1; stack.push(j); }
+    }
+  }
+  return blob;
+}
+
+function isGlyph(v, w, f, b, area) {
+  if (b.edge || b.n < area * 3e-4 || b.n > area * 0.01) return false;
+  const bw = b.x1 - b.x0 + 1, bh = b.y1 - b.y0 + 1;
+  const fillRatio = b.n / (bw * bh);
+  if (bw / bh < 0.3 || bw / bh > 3 || fillRatio < 0.15 || fillRatio > 0.8) return false;
+  // Darker surroundings: a marker stands on anatomy or background, not inside bright bone
+  const pad = Math.max(2, Math.round(Math.max(bw, bh) * 0.3));
+  let s = 0, n = 0;
+  for (let y = Math.max(f.y0, b.y0 - pad); y <= Math.min(f.y1 - 1, b.y1 + pad); y++) {
+    for (let x = Math.max(f.x0, b.x0 - pad); x <= Math.min(f.x1 - 1, b.x1 + pad); x++) {
+      if (x >= b.x0 && x <= b.x1 && y >= b.y0 && y <= b.y1) continue;
+      s += v[y * w + x];
+      n++;
+    }
+  }
+  return n > 0 && s / n < 170;
+}
@@ -0,0 +1,63 @@
+/**
+ * CSV parser, delimiter and encoding detection (run: node --test preflight/test/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCsvParser, detectDelimiter, detectEncoding, csvStats } from '../core/utils.js';
+
+function parse(chunks, options = {}) {
+  const rows = [];
+  const parser = createCsvParser({ ...options, onRow: (fields, line) => rows.push({ line, fields }) });
+  [].concat(chunks).forEach(c => parser.push(c));
+  parser.end();
+  return { rows, unterminatedAt: parser.unterminatedAt };
+}
+
+test('quoted fields hold delimiters, doubled quotes and newlines', () => {
+  const { rows } = parse('a,b,c\r\n"x, y","say ""hi""","two\r\nlines"\r\n3,,"" \n');
+  assert.deepEqual(rows.map(r => r.fields), [['a', 'b', 'c'], ['x, y', 'say "hi"', 'two\nlines'], ['3', '', ' ']]);
+  assert.deepEqual(rows.map(r => r.line), [1, 2, 4]);
+});
+
+test('chunk boundaries do not change the result', () => {
+  const text = 'id;note\n1;"a ""b"";\nc"\r\n2;d\r\n';
+  const whole = parse(text, { delimiter: ';' }).rows;
+  for (let cut = 1; cut < text.length; cut++) {
+    assert.deepEqual(parse([text.slice(0, cut), text.slice(cut)], { delimiter: ';' }).rows, whole, `split at ${cut}`);
+  }
+});
+
+test('an unclosed quote is reported and its field stays bounded', () => {
+  const { rows, unterminatedAt } = parse(['a,b\n1,"oops\n', 'x,'.repeat(5000)], { maxField: 1000 });
+  assert.equal(unterminatedAt, 2);
+  assert.equal(rows[1].fields[1].length, 1000);
+});
+
+test('detects the delimiter', () => {
+  assert.equal(detectDelimiter('a;b;c\n1;2,5;3\n4;5;6\n'), ';');
+  assert.equal(detectDelimiter('a\tb\n1\t2\n'), '\t');
+  assert.equal(detectDelimiter('a,"b;c",d\n1,2,3\n'), ',');
+});
+
+test('detects the encoding', () => {
+  const utf8 = new TextEncoder().encode('name\nJosé\n');
+  assert.deepEqual(detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, ...utf8])), { encoding: 'utf-8', bom: true });
+  assert.deepEqual(detectEncoding(utf8), { encoding: 'utf-8', bom: false });
+  assert.deepEqual(detectEncoding(new Uint8Array([0x4A, 0x6F, 0x73, 0xE9, 0x0A])), { encoding: 'windows-1252', bom: false });
+  assert.deepEqual(detectEncoding(new Uint8Array(Buffer.from('a,b\n1,2\n', 'utf16le'))), { encoding: 'utf-16le', bom: false });
+  assert.deepEqual(detectEncoding(new Uint8Array([0xFF, 0xFE, 0x61, 0x00])), { encoding: 'utf-16le', bom: true });
+});
+
+test('csvStats decodes Windows-1252 and UTF-16 files', async () => {
+  const latin = new File([new Uint8Array([...Buffer.from('name;city\nJos', 'latin1'), 0xE9, ...Buffer.from(';M\xFCnchen\n', 'latin1')])], 'a.csv');
+  const st = await csvStats(latin);
+  assert.equal(st.encoding, 'windows-1252');
+  assert.equal(st.delimiter, ';');
+  assert.deepEqual(st.sample, [['José', 'München']]);
+  const wide = new File([Buffer.from('﻿name,city\r\n"Lee, Ann",Zürich\r\n', 'utf16le')], 'b.csv');
+  const st2 = await csvStats(wide);
+  assert.equal(st2.encoding, 'utf-16le');
+  assert.deepEqual(st2.header, ['name', 'city']);
+  assert.deepEqual(st2.sample, [['Lee, Ann', 'Zürich']]);
+});
@@ -0,0 +1,56 @@
+/**
+ * HL7 v2 reader: separators, escapes and dates (run: node --test preflight/test/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHl7, text, field, unescapeHl7, isHl7DateTime } from '../core/hl7.js';
+import { validateHl7 } from '../plugins/labs/hl7.js';
+
+const MSH = 'MSH|^~\\&|LAB|HOSP|||20240101120000||ORU^R01|1|P|2.5';
+
+function obx(value) {
+  return parseHl7(`${MSH}\rPID|1||123^^^HOSP^MR||Smith^John\rOBR|1|||GLU^Glucose^LN|||202401011200\rOBX|1|ST|GLU^Glucose^LN||${value}|mg/dL|70-99||||F\r`);
+}
+
+test('decodes the standard escape sequences', () => {
+  const enc = parseHl7(MSH).messages[0].encoding;
+  assert.equal(unescapeHl7('a\\F\\b\\S\\c\\T\\d\\R\\e\\E\\f', enc), 'a|b^c&d~e\\f');
+  assert.equal(unescapeHl7('line\\.br\\next', enc), 'line\nnext');
+  assert.equal(unescapeHl7('\\X4142\\', enc), 'AB');
+  assert.equal(unescapeHl7('bold \\H\\on\\N\\', enc), 'bold on');
+});
+
+test('a malformed hex escape is kept as written and reported on its segment', () => {
+  const parsed = obx('Value \\X4\\ here');
+  const segment = parsed.messages[0].segments[3];
+  assert.equal(text(segment, 5), 'Value \\X4\\ here');
+  assert.equal(unescapeHl7('\\XZZ\\', segment.encoding), '\\XZZ\\');
+  assert.equal(segment.warnings.length, 1);
+  assert.match(segment.warnings[0], /OBX-5: malformed escape sequence "\\X4\\"/);
+  const { findings } = validateHl7(parsed);
+  assert.ok(findings.some(f => f.severity === 'warning' && /OBX-5: malformed escape/.test(f.text)));
+  assert.ok(!findings.some(f => f.severity === 'error' && /OBX/.test(f.where)), 'the rest of the OBX still checks out');
+});
+
+test('reads the separators MSH declares', () => {
+  const parsed = parseHl7('MSH#*~\\&#LAB#HOSP###20240101##ORU*R01#1#P#2.5\rPID#1##123*x*y**MR##Smith*John');
+  const pid = parsed.messages[0].segments[1];
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(text(pid, 5), 'Smith John');
+  assert.equal(field(pid, 3), '123*x*y**MR');
+  assert.ok(isHl7DateTime('202401011200*extra', pid.encoding));
+});
+
+test('rejects malformed MSH-1 and MSH-2', () => {
+  assert.match(parseHl7('MSH|garb|LAB').errors[0], /MSH-2 "garb"/);
+  assert.match(parseHl7('MSH|^^~\\&|LAB').errors[0], /MSH-2/);
+  assert.match(parseHl7('MSH|^~|LAB').errors[0], /MSH-2/);
+  assert.match(parseHl7('MSHA^~\\&|LAB').errors[0], /MSH-1/);
+  assert.deepEqual(parseHl7('MSH|^~\\&#|LAB').errors, [], 'the v2.7 truncation character is allowed');
+});
+
+test('HL7 date/times', () => {
+  for (const v of ['2024', '202401', '20240131', '202401311259', '20240131125959.1234', '20240131125959+0100']) assert.ok(isHl7DateTime(v), v);
+  for (const v of ['2024-01-31', '20241301', '20240132', '202401312460', '']) assert.ok(!isHl7DateTime(v), v);
+});
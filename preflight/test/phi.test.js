@@ -0,0 +1,73 @@
+/**
+ * PHI scanner: findings and the de-identified copy (run: node --test preflight/test/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withPhi } from '../core/phi.js';
+
+const RESULT = { plugin: 'labs', score: 90, messages: [], details: [], fixes: [] };
+
+async function scan(file, kind) {
+  return withPhi(RESULT, [file], kind);
+}
+
+async function deidentify(file, kind) {
+  const fix = (await scan(file, kind)).fixes.find(f => f.id === 'deidentify');
+  assert.ok(fix, 'a de-identify fix is offered');
+  return fix.apply();
+}
+
+function hl7(dob) {
+  return new File([`MSH|^~\\&|LAB|HOSP|||20240101||ORU^R01|1|P|2.5\rPID|1||123456^^^HOSP||Smith^John||${dob}|M\r`], 'msg.hl7');
+}
+
+// Explicit VR little endian Part 10 file with the given short string elements
+function dicom(elements) {
+  const el = (group, element, vr, value) => {
+    let body = Buffer.from(value, 'latin1');
+    if (body.length % 2) body = Buffer.concat([body, Buffer.from(vr === 'UI' ? '\0' : ' ')]);
+    const head = Buffer.alloc(8);
+    head.writeUInt16LE(group, 0);
+    head.writeUInt16LE(element, 2);
+    head.write(vr, 4, 'latin1');
+    head.writeUInt16LE(body.length, 6);
+    return Buffer.concat([head, body]);
+  };
+  const meta = el(0x0002, 0x0010, 'UI', '1.2.840.10008.1.2.1');
+  const length = Buffer.alloc(12);
+  length.writeUInt16LE(0x0002, 0);
+  length.writeUInt16LE(0x0000, 2);
+  length.write('UL', 4, 'latin1');
+  length.writeUInt16LE(4, 6);
+  length.writeUInt32LE(meta.length, 8);
+  const body = elements.map(([g, e, vr, v]) => el(g, e, vr, v));
+  return new File([Buffer.alloc(128), Buffer.from('DICM'), length, meta, ...body], 'image.dcm');
+}
+
+test('HL7: a January 1 date of birth is flagged and masked like any other', async () => {
+  for (const dob of ['19800315', '19800101']) {
+    const result = await scan(hl7(dob), 'hl7');
+    assert.equal(result.phi.counts.dob, 1, `PID-7 ${dob} is reported`);
+    const copy = await (await deidentify(hl7(dob), 'hl7')).text();
+    assert.ok(!copy.includes(dob), `PID-7 ${dob} is masked`);
+    assert.match(copy, /\|1980\|M/);
+    assert.deepEqual((await scan(new File([copy], 'copy.hl7'), 'hl7')).phi.counts, {}, 'the copy scans clean');
+  }
+});
+
+test('HL7: an MRN shaped like a year is still an identifier', async () => {
+  const file = new File(['MSH|^~\\&|LAB|HOSP|||20240101||ORU^R01|1|P|2.5\rPID|1||1985\r'], 'msg.hl7');
+  assert.equal((await scan(file, 'hl7')).phi.counts.mrn, 1);
+});
+
+test('DICOM: PatientBirthDate 19700101 is flagged and removed', async () => {
+  const file = dicom([[0x0010, 0x0010, 'PN', 'Smith^John'], [0x0010, 0x0020, 'LO', 'MRN42'], [0x0010, 0x0030, 'DA', '19700101']]);
+  const result = await scan(file, 'dicom');
+  assert.equal(result.phi.counts.dob, 1);
+  const copy = await deidentify(file, 'dicom');
+  const bytes = Buffer.from(await copy.arrayBuffer()).toString('latin1');
+  assert.ok(!bytes.includes('19700101'));
+  assert.ok(!bytes.includes('Smith'));
+  assert.deepEqual((await scan(copy, 'dicom')).phi.counts, {});
+});